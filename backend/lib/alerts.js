@@ -0,0 +1,127 @@
+// backend/lib/alerts.js
+// Alert creation and lifecycle. Alerts are persisted in the "alerts" store
+// collection without a size cap.
+//
+// Alert shape:
+//   { id, zone, msg, severity, time, sensorId?, ruleId?, origin?,
+//     state, acknowledged, assignee: { id, name } | null,
+//     notes: [{ id, text, by, at }], resolution: { reason, by, at } | null,
+//     history: [{ state, by, at, note? }], escalation? }
+// `escalation` is managed by lib/escalation.js; it stops here, the moment the
+// alert leaves the open state (acknowledged, assigned, resolved...).
+// `origin` marks alerts promoted from a sandbox simulation session:
+//   { type: "simulation", sessionId, promotedBy: { id, name } }.
+// `by` is { id, name } of the user, or { id: null, name: "system" }.
+// `acknowledged` is kept for older clients and means "no longer open".
+
+const store = require("./store");
+const events = require("./events");
+
+const STATES = ["open", "acknowledged", "assigned", "investigating", "resolved", "false-alarm"];
+const CLOSED_STATES = ["resolved", "false-alarm"];
+
+// Allowed state changes; closed alerts can only be reopened.
+const TRANSITIONS = {
+  open: ["acknowledged", "assigned", "investigating", "resolved", "false-alarm"],
+  acknowledged: ["assigned", "investigating", "resolved", "false-alarm"],
+  assigned: ["assigned", "investigating", "resolved", "false-alarm"],
+  investigating: ["assigned", "resolved", "false-alarm"],
+  resolved: ["open"],
+  "false-alarm": ["open"],
+};
+
+const SYSTEM = { id: null, name: "system" };
+
+const alerts = () => store.collection("alerts");
+
+const actorOf = (user) => (user ? { id: user.id, name: user.name } : SYSTEM);
+
+function createAlert({ zone, msg, severity, sensorId, ruleId, origin }) {
+  const time = new Date().toISOString();
+  const alert = alerts().insert({
+    zone,
+    msg,
+    severity,
+    time,
+    ...(sensorId !== undefined ? { sensorId } : {}),
+    ...(ruleId !== undefined ? { ruleId } : {}),
+    ...(origin !== undefined ? { origin } : {}),
+    state: "open",
+    acknowledged: false,
+    assignee: null,
+    notes: [],
+    resolution: null,
+    history: [{ state: "open", by: origin?.promotedBy || SYSTEM, at: time }],
+  });
+  events.publish("alert.created", alert);
+  return alert;
+}
+
+function updateAlert(id, patch) {
+  const alert = alerts().update(id, patch);
+  if (alert) events.publish("alert.updated", alert);
+  return alert;
+}
+
+// Move an alert to a new state. Returns { alert } or { error, status }.
+function transition(id, to, user, { note, assignee, reason } = {}) {
+  const alert = alerts().get(id);
+  if (!alert) return { error: "Alert not found", status: 404 };
+  if (!STATES.includes(to)) return { error: `state must be one of: ${STATES.join(", ")}`, status: 400 };
+  if (!TRANSITIONS[alert.state].includes(to)) return { error: `Cannot move a ${alert.state} alert to ${to}`, status: 409 };
+  if (to === "assigned" && !assignee) return { error: "An assignee is required", status: 400 };
+  if (CLOSED_STATES.includes(to) && !String(reason || "").trim()) return { error: "A resolution reason is required", status: 400 };
+
+  const by = actorOf(user);
+  const at = new Date().toISOString();
+  const entry = { state: to, by, at };
+  if (note) entry.note = String(note);
+
+  const patch = { state: to, acknowledged: to !== "open", history: [...alert.history, entry] };
+  if (to === "assigned") {
+    patch.assignee = { id: assignee.id, name: assignee.name };
+    entry.note = entry.note || `Assigned to ${assignee.name}`;
+  }
+  if (CLOSED_STATES.includes(to)) patch.resolution = { reason: String(reason).trim(), by, at };
+  if (to === "open") patch.resolution = null;
+  if (alert.escalation && alert.escalation.status === "active" && to !== "open") {
+    patch.escalation = { ...alert.escalation, status: "stopped", nextAt: null, stoppedAt: at, stoppedBy: by };
+  }
+
+  return { alert: updateAlert(alert.id, patch) };
+}
+
+function addNote(id, user, text) {
+  const alert = alerts().get(id);
+  if (!alert) return { error: "Alert not found", status: 404 };
+  if (!String(text || "").trim()) return { error: "Note text is required", status: 400 };
+  const note = { id: alert.notes.reduce((max, n) => Math.max(max, n.id), 0) + 1, text: String(text).trim(), by: actorOf(user), at: new Date().toISOString() };
+  return { alert: updateAlert(alert.id, { notes: [...alert.notes, note] }) };
+}
+
+// Filters: state / severity / zone (comma-separated lists), from / to (ISO timestamps).
+// Newest first.
+function listAlerts(filters = {}) {
+  const list = (v) => (v ? String(v).split(",").map((s) => s.trim()).filter(Boolean) : null);
+  const states = list(filters.state);
+  const severities = list(filters.severity);
+  const zones = list(filters.zone);
+  const from = filters.from ? new Date(filters.from).toISOString() : null;
+  const to = filters.to ? new Date(filters.to).toISOString() : null;
+
+  return alerts()
+    .filter((a) =>
+      (!states || states.includes(a.state)) &&
+      (!severities || severities.includes(a.severity)) &&
+      (!zones || zones.includes(a.zone)) &&
+      (!from || a.time >= from) &&
+      (!to || a.time <= to)
+    )
+    .sort((a, b) => (a.time < b.time ? 1 : a.time > b.time ? -1 : b.id - a.id));
+}
+
+function countActive() {
+  return alerts().count((a) => a.state === "open");
+}
+
+module.exports = { STATES, CLOSED_STATES, TRANSITIONS, alerts, createAlert, updateAlert, transition, addNote, listAlerts, countActive };
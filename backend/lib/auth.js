@@ -0,0 +1,119 @@
+// backend/lib/auth.js
+// Users, password hashing and signed session tokens.
+//
+// Passwords are hashed with scrypt and a per-user random salt. A session token is
+// base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature); the payload
+// names a row in the "sessions" collection so logout can revoke it server-side.
+
+const crypto = require("crypto");
+const store = require("./store");
+const { permissionsFor } = require("./permissions");
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+const users = () => store.collection("users");
+const sessions = () => store.collection("sessions");
+
+function secret() {
+  return process.env.AUTH_SECRET || store.getDoc("secrets").authSecret;
+}
+
+// ---------- Passwords ----------
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ---------- Tokens ----------
+function sign(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+function createSession(user) {
+  const now = Date.now();
+  const session = sessions().insert({ userId: user.id, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + SESSION_TTL_MS).toISOString(), revokedAt: null });
+  const payload = Buffer.from(JSON.stringify({ sid: session.id, uid: user.id, exp: now + SESSION_TTL_MS })).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, expiresAt: session.expiresAt };
+}
+
+// Returns { user, session } for a valid, unexpired, unrevoked token, else null.
+function verifyToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+  if (!claims.exp || claims.exp < Date.now()) return null;
+
+  const session = sessions().get(claims.sid);
+  if (!session || session.revokedAt || session.userId !== claims.uid) return null;
+  const user = users().get(claims.uid);
+  if (!user) return null;
+  return { user, session };
+}
+
+function revokeSession(id) {
+  return sessions().update(id, { revokedAt: new Date().toISOString() });
+}
+
+// Never send password hashes to the client; include what the role may do so the UI can adapt.
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return { ...rest, permissions: permissionsFor(user.role) };
+}
+
+// ---------- Middleware ----------
+function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7);
+  // EventSource and download links cannot set headers.
+  return req.query.token || null;
+}
+
+// Gateways authenticate ingestion calls with a key from INGEST_API_KEYS (comma-separated).
+function isGatewayKey(key) {
+  if (!key) return false;
+  const keys = (process.env.INGEST_API_KEYS || "").split(",").map((k) => k.trim()).filter(Boolean);
+  const given = Buffer.from(key);
+  // timingSafeEqual needs equal byte lengths; multibyte keys can match in characters but not bytes.
+  return keys.some((k) => {
+    const expected = Buffer.from(k);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+// Identifies the caller; never rejects. Sets req.user / req.session or req.gateway.
+function authenticate(req, res, next) {
+  const verified = verifyToken(bearerToken(req));
+  if (verified) {
+    req.user = verified.user;
+    req.session = verified.session;
+  } else if (isGatewayKey(req.get("x-api-key"))) {
+    req.gateway = true;
+  }
+  next();
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Authentication required" });
+  next();
+}
+
+module.exports = { users, hashPassword, verifyPassword, createSession, verifyToken, revokeSession, publicUser, authenticate, requireUser };
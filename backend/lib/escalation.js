@@ -0,0 +1,217 @@
+// backend/lib/escalation.js
+// Escalation of unacknowledged alerts. A policy matches alerts by severity and
+// zone and lists tiers (e.g. tier 1, tier 2, site manager), each notified once
+// its delay has elapsed since the alert was raised and it is still open.
+//
+// Policy shape:
+//   { id, name, enabled, severities: ["High"], zones: [] (empty = every zone),
+//     tiers: [{ name, afterMin, rosterId, channels: ["email", "sms", "push"] }] }
+//
+// Roster shape (who is on call, and when):
+//   { id, name, timezone, contacts: [{ id, name, email, phone, userId? }],
+//     shifts: [{ days: [0-6, Sunday = 0], start: "HH:MM", end: "HH:MM", contactIds }],
+//     defaultContactIds }
+// A shift whose end is not after its start runs overnight into the next day.
+// When no shift covers the current time, defaultContactIds are on call.
+//
+// Progress is kept on the alert itself:
+//   alert.escalation = { policyId, policyName, status: "active" | "stopped" | "exhausted",
+//     level (tiers notified so far), nextAt, steps: [{ tier, at, contacts }], stoppedAt?, stoppedBy? }
+// lib/alerts.js stops escalation as soon as the alert leaves the open state.
+
+const store = require("./store");
+const events = require("./events");
+const notify = require("./notify");
+const { SEVERITIES } = require("./rules");
+const { alerts, updateAlert } = require("./alerts");
+
+const CHANNELS = ["email", "sms", "push"];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const policies = () => store.collection("escalationPolicies");
+const rosters = () => store.collection("rosters");
+
+// ---------- Validation ----------
+const ids = (list) => [].concat(list || []).map(Number).filter(Number.isInteger);
+
+// Returns { error } or { policy } with normalized fields.
+function validatePolicy(body) {
+  if (!body || typeof body !== "object") return { error: "Policy must be an object" };
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "name is required" };
+
+  const severities = [].concat(body.severities || ["High"]);
+  if (!severities.length || severities.some((s) => !SEVERITIES.includes(s))) return { error: `severities must be a non-empty list of: ${SEVERITIES.join(", ")}` };
+  const zones = [].concat(body.zones || []).map((z) => String(z).trim()).filter(Boolean);
+
+  if (!Array.isArray(body.tiers) || !body.tiers.length) return { error: "at least one tier is required" };
+  const tiers = [];
+  for (const [i, t] of body.tiers.entries()) {
+    const label = `tiers[${i}]`;
+    if (!t || typeof t !== "object") return { error: `${label} must be an object` };
+    const afterMin = Number(t.afterMin ?? 0);
+    if (!(afterMin >= 0)) return { error: `${label}.afterMin must be zero or positive` };
+    if (i > 0 && afterMin < tiers[i - 1].afterMin) return { error: `${label}.afterMin must not be earlier than the tier before it` };
+    const roster = rosters().get(t.rosterId);
+    if (!roster) return { error: `${label}.rosterId does not match a roster` };
+    const channels = [].concat(t.channels || ["email"]);
+    if (!channels.length || channels.some((c) => !CHANNELS.includes(c))) return { error: `${label}.channels must be a non-empty list of: ${CHANNELS.join(", ")}` };
+    tiers.push({ name: String(t.name || "").trim() || `Tier ${i + 1}`, afterMin, rosterId: roster.id, channels });
+  }
+
+  return { policy: { name, enabled: body.enabled !== false, severities, zones, tiers } };
+}
+
+// Returns { error } or { roster } with normalized fields.
+function validateRoster(body) {
+  if (!body || typeof body !== "object") return { error: "Roster must be an object" };
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "name is required" };
+
+  const timezone = String(body.timezone || "").trim() || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch (err) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  const contacts = [];
+  for (const [i, c] of [].concat(body.contacts || []).entries()) {
+    if (!c || typeof c !== "object") return { error: `contacts[${i}] must be an object` };
+    const contactName = String(c.name || "").trim();
+    if (!contactName) return { error: `contacts[${i}].name is required` };
+    const id = Number.isInteger(Number(c.id)) && Number(c.id) > 0 ? Number(c.id) : null;
+    contacts.push({
+      id,
+      name: contactName,
+      email: String(c.email || "").trim(),
+      phone: String(c.phone || "").trim(),
+      userId: c.userId !== undefined && c.userId !== null && c.userId !== "" ? Number(c.userId) : null,
+    });
+  }
+  // keep ids stable across edits so shifts keep pointing at the same people
+  let nextId = contacts.reduce((max, c) => Math.max(max, c.id || 0), 0);
+  const seen = new Set();
+  for (const c of contacts) {
+    if (!c.id || seen.has(c.id)) c.id = ++nextId;
+    seen.add(c.id);
+  }
+  const known = (list) => ids(list).filter((id) => seen.has(id));
+
+  const shifts = [];
+  for (const [i, s] of [].concat(body.shifts || []).entries()) {
+    if (!s || typeof s !== "object") return { error: `shifts[${i}] must be an object` };
+    const days = ids(s.days).filter((d) => d >= 0 && d <= 6);
+    if (!days.length) return { error: `shifts[${i}].days must list weekdays 0-6 (Sunday = 0)` };
+    if (!TIME_RE.test(s.start) || !TIME_RE.test(s.end)) return { error: `shifts[${i}] start and end must be HH:MM` };
+    shifts.push({ days, start: s.start, end: s.end, contactIds: known(s.contactIds) });
+  }
+
+  return { roster: { name, timezone, contacts, shifts, defaultContactIds: known(body.defaultContactIds) } };
+}
+
+// ---------- On-call lookup ----------
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const minutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+// Weekday and minute of day at `date` in the roster's timezone.
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday), minute: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function shiftCovers(shift, { day, minute }) {
+  const start = minutes(shift.start);
+  const end = minutes(shift.end);
+  if (end > start) return shift.days.includes(day) && minute >= start && minute < end;
+  // overnight: the evening part on a listed day, the morning part on the day after
+  return (shift.days.includes(day) && minute >= start) || (shift.days.includes((day + 6) % 7) && minute < end);
+}
+
+// Contacts on call for a roster at a given time.
+function onCall(roster, date = new Date()) {
+  const now = localTime(date, roster.timezone);
+  const covering = roster.shifts.filter((s) => shiftCovers(s, now));
+  const contactIds = new Set(covering.length ? covering.flatMap((s) => s.contactIds) : roster.defaultContactIds);
+  return roster.contacts.filter((c) => contactIds.has(c.id));
+}
+
+// ---------- Escalation ----------
+// Zone-specific policies win over catch-all ones; lowest id breaks ties.
+function policyFor(alert) {
+  const matching = policies().filter((p) => p.enabled && p.severities.includes(alert.severity) && (!p.zones.length || p.zones.includes(alert.zone)));
+  return matching.find((p) => p.zones.length) || matching[0] || null;
+}
+
+const dueAt = (alert, tier) => new Date(Date.parse(alert.time) + tier.afterMin * 60000).toISOString();
+
+function notifyTier(alert, tier, level) {
+  const roster = rosters().get(tier.rosterId);
+  const contacts = roster ? onCall(roster) : [];
+  const { subject, body } = notify.alertText(alert);
+  const text = {
+    subject: `[Escalation: ${tier.name}] ${subject}`,
+    body: tier.afterMin > 0 ? `${body}\nUnacknowledged for ${tier.afterMin} min; escalated to ${tier.name}.` : body,
+  };
+  const reason = `escalation:${tier.name}`;
+
+  for (const contact of contacts) {
+    if (tier.channels.includes("email") && contact.email) notify.enqueue({ alertId: alert.id, channel: "email", to: contact.email, ...text, reason });
+    if (tier.channels.includes("sms") && contact.phone) notify.enqueue({ alertId: alert.id, channel: "sms", to: contact.phone, ...text, reason });
+    if (tier.channels.includes("push") && contact.userId) {
+      notify
+        .pushSubscriptions()
+        .filter((s) => s.userId === contact.userId)
+        .forEach((s) => notify.enqueue({ alertId: alert.id, channel: "push", to: s.id, ...text, reason }));
+    }
+  }
+  return { tier: tier.name, level, at: new Date().toISOString(), contacts: contacts.map((c) => c.name) };
+}
+
+// Notify every tier that has come due, then schedule the next one.
+function advance(alert) {
+  const esc = alert.escalation;
+  const policy = policies().get(esc.policyId);
+  if (!policy) return updateAlert(alert.id, { escalation: { ...esc, status: "stopped", nextAt: null, stoppedAt: new Date().toISOString(), stoppedBy: { id: null, name: "policy deleted" } } });
+
+  const now = new Date().toISOString();
+  const steps = [...esc.steps];
+  let level = esc.level;
+  while (level < policy.tiers.length && dueAt(alert, policy.tiers[level]) <= now) {
+    steps.push(notifyTier(alert, policy.tiers[level], level + 1));
+    level++;
+  }
+  const next = policy.tiers[level];
+  return updateAlert(alert.id, { escalation: { ...esc, level, steps, status: next ? "active" : "exhausted", nextAt: next ? dueAt(alert, next) : null } });
+}
+
+function start(alert) {
+  const policy = policyFor(alert);
+  if (!policy) return null;
+  const fresh = alerts().get(alert.id);
+  if (!fresh || fresh.state !== "open") return null;
+  fresh.escalation = { policyId: policy.id, policyName: policy.name, status: "active", level: 0, nextAt: dueAt(fresh, policy.tiers[0]), steps: [] };
+  return advance(fresh);
+}
+
+// Called on the server tick: escalate open alerts whose next tier is due.
+function check() {
+  const now = new Date().toISOString();
+  alerts()
+    .filter((a) => a.state === "open" && a.escalation && a.escalation.status === "active" && a.escalation.nextAt <= now)
+    .forEach(advance);
+}
+
+// Start escalation for each new alert a policy covers. Deferred so the
+// alert.created event reaches clients before the escalation update.
+function watch() {
+  return events.subscribe((e) => {
+    if (e.type === "alert.created") setImmediate(() => start(e.data));
+  });
+}
+
+module.exports = { CHANNELS, policies, rosters, validatePolicy, validateRoster, onCall, policyFor, check, watch };
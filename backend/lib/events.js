@@ -0,0 +1,39 @@
+// backend/lib/events.js
+// In-process event bus behind the /api/stream Server-Sent Events endpoint.
+//
+// Event types: alert.created, alert.updated, sensor.reading, sensor.updated,
+// overview.changed, simulation.changed, zones.changed, model.updated. Recent
+// events are kept in a ring buffer so a client that reconnects with
+// Last-Event-ID receives what it missed.
+
+const { EventEmitter } = require("events");
+
+const BUFFER_SIZE = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per connected dashboard
+
+const recent = [];
+let seq = 0;
+
+function publish(type, data) {
+  const event = { id: ++seq, type, data, ts: new Date().toISOString() };
+  recent.push(event);
+  if (recent.length > BUFFER_SIZE) recent.shift();
+  bus.emit("event", event);
+  return event;
+}
+
+function subscribe(listener) {
+  bus.on("event", listener);
+  return () => bus.off("event", listener);
+}
+
+// Events newer than lastId, or null when lastId has fallen out of the buffer.
+function since(lastId) {
+  if (!recent.length || lastId >= seq) return [];
+  if (lastId < recent[0].id - 1) return null;
+  return recent.filter((e) => e.id > lastId);
+}
+
+module.exports = { publish, subscribe, since };
@@ -0,0 +1,166 @@
+// backend/lib/exports.js
+// Bulk raw-data exports for analysis outside the dashboard, streamed as CSV
+// or NDJSON (one JSON object per line) so months of readings are never held
+// in memory: readings go out one UTC day at a time, in time order, and the
+// writer waits for the client whenever the socket buffer is full.
+//
+// Filters (query string, comma-separated lists):
+//   from, to   ISO-8601 (default: the last 24 h); readings by reading time,
+//              alerts by the time they were raised
+//   sensor     sensor ids or codes
+//   zone       zone ids; sensors mapped to the zone (site-wide sensors are
+//              left out), alerts raised for it
+//   type       sensor types; for alerts, the type of the alert's sensor
+//   severity, state   alerts only
+
+const timeseries = require("./timeseries");
+const { csvRow } = require("./util");
+const { sensorDefs, findSensorDef, zoneName } = require("./sensors");
+const { STATES, alerts } = require("./alerts");
+const { zones } = require("./zones");
+const { SEVERITIES } = require("./rules");
+
+const FORMATS = { csv: "text/csv; charset=utf-8", ndjson: "application/x-ndjson" };
+const DEFAULT_RANGE_H = 24;
+
+const READING_COLUMNS = ["ts", "sensor_id", "sensor_code", "sensor_type", "zone_id", "zone", "value", "unit"];
+const ALERT_COLUMNS = ["id", "raised_at", "zone", "severity", "message", "state", "sensor_code", "sensor_type", "rule_id", "assignee", "acknowledged_at", "resolved_at", "resolution", "from_simulation"];
+
+const list = (v) => (v === undefined || v === "" ? null : String(v).split(",").map((s) => s.trim()).filter(Boolean));
+
+// ---------- Filters ----------
+// Returns { error } or { filters: { format, fromMs, toMs, sensors (defs) | null,
+// zoneIds | null, types | null, severities | null, states | null } }.
+function parseFilters(query) {
+  const format = query.format || "csv";
+  if (!FORMATS[format]) return { error: `format must be one of: ${Object.keys(FORMATS).join(", ")}` };
+  const toMs = query.to ? Date.parse(query.to) : Date.now();
+  const fromMs = query.from ? Date.parse(query.from) : toMs - DEFAULT_RANGE_H * timeseries.HOUR;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return { error: "from and to must be ISO-8601 timestamps" };
+  if (!(toMs > fromMs)) return { error: "to must be after from" };
+
+  let sensors = null;
+  if (list(query.sensor)) {
+    sensors = [];
+    for (const ref of list(query.sensor)) {
+      const def = findSensorDef(ref);
+      if (!def) return { error: `Unknown sensor: ${ref}` };
+      sensors.push(def);
+    }
+  }
+  const zoneIds = list(query.zone)?.map(Number) ?? null;
+  const unknownZone = zoneIds?.find((id) => !zones().get(id));
+  if (unknownZone !== undefined) return { error: `Unknown zone id: ${unknownZone}` };
+  const knownTypes = new Set(sensorDefs().all().map((d) => d.type));
+  const types = list(query.type);
+  const unknownType = types?.find((t) => !knownTypes.has(t));
+  if (unknownType) return { error: `Unknown sensor type: ${unknownType}` };
+  const severities = list(query.severity);
+  if (severities?.some((s) => !SEVERITIES.includes(s))) return { error: `severity must be among: ${SEVERITIES.join(", ")}` };
+  const states = list(query.state);
+  if (states?.some((s) => !STATES.includes(s))) return { error: `state must be among: ${STATES.join(", ")}` };
+  return { filters: { format, fromMs, toMs, sensors, zoneIds, types, severities, states } };
+}
+
+function selectSensors({ sensors, zoneIds, types }) {
+  return (sensors || sensorDefs().all()).filter((d) => (!zoneIds || zoneIds.includes(d.zoneId)) && (!types || types.includes(d.type)));
+}
+
+const filename = (kind, { fromMs, toMs, format }) => `${kind}-${new Date(fromMs).toISOString().slice(0, 10)}-to-${new Date(toMs).toISOString().slice(0, 10)}.${format}`;
+
+// ---------- Streaming ----------
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Writes chunks from an iterable; stops early when the client goes away. The
+// headers are already out, so a failure part-way can only cut the download short.
+async function pipeChunks(res, chunks) {
+  try {
+    for (const chunk of chunks) {
+      if (res.destroyed) return;
+      if (!res.write(chunk)) await waitForDrain(res);
+    }
+    res.end();
+  } catch (err) {
+    console.error("Export failed:", err.message);
+    res.destroy(err);
+  }
+}
+
+function startDownload(res, kind, filters) {
+  res.status(200).type(FORMATS[filters.format]).attachment(filename(kind, filters));
+  res.set("Cache-Control", "no-store");
+}
+
+function* readingChunks(defs, filters) {
+  const byId = new Map(defs.map((d) => [d.id, { def: d, zone: zoneName(d) }]));
+  if (filters.format === "csv") yield csvRow(READING_COLUMNS);
+  for (const day of timeseries.rawByDay(defs.map((d) => d.id), filters.fromMs, filters.toMs)) {
+    let chunk = "";
+    for (const p of day) {
+      const { def, zone } = byId.get(p.seriesId);
+      chunk +=
+        filters.format === "csv"
+          ? csvRow([p.ts, def.id, def.code, def.type, def.zoneId, zone, p.value, def.unit])
+          : `${JSON.stringify({ ts: p.ts, sensorId: def.id, sensorCode: def.code, sensorType: def.type, zoneId: def.zoneId ?? null, zone, value: p.value, unit: def.unit })}\n`;
+    }
+    if (chunk) yield chunk;
+  }
+}
+
+// Streams the filtered readings as the response body.
+function streamReadings(res, filters) {
+  startDownload(res, "readings", filters);
+  return pipeChunks(res, readingChunks(selectSensors(filters), filters));
+}
+
+function selectAlerts({ fromMs, toMs, sensors, zoneIds, types, severities, states }) {
+  const defs = new Map(sensorDefs().all().map((d) => [d.id, d]));
+  const zoneNames = zoneIds && new Set(zoneIds.map((id) => zones().get(id).name));
+  const sensorIds = sensors && new Set(sensors.map((d) => d.id));
+  return alerts()
+    .filter((a) => {
+      const ms = Date.parse(a.time);
+      const def = defs.get(a.sensorId);
+      return (
+        ms >= fromMs &&
+        ms <= toMs &&
+        (!zoneNames || zoneNames.has(a.zone)) &&
+        (!sensorIds || sensorIds.has(a.sensorId)) &&
+        (!types || (def && types.includes(def.type))) &&
+        (!severities || severities.includes(a.severity)) &&
+        (!states || states.includes(a.state))
+      );
+    })
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+    .map((a) => ({ alert: a, def: defs.get(a.sensorId) || null }));
+}
+
+function* alertChunks(rows, format) {
+  if (format === "csv") yield csvRow(ALERT_COLUMNS);
+  for (const { alert: a, def } of rows) {
+    if (format === "ndjson") {
+      yield `${JSON.stringify({ ...a, sensorCode: def?.code ?? null, sensorType: def?.type ?? null })}\n`;
+      continue;
+    }
+    const ack = (a.history || []).find((h) => h.state !== "open");
+    yield csvRow([a.id, a.time, a.zone, a.severity, a.msg, a.state, def?.code, def?.type, a.ruleId, a.assignee?.name, ack?.at, a.resolution?.at, a.resolution?.reason, a.origin?.type === "simulation"]);
+  }
+}
+
+// Streams the filtered alerts (full records in NDJSON) as the response body.
+function streamAlerts(res, filters) {
+  startDownload(res, "alerts", filters);
+  return pipeChunks(res, alertChunks(selectAlerts(filters), filters.format));
+}
+
+module.exports = { FORMATS, SEVERITIES, parseFilters, streamReadings, streamAlerts };
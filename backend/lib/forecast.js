@@ -0,0 +1,154 @@
+// backend/lib/forecast.js
+// Forecasts for zone / site risk and sensor channels from their stored history.
+//
+// History is resampled to STEP_MS buckets (bucket mean, gaps carried forward)
+// and fitted with exponential smoothing:
+//   - additive Holt-Winters with a damped trend and a daily season once at least
+//     two days of history exist,
+//   - damped-trend Holt smoothing with less history,
+//   - a naive random walk (last value, widening band) below MIN_POINTS.
+// Smoothing parameters are chosen by grid search on one-step-ahead squared
+// error. Intervals come from the one-step residual variance propagated over the
+// horizon: var(h) = sigma^2 * (1 + sum_{j<h} c_j^2), c_j = alpha * (1 + beta * (phi + ... + phi^j)) (+ gamma each full season).
+
+const timeseries = require("./timeseries");
+const { clamp } = require("./util");
+
+const STEP_MS = 15 * 60 * 1000;
+const SEASON = (24 * 60 * 60 * 1000) / STEP_MS; // one day of steps
+const LOOKBACK_MS = 14 * 24 * 60 * 60 * 1000;
+const MIN_POINTS = 8; // two hours
+const Z = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+
+const GRID = {
+  alpha: [0.1, 0.2, 0.3, 0.5, 0.7, 0.9],
+  beta: [0.01, 0.05, 0.1, 0.2],
+  phi: [0.8, 0.9, 0.95, 0.98],
+  gamma: [0.05, 0.1, 0.2],
+};
+
+// ---------- Smoothing ----------
+// Runs the recursions over y; returns the final state and one-step SSE.
+function smooth(y, { alpha, beta, phi, gamma = 0, m = 0 }) {
+  let level;
+  let trend = 0;
+  let season = [];
+  let start;
+  if (m) {
+    level = y.slice(0, m).reduce((s, v) => s + v, 0) / m;
+    season = y.slice(0, m).map((v) => v - level);
+    start = m;
+  } else {
+    level = y[0];
+    trend = y[1] - y[0];
+    start = 1;
+  }
+
+  let sse = 0;
+  for (let t = start; t < y.length; t++) {
+    const s = m ? season[t % m] : 0;
+    const error = y[t] - (level + phi * trend + s);
+    sse += error * error;
+    const prevLevel = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (prevLevel + phi * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+    if (m) season[t % m] = gamma * (y[t] - level) + (1 - gamma) * s;
+  }
+  return { level, trend, season, n: y.length, sse, residualCount: y.length - start };
+}
+
+function fit(y) {
+  const m = y.length >= 2 * SEASON ? SEASON : 0;
+  let best = null;
+  for (const alpha of GRID.alpha) {
+    for (const beta of GRID.beta) {
+      for (const phi of GRID.phi) {
+        for (const gamma of m ? GRID.gamma : [0]) {
+          const params = { alpha, beta, phi, gamma, m };
+          const state = smooth(y, params);
+          if (!best || state.sse < best.state.sse) best = { params, state };
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// Point forecast and standard error for steps 1..maxH.
+function project({ params, state }, maxH) {
+  const { alpha, beta, phi, gamma, m } = params;
+  const sigma2 = state.sse / Math.max(1, state.residualCount - 1);
+  const out = [];
+  let damp = 0; // phi + phi^2 + ... + phi^h
+  let varSum = 1;
+  for (let h = 1; h <= maxH; h++) {
+    damp += phi ** h;
+    const s = m ? state.season[(state.n + h - 1) % m] : 0;
+    out.push({ h, value: state.level + damp * state.trend + s, se: Math.sqrt(sigma2 * varSum) });
+    const c = alpha * (1 + beta * damp) + (m && h % m === 0 ? gamma : 0);
+    varSum += c * c;
+  }
+  return out;
+}
+
+// ---------- Series ----------
+// Evenly spaced bucket means ending now; gaps repeat the previous value.
+function resample(seriesId, nowMs) {
+  const buckets = timeseries.query(seriesId, { fromMs: nowMs - LOOKBACK_MS, toMs: nowMs, bucketMs: STEP_MS });
+  if (!buckets.length) return [];
+  const byTs = new Map(buckets.map((b) => [Math.floor(Date.parse(b.ts) / STEP_MS) * STEP_MS, b.mean]));
+  const first = Math.min(...byTs.keys());
+  const last = Math.floor(nowMs / STEP_MS) * STEP_MS;
+  const values = [];
+  let prev = null;
+  for (let ts = first; ts <= last; ts += STEP_MS) {
+    const v = byTs.has(ts) ? byTs.get(ts) : prev;
+    values.push(v);
+    prev = v;
+  }
+  return values;
+}
+
+/**
+ * Forecast a stored series.
+ * options: { horizonsH: hours ahead, level: interval % (80/90/95/99), bounds: [min, max], now: current value }
+ * Returns { method, params, historyPoints, points: [{ hoursAhead, ts, value, lower, upper }] }.
+ */
+function forecastSeries(seriesId, { horizonsH = [1, 3, 6, 12, 24], level = 95, bounds = [-Infinity, Infinity], now } = {}) {
+  const nowMs = Date.now();
+  const z = Z[level] || Z[95];
+  const y = resample(seriesId, nowMs);
+  const maxH = Math.ceil((Math.max(...horizonsH) * 3600 * 1000) / STEP_MS);
+  const bound = (v) => Number(clamp(v, bounds[0], bounds[1]).toFixed(3));
+
+  let method;
+  let params = null;
+  let steps;
+  if (y.length >= MIN_POINTS) {
+    const model = fit(y);
+    method = model.params.m ? "holt-winters-damped" : "damped-trend";
+    params = { alpha: model.params.alpha, beta: model.params.beta, phi: model.params.phi, ...(model.params.m ? { gamma: model.params.gamma, seasonSteps: model.params.m } : {}) };
+    steps = project(model, maxH);
+  } else {
+    // random walk: flat at the last value, spread from the step-to-step changes seen so far
+    method = "naive";
+    const last = y.length ? y[y.length - 1] : now ?? 0;
+    const diffs = y.slice(1).map((v, i) => v - y[i]);
+    const sd = diffs.length > 1 ? Math.sqrt(diffs.reduce((s, d) => s + d * d, 0) / (diffs.length - 1)) : 0;
+    steps = Array.from({ length: maxH }, (_, i) => ({ h: i + 1, value: last, se: sd * Math.sqrt(i + 1) }));
+  }
+
+  const points = horizonsH.map((hours) => {
+    const step = steps[Math.max(1, Math.round((hours * 3600 * 1000) / STEP_MS)) - 1];
+    return {
+      hoursAhead: hours,
+      ts: new Date(nowMs + hours * 3600 * 1000).toISOString(),
+      value: bound(step.value),
+      lower: bound(step.value - z * step.se),
+      upper: bound(step.value + z * step.se),
+    };
+  });
+  return { method, params, level: Z[level] ? Number(level) : 95, stepMinutes: STEP_MS / 60000, historyPoints: y.length, points };
+}
+
+module.exports = { STEP_MS, SEASON, smooth, fit, project, forecastSeries };
@@ -0,0 +1,423 @@
+// backend/lib/imports.js
+// Backfill of historical sensor readings from logger CSV files.
+//
+//   upload   the request body is streamed to DATA_DIR/imports/<id>.csv (never
+//            buffered); the delimiter, columns and a few preview rows are
+//            sniffed from the start of the file
+//   start    a column mapping (mapping below) queues the import
+//   worker   one import at a time, in the background: rows are parsed as the
+//            file streams, validated like live readings (sensor, unit, finite
+//            value, not in the future) plus the sensor's plausible range, and
+//            written in batches with timeseries.mergePoints
+//   history  hours that gained readings get recorded risk scores and logged
+//            predictions replayed from them (performance.backfillHistory), so
+//            the data reaches history charts, forecasts and accuracy tracking
+//
+// Imports are idempotent: a reading already stored with the same timestamp
+// and value is counted as unchanged and not written again, and the history
+// replay skips hours that already have scores. An import interrupted by a
+// restart is queued again and simply re-run.
+//
+// Rejected rows go to DATA_DIR/imports/<id>.rejected.csv (line number, reason,
+// then the original fields). The uploaded file is deleted once the import is done.
+//
+// mapping: { sensorColumn | sensorId, timestampColumn, valueColumn,
+//            unitColumn | unit, hasHeader, utcOffsetMin, dateOrder }
+// Columns are 0-based indexes. Sensors are matched by code or id. Timestamps
+// may be ISO-8601 with a zone, epoch seconds or milliseconds, or logger local
+// time ("2024-03-01 13:05[:00]", "01/03/2024 13:05" with dateOrder dmy | mdy),
+// which is read as UTC plus utcOffsetMin.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const store = require("./store");
+const timeseries = require("./timeseries");
+const { csvRow } = require("./util");
+const { findSensorDef, validateReading, checkRange } = require("./sensors");
+const { backfillHistory } = require("./performance");
+
+const IMPORTS_DIR = path.join(store.DATA_DIR, "imports");
+const MAX_UPLOAD_BYTES = 512 * 1024 * 1024;
+const SNIFF_BYTES = 64 * 1024;
+const PREVIEW_ROWS = 5;
+const BATCH_ROWS = 20000;
+const HISTORY_CHUNK_MS = 30 * timeseries.DAY;
+const MAX_REASONS = 20;
+const DELIMITERS = [",", ";", "\t", "|"];
+const DATE_ORDERS = ["ymd", "dmy", "mdy"];
+const ACTIVE_STATES = ["uploading", "queued", "running"];
+
+const imports = () => store.collection("imports");
+const uploadPath = (id) => path.join(IMPORTS_DIR, `${id}.csv`);
+const rejectedPath = (id) => path.join(IMPORTS_DIR, `${id}.rejected.csv`);
+
+// ---------- CSV ----------
+// RFC 4180 records from a text stream; quoted fields may hold delimiters,
+// doubled quotes and line breaks. Yields { line, fields }, line being where
+// the record starts (1-based). Blank lines are skipped.
+async function* csvRecords(stream, delimiter) {
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let closedQuote = false;
+  let line = 1;
+  let recordLine = 1;
+  let started = false;
+  for await (const chunk of stream) {
+    const out = [];
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (!started) {
+        started = true;
+        if (c === "\uFEFF") continue; // byte order mark
+      }
+      if (quoted) {
+        if (c === '"') {
+          quoted = false;
+          closedQuote = true;
+        } else {
+          if (c === "\n") line++;
+          field += c;
+        }
+        continue;
+      }
+      if (closedQuote && c === '"') {
+        field += '"';
+        quoted = true;
+        closedQuote = false;
+        continue;
+      }
+      closedQuote = false;
+      if (c === '"' && field === "") quoted = true;
+      else if (c === delimiter) {
+        fields.push(field);
+        field = "";
+      } else if (c === "\n") {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== "") out.push({ line: recordLine, fields });
+        fields = [];
+        field = "";
+        recordLine = ++line;
+      } else if (c !== "\r") field += c;
+    }
+    yield* out;
+  }
+  if (field !== "" || fields.length) yield { line: recordLine, fields: [...fields, field] };
+}
+
+// Delimiter, columns, preview rows and a header guess from the start of the file.
+async function sniff(file) {
+  const fd = fs.openSync(file, "r");
+  const buffer = Buffer.alloc(SNIFF_BYTES);
+  const bytes = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+  fs.closeSync(fd);
+  const sample = buffer.subarray(0, bytes).toString("utf8");
+  const firstLine = sample.split("\n")[0];
+  const delimiter = DELIMITERS.reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+  const rows = [];
+  for await (const record of csvRecords([sample], delimiter)) {
+    rows.push(record.fields);
+    if (rows.length > PREVIEW_ROWS) break;
+  }
+  const first = rows[0] || [];
+  const hasHeader = first.length > 0 && !first.some((f) => f.trim() !== "" && Number.isFinite(Number(f)));
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  const columns = Array.from({ length: width }, (_, i) => (hasHeader && first[i]?.trim()) || `Column ${i + 1}`);
+  return { delimiter, hasHeader, columns, preview: rows.slice(0, PREVIEW_ROWS + (hasHeader ? 1 : 0)) };
+}
+
+// ---------- Rows ----------
+const LOCAL_TS = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const SLASHED_TS = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const ZONED_TS = /^\d{4}-\d{2}-\d{2}T.*(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+function localTime(y, mo, d, h = "0", mi = "0", s = "0", frac = "0", utcOffsetMin) {
+  const parts = [y, mo, d, h, mi, s].map(Number);
+  const ms = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], Number(frac.padEnd(3, "0")));
+  const date = new Date(ms);
+  // Date.UTC rolls 31/02 over into March; such dates are rejected instead
+  if (date.getUTCMonth() !== parts[1] - 1 || date.getUTCDate() !== parts[2] || parts[3] > 23) return NaN;
+  return ms - utcOffsetMin * 60000;
+}
+
+function parseTimestampText(t, { utcOffsetMin, dateOrder }) {
+  if (/^\d+(\.\d+)?$/.test(t)) {
+    const n = Number(t);
+    return n < 1e11 ? Math.round(n * 1000) : Math.round(n); // seconds until 5138, then ms
+  }
+  if (ZONED_TS.test(t)) return Date.parse(t);
+  let m = LOCAL_TS.exec(t);
+  if (m) return localTime(m[1], m[2], m[3], m[4], m[5], m[6], m[7], utcOffsetMin);
+  m = SLASHED_TS.exec(t);
+  if (m && dateOrder !== "ymd") {
+    const [day, month] = dateOrder === "dmy" ? [m[1], m[2]] : [m[2], m[1]];
+    return localTime(m[3], month, day, m[4], m[5], m[6], m[7], utcOffsetMin);
+  }
+  return NaN;
+}
+
+// Epoch ms, or NaN when the text is not a timestamp we understand or lies
+// beyond what a Date can hold (a 17-digit "epoch" cell, say).
+function parseTimestamp(text, mapping) {
+  const ms = parseTimestampText(String(text ?? "").trim(), mapping);
+  return Number.isFinite(new Date(ms).getTime()) ? ms : NaN;
+}
+
+// A cell as a number; semicolon-separated files often use a decimal comma.
+function parseValue(text, delimiter) {
+  const t = String(text ?? "").trim();
+  if (delimiter !== "," && /^[+-]?\d*,\d+$/.test(t)) return t.replace(",", ".");
+  return t;
+}
+
+// Returns { error, reason? } or { def, reading } for one CSV record; reason
+// groups rejections whose messages carry the offending value.
+function rowReading(fields, { mapping, delimiter }, resolveSensor) {
+  const mapped = [mapping.sensorColumn, mapping.timestampColumn, mapping.valueColumn, mapping.unitColumn].filter((i) => i != null);
+  if (fields.length <= Math.max(...mapped)) return { error: "missing columns" };
+  const cell = (i) => String(fields[i] ?? "").trim();
+  const ref = mapping.sensorId != null ? mapping.sensorId : cell(mapping.sensorColumn);
+  const def = resolveSensor(ref);
+  if (!def) return { error: ref === "" ? "no sensor given" : `unknown sensor: ${ref}` };
+  const tsMs = parseTimestamp(cell(mapping.timestampColumn), mapping);
+  if (Number.isNaN(tsMs)) return { error: "unreadable timestamp" };
+  const unit = mapping.unitColumn != null ? cell(mapping.unitColumn) : mapping.unit;
+  // unit spelling varies between loggers ("MM", "kpa"); the symbol must still match
+  const { error, reading } = validateReading(def, {
+    value: parseValue(cell(mapping.valueColumn), delimiter),
+    unit: unit.toLowerCase() === def.unit.toLowerCase() ? def.unit : unit,
+    ts: new Date(tsMs).toISOString(),
+  });
+  if (error) return { error };
+  const rangeError = checkRange(def, reading.value);
+  if (rangeError) return { error: rangeError, reason: "outside plausible range" };
+  return { def, reading };
+}
+
+// ---------- Uploads ----------
+// Streams the request body to disk. Returns { error, status } or { upload }.
+async function receiveUpload(req, filename, user) {
+  fs.mkdirSync(IMPORTS_DIR, { recursive: true });
+  const job = imports().insert({ filename, status: "uploading", size: 0, uploadedAt: new Date().toISOString(), uploadedBy: user ? { id: user.id, name: user.name } : null });
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) return callback(Object.assign(new Error("too large"), { tooLarge: true }));
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  try {
+    await pipeline(req, meter, fs.createWriteStream(uploadPath(job.id)));
+    if (!size) throw new Error("empty");
+  } catch (err) {
+    removeImport(job.id);
+    if (err.tooLarge) return { status: 413, error: `Files are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` };
+    return { status: 400, error: size ? "Upload failed" : "The file is empty" };
+  }
+
+  const sha256 = hash.digest("hex");
+  const earlier = imports().find((i) => i.sha256 === sha256 && i.id !== job.id);
+  const sniffed = await sniff(uploadPath(job.id));
+  return { upload: imports().update(job.id, { status: "uploaded", size, sha256, duplicateOf: earlier ? earlier.id : null, ...sniffed }) };
+}
+
+// Returns { error } or { mapping } for the columns sniffed from the upload.
+function validateMapping(job, body) {
+  if (!body || typeof body !== "object") return { error: "mapping must be an object" };
+  const column = (key, required) => {
+    const v = body[key];
+    if (v === undefined || v === null || v === "") return required ? { error: `${key} is required` } : { value: null };
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0 || n >= job.columns.length) return { error: `${key} must be a column index from 0 to ${job.columns.length - 1}` };
+    return { value: n };
+  };
+  const mapping = {};
+  for (const [key, required] of [["sensorColumn", false], ["timestampColumn", true], ["valueColumn", true], ["unitColumn", false]]) {
+    const { error, value } = column(key, required);
+    if (error) return { error };
+    mapping[key] = value;
+  }
+  if (mapping.sensorColumn === null) {
+    const def = body.sensorId != null && body.sensorId !== "" ? findSensorDef(body.sensorId) : null;
+    if (!def) return { error: body.sensorId ? `Unknown sensor: ${body.sensorId}` : "Map a sensor column or choose one sensor for the whole file" };
+    mapping.sensorId = def.id;
+  }
+  if (mapping.unitColumn === null) {
+    if (typeof body.unit !== "string" || !body.unit.trim()) return { error: "Map a unit column or give the unit for the whole file" };
+    mapping.unit = body.unit.trim();
+  }
+  const utcOffsetMin = body.utcOffsetMin === undefined || body.utcOffsetMin === "" ? 0 : Number(body.utcOffsetMin);
+  if (!Number.isInteger(utcOffsetMin) || Math.abs(utcOffsetMin) > 14 * 60) return { error: "utcOffsetMin must be whole minutes between -840 and 840" };
+  const dateOrder = body.dateOrder || "ymd";
+  if (!DATE_ORDERS.includes(dateOrder)) return { error: `dateOrder must be one of: ${DATE_ORDERS.join(", ")}` };
+  return { mapping: { ...mapping, utcOffsetMin, dateOrder, hasHeader: body.hasHeader === undefined ? job.hasHeader : Boolean(body.hasHeader) } };
+}
+
+// Queues an uploaded file. Returns { error, status } or { job }.
+function startImport(id, body) {
+  const job = imports().get(id);
+  if (!job) return { status: 404, error: "Import not found" };
+  if (!["uploaded", "failed"].includes(job.status) || !fs.existsSync(uploadPath(id))) return { status: 409, error: `Import is ${job.status}; upload the file again to re-run it` };
+  const { error, mapping } = validateMapping(job, body);
+  if (error) return { status: 400, error };
+  const queued = imports().update(id, { status: "queued", mapping, queuedAt: new Date().toISOString(), error: null });
+  drain();
+  return { job: queued };
+}
+
+function removeImport(id) {
+  for (const file of [uploadPath(id), rejectedPath(id)]) fs.rmSync(file, { force: true });
+  imports().remove(id);
+}
+
+// Returns { error, status } or {} once the import and its files are gone.
+function deleteImport(id) {
+  const job = imports().get(id);
+  if (!job) return { status: 404, error: "Import not found" };
+  if (ACTIVE_STATES.includes(job.status)) return { status: 409, error: `Import is ${job.status}` };
+  removeImport(id);
+  return {};
+}
+
+// Newest first, without the preview rows.
+function listImports() {
+  return imports()
+    .all()
+    .map(({ preview, ...job }) => job)
+    .sort((a, b) => b.id - a.id);
+}
+
+// ---------- Worker ----------
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function endStream(stream) {
+  return new Promise((resolve, reject) => stream.end((err) => (err ? reject(err) : resolve())));
+}
+
+async function runImport(job) {
+  const { mapping } = job;
+  const progress = { rows: 0, accepted: 0, added: 0, updated: 0, unchanged: 0, rejected: 0, bytes: 0 };
+  const reasons = {};
+  const firstRejects = [];
+  const sensors = new Map();
+  const resolved = new Map();
+  const resolveSensor = (ref) => {
+    if (!resolved.has(ref)) resolved.set(ref, findSensorDef(ref) || null);
+    return resolved.get(ref);
+  };
+  let fromMs = Infinity;
+  let toMs = -Infinity;
+  let pending = new Map();
+  let pendingRows = 0;
+  imports().update(job.id, { status: "running", phase: "readings", startedAt: new Date().toISOString(), progress });
+
+  const flush = () => {
+    for (const [sensorId, points] of pending) {
+      const counts = timeseries.mergePoints(sensorId, points);
+      for (const key of ["added", "updated", "unchanged"]) progress[key] += counts[key];
+    }
+    pending = new Map();
+    pendingRows = 0;
+    imports().update(job.id, { progress: { ...progress } });
+  };
+
+  const input = fs.createReadStream(uploadPath(job.id), { encoding: "utf8" });
+  const rejectedOut = fs.createWriteStream(rejectedPath(job.id));
+  rejectedOut.write(csvRow(["line", "reason", ...job.columns]));
+  let first = true;
+  for await (const { line, fields } of csvRecords(input, job.delimiter)) {
+    if (first && mapping.hasHeader) {
+      first = false;
+      continue;
+    }
+    first = false;
+    progress.rows++;
+    progress.bytes = input.bytesRead;
+    const { error, reason, def, reading } = rowReading(fields, job, resolveSensor);
+    if (error) {
+      progress.rejected++;
+      const key = reason || error.split(":")[0];
+      if (key in reasons || Object.keys(reasons).length < MAX_REASONS) reasons[key] = (reasons[key] || 0) + 1;
+      if (firstRejects.length < MAX_REASONS) firstRejects.push({ line, reason: error });
+      if (!rejectedOut.write(csvRow([line, error, ...fields]))) await new Promise((resolve) => rejectedOut.once("drain", resolve));
+      continue;
+    }
+    progress.accepted++;
+    if (!pending.has(def.id)) pending.set(def.id, []);
+    pending.get(def.id).push({ ts: reading.ts, value: reading.value });
+    sensors.set(def.id, def.code);
+    const ms = Date.parse(reading.ts);
+    if (ms < fromMs) fromMs = ms;
+    if (ms > toMs) toMs = ms;
+    if (++pendingRows >= BATCH_ROWS) {
+      flush();
+      await tick();
+    }
+  }
+  flush();
+  await endStream(rejectedOut);
+
+  // replay risk and predictions a month at a time so the server stays responsive
+  const history = { riskHours: 0, predictions: 0 };
+  if (progress.added || progress.updated) {
+    for (let from = fromMs; from <= toMs; from += HISTORY_CHUNK_MS) {
+      imports().update(job.id, { status: "running", phase: "history" });
+      const counts = backfillHistory({ fromMs: from, toMs: Math.min(from + HISTORY_CHUNK_MS - 1, toMs + timeseries.HOUR) });
+      history.riskHours += counts.riskHours;
+      history.predictions += counts.predictions;
+      await tick();
+    }
+  }
+
+  fs.rmSync(uploadPath(job.id), { force: true });
+  return imports().update(job.id, {
+    status: "done",
+    phase: null,
+    finishedAt: new Date().toISOString(),
+    progress: { ...progress, bytes: job.size },
+    range: progress.accepted ? { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString() } : null,
+    sensors: [...sensors.values()],
+    rejectedReasons: reasons,
+    firstRejects,
+    history,
+  });
+}
+
+let draining = false;
+
+// Runs queued imports one at a time, oldest first.
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    let job;
+    while ((job = imports().filter((i) => i.status === "queued").sort((a, b) => a.id - b.id)[0])) {
+      try {
+        await runImport(job);
+      } catch (err) {
+        console.error(`Import ${job.id} failed:`, err.message);
+        imports().update(job.id, { status: "failed", phase: null, error: err.message, finishedAt: new Date().toISOString() });
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+// On boot: imports cut off by a restart run again (re-importing is harmless)
+// and uploads that never finished are dropped.
+function start() {
+  for (const job of imports().all()) {
+    if (job.status === "running") imports().update(job.id, { status: "queued" });
+    if (job.status === "uploading") removeImport(job.id);
+  }
+  drain();
+}
+
+module.exports = { MAX_UPLOAD_BYTES, imports, rejectedPath, parseTimestamp, receiveUpload, validateMapping, startImport, deleteImport, listImports, start };
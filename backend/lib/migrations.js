@@ -0,0 +1,333 @@
+// backend/lib/migrations.js
+// Ordered schema migrations for lib/store.js. Each entry runs once, in version
+// order, against a store that is at the previous version. Never edit a shipped
+// migration; append a new one instead.
+
+const crypto = require("crypto");
+const webpush = require("web-push");
+
+module.exports = [
+  {
+    version: 1,
+    name: "seed initial site configuration",
+    up({ write }) {
+      write("simulation", {
+        rainfallMm: 0,    // 0–300 mm
+        seismicMag: 0,    // 0–10 scale
+        blastingLevel: 0, // 0–100
+      });
+
+      write("settings", {
+        sensors: { fallback: "none", staleAfterSec: 300 }, // fallback: "none" | "simulated"
+        profile: { name: "Mine Admin", email: "admin@minescope.ai", role: "Admin" },
+        preferences: { refreshInterval: 10, units: "metric", language: "en", theme: "dark" },
+        alerts: { vibrationThreshold: 3.0, crackThreshold: 2.0, tempThreshold: 35.0, notifyEmail: true, notifySMS: false, notifyPush: true },
+        ai: { sensitivity: "balanced", explainable: true },
+      });
+
+      write("zones", [
+        { id: 1, name: "Sector A - West Wall", lat: 20.594, lng: 78.962, baseRisk: 0.75 },
+        { id: 2, name: "Sector B - East Wall", lat: 20.601, lng: 78.948, baseRisk: 0.45 },
+        { id: 3, name: "Sector C - North Slope", lat: 20.582, lng: 78.972, baseRisk: 0.25 },
+      ]);
+
+      write("sensors", [
+        { id: 1, code: "S001", type: "Inclinometer", unit: "mm", location: "Sector A - West Wall", battery: 0.92 },
+        { id: 2, code: "S002", type: "Piezometer", unit: "kPa", location: "Sensor Network", battery: 0.69 },
+        { id: 3, code: "S003", type: "Seismometer", unit: "g", location: "Sector B - East Wall", battery: 0.67 },
+        { id: 4, code: "S004", type: "Weather Station", unit: "mm", location: "Env Station", battery: 0.69 },
+        { id: 5, code: "S005", type: "Strain Gauge", unit: "mm", location: "Sector C", battery: 0.78 },
+      ]);
+
+      write("alerts", [
+        { id: 1, zone: "Sector A - West Wall", msg: "Rockfall probability exceeded 85% threshold", severity: "High", time: new Date().toISOString(), acknowledged: false },
+        { id: 2, zone: "Sensor Network", msg: "Piezometer S002 showing irregular readings", severity: "Medium", time: new Date(Date.now() - 3600 * 1000).toISOString(), acknowledged: false },
+      ]);
+    },
+  },
+  {
+    version: 2,
+    name: "add users, sessions and the token signing secret",
+    up({ read, write }) {
+      write("users", read("users", []));
+      write("sessions", read("sessions", []));
+      write("secrets", { ...read("secrets", {}), authSecret: crypto.randomBytes(32).toString("hex") });
+    },
+  },
+  {
+    version: 3,
+    name: "profile comes from the logged-in user",
+    up({ read, write }) {
+      const { profile, ...settings } = read("settings", {});
+      write("settings", settings);
+    },
+  },
+  {
+    version: 4,
+    name: "alert lifecycle states, notes and history",
+    up({ read, write }) {
+      const system = { id: null, name: "system" };
+      write("alerts", read("alerts", []).map((a) => {
+        const history = [{ state: "open", by: system, at: a.time }];
+        if (a.acknowledged) history.push({ state: "acknowledged", by: system, at: a.time, note: "Acknowledged before lifecycle tracking" });
+        return { ...a, state: a.acknowledged ? "acknowledged" : "open", assignee: null, notes: [], resolution: null, history };
+      }));
+    },
+  },
+  {
+    version: 5,
+    name: "alert thresholds become rules",
+    up({ read, write }) {
+      const { vibrationThreshold, crackThreshold, tempThreshold, ...alertSettings } = read("settings", {}).alerts || {};
+      const now = new Date().toISOString();
+      const seeded = [
+        {
+          name: "Site risk score",
+          severity: "High",
+          message: "Rockfall risk {{value}}/10 exceeded {{threshold}}/10 threshold",
+          scope: { source: "risk" },
+          condition: { kind: "threshold", operator: ">=", value: 7.5 },
+          hysteresis: 0.5,
+          cooldownSec: 1800,
+        },
+        {
+          name: "Vibration threshold",
+          severity: "High",
+          message: "{{source}} vibration {{value}} {{unit}} above {{threshold}} {{unit}}",
+          scope: { source: "sensor", sensorType: "Seismometer" },
+          condition: { kind: "threshold", operator: ">", value: vibrationThreshold ?? 3.0 },
+          hysteresis: 0,
+          cooldownSec: 600,
+        },
+        {
+          name: "Crack width threshold",
+          severity: "Medium",
+          message: "{{source}} crack width {{value}} {{unit}} above {{threshold}} {{unit}}",
+          scope: { source: "sensor", sensorType: "Strain Gauge" },
+          condition: { kind: "threshold", operator: ">", value: crackThreshold ?? 2.0 },
+          hysteresis: 0.1,
+          cooldownSec: 600,
+        },
+      ];
+      // tempThreshold is dropped: no sensor type reports temperature.
+      write("rules", [...read("rules", []), ...seeded.map((r, i) => ({ id: i + 1, enabled: true, ...r, createdAt: now, updatedAt: now }))]);
+      write("ruleState", {});
+      const settings = read("settings", {});
+      write("settings", { ...settings, alerts: alertSettings });
+    },
+  },
+  {
+    version: 6,
+    name: "notification channels and outbound queue",
+    up({ read, write }) {
+      // Channels start unconfigured; point them at real servers or local
+      // stand-ins from Settings. VAPID keys identify this server to push services.
+      const vapid = webpush.generateVAPIDKeys();
+      write("notifyChannels", {
+        email: { host: "", port: 25, secure: false, allowSelfSigned: false, user: "", pass: "", from: "rockfall-alerts@localhost", recipients: [] },
+        sms: { url: "", token: "", from: "", recipients: [] },
+        push: { subject: "mailto:admin@localhost", allowSelfSigned: false, publicKey: vapid.publicKey, privateKey: vapid.privateKey },
+      });
+      write("outbox", read("outbox", []));
+      write("pushSubscriptions", read("pushSubscriptions", []));
+    },
+  },
+  {
+    version: 7,
+    name: "escalation policies and on-call rosters",
+    up({ read, write }) {
+      // Rosters start empty: an admin adds contacts and shifts before anyone is paged.
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const roster = (id, name) => ({ id, name, timezone, contacts: [], shifts: [], defaultContactIds: [] });
+      write("rosters", [roster(1, "Tier 1 on-call"), roster(2, "Tier 2 on-call"), roster(3, "Site manager")]);
+      write("escalationPolicies", [
+        {
+          id: 1,
+          name: "High severity",
+          enabled: true,
+          severities: ["High"],
+          zones: [],
+          tiers: [
+            { name: "Tier 1", afterMin: 0, rosterId: 1, channels: ["sms", "push"] },
+            { name: "Tier 2", afterMin: 15, rosterId: 2, channels: ["sms", "email"] },
+            { name: "Site manager", afterMin: 30, rosterId: 3, channels: ["sms", "email"] },
+          ],
+        },
+      ]);
+    },
+  },
+  {
+    version: 8,
+    name: "map sensors to zones",
+    up({ read, write }) {
+      // Match on location ("Sector C" -> "Sector C - North Slope"); anything
+      // else (network and environmental stations) stays site-wide.
+      const zones = read("zones", []);
+      const zoneFor = (location) => zones.find((z) => z.name === location || z.name.startsWith(`${location} `));
+      write("sensors", read("sensors", []).map((s) => ({ ...s, zoneId: zoneFor(s.location)?.id ?? null })));
+    },
+  },
+  {
+    version: 9,
+    name: "prediction log and confirmed rockfall events",
+    up({ read, write }) {
+      write("predictionLog", read("predictionLog", []));
+      write("rockfallEvents", read("rockfallEvents", []));
+    },
+  },
+  {
+    version: 10,
+    name: "risk model profiles bound to the AI sensitivity levels",
+    up({ read, write }) {
+      // Balanced carries the previously hard-coded model. Conservative raises
+      // fewer, surer alarms; aggressive reaches Medium and High sooner and
+      // leans harder on rainfall and seismicity.
+      const weights = { base: 0.6, rainfall: 0.2, seismic: 0.15, blasting: 0.05, piezometer: 0.1, inclinometer: 0.1, strain: 0.05 };
+      const normalisers = { rainfallMm: 200, seismicMag: 8, seismicG: 0.5, blastingLevel: 100, piezometerBaseKPa: 100, piezometerSpanKPa: 300, inclinometerMm: 50, strainMm: 5 };
+      const now = new Date().toISOString();
+      const profile = (id, name, description, model) => ({
+        id,
+        name,
+        description,
+        builtIn: true,
+        version: 1,
+        ...model,
+        basedOn: null,
+        versions: [{ version: 1, ...model, savedAt: now, savedBy: null }],
+        createdAt: now,
+        updatedAt: now,
+      });
+      write("modelProfiles", [
+        profile(1, "Conservative", "Higher severity cut-offs: fewer, surer High calls.", { weights, normalisers, severityBands: { high: 0.8, medium: 0.5 } }),
+        profile(2, "Balanced", "Default weights, normalisers and cut-offs.", { weights, normalisers, severityBands: { high: 0.7, medium: 0.4 } }),
+        profile(3, "Aggressive", "Lower cut-offs and heavier rainfall and seismic weights: earlier warnings, more false alarms.", {
+          weights: { ...weights, rainfall: 0.25, seismic: 0.2 },
+          normalisers,
+          severityBands: { high: 0.6, medium: 0.3 },
+        }),
+      ]);
+      write("riskModel", { bindings: { conservative: 1, balanced: 2, aggressive: 3 } });
+    },
+  },
+  {
+    version: 11,
+    name: "scripted simulation scenarios and their runs",
+    up({ read, write }) {
+      const now = new Date().toISOString();
+      write("scenarios", [
+        {
+          id: 1,
+          name: "Storm with blast and tremor",
+          description: "Rain ramping to 180 mm over 6 h, a production blast at t+2h and an M4.5 tremor at t+5h.",
+          durationH: 12,
+          stepMin: 15,
+          initial: { rainfallMm: 0, seismicMag: 0, blastingLevel: 0 },
+          events: [
+            { type: "ramp", input: "rainfallMm", atH: 0, to: 180, durationH: 6, label: "Storm" },
+            { type: "pulse", input: "blastingLevel", atH: 2, value: 90, durationMin: 15, label: "Production blast" },
+            { type: "pulse", input: "seismicMag", atH: 5, value: 4.5, durationMin: 15, label: "M4.5 tremor" },
+          ],
+          createdBy: null,
+          createdAt: now,
+          updatedAt: now,
+        },
+      ]);
+      write("scenarioRuns", read("scenarioRuns", []));
+    },
+  },
+  {
+    version: 12,
+    name: "per-user sandbox simulation sessions",
+    up({ read, write }) {
+      write("simulationSessions", read("simulationSessions", []));
+    },
+  },
+  {
+    version: 13,
+    name: "zone outlines as GeoJSON polygons",
+    up({ read, write }) {
+      // Outlines traced around the original zone points ([lng, lat]); the
+      // points stay as the label positions.
+      const outlines = {
+        1: { kind: "wall", ring: [[78.9605, 20.59], [78.9635, 20.5902], [78.964, 20.594], [78.9633, 20.598], [78.9603, 20.5978], [78.9598, 20.594], [78.9605, 20.59]] },
+        2: { kind: "wall", ring: [[78.9465, 20.597], [78.9495, 20.5972], [78.95, 20.601], [78.9494, 20.605], [78.9464, 20.6048], [78.946, 20.601], [78.9465, 20.597]] },
+        3: { kind: "wall", ring: [[78.968, 20.5805], [78.972, 20.58], [78.976, 20.5805], [78.9762, 20.5835], [78.972, 20.584], [78.9678, 20.5835], [78.968, 20.5805]] },
+      };
+      const now = new Date().toISOString();
+      write(
+        "zones",
+        read("zones", []).map((z) => {
+          // Zones without a known outline get a small square around their point.
+          const d = 0.001;
+          const outline = outlines[z.id] || { kind: "other", ring: [[z.lng - d, z.lat - d], [z.lng + d, z.lat - d], [z.lng + d, z.lat + d], [z.lng - d, z.lat + d], [z.lng - d, z.lat - d]] };
+          return { ...z, kind: z.kind || outline.kind, geometry: z.geometry || { type: "Polygon", coordinates: [outline.ring] }, createdAt: z.createdAt || now, updatedAt: z.updatedAt || now };
+        })
+      );
+    },
+  },
+  {
+    version: 14,
+    name: "surveyed sensor positions",
+    up({ read, write }) {
+      // Seed installs sit inside their zone outlines (migration 13); the
+      // network logger and weather station stand on the crest by the office.
+      const positions = {
+        S001: { lat: 20.5945, lng: 78.9618, elevationM: 412 },
+        S002: { lat: 20.5925, lng: 78.9552, elevationM: 438 },
+        S003: { lat: 20.6012, lng: 78.9482, elevationM: 405 },
+        S004: { lat: 20.5932, lng: 78.9545, elevationM: 441 },
+        S005: { lat: 20.5822, lng: 78.9718, elevationM: 398 },
+      };
+      write("sensors", read("sensors", []).map((s) => ({ ...s, position: s.position ?? positions[s.code] ?? null })));
+    },
+  },
+  {
+    version: 15,
+    name: "map base layer settings",
+    up({ read, write }) {
+      // baseLayer: "online" or the name of a local tileset (lib/tiles.js).
+      const settings = read("settings", {});
+      write("settings", {
+        ...settings,
+        map: {
+          baseLayer: "online",
+          onlineUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+          onlineAttribution: "&copy; OpenStreetMap contributors",
+          ...(settings.map || {}),
+        },
+      });
+    },
+  },
+  {
+    version: 16,
+    name: "site boundary",
+    up({ read, write }) {
+      // Clips the risk surface (lib/surface.js); null means the hull of the
+      // zone outlines and sensor positions.
+      write("siteBoundary", read("siteBoundary", null) || { geometry: null, updatedAt: null });
+    },
+  },
+  {
+    version: 17,
+    name: "plausible reading ranges",
+    up({ read, write }) {
+      // Physical limits per sensor type, in the seeded units; backfilled
+      // readings outside them are rejected as logger faults.
+      const ranges = {
+        Inclinometer: { min: -1000, max: 1000 }, // mm displacement
+        Piezometer: { min: -100, max: 5000 }, // kPa pore pressure
+        Seismometer: { min: 0, max: 10 }, // g peak acceleration
+        "Weather Station": { min: 0, max: 1000 }, // mm rainfall
+        "Strain Gauge": { min: -100, max: 100 }, // mm
+      };
+      write("sensors", read("sensors", []).map((s) => ({ ...s, range: s.range !== undefined ? s.range : ranges[s.type] || null })));
+    },
+  },
+  {
+    version: 18,
+    name: "saved reports",
+    up({ read, write }) {
+      write("reports", read("reports", []));
+    },
+  },
+];
@@ -0,0 +1,168 @@
+// backend/lib/montecarlo.js
+// Monte Carlo uncertainty for the what-if inputs. Each input is given as a
+// distribution instead of a point value:
+//   { type: "fixed", value }
+//   { type: "normal", mean, sd }
+//   { type: "uniform", min, max }
+//   { type: "triangular", min, mode, max }
+// N samples are drawn (clamped to the simulation LIMITS) and each is scored
+// through computeZoneRisk with the sensor readings held at the caller's
+// session values, so the spread shows the input uncertainty alone. Sampling
+// uses a seeded generator: the same request gives the same result.
+//
+// Scores are reported on the 0-10 scale. Per zone (and for the site, the worst
+// zone in each sample): mean, sd, percentiles, a histogram and the share of
+// samples above the active profile's High band.
+
+const { LIMITS } = require("./simulation");
+const { clamp } = require("./util");
+const { computeZoneRisk } = require("./risk");
+const { activeProfile, profileRef } = require("./profiles");
+
+const TYPES = ["fixed", "normal", "uniform", "triangular"];
+const MAX_SAMPLES = 20000;
+const PERCENTILES = [5, 25, 50, 75, 95];
+const BINS = 20;
+
+// mulberry32: small, fast, good enough for sampling
+function generator(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------- Validation ----------
+// Returns { error } or { distribution } for one input.
+function validateDistribution(input, d) {
+  const label = `distributions.${input}`;
+  if (!d || typeof d !== "object" || !TYPES.includes(d.type)) return { error: `${label}.type must be one of: ${TYPES.join(", ")}` };
+  const num = (key) => Number(d[key]);
+  const [lo, hi] = LIMITS[input];
+  if (d.type === "fixed") return Number.isFinite(num("value")) ? { distribution: { type: "fixed", value: num("value") } } : { error: `${label}.value must be a number` };
+  if (d.type === "normal") {
+    if (!Number.isFinite(num("mean")) || !(num("sd") >= 0)) return { error: `${label} needs a numeric mean and sd >= 0` };
+    return { distribution: { type: "normal", mean: num("mean"), sd: num("sd") } };
+  }
+  const min = num("min");
+  const max = num("max");
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) return { error: `${label} needs min <= max` };
+  if (max < lo || min > hi) return { error: `${label} lies outside ${lo}-${hi}` };
+  if (d.type === "uniform") return { distribution: { type: "uniform", min, max } };
+  const mode = num("mode");
+  if (!(mode >= min && mode <= max)) return { error: `${label}.mode must be between min and max` };
+  return { distribution: { type: "triangular", min, mode, max } };
+}
+
+function sampler(d, random) {
+  switch (d.type) {
+    case "fixed":
+      return () => d.value;
+    case "normal":
+      // Box-Muller
+      return () => d.mean + d.sd * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    case "uniform":
+      return () => d.min + (d.max - d.min) * random();
+    default: {
+      // inverse CDF of the triangular distribution
+      const span = d.max - d.min;
+      const split = span ? (d.mode - d.min) / span : 0;
+      return () => {
+        const u = random();
+        return u < split ? d.min + Math.sqrt(u * span * (d.mode - d.min)) : d.max - Math.sqrt((1 - u) * span * (d.max - d.mode));
+      };
+    }
+  }
+}
+
+// ---------- Summary ----------
+function percentile(sorted, p) {
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+const round = (v, digits = 3) => Number(v.toFixed(digits));
+
+function summarise(values, highThreshold, mediumThreshold) {
+  const sorted = Float64Array.from(values).sort();
+  const n = sorted.length;
+  const mean = values.reduce((s, v) => s + v, 0) / n;
+  const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / Math.max(1, n - 1));
+  const counts = new Array(BINS).fill(0);
+  for (const v of values) counts[Math.min(BINS - 1, Math.floor((v / 10) * BINS))]++;
+  return {
+    mean: round(mean),
+    sd: round(sd),
+    min: round(sorted[0]),
+    max: round(sorted[n - 1]),
+    percentiles: Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, round(percentile(sorted, p))])),
+    pHigh: round(values.filter((v) => v > highThreshold).length / n, 4),
+    pMediumOrAbove: round(values.filter((v) => v > mediumThreshold).length / n, 4),
+    histogram: { binWidth: 10 / BINS, edges: Array.from({ length: BINS + 1 }, (_, i) => round((i * 10) / BINS, 2)), counts },
+  };
+}
+
+/**
+ * Run the simulation. zones: zone records; sensorsFor(zone) gives the held
+ * sensor values for a zone. Returns { error } or the result.
+ */
+function runMonteCarlo({ distributions = {}, samples = 1000, seed }, zones, sensorsFor) {
+  const n = Number(samples);
+  if (!Number.isInteger(n) || n < 10 || n > MAX_SAMPLES) return { error: `samples must be a whole number from 10 to ${MAX_SAMPLES}` };
+  const clean = {};
+  for (const input of Object.keys(LIMITS)) {
+    if (distributions[input] === undefined) return { error: `distributions.${input} is required` };
+    const { error, distribution } = validateDistribution(input, distributions[input]);
+    if (error) return { error };
+    clean[input] = distribution;
+  }
+  const usedSeed = Number.isInteger(Number(seed)) && seed !== null && seed !== "" ? Number(seed) : Math.floor(Math.random() * 2 ** 31);
+  const random = generator(usedSeed);
+  const draw = Object.fromEntries(Object.entries(clean).map(([input, d]) => [input, sampler(d, random)]));
+
+  const profile = activeProfile();
+  const sensors = new Map(zones.map((z) => [z.id, sensorsFor(z)]));
+  const at = new Date().toISOString();
+  const scores = new Map(zones.map((z) => [z.id, []]));
+  const site = [];
+  const inputStats = Object.fromEntries(Object.keys(LIMITS).map((k) => [k, []]));
+
+  for (let i = 0; i < n; i++) {
+    const inputs = {};
+    for (const [input, [min, max]] of Object.entries(LIMITS)) {
+      inputs[input] = clamp(draw[input](), min, max);
+      inputStats[input].push(inputs[input]);
+    }
+    let worst = 0;
+    for (const zone of zones) {
+      const score = computeZoneRisk(zone, inputs, sensors.get(zone.id), at, profile).score * 10;
+      scores.get(zone.id).push(score);
+      worst = Math.max(worst, score);
+    }
+    site.push(worst);
+  }
+
+  const high = profile.severityBands.high * 10;
+  const medium = profile.severityBands.medium * 10;
+  const mean = (values) => round(values.reduce((s, v) => s + v, 0) / values.length);
+  return {
+    samples: n,
+    seed: usedSeed,
+    scale: 10,
+    model: profileRef(profile),
+    thresholds: { high, medium },
+    distributions: clean,
+    inputs: Object.fromEntries(Object.entries(inputStats).map(([k, values]) => [k, { mean: mean(values), min: round(Math.min(...values)), max: round(Math.max(...values)) }])),
+    site: summarise(site, high, medium),
+    zones: zones.map((z) => ({ zoneId: z.id, zone: z.name, ...summarise(scores.get(z.id), high, medium) })),
+    computedAt: at,
+  };
+}
+
+module.exports = { TYPES, MAX_SAMPLES, validateDistribution, runMonteCarlo };
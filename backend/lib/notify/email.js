@@ -0,0 +1,19 @@
+// backend/lib/notify/email.js
+// SMTP channel. Point host/port at a local stand-in (MailHog, smtp4dev) for testing.
+
+const nodemailer = require("nodemailer");
+
+async function send(message, config) {
+  if (!config.host) throw new Error("SMTP host is not configured");
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: Number(config.port) || 25,
+    secure: Boolean(config.secure),
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    tls: { rejectUnauthorized: !config.allowSelfSigned },
+  });
+  const info = await transport.sendMail({ from: config.from, to: message.to, subject: message.subject, text: message.body });
+  return { providerId: info.messageId };
+}
+
+module.exports = { name: "email", send };
@@ -0,0 +1,209 @@
+// backend/lib/notify/index.js
+// Notification dispatch: a persistent outbound queue ("outbox" collection)
+// drained by a background worker through pluggable channel adapters.
+//
+// Each queued message records its attempts and a delivery log. Failed sends
+// are retried with exponential backoff until MAX_ATTEMPTS, then marked failed.
+// Channel settings (SMTP server, SMS gateway URL, VAPID keys, recipients) live
+// in the "notifyChannels" document and can point at local stand-in servers.
+// Recipient addresses and numbers are masked everywhere but the settings
+// screens (publicMessage); status changes go out as notification.updated.
+
+const store = require("../store");
+const events = require("../events");
+const email = require("./email");
+const sms = require("./sms");
+const push = require("./push");
+
+const ADAPTERS = { email, sms, push };
+const SETTING_FOR_CHANNEL = { email: "notifyEmail", sms: "notifySMS", push: "notifyPush" };
+
+const POLL_MS = 2000;
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const SECRET_FIELDS = ["pass", "token", "privateKey"];
+const MASK = "********";
+
+const outbox = () => store.collection("outbox");
+const pushSubscriptions = () => store.collection("pushSubscriptions");
+
+// ---------- Channel configuration ----------
+function getChannels() {
+  return store.getDoc("notifyChannels");
+}
+
+// Copy of the channel config with secrets masked, for the settings UI.
+function maskedChannels() {
+  const channels = getChannels();
+  return Object.fromEntries(
+    Object.entries(channels).map(([name, cfg]) => [
+      name,
+      Object.fromEntries(Object.entries(cfg).map(([k, v]) => [k, SECRET_FIELDS.includes(k) && v ? MASK : v])),
+    ])
+  );
+}
+
+// Merge an update; a masked secret sent back unchanged keeps the stored value.
+function updateChannels(patch) {
+  const channels = getChannels();
+  const next = { ...channels };
+  for (const name of Object.keys(ADAPTERS)) {
+    if (!patch[name]) continue;
+    const merged = { ...channels[name] };
+    for (const [k, v] of Object.entries(patch[name])) {
+      if (SECRET_FIELDS.includes(k) && v === MASK) continue;
+      merged[k] = k === "recipients" ? [].concat(v || []).map((r) => String(r).trim()).filter(Boolean) : v;
+    }
+    next[name] = merged;
+  }
+  return store.setDoc("notifyChannels", next);
+}
+
+// ---------- Queue ----------
+// "j***@example.com", "***4567"; push recipients by subscription id, never by endpoint.
+function maskRecipient(channel, to) {
+  if (channel === "push") return `subscription #${to}`;
+  const text = String(to);
+  if (channel === "email") return text.includes("@") ? text.replace(/^(.)[^@]*@/, "$1***@") : "***";
+  return `***${text.replace(/\D/g, "").slice(-4)}`;
+}
+
+// A queued message as clients see it; reveal shows email and SMS recipients
+// (for roles that can read them in the channel settings anyway). Provider
+// errors often quote the recipient, so those are masked too.
+function publicMessage({ to, ...message }, { reveal = false } = {}) {
+  if (reveal && message.channel !== "push") return { ...message, to };
+  const masked = maskRecipient(message.channel, to);
+  const scrub = (text) => (typeof text === "string" && message.channel !== "push" ? text.split(String(to)).join(masked) : text);
+  return { ...message, to: masked, lastError: scrub(message.lastError), log: (message.log || []).map((entry) => (entry.error ? { ...entry, error: scrub(entry.error) } : entry)) };
+}
+
+function published(message) {
+  events.publish("notification.updated", publicMessage(message));
+  return message;
+}
+
+function log(message, status, extra = {}) {
+  return [...(message.log || []), { at: new Date().toISOString(), status, ...extra }];
+}
+
+function enqueue({ alertId, channel, to, subject, body, reason }) {
+  if (!ADAPTERS[channel]) throw new Error(`Unknown channel: ${channel}`);
+  const now = new Date().toISOString();
+  const message = outbox().insert({
+    alertId: alertId ?? null,
+    channel,
+    to,
+    subject,
+    body,
+    reason: reason || "alert",
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    providerId: null,
+    createdAt: now,
+    sentAt: null,
+    log: [{ at: now, status: "queued" }],
+  });
+  return published(message);
+}
+
+// Recipients per channel: configured addresses/numbers, or every push subscription.
+function recipients(channel) {
+  if (channel === "push") return pushSubscriptions().all().map((s) => s.id);
+  return getChannels()[channel].recipients || [];
+}
+
+function alertText(alert) {
+  return {
+    subject: `[${alert.severity}] ${alert.msg}`,
+    body: `${alert.msg}\nZone: ${alert.zone}\nSeverity: ${alert.severity}\nRaised: ${alert.time}\nAlert #${alert.id}`,
+  };
+}
+
+// Queue messages for a new alert on every channel switched on in settings.alerts.
+function notifyAlert(alert) {
+  const toggles = store.getDoc("settings").alerts || {};
+  const text = alertText(alert);
+  const queued = [];
+  for (const channel of Object.keys(ADAPTERS)) {
+    if (!toggles[SETTING_FOR_CHANNEL[channel]]) continue;
+    for (const to of recipients(channel)) queued.push(enqueue({ alertId: alert.id, channel, to, ...text }));
+  }
+  return queued;
+}
+
+function backoff(attempts) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  return delay * (0.8 + Math.random() * 0.4); // jitter so retries do not bunch up
+}
+
+async function deliver(message) {
+  outbox().update(message.id, { status: "sending" });
+  const config = getChannels()[message.channel];
+  let to = message.to;
+  if (message.channel === "push") {
+    const sub = pushSubscriptions().get(message.to);
+    to = sub ? sub.subscription : null;
+  }
+
+  const attempts = message.attempts + 1;
+  try {
+    if (!to) throw Object.assign(new Error("Recipient no longer exists"), { permanent: true });
+    const { providerId } = await ADAPTERS[message.channel].send({ ...message, to }, config);
+    published(
+      outbox().update(message.id, { status: "sent", attempts, sentAt: new Date().toISOString(), providerId: providerId || null, lastError: null, log: log(message, "sent", { attempt: attempts }) })
+    );
+  } catch (err) {
+    const giveUp = err.permanent || attempts >= MAX_ATTEMPTS;
+    if (err.permanent && message.channel === "push") pushSubscriptions().remove(message.to);
+    published(outbox().update(message.id, {
+      status: giveUp ? "failed" : "pending",
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: giveUp ? null : new Date(Date.now() + backoff(attempts)).toISOString(),
+      log: log(message, giveUp ? "failed" : "retrying", { attempt: attempts, error: err.message }),
+    }));
+  }
+}
+
+let draining = false;
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    const now = new Date().toISOString();
+    const due = outbox().filter((m) => m.status === "pending" && m.nextAttemptAt <= now);
+    for (const message of due) await deliver(message);
+  } catch (err) {
+    console.error("Notification worker error:", err);
+  } finally {
+    draining = false;
+  }
+}
+
+// Put a failed message back in the queue for another round of attempts.
+function retry(id) {
+  const message = outbox().get(id);
+  if (!message || message.status !== "failed") return null;
+  return published(outbox().update(id, { status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString(), log: log(message, "requeued") }));
+}
+
+function deliveriesFor(alertId, options) {
+  return outbox().filter((m) => m.alertId === Number(alertId)).map((m) => publicMessage(m, options));
+}
+
+// Start the worker and queue notifications for every new alert.
+function start() {
+  // Messages caught mid-send by a crash or restart are retried.
+  outbox().filter((m) => m.status === "sending").forEach((m) => outbox().update(m.id, { status: "pending", log: log(m, "interrupted") }));
+  setInterval(drain, POLL_MS);
+  return events.subscribe((e) => {
+    if (e.type === "alert.created") setImmediate(() => notifyAlert(e.data));
+  });
+}
+
+module.exports = { CHANNELS: Object.keys(ADAPTERS), pushSubscriptions, getChannels, maskedChannels, updateChannels, enqueue, notifyAlert, alertText, retry, publicMessage, deliveriesFor, drain, start };
@@ -0,0 +1,30 @@
+// backend/lib/notify/push.js
+// Web Push channel (VAPID). `message.to` is a stored PushSubscription; its
+// endpoint may be a local stand-in push service for testing (web-push always
+// uses HTTPS, so a stand-in with a self-signed certificate needs allowSelfSigned).
+
+const https = require("https");
+const webpush = require("web-push");
+
+const TIMEOUT_MS = 10000;
+
+async function send(message, config) {
+  if (!config.publicKey || !config.privateKey) throw new Error("VAPID keys are not configured");
+  const payload = JSON.stringify({ title: message.subject, body: message.body, alertId: message.alertId });
+  try {
+    const res = await webpush.sendNotification(message.to, payload, {
+      vapidDetails: { subject: config.subject || "mailto:admin@localhost", publicKey: config.publicKey, privateKey: config.privateKey },
+      timeout: TIMEOUT_MS,
+      TTL: 3600,
+      agent: config.allowSelfSigned ? new https.Agent({ rejectUnauthorized: false }) : undefined,
+    });
+    return { providerId: res.headers && res.headers.location };
+  } catch (err) {
+    const e = new Error(err.statusCode ? `Push service responded ${err.statusCode}: ${String(err.body || "").slice(0, 200)}` : err.message);
+    // 404/410: the browser unsubscribed; retrying will never succeed.
+    e.permanent = err.statusCode === 404 || err.statusCode === 410;
+    throw e;
+  }
+}
+
+module.exports = { name: "push", send };
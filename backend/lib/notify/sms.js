@@ -0,0 +1,26 @@
+// backend/lib/notify/sms.js
+// HTTP SMS gateway channel: POSTs { to, from, text } as JSON to the configured URL
+// with an optional bearer token. Any 2xx response counts as accepted.
+
+const TIMEOUT_MS = 10000;
+
+async function send(message, config) {
+  if (!config.url) throw new Error("SMS gateway URL is not configured");
+  const res = await fetch(config.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}) },
+    body: JSON.stringify({ to: message.to, from: config.from || undefined, text: `${message.subject}\n${message.body}` }),
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`SMS gateway responded ${res.status}: ${text.slice(0, 200)}`);
+  let providerId;
+  try {
+    providerId = JSON.parse(text).id;
+  } catch (err) {
+    providerId = undefined;
+  }
+  return { providerId };
+}
+
+module.exports = { name: "sms", send };
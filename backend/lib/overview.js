@@ -0,0 +1,49 @@
+// backend/lib/overview.js
+// KPI summary for the dashboard header, and its overview.changed push events.
+
+const events = require("./events");
+const { computeRiskScore } = require("./risk");
+const { countActive } = require("./alerts");
+const { sensorDefs, countOnline } = require("./sensors");
+const { getSimulation } = require("./simulation");
+
+function computeOverview() {
+  const simulation = getSimulation();
+  const weatherImpact = simulation.rainfallMm > 50 ? "High" : simulation.rainfallMm > 10 ? "Moderate" : "Low";
+  return {
+    activeAlerts: countActive(),
+    sensorsOnline: `${countOnline()}/${sensorDefs().count()}`,
+    riskScore: computeRiskScore(),
+    weatherImpact,
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+let lastPublished = null;
+
+// Publish overview.changed when any KPI differs from what clients last saw.
+function publishIfChanged() {
+  const overview = computeOverview();
+  const { lastUpdated, ...kpis } = overview;
+  const key = JSON.stringify(kpis);
+  if (key === lastPublished) return;
+  lastPublished = key;
+  events.publish("overview.changed", overview);
+}
+
+// Recheck the KPIs whenever something they depend on changes. The check is
+// deferred so it follows the triggering event on the wire and so a burst (a
+// batch of readings) costs a single recomputation.
+function watch() {
+  let scheduled = false;
+  return events.subscribe((e) => {
+    if (e.type === "overview.changed" || scheduled) return;
+    scheduled = true;
+    setImmediate(() => {
+      scheduled = false;
+      publishIfChanged();
+    });
+  });
+}
+
+module.exports = { computeOverview, publishIfChanged, watch };
@@ -0,0 +1,235 @@
+// backend/lib/performance.js
+// Measured model performance. Every hour each zone's score is logged as a
+// prediction ("predictionLog"): probability = zone score (0-1), and a
+// predicted event when the zone is in the High band. A prediction is matched
+// against what was observed in that zone during the HORIZON_H hours after it
+// was issued:
+//   - an engineer-confirmed rockfall event ("rockfallEvents"), or
+//   - an alert for the zone that was resolved as real (not as a false alarm)
+// makes the outcome positive; otherwise it is negative once the window has
+// closed, and pending until then. Outcomes are matched at query time, so events
+// recorded late still count. Hours covered only by backfilled sensor history
+// get replayed predictions, marked source: "backfill" (backfillHistory()).
+//
+// Metrics over a set of matched predictions:
+//   precision        TP / (TP + FP)
+//   recall           TP / (TP + FN)
+//   falseAlarmRate   FP / (TP + FP)  (false alarm ratio: share of High calls with no event)
+//   brier            mean((probability - outcome)^2), 0 is perfect
+// Each is null when its denominator is zero.
+
+const store = require("./store");
+const timeseries = require("./timeseries");
+const { alerts } = require("./alerts");
+const { sensorDefs } = require("./sensors");
+const { INPUTS, computeZoneRisk, computeZoneRisks, inputSeriesId, riskSeriesId } = require("./risk");
+const { activeProfile, profileRef, modelOf } = require("./profiles");
+
+const HOUR = timeseries.HOUR;
+const DAY = timeseries.DAY;
+const HORIZON_H = 24;
+const WINDOWS = [
+  { key: "1w", label: "1 Week", days: 7 },
+  { key: "2w", label: "2 Weeks", days: 14 },
+  { key: "1m", label: "1 Month", days: 30 },
+  { key: "3m", label: "3 Months", days: 91 },
+  { key: "6m", label: "6 Months", days: 182 },
+];
+const MAX_BACKTEST_DAYS = 183;
+
+const predictionLog = () => store.collection("predictionLog");
+const rockfallEvents = () => store.collection("rockfallEvents");
+const zones = () => store.collection("zones");
+
+// ---------- Recording ----------
+let lastRecordedHour = null;
+
+// Log one prediction per zone at the top of each hour; called on the server tick.
+function recordPredictions(nowMs = Date.now()) {
+  const hour = Math.floor(nowMs / HOUR);
+  if (hour === lastRecordedHour) return;
+  lastRecordedHour = hour;
+  const issuedAt = new Date(hour * HOUR).toISOString();
+  if (predictionLog().find((p) => p.issuedAt === issuedAt)) return; // already logged before a restart
+  for (const r of computeZoneRisks()) {
+    predictionLog().insert({ zoneId: r.zoneId, zone: r.zone, issuedAt, horizonH: HORIZON_H, probability: r.score, severity: r.severity, predictedEvent: r.severity === "High", model: r.model });
+  }
+}
+
+// ---------- Outcomes ----------
+// Observed events per zone id: confirmed rockfalls and alerts resolved as real.
+function observedEvents() {
+  const zoneIdByName = new Map(zones().all().map((z) => [z.name, z.id]));
+  const byZone = new Map();
+  const add = (zoneId, at, evidence) => {
+    if (zoneId == null) return;
+    if (!byZone.has(zoneId)) byZone.set(zoneId, []);
+    byZone.get(zoneId).push({ ms: Date.parse(at), ...evidence });
+  };
+  for (const e of rockfallEvents().all()) add(e.zoneId, e.occurredAt, { type: "rockfall", id: e.id });
+  for (const a of alerts().filter((x) => x.state === "resolved")) add(zoneIdByName.get(a.zone), a.time, { type: "alert", id: a.id });
+  return byZone;
+}
+
+// { outcome: true | false | null (window still open), evidence? }
+function matchOutcome(prediction, events, nowMs = Date.now()) {
+  const fromMs = Date.parse(prediction.issuedAt);
+  const toMs = fromMs + prediction.horizonH * HOUR;
+  const hit = (events.get(prediction.zoneId) || []).find((e) => e.ms >= fromMs && e.ms < toMs);
+  if (hit) return { outcome: true, evidence: { type: hit.type, id: hit.id } };
+  return { outcome: toMs <= nowMs ? false : null };
+}
+
+function scorePairs(pairs) {
+  const resolved = pairs.filter((p) => p.outcome !== null);
+  const count = (predicted, outcome) => resolved.filter((p) => p.predictedEvent === predicted && p.outcome === outcome).length;
+  const tp = count(true, true);
+  const fp = count(true, false);
+  const fn = count(false, true);
+  const tn = count(false, false);
+  const ratio = (a, b) => (b ? Number((a / b).toFixed(4)) : null);
+  const brier = resolved.length ? Number((resolved.reduce((s, p) => s + (p.probability - (p.outcome ? 1 : 0)) ** 2, 0) / resolved.length).toFixed(4)) : null;
+  return { n: resolved.length, pending: pairs.length - resolved.length, tp, fp, fn, tn, precision: ratio(tp, tp + fp), recall: ratio(tp, tp + fn), falseAlarmRate: ratio(fp, tp + fp), brier };
+}
+
+// Logged predictions with their matched outcome, newest first.
+function listPredictions({ zoneId, fromMs = 0, toMs = Date.now() } = {}) {
+  const events = observedEvents();
+  return predictionLog()
+    .filter((p) => (zoneId == null || p.zoneId === zoneId) && Date.parse(p.issuedAt) >= fromMs && Date.parse(p.issuedAt) <= toMs)
+    .map((p) => ({ ...p, ...matchOutcome(p, events) }))
+    .reverse();
+}
+
+// Metrics for each window (predictions issued in the last N days).
+function metricsByWindow({ zoneId, nowMs = Date.now() } = {}) {
+  const pairs = listPredictions({ zoneId, fromMs: nowMs - WINDOWS[WINDOWS.length - 1].days * DAY, toMs: nowMs });
+  return WINDOWS.map((w) => ({ ...w, ...scorePairs(pairs.filter((p) => Date.parse(p.issuedAt) >= nowMs - w.days * DAY)) }));
+}
+
+// ---------- Backtest ----------
+// Hourly values of a stored series: Map(hourStartMs -> value of `field`).
+function hourly(seriesId, fromMs, toMs, field) {
+  return new Map(timeseries.query(seriesId, { fromMs, toMs, bucketMs: HOUR }).map((b) => [Math.floor(Date.parse(b.ts) / HOUR) * HOUR, b[field]]));
+}
+
+// Scores replayed from stored history, one step at a time: at each step the
+// inputs are those recorded during the preceding hour, the last reading of
+// each sensor (a sensor with none that hour counts as offline) and the mean
+// environmental inputs (carried forward across gaps, 0 before the first
+// record). Yields { t, at, recorded (inputs seen that hour), sensorsSeen,
+// risks: [zone risk] }.
+function* replay({ start, toMs, stepH, targetZones, profile }) {
+  const sensorHours = sensorDefs().all().map((def) => ({ def, values: hourly(def.id, start - HOUR, toMs, "last") }));
+  const inputHours = Object.fromEntries(INPUTS.map((input) => [input, hourly(inputSeriesId(input), start - HOUR, toMs, "mean")]));
+  const inputs = Object.fromEntries(INPUTS.map((input) => [input, 0]));
+
+  for (let t = start; t <= toMs; t += stepH * HOUR) {
+    const hour = t - HOUR;
+    let recorded = false;
+    for (const input of INPUTS) {
+      if (inputHours[input].has(hour)) {
+        inputs[input] = inputHours[input].get(hour);
+        recorded = true;
+      }
+    }
+    const at = new Date(t).toISOString();
+    const sensorsSeen = sensorHours.filter(({ values }) => values.has(hour)).length;
+    const risks = targetZones.map((zone) => {
+      const sensors = {};
+      for (const { def, values } of sensorHours) {
+        if ((def.zoneId != null && def.zoneId !== zone.id) || !values.has(hour)) continue;
+        (sensors[def.type] = sensors[def.type] || []).push({ code: def.code, value: values.get(hour), unit: def.unit });
+      }
+      return computeZoneRisk(zone, { ...inputs }, sensors, at, profile);
+    });
+    yield { t, at, recorded, sensorsSeen, risks };
+  }
+}
+
+/**
+ * Replay stored history through a model profile (the active one by default;
+ * see replay()). Each replayed score is matched against observed events like a
+ * logged prediction. Returns { error } or the backtest result.
+ */
+function backtest({ fromMs, toMs, stepH = 1, zoneId = null, includeSeries = false, profile = activeProfile() }) {
+  if (!(toMs > fromMs)) return { error: "to must be after from" };
+  if (toMs - fromMs > MAX_BACKTEST_DAYS * DAY) return { error: `Backtests cover at most ${MAX_BACKTEST_DAYS} days` };
+  if (!Number.isInteger(stepH) || stepH < 1 || stepH > 24) return { error: "step must be a whole number of hours from 1 to 24" };
+  const targetZones = zones().filter((z) => zoneId == null || z.id === zoneId);
+  if (!targetZones.length) return { error: "Zone not found" };
+
+  const events = observedEvents();
+  const nowMs = Date.now();
+  const pairs = [];
+  const series = new Map(targetZones.map((z) => [z.id, []]));
+  let stepsWithInputs = 0;
+  let steps = 0;
+
+  for (const step of replay({ start: Math.ceil(fromMs / HOUR) * HOUR, toMs, stepH, targetZones, profile })) {
+    steps++;
+    if (step.recorded) stepsWithInputs++;
+    for (const risk of step.risks) {
+      const prediction = { zoneId: risk.zoneId, issuedAt: step.at, horizonH: HORIZON_H, probability: risk.score, predictedEvent: risk.severity === "High" };
+      pairs.push({ ...prediction, ...matchOutcome(prediction, events, nowMs) });
+      if (includeSeries) series.get(risk.zoneId).push({ ts: step.at, score: risk.score, severity: risk.severity });
+    }
+  }
+
+  return {
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    stepH,
+    horizonH: HORIZON_H,
+    model: { ...profileRef(profile), ...modelOf(profile) },
+    inputCoverage: steps ? Number((stepsWithInputs / steps).toFixed(3)) : 0,
+    metrics: scorePairs(pairs),
+    zones: targetZones.map((z) => ({
+      zoneId: z.id,
+      zone: z.name,
+      ...scorePairs(pairs.filter((p) => p.zoneId === z.id)),
+      ...(includeSeries ? { series: series.get(z.id) } : {}),
+    })),
+  };
+}
+
+// ---------- Backfill ----------
+/**
+ * Fill recorded risk history and the prediction log for hours that have
+ * backfilled sensor readings but were never live (lib/imports.js). Hours that
+ * already hold a recorded score or a logged prediction are left alone, so a
+ * repeated backfill changes nothing. Replayed predictions are marked
+ * source: "backfill"; they only go back as far as the longest metrics window.
+ * Returns { riskHours, predictions }.
+ */
+function backfillHistory({ fromMs, toMs, profile = activeProfile() }) {
+  const nowMs = Date.now();
+  toMs = Math.min(toMs, Math.floor(nowMs / HOUR) * HOUR);
+  const start = Math.ceil(fromMs / HOUR) * HOUR;
+  const targetZones = zones().all();
+  if (!(toMs >= start) || !targetZones.length) return { riskHours: 0, predictions: 0 };
+
+  const recordedHours = new Set(hourly(riskSeriesId(null), start, toMs + HOUR, "count").keys());
+  const logged = new Set(predictionLog().filter((p) => Date.parse(p.issuedAt) >= start && Date.parse(p.issuedAt) <= toMs).map((p) => p.issuedAt));
+  const predictionsFrom = nowMs - WINDOWS[WINDOWS.length - 1].days * DAY;
+  const riskPoints = new Map([[null, []], ...targetZones.map((z) => [z.id, []])]);
+  const predictions = [];
+
+  for (const step of replay({ start, toMs, stepH: 1, targetZones, profile })) {
+    if (!step.sensorsSeen) continue;
+    if (!recordedHours.has(step.t)) {
+      for (const r of step.risks) riskPoints.get(r.zoneId).push({ ts: step.at, value: Number((r.score * 10).toFixed(2)) });
+      riskPoints.get(null).push({ ts: step.at, value: Number((Math.max(...step.risks.map((r) => r.score)) * 10).toFixed(2)) });
+    }
+    if (step.t >= predictionsFrom && !logged.has(step.at)) {
+      for (const r of step.risks) {
+        predictions.push({ zoneId: r.zoneId, zone: r.zone, issuedAt: step.at, horizonH: HORIZON_H, probability: r.score, severity: r.severity, predictedEvent: r.severity === "High", model: r.model, source: "backfill" });
+      }
+    }
+  }
+  for (const [zoneId, points] of riskPoints) if (points.length) timeseries.append(riskSeriesId(zoneId), points);
+  if (predictions.length) predictionLog().insertMany(predictions);
+  return { riskHours: riskPoints.get(null).length, predictions: predictions.length };
+}
+
+module.exports = { HORIZON_H, WINDOWS, predictionLog, rockfallEvents, recordPredictions, listPredictions, metricsByWindow, scorePairs, backtest, backfillHistory };
@@ -0,0 +1,45 @@
+// backend/lib/permissions.js
+// Role -> permission matrix, enforced by requirePermission() on every mutating route.
+
+const ROLES = ["Admin", "Geotechnical Engineer", "Operator", "Viewer"];
+
+const PERMISSIONS = {
+  "alerts:ack": ["Admin", "Geotechnical Engineer", "Operator"],
+  "alerts:manage": ["Admin", "Geotechnical Engineer", "Operator"], // assign, investigate, notes
+  "alerts:resolve": ["Admin", "Geotechnical Engineer"], // resolve, false alarm, reopen
+  "simulation:run": ["Admin", "Geotechnical Engineer"],
+  "simulation:admin": ["Admin"], // set the live environmental inputs
+  "settings:write": ["Admin"],
+  "rules:manage": ["Admin", "Geotechnical Engineer"],
+  "escalation:manage": ["Admin", "Geotechnical Engineer"], // policies and on-call rosters
+  "zones:manage": ["Admin", "Geotechnical Engineer"], // zone outlines, GeoJSON import
+  "events:record": ["Admin", "Geotechnical Engineer"], // confirmed rockfall events
+  "reports:create": ["Admin", "Geotechnical Engineer", "Operator"], // saved shift and incident reports
+  "readings:ingest": ["Admin", "Geotechnical Engineer"],
+  "sensors:manage": ["Admin", "Geotechnical Engineer"], // surveyed positions
+  "users:manage": ["Admin"],
+};
+
+// Field gateways (X-Api-Key) may only push readings.
+const GATEWAY_PERMISSIONS = ["readings:ingest"];
+
+function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((p) => can(role, p));
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.user) {
+      if (can(req.user.role, permission)) return next();
+      return res.status(403).json({ error: `Your role (${req.user.role}) cannot perform ${permission}` });
+    }
+    if (req.gateway && GATEWAY_PERMISSIONS.includes(permission)) return next();
+    res.status(401).json({ error: "Authentication required" });
+  };
+}
+
+module.exports = { ROLES, PERMISSIONS, can, permissionsFor, requirePermission };
@@ -0,0 +1,148 @@
+// backend/lib/profiles.js
+// Risk model profiles: the factor weights, normalisers and severity bands the
+// risk engine (lib/risk.js) scores zones with.
+//
+// Profile shape:
+//   { id, name, description, builtIn, version, weights, normalisers, severityBands,
+//     basedOn: { profileId, name, version } | null, versions: [{ version, weights, normalisers,
+//     severityBands, savedAt, savedBy }], createdAt, updatedAt }
+// Every save of a custom profile is a new version; earlier ones stay in
+// `versions` so logged predictions and reports can name the exact model used.
+// Built-in profiles (Conservative, Balanced, Aggressive; seeded by migration
+// 10) are read-only: clone one to tune it.
+//
+// settings.ai.sensitivity selects the active profile through the "riskModel"
+// doc, which binds each sensitivity level to a profile:
+//   { bindings: { conservative: <profileId>, balanced: <profileId>, aggressive: <profileId> } }
+// Activating a profile rebinds one level (the current one by default), so the
+// sensitivity switch keeps working with tuned profiles.
+
+const store = require("./store");
+const events = require("./events");
+
+const SENSITIVITIES = ["conservative", "balanced", "aggressive"];
+const WEIGHT_KEYS = ["base", "rainfall", "seismic", "blasting", "piezometer", "inclinometer", "strain"];
+
+// Normalisers: the reading at which a factor reaches 1 (piezometer: pressure
+// at which it starts to count, plus the span over which it rises to 1).
+const NORMALISER_KEYS = {
+  rainfallMm: "mm",
+  seismicMag: "M",
+  seismicG: "g",
+  blastingLevel: "%",
+  piezometerBaseKPa: "kPa",
+  piezometerSpanKPa: "kPa",
+  inclinometerMm: "mm",
+  strainMm: "mm",
+};
+
+const DEFAULT_MODEL = {
+  weights: { base: 0.6, rainfall: 0.2, seismic: 0.15, blasting: 0.05, piezometer: 0.1, inclinometer: 0.1, strain: 0.05 },
+  normalisers: { rainfallMm: 200, seismicMag: 8, seismicG: 0.5, blastingLevel: 100, piezometerBaseKPa: 100, piezometerSpanKPa: 300, inclinometerMm: 50, strainMm: 5 },
+  severityBands: { high: 0.7, medium: 0.4 }, // score above -> severity
+};
+
+const profiles = () => store.collection("modelProfiles");
+const riskModel = () => store.getDoc("riskModel");
+
+// ---------- Validation ----------
+// Returns { error } or { model: { weights, normalisers, severityBands } }.
+// Missing keys keep the value from `base`.
+function validateModel(body, base = DEFAULT_MODEL) {
+  if (!body || typeof body !== "object") return { error: "Profile must be an object" };
+  const weights = { ...base.weights };
+  for (const [key, value] of Object.entries(body.weights || {})) {
+    if (!WEIGHT_KEYS.includes(key)) return { error: `Unknown weight: ${key}` };
+    const weight = Number(value);
+    if (!(weight >= 0 && weight <= 1)) return { error: `weights.${key} must be between 0 and 1` };
+    weights[key] = weight;
+  }
+  if (!Object.values(weights).some((w) => w > 0)) return { error: "At least one weight must be above 0" };
+
+  const normalisers = { ...base.normalisers };
+  for (const [key, value] of Object.entries(body.normalisers || {})) {
+    if (!NORMALISER_KEYS[key]) return { error: `Unknown normaliser: ${key}` };
+    const n = Number(value);
+    if (!(n > 0) && !(key === "piezometerBaseKPa" && n === 0)) return { error: `normalisers.${key} must be a positive number` };
+    normalisers[key] = n;
+  }
+
+  const severityBands = { ...base.severityBands, ...(body.severityBands || {}) };
+  severityBands.high = Number(severityBands.high);
+  severityBands.medium = Number(severityBands.medium);
+  if (!(severityBands.medium > 0 && severityBands.medium < severityBands.high && severityBands.high < 1)) {
+    return { error: "severityBands must satisfy 0 < medium < high < 1" };
+  }
+  return { model: { weights, normalisers, severityBands } };
+}
+
+// ---------- Lookup ----------
+const modelOf = (p) => ({ weights: p.weights, normalisers: p.normalisers, severityBands: p.severityBands });
+
+// The profile bound to the current sensitivity; falls back to the default
+// model if the binding points nowhere.
+function activeProfile() {
+  const sensitivity = store.getDoc("settings").ai?.sensitivity;
+  const id = riskModel().bindings[SENSITIVITIES.includes(sensitivity) ? sensitivity : "balanced"];
+  return profiles().get(id) || { id: null, name: "Default", version: 1, ...DEFAULT_MODEL };
+}
+
+// Short reference stored alongside scores computed with a profile.
+const profileRef = (p) => ({ profileId: p.id, name: p.name, version: p.version });
+
+// Sensitivity levels each profile is bound to: { [profileId]: ["balanced"] }.
+function boundLevels() {
+  const out = {};
+  for (const [level, id] of Object.entries(riskModel().bindings)) (out[id] = out[id] || []).push(level);
+  return out;
+}
+
+// ---------- Changes ----------
+function published(profile) {
+  events.publish("model.updated", { profile: profileRef(profile), bindings: riskModel().bindings });
+  return profile;
+}
+
+const versionEntry = (version, model, user) => ({ version, ...model, savedAt: new Date().toISOString(), savedBy: user ? { id: user.id, name: user.name } : null });
+
+function cloneProfile(source, { name, description } = {}, user) {
+  const now = new Date().toISOString();
+  const model = modelOf(source);
+  return profiles().insert({
+    name: String(name || "").trim() || `${source.name} (copy)`,
+    description: String(description ?? source.description ?? "").trim(),
+    builtIn: false,
+    version: 1,
+    ...model,
+    basedOn: profileRef(source),
+    versions: [versionEntry(1, model, user)],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Save a new version of a custom profile. Returns { error } or { profile }.
+function saveProfile(profile, body, user) {
+  const { error, model } = validateModel(body, modelOf(profile));
+  if (error) return { error };
+  const version = profile.version + 1;
+  const patch = {
+    ...model,
+    version,
+    versions: [...profile.versions, versionEntry(version, model, user)],
+    updatedAt: new Date().toISOString(),
+  };
+  if (body.name !== undefined && String(body.name).trim()) patch.name = String(body.name).trim();
+  if (body.description !== undefined) patch.description = String(body.description).trim();
+  return { profile: published(profiles().update(profile.id, patch)) };
+}
+
+// Bind a profile to a sensitivity level (the current one by default).
+function activateProfile(profile, sensitivity = store.getDoc("settings").ai?.sensitivity || "balanced") {
+  if (!SENSITIVITIES.includes(sensitivity)) return { error: `sensitivity must be one of: ${SENSITIVITIES.join(", ")}` };
+  const doc = riskModel();
+  store.setDoc("riskModel", { ...doc, bindings: { ...doc.bindings, [sensitivity]: profile.id } });
+  return { profile: published(profile), sensitivity };
+}
+
+module.exports = { SENSITIVITIES, WEIGHT_KEYS, NORMALISER_KEYS, DEFAULT_MODEL, profiles, riskModel, validateModel, modelOf, activeProfile, profileRef, boundLevels, cloneProfile, saveProfile, activateProfile };
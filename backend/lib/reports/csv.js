@@ -0,0 +1,47 @@
+// backend/lib/reports/csv.js
+// One CSV file holding every section: a "# Section" line, a header row, the
+// rows, then a blank line. Times are ISO-8601 UTC, scores 0-10, minutes as numbers.
+
+const { csvRow } = require("../util");
+
+function section(title, headers, rows) {
+  return [csvRow([`# ${title}`]), csvRow(headers), ...rows.map(csvRow), "\r\n"].join("");
+}
+
+function render(report) {
+  const s = report.summary;
+  return [
+    section(
+      "Report",
+      ["id", "kind", "title", "from", "to", "zones", "generated_at", "generated_by", "model", "model_version"],
+      [[report.id ?? "", report.kind, report.title, report.from, report.to, report.allZones ? "all" : report.zones.map((z) => z.name).join("; "), report.generatedAt, report.generatedBy?.name ?? "", report.model.name, report.model.version]]
+    ),
+    section(
+      "Summary",
+      ["peak_score", "peak_zone", "peak_at", "alerts", "alerts_high", "alerts_medium", "alerts_low", "still_open", "mean_ack_minutes", "mean_resolve_minutes", "sensor_availability", "simulation_runs"],
+      [[s.peakScore, s.peakZone, s.peakAt, s.alerts, s.alertsBySeverity.High, s.alertsBySeverity.Medium, s.alertsBySeverity.Low, s.stillOpen, s.meanAckMinutes, s.meanResolveMinutes, s.sensorAvailability, s.simulationRuns]]
+    ),
+    section(
+      `Risk trend (${report.risk.bucketMinutes} min buckets)`,
+      ["series", "zone_id", "ts", "mean", "max"],
+      report.risk.series.flatMap((r) => r.points.map((p) => [r.label, r.zoneId, p.ts, p.mean, p.max]))
+    ),
+    section(
+      "Alerts",
+      ["id", "raised_at", "carried_over", "zone", "severity", "message", "state", "acknowledged_at", "acknowledged_by", "ack_minutes", "resolved_at", "resolved_by", "resolution", "resolve_minutes", "from_simulation"],
+      report.alerts.map((a) => [a.id, a.raisedAt, a.carriedOver, a.zone, a.severity, a.msg, a.state, a.acknowledgedAt, a.acknowledgedBy, a.ackMinutes, a.resolvedAt, a.resolvedBy, a.resolution, a.resolveMinutes, a.simulated])
+    ),
+    section(
+      "Sensor availability",
+      ["sensor", "type", "zone", "availability", "reporting_hours", "expected_hours", "readings", "longest_gap_hours"],
+      report.sensors.map((x) => [x.code, x.type, x.zone, x.availability, x.reportingHours, x.expectedHours, x.readings, x.longestGapH])
+    ),
+    section(
+      "Simulation runs",
+      ["id", "ran_at", "scenario", "ran_by", "duration_h", "site_peak", "baseline_peak", "alerts", "baseline_alerts", "zone_peaks"],
+      report.simulations.map((r) => [r.id, r.ranAt, r.scenario, r.ranBy, r.durationH, r.sitePeak, r.baselinePeak, r.alerts, r.baselineAlerts, r.zones.map((z) => `${z.zone}=${z.peak}`).join("; ")])
+    ),
+  ].join("");
+}
+
+module.exports = { contentType: "text/csv; charset=utf-8", render };
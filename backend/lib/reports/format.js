@@ -0,0 +1,25 @@
+// backend/lib/reports/format.js
+// Value formatting and chart scaling shared by the report renderers.
+
+// Line colours for the risk series, in order (site first when present).
+const PALETTE = ["#111827", "#2563eb", "#dc2626", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#be185d", "#65a30d", "#78716c"];
+const SEVERITY_COLOR = { High: "#dc2626", Medium: "#d97706", Low: "#16a34a" };
+
+const time = (iso) => (iso ? new Date(iso).toISOString().slice(0, 16).replace("T", " ") : "");
+const minutes = (m) => (m === null || m === undefined ? "" : m < 120 ? `${m} min` : `${(m / 60).toFixed(1)} h`);
+const percent = (share) => (share === null || share === undefined ? "n/a" : `${(share * 100).toFixed(1)}%`);
+const score = (v) => (v === null || v === undefined ? "n/a" : v.toFixed(1));
+
+// Plot coordinates for the risk series: x over the report range, y over 0-10.
+// Returns { lines: [{ label, color, points: [[x, y]] }], bands: { medium, high } (y), ticks: [{ x, label }] }.
+function riskChart(report, { width, height }) {
+  const fromMs = Date.parse(report.from);
+  const spanMs = Date.parse(report.to) - fromMs;
+  const x = (ts) => ((Date.parse(ts) - fromMs) / spanMs) * width;
+  const y = (v) => height - (Math.min(10, Math.max(0, v)) / 10) * height;
+  const lines = report.risk.series.map((s, i) => ({ label: s.label, color: PALETTE[i % PALETTE.length], points: s.points.map((p) => [x(p.ts), y(p.mean)]) }));
+  const ticks = Array.from({ length: 5 }, (_, i) => ({ x: (i / 4) * width, label: time(new Date(fromMs + (i / 4) * spanMs).toISOString()).slice(5) }));
+  return { lines, bands: { medium: y(report.bands.medium), high: y(report.bands.high) }, ticks };
+}
+
+module.exports = { PALETTE, SEVERITY_COLOR, time, minutes, percent, score, riskChart };
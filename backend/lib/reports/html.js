@@ -0,0 +1,106 @@
+// backend/lib/reports/html.js
+// Printable, self-contained HTML (inline styles and SVG chart, no scripts).
+
+const { SEVERITY_COLOR, time, minutes, percent, score, riskChart } = require("./format");
+
+const CHART = { width: 900, height: 220 };
+
+const escape = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+function table(headers, rows, empty) {
+  if (!rows.length) return `<p class="muted">${escape(empty)}</p>`;
+  return `<table><thead><tr>${headers.map((h) => `<th>${escape(h)}</th>`).join("")}</tr></thead><tbody>${rows
+    .map((cells) => `<tr>${cells.map((c) => (typeof c === "object" && c !== null ? c.html : `<td>${escape(c)}</td>`)).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+}
+
+function chartSVG(report) {
+  const { width, height } = CHART;
+  const { lines, bands, ticks } = riskChart(report, CHART);
+  const pad = { left: 30, bottom: 20 };
+  const path = (points) => points.map(([x, y], i) => `${i ? "L" : "M"}${(x + pad.left).toFixed(1)},${y.toFixed(1)}`).join("");
+  return `<svg viewBox="0 0 ${width + pad.left} ${height + pad.bottom}" width="100%" role="img" aria-label="Risk score trend">
+  <rect x="${pad.left}" y="0" width="${width}" height="${bands.high}" fill="#fee2e2"/>
+  <rect x="${pad.left}" y="${bands.high}" width="${width}" height="${bands.medium - bands.high}" fill="#fef9c3"/>
+  <rect x="${pad.left}" y="0" width="${width}" height="${height}" fill="none" stroke="#9ca3af"/>
+  ${[0, 5, 10].map((v) => `<text x="${pad.left - 4}" y="${height - (v / 10) * height + 4}" text-anchor="end" font-size="10">${v}</text>`).join("")}
+  ${ticks.map((t, i) => `<text x="${t.x + pad.left}" y="${height + 14}" text-anchor="${i === 0 ? "start" : i === ticks.length - 1 ? "end" : "middle"}" font-size="10">${escape(t.label)}</text>`).join("")}
+  ${lines.map((l) => `<path d="${path(l.points)}" fill="none" stroke="${l.color}" stroke-width="${l.label === "Site" ? 2.5 : 1.5}"/>`).join("\n  ")}
+</svg>
+<div class="legend">${lines.map((l) => `<span><i style="background:${l.color}"></i>${escape(l.label)}</span>`).join("")}</div>`;
+}
+
+function render(report) {
+  const s = report.summary;
+  const severity = (v) => ({ html: `<td style="color:${SEVERITY_COLOR[v] || "inherit"};font-weight:600">${escape(v)}</td>` });
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(report.title)}</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; color: #111827; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #d1d5db; }
+  .muted { color: #6b7280; } .kpis { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; }
+  .kpis div { border: 1px solid #d1d5db; border-radius: 4px; padding: 6px 10px; } .kpis b { display: block; font-size: 16px; }
+  table { border-collapse: collapse; width: 100%; } th, td { border: 1px solid #e5e7eb; padding: 3px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; } tr { page-break-inside: avoid; }
+  .legend span { margin-right: 12px; font-size: 11px; } .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escape(report.title)}</h1>
+<div class="muted">${escape(report.range)} &middot; ${report.allZones ? "All zones" : escape(report.zones.map((z) => z.name).join(", "))} &middot; model ${escape(report.model.name)} v${escape(report.model.version)}</div>
+<div class="muted">Generated ${escape(time(report.generatedAt))} UTC${report.generatedBy ? ` by ${escape(report.generatedBy.name)}` : ""}${report.id ? ` &middot; report #${report.id}` : ""}</div>
+<div class="kpis">
+  <div>Peak risk<b>${score(s.peakScore)}</b>${escape(s.peakZone || "")}</div>
+  <div>Alerts<b>${s.alerts}</b>${s.alertsBySeverity.High} high, ${s.alertsBySeverity.Medium} medium, ${s.alertsBySeverity.Low} low</div>
+  <div>Still open<b>${s.stillOpen}</b>at end of range</div>
+  <div>Mean time to acknowledge<b>${minutes(s.meanAckMinutes) || "n/a"}</b></div>
+  <div>Mean time to resolve<b>${minutes(s.meanResolveMinutes) || "n/a"}</b></div>
+  <div>Sensor availability<b>${percent(s.sensorAvailability)}</b></div>
+  <div>Simulation runs<b>${s.simulationRuns}</b></div>
+</div>
+
+<h2>Risk trend</h2>
+<div class="muted">Mean score (0-10) per ${report.risk.bucketMinutes} min; shading marks the medium (${report.bands.medium}) and high (${report.bands.high}) bands.</div>
+${report.risk.series.some((r) => r.points.length) ? chartSVG(report) : '<p class="muted">No risk history recorded in this range.</p>'}
+${table(["Zone", "Mean", "Peak", "Peak at"], report.risk.series.map((r) => [r.label, score(r.mean), score(r.peak), time(r.peakAt)]), "No zones.")}
+
+<h2>Alerts</h2>
+${table(
+  ["#", "Raised", "Zone", "Severity", "Message", "Acknowledged", "Resolved", "Outcome"],
+  report.alerts.map((a) => [
+    a.id,
+    `${time(a.raisedAt)}${a.carriedOver ? " (before range)" : ""}`,
+    a.zone,
+    severity(a.severity),
+    `${a.msg}${a.simulated ? " [from simulation]" : ""}`,
+    a.acknowledgedAt ? `${time(a.acknowledgedAt)} (${minutes(a.ackMinutes)}) ${a.acknowledgedBy || ""}` : "not acknowledged",
+    a.resolvedAt ? `${time(a.resolvedAt)} (${minutes(a.resolveMinutes)}) ${a.resolvedBy || ""}` : "open",
+    a.resolution || a.state,
+  ]),
+  "No alerts in this range."
+)}
+
+<h2>Sensor availability</h2>
+<div class="muted">Hours with at least one reading out of the hours in the range.</div>
+${table(
+  ["Sensor", "Type", "Zone", "Availability", "Hours reporting", "Readings", "Longest gap"],
+  report.sensors.map((x) => [x.code, x.type, x.zone, percent(x.availability), `${x.reportingHours} / ${x.expectedHours}`, x.readings, `${x.longestGapH} h`]),
+  "No sensors."
+)}
+
+<h2>Simulation runs</h2>
+${table(
+  ["#", "Ran", "Scenario", "By", "Duration", "Peak (baseline)", "Alerts (baseline)", "Zone peaks"],
+  report.simulations.map((r) => [r.id, time(r.ranAt), r.scenario, r.ranBy || "", `${r.durationH} h`, `${score(r.sitePeak)} (${score(r.baselinePeak)})`, `${r.alerts} (${r.baselineAlerts})`, r.zones.map((z) => `${z.zone} ${score(z.peak)}`).join(", ")]),
+  "No simulation runs in this range."
+)}
+</body>
+</html>
+`;
+}
+
+module.exports = { contentType: "text/html; charset=utf-8", render };
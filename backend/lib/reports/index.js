@@ -0,0 +1,251 @@
+// backend/lib/reports/index.js
+// Shift and incident reports over a time range, optionally limited to some
+// zones. A report is a snapshot, generated once and saved in the "reports"
+// collection (newest MAX_REPORTS), then rendered on request by a format
+// module (html.js, pdf.js, csv.js) so a listed report always shows what it
+// showed when it was made.
+//
+// Report sections:
+//   risk         recorded score history (0-10) per zone, plus the site score
+//                when no zone filter is set, bucketed to ~100 points
+//   alerts       alerts raised in the range or still open at its start, with
+//                acknowledge and resolve times
+//   sensors      share of hours in the range with at least one reading, and
+//                the longest silence, per sensor counting for the zones
+//   simulations  scenario runs started in the range (lib/scenarios.js), peaks
+//                on the same 0-10 scale
+
+const store = require("../store");
+const timeseries = require("../timeseries");
+const { riskSeriesId } = require("../risk");
+const { activeProfile, profileRef } = require("../profiles");
+const { sensorDefs, zoneName } = require("../sensors");
+const { scenarioRuns } = require("../scenarios");
+const { CLOSED_STATES, alerts } = require("../alerts");
+const html = require("./html");
+const pdf = require("./pdf");
+const csv = require("./csv");
+
+const FORMATS = { html, pdf, csv };
+const KINDS = ["shift", "incident", "period"];
+const DEFAULT_RANGE_H = 12; // one shift
+const MAX_RANGE_DAYS = 31;
+const MAX_REPORTS = 200;
+const TARGET_POINTS = 100;
+const BUCKETS = [5, 15, 60, 360, 1440].map((m) => m * 60 * 1000);
+
+const reports = () => store.collection("reports");
+const zones = () => store.collection("zones");
+
+const round = (v, digits = 2) => Number(v.toFixed(digits));
+const minutesBetween = (from, to) => (from && to ? round((Date.parse(to) - Date.parse(from)) / 60000, 1) : null);
+
+// ---------- Validation ----------
+// Returns { error } or { params: { kind, title, fromMs, toMs, zoneIds } };
+// zoneIds null means every zone.
+function validateReportRequest(body = {}) {
+  const kind = body.kind ?? "shift";
+  if (!KINDS.includes(kind)) return { error: `kind must be one of: ${KINDS.join(", ")}` };
+  const toMs = body.to ? Date.parse(body.to) : Date.now();
+  const fromMs = body.from ? Date.parse(body.from) : toMs - DEFAULT_RANGE_H * timeseries.HOUR;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return { error: "from and to must be ISO-8601 timestamps" };
+  if (!(toMs > fromMs)) return { error: "to must be after from" };
+  if (toMs - fromMs > MAX_RANGE_DAYS * timeseries.DAY) return { error: `Reports cover at most ${MAX_RANGE_DAYS} days` };
+
+  let zoneIds = null;
+  const requested = typeof body.zoneIds === "string" ? body.zoneIds.split(",").filter(Boolean) : body.zoneIds;
+  if (Array.isArray(requested) && requested.length) {
+    zoneIds = [...new Set(requested.map(Number))];
+    const unknown = zoneIds.filter((id) => !zones().get(id));
+    if (unknown.length) return { error: `Unknown zone id(s): ${unknown.join(", ")}` };
+  }
+  const title = String(body.title ?? "").trim().slice(0, 120);
+  return { params: { kind, title, fromMs, toMs, zoneIds } };
+}
+
+// ---------- Sections ----------
+function riskTrend(fromMs, toMs, zoneList, allZones) {
+  const bucketMs = BUCKETS.find((b) => (toMs - fromMs) / b <= TARGET_POINTS) || BUCKETS[BUCKETS.length - 1];
+  const targets = [...(allZones ? [{ id: null, name: "Site" }] : []), ...zoneList];
+  const series = targets.map((z) => {
+    const points = timeseries.query(riskSeriesId(z.id), { fromMs, toMs, bucketMs }).map((b) => ({ ts: b.ts, mean: round(b.mean), max: round(b.max) }));
+    const peak = points.reduce((best, p) => (!best || p.max > best.max ? p : best), null);
+    return {
+      zoneId: z.id,
+      label: z.name,
+      points,
+      peak: peak ? peak.max : null,
+      peakAt: peak ? peak.ts : null,
+      mean: points.length ? round(points.reduce((sum, p) => sum + p.mean, 0) / points.length) : null,
+    };
+  });
+  return { bucketMinutes: bucketMs / 60000, series };
+}
+
+// First move out of "open", and the close that stuck (the last one, if reopened).
+function alertTimes(alert) {
+  const history = alert.history || [];
+  const ack = history.find((h) => h.state !== "open");
+  const closed = CLOSED_STATES.includes(alert.state) ? [...history].reverse().find((h) => CLOSED_STATES.includes(h.state)) : null;
+  return { ack, closed };
+}
+
+function alertTable(fromMs, toMs, zoneNames) {
+  return alerts()
+    .filter((a) => {
+      const raisedMs = Date.parse(a.time);
+      if (raisedMs > toMs || (zoneNames && !zoneNames.has(a.zone))) return false;
+      const { closed } = alertTimes(a);
+      return !closed || Date.parse(closed.at) >= fromMs;
+    })
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+    .map((a) => {
+      const { ack, closed } = alertTimes(a);
+      return {
+        id: a.id,
+        raisedAt: a.time,
+        carriedOver: Date.parse(a.time) < fromMs,
+        zone: a.zone,
+        severity: a.severity,
+        msg: a.msg,
+        state: a.state,
+        acknowledgedAt: ack ? ack.at : null,
+        acknowledgedBy: ack ? ack.by?.name ?? null : null,
+        ackMinutes: ack ? minutesBetween(a.time, ack.at) : null,
+        resolvedAt: closed ? closed.at : null,
+        resolvedBy: closed ? closed.by?.name ?? null : null,
+        resolution: closed ? a.resolution?.reason || closed.state : null,
+        resolveMinutes: closed ? minutesBetween(a.time, closed.at) : null,
+        simulated: a.origin?.type === "simulation",
+      };
+    });
+}
+
+function sensorAvailability(fromMs, toMs, zoneIds) {
+  const endMs = Math.min(toMs, Date.now());
+  const firstHour = Math.floor(fromMs / timeseries.HOUR);
+  const expectedHours = Math.max(0, Math.ceil(endMs / timeseries.HOUR) - firstHour);
+  return sensorDefs()
+    .filter((d) => !zoneIds || d.zoneId == null || zoneIds.includes(d.zoneId))
+    .map((def) => {
+      const buckets = endMs > fromMs ? timeseries.query(def.id, { fromMs, toMs: endMs, bucketMs: timeseries.HOUR }) : [];
+      const hours = buckets.filter((b) => b.count > 0).map((b) => Date.parse(b.ts) / timeseries.HOUR - firstHour);
+      let longestGapH = 0;
+      let previous = -1;
+      for (const h of [...hours, expectedHours]) {
+        longestGapH = Math.max(longestGapH, h - previous - 1);
+        previous = h;
+      }
+      return {
+        id: def.id,
+        code: def.code,
+        type: def.type,
+        zone: zoneName(def),
+        expectedHours,
+        reportingHours: hours.length,
+        availability: expectedHours ? round(hours.length / expectedHours, 3) : null,
+        readings: buckets.reduce((sum, b) => sum + b.count, 0),
+        longestGapH,
+      };
+    });
+}
+
+function simulationRuns(fromMs, toMs, zoneIds) {
+  return scenarioRuns()
+    .filter((r) => {
+      const ms = Date.parse(r.ranAt);
+      return ms >= fromMs && ms <= toMs;
+    })
+    .map((r) => ({
+      id: r.id,
+      scenario: r.scenario,
+      ranAt: r.ranAt,
+      ranBy: r.ranBy?.name ?? null,
+      model: r.model,
+      durationH: r.durationH,
+      sitePeak: r.site.peak.value,
+      baselinePeak: r.site.baselinePeak.value,
+      alerts: r.alerts.length,
+      baselineAlerts: r.baselineAlerts.length,
+      zones: r.zones.filter((z) => !zoneIds || zoneIds.includes(z.zoneId)).map((z) => ({ zone: z.zone, peak: round(z.peak.value * 10, 1), firstHighMinute: z.firstHighMinute })),
+    }));
+}
+
+function summarise({ risk, alerts, sensors, simulations }) {
+  const mean = (values) => (values.length ? round(values.reduce((a, b) => a + b, 0) / values.length, 1) : null);
+  const peaks = risk.series.filter((s) => s.peak !== null && s.zoneId !== null);
+  const worst = peaks.reduce((best, s) => (!best || s.peak > best.peak ? s : best), null);
+  const expected = sensors.reduce((sum, s) => sum + s.expectedHours, 0);
+  return {
+    peakScore: worst ? worst.peak : null,
+    peakZone: worst ? worst.label : null,
+    peakAt: worst ? worst.peakAt : null,
+    alerts: alerts.length,
+    alertsBySeverity: ["High", "Medium", "Low"].reduce((acc, s) => ({ ...acc, [s]: alerts.filter((a) => a.severity === s).length }), {}),
+    stillOpen: alerts.filter((a) => !a.resolvedAt).length,
+    meanAckMinutes: mean(alerts.filter((a) => a.ackMinutes !== null).map((a) => a.ackMinutes)),
+    meanResolveMinutes: mean(alerts.filter((a) => a.resolveMinutes !== null).map((a) => a.resolveMinutes)),
+    sensorAvailability: expected ? round(sensors.reduce((sum, s) => sum + s.reportingHours, 0) / expected, 3) : null,
+    simulationRuns: simulations.length,
+  };
+}
+
+// ---------- Reports ----------
+function describeRange(fromMs, toMs) {
+  const fmt = (ms) => new Date(ms).toISOString().slice(0, 16).replace("T", " ");
+  return `${fmt(fromMs)} to ${fmt(toMs)} UTC`;
+}
+
+function buildReport({ kind, title, fromMs, toMs, zoneIds }, user = null) {
+  const allZones = !zoneIds;
+  const zoneList = zones().filter((z) => allZones || zoneIds.includes(z.id)).map((z) => ({ id: z.id, name: z.name }));
+  const profile = activeProfile();
+  const sections = {
+    risk: riskTrend(fromMs, toMs, zoneList, allZones),
+    alerts: alertTable(fromMs, toMs, allZones ? null : new Set(zoneList.map((z) => z.name))),
+    sensors: sensorAvailability(fromMs, toMs, zoneIds),
+    simulations: simulationRuns(fromMs, toMs, zoneIds),
+  };
+  const label = kind[0].toUpperCase() + kind.slice(1);
+  return {
+    kind,
+    title: title || `${label} report, ${allZones ? "all zones" : zoneList.map((z) => z.name).join(", ")}`,
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    range: describeRange(fromMs, toMs),
+    allZones,
+    zones: zoneList,
+    generatedAt: new Date().toISOString(),
+    generatedBy: user ? { id: user.id, name: user.name } : null,
+    model: profileRef(profile),
+    bands: { medium: round(profile.severityBands.medium * 10, 1), high: round(profile.severityBands.high * 10, 1) },
+    summary: summarise(sections),
+    ...sections,
+  };
+}
+
+function saveReport(params, user) {
+  const report = reports().insert(buildReport(params, user));
+  const excess = reports().count() - MAX_REPORTS;
+  if (excess > 0) reports().all().slice(0, excess).forEach((r) => reports().remove(r.id));
+  return report;
+}
+
+// List entries without the section data.
+const reportSummary = ({ risk, alerts, sensors, simulations, ...report }) => report;
+
+function listReports() {
+  return reports().all().map(reportSummary).reverse();
+}
+
+/**
+ * Render a report; resolves to { body, contentType, filename }.
+ * Throws on an unknown format (check FORMATS first).
+ */
+async function renderReport(report, format) {
+  const renderer = FORMATS[format];
+  const slug = `${report.kind}-report-${report.from.slice(0, 16).replace("T", "-").replace(":", "")}${report.id ? `-${report.id}` : ""}`;
+  return { body: await renderer.render(report), contentType: renderer.contentType, filename: `${slug}.${format}` };
+}
+
+module.exports = { FORMATS, KINDS, MAX_RANGE_DAYS, reports, validateReportRequest, buildReport, saveReport, reportSummary, listReports, renderReport };
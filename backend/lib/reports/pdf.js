@@ -0,0 +1,191 @@
+// backend/lib/reports/pdf.js
+// A4 PDF with the same sections as the HTML report, drawn with pdfkit.
+
+const PDFDocument = require("pdfkit");
+const { SEVERITY_COLOR, time, minutes, percent, score, riskChart } = require("./format");
+
+const MARGIN = 40;
+const WIDTH = 595.28 - 2 * MARGIN; // A4 portrait
+const ROW_PAD = 3;
+
+function heading(doc, text) {
+  if (doc.y > doc.page.height - MARGIN - 80) doc.addPage();
+  doc.moveDown(0.8).font("Helvetica-Bold").fontSize(12).fillColor("#111827").text(text, MARGIN, doc.y, { width: WIDTH });
+  doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + WIDTH, doc.y + 2).strokeColor("#d1d5db").lineWidth(0.5).stroke();
+  doc.moveDown(0.5);
+}
+
+function note(doc, text) {
+  doc.font("Helvetica").fontSize(8).fillColor("#6b7280").text(text, MARGIN, doc.y, { width: WIDTH }).moveDown(0.3);
+}
+
+// columns: [{ header, width (share of the page), color?(row) }]; rows: arrays of strings.
+function table(doc, columns, rows, empty) {
+  if (!rows.length) return note(doc, empty);
+  const widths = columns.map((c) => c.width * WIDTH);
+  const drawRow = (cells, { bold = false, fill = null, colors = [] } = {}) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7.5);
+    const height = Math.max(...cells.map((c, i) => doc.heightOfString(String(c ?? ""), { width: widths[i] - 2 * ROW_PAD }))) + 2 * ROW_PAD;
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map((c) => c.header), { bold: true, fill: "#f3f4f6" });
+    }
+    const top = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      if (fill) doc.rect(x, top, widths[i], height).fill(fill);
+      doc.rect(x, top, widths[i], height).strokeColor("#e5e7eb").lineWidth(0.5).stroke();
+      doc.fillColor(colors[i] || "#111827").text(String(cell ?? ""), x + ROW_PAD, top + ROW_PAD, { width: widths[i] - 2 * ROW_PAD });
+      x += widths[i];
+    });
+    doc.y = top + height;
+  };
+  drawRow(columns.map((c) => c.header), { bold: true, fill: "#f3f4f6" });
+  rows.forEach((row) => drawRow(row, { colors: columns.map((c) => c.color?.(row)) }));
+  doc.x = MARGIN;
+}
+
+function chart(doc, report) {
+  const size = { width: WIDTH - 24, height: 150 };
+  if (doc.y + size.height + 40 > doc.page.height - MARGIN) doc.addPage();
+  const left = MARGIN + 24;
+  const top = doc.y;
+  const { lines, bands, ticks } = riskChart(report, size);
+  doc.rect(left, top, size.width, bands.high).fill("#fee2e2");
+  doc.rect(left, top + bands.high, size.width, bands.medium - bands.high).fill("#fef9c3");
+  doc.rect(left, top, size.width, size.height).strokeColor("#9ca3af").lineWidth(0.5).stroke();
+  doc.font("Helvetica").fontSize(7).fillColor("#111827");
+  for (const v of [0, 5, 10]) doc.text(String(v), MARGIN, top + size.height - (v / 10) * size.height - 3, { width: 20, align: "right" });
+  ticks.forEach((t, i) => doc.text(t.label, left + t.x - (i === 0 ? 0 : i === ticks.length - 1 ? 60 : 30), top + size.height + 3, { width: 60, align: i === 0 ? "left" : i === ticks.length - 1 ? "right" : "center" }));
+  for (const line of lines) {
+    if (!line.points.length) continue;
+    line.points.forEach(([x, y], i) => (i ? doc.lineTo(left + x, top + y) : doc.moveTo(left + x, top + y)));
+    doc.strokeColor(line.color).lineWidth(line.label === "Site" ? 1.8 : 1).stroke();
+  }
+  let x = left;
+  const legendY = top + size.height + 16;
+  for (const line of lines) {
+    const w = doc.widthOfString(line.label) + 20;
+    if (x + w > MARGIN + WIDTH) break;
+    doc.rect(x, legendY + 1, 7, 7).fill(line.color);
+    doc.fillColor("#111827").text(line.label, x + 10, legendY, { lineBreak: false });
+    x += w;
+  }
+  doc.x = MARGIN;
+  doc.y = legendY + 16;
+}
+
+// Resolves to the PDF as a Buffer.
+function render(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: report.title, Author: report.generatedBy?.name || "system" } });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const s = report.summary;
+    doc.font("Helvetica-Bold").fontSize(16).fillColor("#111827").text(report.title);
+    note(doc, `${report.range} - ${report.allZones ? "All zones" : report.zones.map((z) => z.name).join(", ")} - model ${report.model.name} v${report.model.version}`);
+    note(doc, `Generated ${time(report.generatedAt)} UTC${report.generatedBy ? ` by ${report.generatedBy.name}` : ""}${report.id ? ` - report #${report.id}` : ""}`);
+
+    heading(doc, "Summary");
+    table(
+      doc,
+      [
+        { header: "Peak risk", width: 1 / 7 },
+        { header: "Alerts", width: 1 / 7 },
+        { header: "Still open", width: 1 / 7 },
+        { header: "Mean time to acknowledge", width: 1 / 7 },
+        { header: "Mean time to resolve", width: 1 / 7 },
+        { header: "Sensor availability", width: 1 / 7 },
+        { header: "Simulation runs", width: 1 / 7 },
+      ],
+      [[
+        `${score(s.peakScore)} ${s.peakZone || ""}`,
+        `${s.alerts} (${s.alertsBySeverity.High} high, ${s.alertsBySeverity.Medium} medium, ${s.alertsBySeverity.Low} low)`,
+        String(s.stillOpen),
+        minutes(s.meanAckMinutes) || "n/a",
+        minutes(s.meanResolveMinutes) || "n/a",
+        percent(s.sensorAvailability),
+        String(s.simulationRuns),
+      ]],
+      ""
+    );
+
+    heading(doc, "Risk trend");
+    note(doc, `Mean score (0-10) per ${report.risk.bucketMinutes} min; shading marks the medium (${report.bands.medium}) and high (${report.bands.high}) bands.`);
+    if (report.risk.series.some((r) => r.points.length)) chart(doc, report);
+    else note(doc, "No risk history recorded in this range.");
+    table(
+      doc,
+      [{ header: "Zone", width: 0.4 }, { header: "Mean", width: 0.15 }, { header: "Peak", width: 0.15 }, { header: "Peak at", width: 0.3 }],
+      report.risk.series.map((r) => [r.label, score(r.mean), score(r.peak), time(r.peakAt)]),
+      "No zones."
+    );
+
+    heading(doc, "Alerts");
+    table(
+      doc,
+      [
+        { header: "#", width: 0.05 },
+        { header: "Raised", width: 0.13 },
+        { header: "Zone", width: 0.13 },
+        { header: "Severity", width: 0.08, color: (row) => SEVERITY_COLOR[row[3]] },
+        { header: "Message", width: 0.21 },
+        { header: "Acknowledged", width: 0.15 },
+        { header: "Resolved", width: 0.15 },
+        { header: "Outcome", width: 0.1 },
+      ],
+      report.alerts.map((a) => [
+        String(a.id),
+        `${time(a.raisedAt)}${a.carriedOver ? " (before range)" : ""}`,
+        a.zone,
+        a.severity,
+        `${a.msg}${a.simulated ? " [from simulation]" : ""}`,
+        a.acknowledgedAt ? `${time(a.acknowledgedAt)} (${minutes(a.ackMinutes)}) ${a.acknowledgedBy || ""}` : "not acknowledged",
+        a.resolvedAt ? `${time(a.resolvedAt)} (${minutes(a.resolveMinutes)}) ${a.resolvedBy || ""}` : "open",
+        a.resolution || a.state,
+      ]),
+      "No alerts in this range."
+    );
+
+    heading(doc, "Sensor availability");
+    note(doc, "Hours with at least one reading out of the hours in the range.");
+    table(
+      doc,
+      [
+        { header: "Sensor", width: 0.1 },
+        { header: "Type", width: 0.16 },
+        { header: "Zone", width: 0.22 },
+        { header: "Availability", width: 0.12 },
+        { header: "Hours reporting", width: 0.14 },
+        { header: "Readings", width: 0.12 },
+        { header: "Longest gap", width: 0.14 },
+      ],
+      report.sensors.map((x) => [x.code, x.type, x.zone, percent(x.availability), `${x.reportingHours} / ${x.expectedHours}`, String(x.readings), `${x.longestGapH} h`]),
+      "No sensors."
+    );
+
+    heading(doc, "Simulation runs");
+    table(
+      doc,
+      [
+        { header: "#", width: 0.05 },
+        { header: "Ran", width: 0.14 },
+        { header: "Scenario", width: 0.17 },
+        { header: "By", width: 0.1 },
+        { header: "Duration", width: 0.08 },
+        { header: "Peak (baseline)", width: 0.11 },
+        { header: "Alerts (baseline)", width: 0.11 },
+        { header: "Zone peaks", width: 0.24 },
+      ],
+      report.simulations.map((r) => [String(r.id), time(r.ranAt), r.scenario, r.ranBy || "", `${r.durationH} h`, `${score(r.sitePeak)} (${score(r.baselinePeak)})`, `${r.alerts} (${r.baselineAlerts})`, r.zones.map((z) => `${z.zone} ${score(z.peak)}`).join(", ")]),
+      "No simulation runs in this range."
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = { contentType: "application/pdf", render };
@@ -0,0 +1,208 @@
+// backend/lib/risk.js
+// Risk engine: per-zone scores from zone baseRisk, environmental inputs and the
+// latest readings of the sensors in each zone, the site score aggregated from
+// them, and their recorded history and forecasts.
+
+const store = require("./store");
+const { clamp } = require("./util");
+const { getSimulation } = require("./simulation");
+const { sensorDefs, sensorSnapshot } = require("./sensors");
+const timeseries = require("./timeseries");
+const { forecastSeries } = require("./forecast");
+const { activeProfile, profileRef } = require("./profiles");
+
+// ---------- Model ----------
+// A zone's score (0-1) is a weighted sum of factors, each normalised to 0-1:
+//   base        the zone's own baseRisk (geology, slope history)
+//   rainfall    max(rainfall input, rain gauge in/over the zone) / rainfallMm
+//   seismic     max(magnitude input / seismicMag, measured ground acceleration / seismicG)
+//   blasting    blasting level input / blastingLevel
+//   piezometer  pore pressure above piezometerBaseKPa, over piezometerSpanKPa
+//   inclinometer  displacement / inclinometerMm
+//   strain      crack width / strainMm
+// Weights, normalisers and the severity bands come from the active model
+// profile (lib/profiles.js), selected by settings.ai.sensitivity.
+// Sensor factors use the worst online sensor of that type in the zone; sensors
+// without a zone (site-wide instruments) count for every zone. A factor with no
+// online sensor contributes nothing. Scores above 1 are capped.
+//
+// The site score (0-10, shown as the KPI and used by "risk" rules) is the
+// highest zone score x 10: the site is as risky as its worst zone.
+const FACTORS = [
+  { key: "base", label: "Base risk", unit: "" },
+  { key: "rainfall", label: "Rainfall", unit: "mm", input: "rainfallMm", sensorType: "Weather Station", normalise: (mm, n) => mm / n.rainfallMm },
+  { key: "seismic", label: "Seismic", unit: "M", input: "seismicMag", normalise: (mag, n) => mag / n.seismicMag, sensorType: "Seismometer", normaliseSensor: (g, n) => g / n.seismicG },
+  { key: "blasting", label: "Blasting", unit: "%", input: "blastingLevel", normalise: (level, n) => level / n.blastingLevel },
+  { key: "piezometer", label: "Pore pressure", unit: "kPa", sensorType: "Piezometer", normalise: (kPa, n) => (kPa - n.piezometerBaseKPa) / n.piezometerSpanKPa },
+  { key: "inclinometer", label: "Slope displacement", unit: "mm", sensorType: "Inclinometer", normalise: (mm, n) => mm / n.inclinometerMm },
+  { key: "strain", label: "Crack width", unit: "mm", sensorType: "Strain Gauge", normalise: (mm, n) => mm / n.strainMm },
+];
+
+const zones = () => store.collection("zones");
+
+const severityOf = (score, bands = activeProfile().severityBands) => (score > bands.high ? "High" : score > bands.medium ? "Medium" : "Low");
+const round = (v, digits = 3) => Number(v.toFixed(digits));
+
+// Online sensors of each type that count for a zone.
+function zoneSensors(zone) {
+  const byType = {};
+  for (const def of sensorDefs().filter((d) => d.zoneId === zone.id || d.zoneId == null)) {
+    const snap = sensorSnapshot(def);
+    if (snap.status === "offline" || snap.rawValue === null) continue;
+    (byType[def.type] = byType[def.type] || []).push({ code: def.code, value: snap.rawValue, unit: def.unit });
+  }
+  return byType;
+}
+
+// Factor-by-factor breakdown for one zone.
+// inputs: environmental inputs ({ rainfallMm, seismicMag, blastingLevel });
+// sensors: { [sensorType]: [{ code, value, unit }] } of the online sensors that
+// count for the zone. Both default to the live state; the backtest passes
+// values reconstructed from stored history. profile defaults to the active one.
+function computeZoneRisk(zone, inputs = getSimulation(), sensors = zoneSensors(zone), at = new Date().toISOString(), profile = activeProfile()) {
+  const { weights, normalisers, severityBands } = profile;
+  const factors = FACTORS.map((f) => {
+    const candidates = [];
+    if (f.key === "base") candidates.push({ value: zone.baseRisk, normalised: zone.baseRisk, source: "zone baseRisk" });
+    if (f.input) candidates.push({ value: inputs[f.input], normalised: f.normalise(inputs[f.input], normalisers), source: `input ${f.input}` });
+    for (const s of (f.sensorType && sensors[f.sensorType]) || []) {
+      candidates.push({ value: s.value, unit: s.unit, normalised: (f.normaliseSensor || f.normalise)(s.value, normalisers), source: s.code });
+    }
+    const worst = candidates.reduce((max, c) => (!max || c.normalised > max.normalised ? c : max), null);
+    const normalised = worst ? clamp(worst.normalised, 0, 1) : 0;
+    return {
+      key: f.key,
+      label: f.label,
+      value: worst ? worst.value : null,
+      unit: worst ? worst.unit ?? f.unit : f.unit,
+      source: worst ? worst.source : "no online sensor",
+      normalised: round(normalised),
+      weight: weights[f.key],
+      contribution: round(normalised * weights[f.key]),
+    };
+  });
+  const raw = factors.reduce((sum, f) => sum + f.contribution, 0);
+  const score = round(Math.min(1, raw), 2);
+  return { zoneId: zone.id, zone: zone.name, score, severity: severityOf(score, severityBands), raw: round(raw), factors, model: profileRef(profile), computedAt: at };
+}
+
+function computeZoneRisks(profile = activeProfile()) {
+  const simulation = getSimulation();
+  return zones().all().map((z) => computeZoneRisk(z, simulation, undefined, undefined, profile));
+}
+
+// Site score, 0-10 as a one-decimal string: the highest zone score x 10.
+function computeRiskScore(zoneRisks = computeZoneRisks()) {
+  const worst = zoneRisks.reduce((max, z) => Math.max(max, z.score), 0);
+  return (worst * 10).toFixed(1);
+}
+
+// Zones with their current score and severity, for the map.
+function computeZoneMap() {
+  const risks = new Map(computeZoneRisks().map((r) => [r.zoneId, r]));
+  return zones().all().map((z) => ({ ...z, score: risks.get(z.id).score, severity: risks.get(z.id).severity }));
+}
+
+// ---------- Explanation ----------
+// Additive contributions to a zone score, on the 0-10 scale. The model is a
+// weighted sum, so exact Shapley values against a single reference point are
+//   contribution_i = weight_i x (normalised_i - reference_i)
+// The reference is a quiet site: average baseRisk over all zones, no rain,
+// seismicity or blasting and every sensor factor at zero. baseline is the score
+// at the reference; baseline + sum(contributions) = final. When the raw sum
+// exceeds 1 the cap shows up as its own negative "cap" contribution.
+function explainZoneRisk(zone) {
+  const risk = computeZoneRisk(zone);
+  const all = zones().all();
+  const reference = { base: all.reduce((sum, z) => sum + z.baseRisk, 0) / all.length };
+  const baseline = risk.factors.find((f) => f.key === "base").weight * reference.base * 10;
+
+  const contributions = risk.factors.map((f) => ({
+    key: f.key,
+    label: f.label,
+    value: f.value,
+    unit: f.unit,
+    source: f.source,
+    contribution: round(f.weight * (f.normalised - (reference[f.key] || 0)) * 10),
+  }));
+  const uncapped = baseline + contributions.reduce((sum, c) => sum + c.contribution, 0);
+  const final = risk.raw > 1 ? 10 : uncapped;
+  if (risk.raw > 1) contributions.push({ key: "cap", label: "Score cap", value: null, unit: "", source: "scores are capped at 10", contribution: round(final - uncapped) });
+
+  return { zoneId: zone.id, zone: zone.name, severity: risk.severity, scale: 10, baseline: round(baseline), final: round(final), contributions, computedAt: risk.computedAt };
+}
+
+// ---------- Profile preview ----------
+// Current zone scores under the active profile next to those a candidate
+// model ({ weights, normalisers, severityBands }) would give, from the same
+// live inputs and readings.
+function previewModel(model) {
+  const active = activeProfile();
+  const simulation = getSimulation();
+  const rows = zones().all().map((z) => {
+    const sensors = zoneSensors(z);
+    const current = computeZoneRisk(z, simulation, sensors, undefined, active);
+    const preview = computeZoneRisk(z, simulation, sensors, undefined, { ...model, id: null, name: "Preview", version: null });
+    return {
+      zoneId: z.id,
+      zone: z.name,
+      current: { score: current.score, severity: current.severity },
+      preview: { score: preview.score, severity: preview.severity },
+      changed: current.severity !== preview.severity,
+    };
+  });
+  const site = (key) => (rows.reduce((max, r) => Math.max(max, r[key].score), 0) * 10).toFixed(1);
+  return { active: profileRef(active), zones: rows, site: { current: site("current"), preview: site("preview") }, changedZones: rows.filter((r) => r.changed).length };
+}
+
+// ---------- History & forecast ----------
+// Zone and site scores (0-10) are recorded once a minute as time series
+// "risk-zone-<id>" and "risk-site", which the forecasts are fitted on, along
+// with the environmental inputs ("input-rainfallMm", ...) so past scores can be
+// replayed (see lib/performance.js).
+const riskSeriesId = (zoneId) => (zoneId == null ? "risk-site" : `risk-zone-${zoneId}`);
+const INPUTS = FACTORS.filter((f) => f.input).map((f) => f.input);
+const inputSeriesId = (input) => `input-${input}`;
+const FORECAST_TTL_MS = 60 * 1000; // history is bucketed by 15 min; refitting more often gains nothing
+const forecastCache = new Map();
+let lastRecordedMinute = null;
+
+function recordRiskHistory(nowMs = Date.now()) {
+  const minute = Math.floor(nowMs / 60000);
+  if (minute === lastRecordedMinute) return;
+  lastRecordedMinute = minute;
+  const ts = new Date(minute * 60000).toISOString();
+  const risks = computeZoneRisks();
+  for (const r of risks) timeseries.append(riskSeriesId(r.zoneId), [{ ts, value: round(r.score * 10, 2) }]);
+  timeseries.append(riskSeriesId(null), [{ ts, value: Number(computeRiskScore(risks)) }]);
+  const simulation = getSimulation();
+  for (const input of INPUTS) timeseries.append(inputSeriesId(input), [{ ts, value: simulation[input] }]);
+}
+
+// Forecast of a zone's score (or the site score when zoneId is null), 0-10.
+function forecastRisk(zoneId = null, { horizonsH = [1, 3, 6, 12, 24], level = 95 } = {}) {
+  const key = JSON.stringify([zoneId, horizonsH, level]);
+  const cached = forecastCache.get(key);
+  if (cached && Date.now() - cached.at < FORECAST_TTL_MS) return cached.forecast;
+  const zone = zoneId == null ? null : zones().get(zoneId);
+  const now = zone ? computeZoneRisk(zone).score * 10 : Number(computeRiskScore());
+  const forecast = forecastSeries(riskSeriesId(zoneId), { horizonsH, level, bounds: [0, 10], now });
+  forecastCache.set(key, { at: Date.now(), forecast });
+  return forecast;
+}
+
+// Site forecast as chart series: "Now" is the live score, then each horizon.
+function predictionSeries() {
+  const now = Number(computeRiskScore());
+  const f = forecastRisk(null);
+  return {
+    labels: ["Now", ...f.points.map((p) => `${p.hoursAhead}h`)],
+    values: [now, ...f.points.map((p) => p.value)],
+    lower: [now, ...f.points.map((p) => p.lower)],
+    upper: [now, ...f.points.map((p) => p.upper)],
+    method: f.method,
+    level: f.level,
+  };
+}
+
+module.exports = { FACTORS, severityOf, zoneSensors, computeZoneRisk, computeZoneRisks, computeRiskScore, computeZoneMap, explainZoneRisk, previewModel, INPUTS, riskSeriesId, inputSeriesId, recordRiskHistory, forecastRisk, predictionSeries };
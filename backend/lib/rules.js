@@ -0,0 +1,220 @@
+// backend/lib/rules.js
+// Threshold rule engine. Every live sensor reading (sensor.reading events) and
+// every site risk recalculation is checked against the rules in scope, and a
+// rule that trips creates an attributed alert.
+//
+// Rule shape:
+//   { id, name, enabled, severity, message,
+//     scope: { source: "sensor" | "risk", sensorType?, sensorId?, zone? },
+//     condition: { kind: "threshold" | "rate", operator, value, windowSec? },
+//     hysteresis, cooldownSec }
+//
+// A "rate" condition compares the change per minute over the last windowSec.
+// Once tripped, a rule stays active until the value recovers past the threshold
+// by `hysteresis`, and it never fires twice within `cooldownSec` for the same
+// source. Per rule+source state lives in the "ruleState" document.
+
+const store = require("./store");
+const events = require("./events");
+const timeseries = require("./timeseries");
+const { createAlert } = require("./alerts");
+const { findSensorDef, zoneName } = require("./sensors");
+const { computeRiskScore } = require("./risk");
+
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+const SEVERITIES = ["High", "Medium", "Low"];
+const SOURCES = ["sensor", "risk"];
+const KINDS = ["threshold", "rate"];
+
+const rules = () => store.collection("rules");
+
+// ---------- Validation ----------
+// Returns { error } or { rule } with normalized fields.
+function validateRule(body) {
+  if (!body || typeof body !== "object") return { error: "Rule must be an object" };
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "name is required" };
+
+  const scope = body.scope || {};
+  const source = scope.source || "sensor";
+  if (!SOURCES.includes(source)) return { error: `scope.source must be one of: ${SOURCES.join(", ")}` };
+
+  const condition = body.condition || {};
+  const kind = condition.kind || "threshold";
+  if (!KINDS.includes(kind)) return { error: `condition.kind must be one of: ${KINDS.join(", ")}` };
+  if (!OPERATORS[condition.operator]) return { error: `condition.operator must be one of: ${Object.keys(OPERATORS).join(" ")}` };
+  const value = Number(condition.value);
+  if (condition.value === undefined || condition.value === "" || !Number.isFinite(value)) return { error: "condition.value must be a number" };
+  const windowSec = kind === "rate" ? Number(condition.windowSec) : undefined;
+  if (kind === "rate" && !(windowSec > 0)) return { error: "condition.windowSec must be a positive number for rate rules" };
+
+  const hysteresis = Number(body.hysteresis ?? 0);
+  const cooldownSec = Number(body.cooldownSec ?? 0);
+  if (!(hysteresis >= 0)) return { error: "hysteresis must be zero or positive" };
+  if (!(cooldownSec >= 0)) return { error: "cooldownSec must be zero or positive" };
+
+  const severity = body.severity || "Medium";
+  if (!SEVERITIES.includes(severity)) return { error: `severity must be one of: ${SEVERITIES.join(", ")}` };
+
+  const cleanScope = { source };
+  if (source === "sensor") {
+    if (scope.sensorType) cleanScope.sensorType = String(scope.sensorType);
+    if (scope.sensorId !== undefined && scope.sensorId !== null && scope.sensorId !== "") cleanScope.sensorId = Number(scope.sensorId);
+    if (scope.zone) cleanScope.zone = String(scope.zone);
+  }
+
+  return {
+    rule: {
+      name,
+      enabled: body.enabled !== false,
+      severity,
+      message: String(body.message || "").trim() || "{{rule}}: {{source}} {{value}} {{unit}} {{operator}} {{threshold}}",
+      scope: cleanScope,
+      condition: { kind, operator: condition.operator, value, ...(kind === "rate" ? { windowSec } : {}) },
+      hysteresis,
+      cooldownSec,
+    },
+  };
+}
+
+// ---------- Evaluation ----------
+function inScope(rule, def) {
+  const { scope } = rule;
+  if (scope.source !== (def ? "sensor" : "risk")) return false;
+  if (!def) return true;
+  if (scope.sensorId !== undefined && scope.sensorId !== def.id) return false;
+  if (scope.sensorType && scope.sensorType !== def.type) return false;
+  if (scope.zone && scope.zone !== zoneName(def) && scope.zone !== def.location) return false;
+  return true;
+}
+
+// Value after it has recovered past the threshold by the hysteresis margin.
+function cleared(rule, observed) {
+  const { operator, value } = rule.condition;
+  const h = rule.hysteresis;
+  if (operator === ">" || operator === ">=") return observed <= value - h;
+  if (operator === "<" || operator === "<=") return observed >= value + h;
+  return !OPERATORS[operator](observed, value);
+}
+
+// Change per minute since the oldest of `points` ([{ ts, value }], oldest
+// first) inside the rule window, or null without an earlier reading.
+function rateFrom(rule, points, value, ts) {
+  const toMs = Date.parse(ts);
+  const fromMs = toMs - rule.condition.windowSec * 1000;
+  const first = points.find((p) => Date.parse(p.ts) >= fromMs);
+  if (!first || first.ts >= ts) return null;
+  return (value - first.value) / ((toMs - Date.parse(first.ts)) / 60000);
+}
+
+function rateOfChange(rule, sensorId, value, ts) {
+  const toMs = Date.parse(ts);
+  return rateFrom(rule, timeseries.query(sensorId, { fromMs: toMs - rule.condition.windowSec * 1000, toMs, bucketMs: 0 }), value, ts);
+}
+
+function render(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (m, key) => (vars[key] !== undefined ? String(vars[key]) : m));
+}
+
+// One rule against one observation. Returns the next per rule+source state and
+// whether an alert fires. A tripped rule stays active (and silent) until
+// cleared, even inside the cooldown.
+function advance(rule, s, observed, nowMs) {
+  if (s.active) return { next: cleared(rule, observed) ? { ...s, active: false } : s, fire: false };
+  if (!OPERATORS[rule.condition.operator](observed, rule.condition.value)) return { next: s, fire: false };
+  const coolingDown = s.lastFiredAt && nowMs - Date.parse(s.lastFiredAt) < rule.cooldownSec * 1000;
+  return { next: { ...s, active: true, lastFiredAt: coolingDown ? s.lastFiredAt : new Date(nowMs).toISOString() }, fire: !coolingDown };
+}
+
+function alertMessage(rule, def, observed) {
+  return render(rule.message, {
+    rule: rule.name,
+    source: def ? def.code : "Site risk",
+    value: Number(observed.toFixed(4)),
+    unit: def ? (rule.condition.kind === "rate" ? `${def.unit}/min` : def.unit) : "/10",
+    operator: rule.condition.operator,
+    threshold: rule.condition.value,
+  });
+}
+
+// Check one observation against every rule in scope. def is the sensor definition, or null for site risk.
+function evaluate(def, value, ts) {
+  const state = { ...(store.getDoc("ruleState") || {}) };
+  const sourceKey = def ? `sensor:${def.id}` : "risk";
+  let changed = false;
+
+  for (const rule of rules().filter((r) => r.enabled && inScope(r, def))) {
+    if (!def && rule.condition.kind === "rate") continue; // rate rules need a sensor history
+    const observed = rule.condition.kind === "rate" ? rateOfChange(rule, def.id, value, ts) : value;
+    if (observed === null) continue;
+
+    const key = `${rule.id}:${sourceKey}`;
+    const s = state[key] || { active: false, lastFiredAt: null, lastAlertId: null };
+    const { next, fire } = advance(rule, s, observed, Date.now());
+    if (next === s) continue;
+    if (fire) {
+      const alert = createAlert({ zone: def ? zoneName(def) : "Site", msg: alertMessage(rule, def, observed), severity: rule.severity, ...(def ? { sensorId: def.id } : {}), ruleId: rule.id });
+      next.lastAlertId = alert.id;
+    }
+    state[key] = next;
+    changed = true;
+  }
+
+  if (changed) store.setDoc("ruleState", state);
+}
+
+// Dry run of one observation: the alerts the rules in scope would raise,
+// without raising them. `state` is held by the caller (a sandbox session, a
+// replay) and updated in place, keyed like "ruleState". Rate rules are only
+// checked when the caller passes the sensor's earlier values in the same dry
+// run as `history` ([{ ts, value }], oldest first).
+function evaluateDry(def, value, ts, state, history = null) {
+  const sourceKey = def ? `sensor:${def.id}` : "risk";
+  const fired = [];
+  for (const rule of rules().filter((r) => r.enabled && inScope(r, def) && (r.condition.kind === "threshold" || (def && history)))) {
+    const observed = rule.condition.kind === "rate" ? rateFrom(rule, history, value, ts) : value;
+    if (observed === null) continue;
+    const key = `${rule.id}:${sourceKey}`;
+    const { next, fire } = advance(rule, state[key] || { active: false, lastFiredAt: null, lastAlertId: null }, observed, Date.parse(ts));
+    state[key] = next;
+    if (fire) fired.push({ ruleId: rule.id, rule: rule.name, zone: def ? zoneName(def) : "Site", severity: rule.severity, value: observed, msg: alertMessage(rule, def, observed), ...(def ? { sensorId: def.id } : {}) });
+  }
+  return fired;
+}
+
+// The alerts the "risk" rules would have raised over a site score series
+// ([{ ts, value }], 0-10), from a clean state.
+function replayRisk(points) {
+  const state = {};
+  return points.flatMap((p) => evaluateDry(null, p.value, p.ts, state).map((a) => ({ ts: p.ts, ...a })));
+}
+
+// Drop state for a deleted or edited rule so it re-arms cleanly.
+function resetState(ruleId) {
+  const state = store.getDoc("ruleState") || {};
+  const next = Object.fromEntries(Object.entries(state).filter(([key]) => !key.startsWith(`${ruleId}:`)));
+  store.setDoc("ruleState", next);
+}
+
+// Evaluate every live reading as it is stored.
+function watch() {
+  return events.subscribe((e) => {
+    if (e.type !== "sensor.reading" || e.data.source !== "live") return;
+    const def = findSensorDef(e.data.id);
+    if (def) evaluate(def, e.data.rawValue, e.data.lastUpdate);
+  });
+}
+
+// Run "risk" rules against the current site score; called on the server tick.
+function checkRisk() {
+  evaluate(null, Number(computeRiskScore()), new Date().toISOString());
+}
+
+module.exports = { OPERATORS, SEVERITIES, SOURCES, KINDS, rules, validateRule, evaluate, evaluateDry, replayRisk, resetState, watch, checkRisk };
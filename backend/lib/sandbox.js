@@ -0,0 +1,133 @@
+// backend/lib/sandbox.js
+// Per-user what-if sessions. A session holds its own copy of the simulation
+// inputs and everything derived from them: simulated sensor readings, zone
+// scores and the alerts the rules would raise. None of it touches the live
+// "simulation" doc, sensor history, rule state or alerts; a session alert only
+// becomes a real one when a user promotes it.
+//
+// Session shape ("simulationSessions", one per user):
+//   { id, userId, user: { id, name }, inputs: { rainfallMm, seismicMag, blastingLevel },
+//     readings: { [sensorId]: value }, ruleState: { [ruleId:source]: ... },
+//     alerts: [{ id, ruleId, rule, zone, severity, value, msg, sensorId?, time,
+//                promotedAlertId, promotedBy? }],
+//     nextAlertId, createdAt, updatedAt }
+// Sessions start from the live inputs; reset returns them there and clears
+// their alerts.
+
+const store = require("./store");
+const { clamp } = require("./util");
+const { LIMITS, getSimulation } = require("./simulation");
+const { sensorDefs, generateSensorReading } = require("./sensors");
+const { computeZoneRisk, computeRiskScore } = require("./risk");
+const { evaluateDry } = require("./rules");
+const { createAlert } = require("./alerts");
+const { runMonteCarlo } = require("./montecarlo");
+
+const MAX_ALERTS = 200;
+
+const sessions = () => store.collection("simulationSessions");
+const zones = () => store.collection("zones");
+
+const actor = (user) => ({ id: user.id, name: user.name });
+
+const simulateReadings = (inputs) => Object.fromEntries(sensorDefs().all().map((def) => [def.id, Number(generateSensorReading(def, inputs))]));
+
+// Sensor values that count for a zone, grouped by type, as computeZoneRisk expects.
+function zoneReadings(zone, readings) {
+  const byType = {};
+  for (const def of sensorDefs().filter((d) => d.zoneId === zone.id || d.zoneId == null)) {
+    if (readings[def.id] === undefined) continue;
+    (byType[def.type] = byType[def.type] || []).push({ code: def.code, value: readings[def.id], unit: def.unit });
+  }
+  return byType;
+}
+
+function zoneRisks(session) {
+  return zones().all().map((z) => computeZoneRisk(z, session.inputs, zoneReadings(z, session.readings), session.updatedAt));
+}
+
+// ---------- Sessions ----------
+function fresh(user) {
+  const inputs = { ...getSimulation() };
+  const now = new Date().toISOString();
+  return { userId: user.id, user: actor(user), inputs, readings: simulateReadings(inputs), ruleState: {}, alerts: [], nextAlertId: 1, createdAt: now, updatedAt: now };
+}
+
+// The caller's session, created from the live inputs on first use.
+function sessionFor(user) {
+  return sessions().find((s) => s.userId === user.id) || sessions().insert(fresh(user));
+}
+
+function resetSession(user) {
+  const session = sessionFor(user);
+  return sessions().update(session.id, { ...fresh(user), createdAt: session.createdAt });
+}
+
+// Apply input changes, re-simulate readings and run the rules against them
+// and the resulting site score, inside the session only.
+function updateSession(user, patch) {
+  const session = sessionFor(user);
+  const inputs = { ...session.inputs };
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    if (patch[key] !== undefined && Number.isFinite(Number(patch[key]))) inputs[key] = clamp(Number(patch[key]), min, max);
+  }
+  const time = new Date().toISOString();
+  const next = { ...session, inputs, readings: simulateReadings(inputs), ruleState: { ...session.ruleState }, updatedAt: time };
+
+  const fired = sensorDefs()
+    .all()
+    .flatMap((def) => evaluateDry(def, next.readings[def.id], time, next.ruleState));
+  fired.push(...evaluateDry(null, Number(computeRiskScore(zoneRisks(next))), time, next.ruleState));
+
+  let nextAlertId = session.nextAlertId;
+  const alerts = [...session.alerts, ...fired.map((a) => ({ id: nextAlertId++, ...a, time, promotedAlertId: null }))].slice(-MAX_ALERTS);
+  return sessions().update(session.id, { inputs, readings: next.readings, ruleState: next.ruleState, alerts, nextAlertId, updatedAt: time });
+}
+
+// Turn a session alert into a real one. Returns { error, status } or { alert, session }.
+function promoteAlert(user, alertId) {
+  const session = sessionFor(user);
+  const candidate = session.alerts.find((a) => a.id === Number(alertId));
+  if (!candidate) return { status: 404, error: "Simulated alert not found" };
+  if (candidate.promotedAlertId) return { status: 409, error: `Already promoted as alert #${candidate.promotedAlertId}` };
+
+  const alert = createAlert({
+    zone: candidate.zone,
+    msg: `[Simulated] ${candidate.msg}`,
+    severity: candidate.severity,
+    ...(candidate.sensorId !== undefined ? { sensorId: candidate.sensorId } : {}),
+    ruleId: candidate.ruleId,
+    origin: { type: "simulation", sessionId: session.id, promotedBy: actor(user) },
+  });
+  const alerts = session.alerts.map((a) => (a.id === candidate.id ? { ...a, promotedAlertId: alert.id, promotedBy: actor(user) } : a));
+  return { alert, session: sessions().update(session.id, { alerts }) };
+}
+
+// Monte Carlo over input distributions, with the session's readings held
+// (lib/montecarlo.js). Returns { error } or the result; nothing is stored.
+function monteCarlo(user, body) {
+  const session = sessionFor(user);
+  return runMonteCarlo(body || {}, zones().all(), (zone) => zoneReadings(zone, session.readings));
+}
+
+// What the client sees: inputs next to the live ones, readings, zone scores and alerts.
+function sessionView(session) {
+  const risks = zoneRisks(session);
+  return {
+    id: session.id,
+    user: session.user,
+    inputs: session.inputs,
+    live: getSimulation(),
+    readings: sensorDefs()
+      .all()
+      .map((def) => ({ id: def.id, code: def.code, type: def.type, unit: def.unit, zoneId: def.zoneId ?? null, value: session.readings[def.id] ?? null })),
+    zones: risks.map((r) => ({ zoneId: r.zoneId, zone: r.zone, score: r.score, severity: r.severity })),
+    riskScore: computeRiskScore(risks),
+    model: risks[0]?.model ?? null,
+    alerts: [...session.alerts].reverse(),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+module.exports = { sessions, sessionFor, resetSession, updateSession, promoteAlert, monteCarlo, sessionView };
@@ -0,0 +1,209 @@
+// backend/lib/scenarios.js
+// Scripted what-if scenarios: timelines of the simulation inputs (rain,
+// seismic, blasting) replayed at accelerated speed through the risk model.
+//
+// Scenario shape:
+//   { id, name, description, durationH, stepMin,
+//     initial: { rainfallMm, seismicMag, blastingLevel },
+//     events: [{ type, input, atH, ... }], createdBy, createdAt, updatedAt }
+// Event types, applied per input in atH order:
+//   ramp   { to, durationH }     linear from the value at atH to `to`
+//   set    { value }             step change that holds
+//   pulse  { value, durationMin } e.g. a blast or tremor, then back to the prior value
+// e.g. rain ramping 0 -> 180 mm over 6 h, a blast at t+2h and an M4.5 tremor at t+5h:
+//   [{ type: "ramp", input: "rainfallMm", atH: 0, to: 180, durationH: 6 },
+//    { type: "pulse", input: "blastingLevel", atH: 2, value: 90, durationMin: 15 },
+//    { type: "pulse", input: "seismicMag", atH: 5, value: 4.5, durationMin: 15 }]
+//
+// A run computes every zone's score at each step with the current sensor
+// readings held fixed, next to a baseline with the initial inputs held, and
+// dry-runs the "risk" rules over both site score series (lib/rules.js
+// replayRisk) and the sensor threshold and rate rules over readings simulated
+// from each step's inputs. Nothing is written to live state; runs are kept in
+// "scenarioRuns" (newest MAX_RUNS).
+
+const store = require("./store");
+const { LIMITS } = require("./simulation");
+const { computeZoneRisk, zoneSensors } = require("./risk");
+const { activeProfile, profileRef } = require("./profiles");
+const { sensorDefs, generateSensorReading } = require("./sensors");
+const { evaluateDry, replayRisk } = require("./rules");
+
+const EVENT_TYPES = ["ramp", "set", "pulse"];
+const STEP_OPTIONS = [5, 10, 15, 30, 60];
+const MAX_DURATION_H = 72;
+const MAX_RUNS = 50;
+
+const scenarios = () => store.collection("scenarios");
+const scenarioRuns = () => store.collection("scenarioRuns");
+const zones = () => store.collection("zones");
+
+const round = (v, digits = 3) => Number(v.toFixed(digits));
+
+// ---------- Validation ----------
+function inRange(input, value) {
+  const [min, max] = LIMITS[input];
+  return Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns { error } or { scenario } with normalized fields.
+function validateScenario(body) {
+  if (!body || typeof body !== "object") return { error: "Scenario must be an object" };
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "name is required" };
+
+  const durationH = Number(body.durationH ?? 12);
+  if (!(durationH > 0 && durationH <= MAX_DURATION_H)) return { error: `durationH must be above 0 and at most ${MAX_DURATION_H}` };
+  const stepMin = Number(body.stepMin ?? 15);
+  if (!STEP_OPTIONS.includes(stepMin)) return { error: `stepMin must be one of: ${STEP_OPTIONS.join(", ")}` };
+
+  const initial = {};
+  for (const input of Object.keys(LIMITS)) {
+    const value = Number(body.initial?.[input] ?? 0);
+    if (!inRange(input, value)) return { error: `initial.${input} must be between ${LIMITS[input].join(" and ")}` };
+    initial[input] = value;
+  }
+
+  const events = [];
+  for (const [i, e] of [].concat(body.events || []).entries()) {
+    const label = `events[${i}]`;
+    if (!e || typeof e !== "object") return { error: `${label} must be an object` };
+    if (!EVENT_TYPES.includes(e.type)) return { error: `${label}.type must be one of: ${EVENT_TYPES.join(", ")}` };
+    if (!LIMITS[e.input]) return { error: `${label}.input must be one of: ${Object.keys(LIMITS).join(", ")}` };
+    const atH = Number(e.atH);
+    if (!(atH >= 0 && atH <= durationH)) return { error: `${label}.atH must be within the scenario duration` };
+    const event = { type: e.type, input: e.input, atH, label: String(e.label || "").trim() };
+    if (e.type === "ramp") {
+      event.to = Number(e.to);
+      event.durationH = Number(e.durationH);
+      if (!inRange(e.input, event.to)) return { error: `${label}.to must be between ${LIMITS[e.input].join(" and ")}` };
+      if (!(event.durationH > 0)) return { error: `${label}.durationH must be positive` };
+    } else {
+      event.value = Number(e.value);
+      if (!inRange(e.input, event.value)) return { error: `${label}.value must be between ${LIMITS[e.input].join(" and ")}` };
+      if (e.type === "pulse") {
+        event.durationMin = Number(e.durationMin ?? 15);
+        if (!(event.durationMin > 0)) return { error: `${label}.durationMin must be positive` };
+      }
+    }
+    events.push(event);
+  }
+  events.sort((a, b) => a.atH - b.atH);
+
+  return { scenario: { name, description: String(body.description || "").trim(), durationH, stepMin, initial, events } };
+}
+
+// ---------- Timeline ----------
+// Value of one input tH hours in, given its events in atH order. A ramp starts
+// from whatever the earlier events left at its start time; a pulse only
+// overrides while it lasts.
+function valueAt(initial, events, tH) {
+  let value = initial;
+  events.forEach((e, i) => {
+    if (e.atH > tH) return;
+    if (e.type === "set") value = e.value;
+    else if (e.type === "ramp") {
+      const from = valueAt(initial, events.slice(0, i), e.atH);
+      value = tH >= e.atH + e.durationH ? e.to : from + ((e.to - from) * (tH - e.atH)) / e.durationH;
+    } else if (tH < e.atH + e.durationMin / 60) value = e.value;
+  });
+  return value;
+}
+
+// Input values tH hours into the scenario.
+function inputsAt(scenario, tH) {
+  const inputs = {};
+  for (const input of Object.keys(LIMITS)) {
+    inputs[input] = round(valueAt(scenario.initial[input], scenario.events.filter((e) => e.input === input), tH), 2);
+  }
+  return inputs;
+}
+
+// ---------- Runs ----------
+function runScenario(scenario, { user, profile = activeProfile() } = {}) {
+  const startMs = Date.now();
+  const allZones = zones().all();
+  const sensors = new Map(allZones.map((z) => [z.id, zoneSensors(z)]));
+  const score = (zone, inputs, at) => computeZoneRisk(zone, inputs, sensors.get(zone.id), at, profile);
+
+  const steps = [];
+  const zoneCurves = new Map(allZones.map((z) => [z.id, { zoneId: z.id, zone: z.name, scores: [], severities: [], baselineScores: [], baselineSeverities: [] }]));
+  const site = { scores: [], baseline: [] };
+  for (let minute = 0; minute <= scenario.durationH * 60; minute += scenario.stepMin) {
+    const at = new Date(startMs + minute * 60000).toISOString();
+    const inputs = inputsAt(scenario, minute / 60);
+    steps.push({ minute, at, inputs });
+    let worst = 0;
+    let worstBaseline = 0;
+    for (const zone of allZones) {
+      const curve = zoneCurves.get(zone.id);
+      const r = score(zone, inputs, at);
+      const b = score(zone, scenario.initial, at);
+      curve.scores.push(r.score);
+      curve.severities.push(r.severity);
+      curve.baselineScores.push(b.score);
+      curve.baselineSeverities.push(b.severity);
+      worst = Math.max(worst, r.score);
+      worstBaseline = Math.max(worstBaseline, b.score);
+    }
+    site.scores.push(round(worst * 10, 1));
+    site.baseline.push(round(worstBaseline * 10, 1));
+  }
+
+  const minuteOf = (ts) => Math.round((Date.parse(ts) - startMs) / 60000);
+  const fired = (values) => replayRisk(steps.map((s, i) => ({ ts: s.at, value: values[i] }))).map((a) => ({ ...a, minute: minuteOf(a.ts) }));
+  // sensor rules see a reading per sensor per step, simulated from that step's inputs
+  const sensorFired = (inputsOf) => {
+    const state = {};
+    const history = new Map();
+    return steps.flatMap((s) =>
+      sensorDefs()
+        .all()
+        .flatMap((def) => {
+          const value = Number(generateSensorReading(def, inputsOf(s)));
+          if (!history.has(def.id)) history.set(def.id, []);
+          const fired = evaluateDry(def, value, s.at, state, history.get(def.id)).map((a) => ({ ts: s.at, ...a, minute: s.minute }));
+          history.get(def.id).push({ ts: s.at, value });
+          return fired;
+        })
+    );
+  };
+  const byMinute = (alerts) => alerts.sort((a, b) => a.minute - b.minute);
+  const peak = (values) => values.reduce((best, v, i) => (v > best.value ? { value: v, minute: steps[i].minute } : best), { value: -Infinity, minute: 0 });
+
+  const curves = [...zoneCurves.values()].map((c) => {
+    const firstHigh = c.severities.indexOf("High");
+    return { ...c, peak: peak(c.scores), firstHighMinute: firstHigh === -1 ? null : steps[firstHigh].minute };
+  });
+
+  const run = scenarioRuns().insert({
+    scenarioId: scenario.id ?? null,
+    scenario: scenario.name,
+    scenarioUpdatedAt: scenario.updatedAt ?? null,
+    ranAt: new Date(startMs).toISOString(),
+    ranBy: user ? { id: user.id, name: user.name } : null,
+    model: profileRef(profile),
+    durationH: scenario.durationH,
+    stepMin: scenario.stepMin,
+    events: scenario.events,
+    steps,
+    zones: curves,
+    site: { ...site, peak: peak(site.scores), baselinePeak: peak(site.baseline) },
+    alerts: byMinute([...fired(site.scores), ...sensorFired((s) => s.inputs)]),
+    baselineAlerts: byMinute([...fired(site.baseline), ...sensorFired(() => scenario.initial)]),
+  });
+  const excess = scenarioRuns().count() - MAX_RUNS;
+  if (excess > 0) scenarioRuns().all().slice(0, excess).forEach((r) => scenarioRuns().remove(r.id));
+  return run;
+}
+
+// Run list entries without the per-step data.
+const runSummary = ({ steps, zones: curves, events, ...run }) => ({
+  ...run,
+  site: { peak: run.site.peak, baselinePeak: run.site.baselinePeak },
+  alerts: run.alerts.length,
+  baselineAlerts: run.baselineAlerts.length,
+  zones: curves.map((c) => ({ zoneId: c.zoneId, zone: c.zone, peak: c.peak, firstHighMinute: c.firstHighMinute })),
+});
+
+module.exports = { EVENT_TYPES, STEP_OPTIONS, MAX_DURATION_H, scenarios, scenarioRuns, validateScenario, inputsAt, runScenario, runSummary };
@@ -0,0 +1,168 @@
+// backend/lib/sensors.js
+// Sensor definitions, reading validation and the latest-value view served by /api/sensors.
+//
+// A definition may carry a surveyed position for the map:
+//   position: { lat, lng, elevationM? } | null   (WGS84; elevation in metres)
+// and the plausible range of its readings, in its unit, used to screen
+// backfilled history (lib/imports.js):
+//   range: { min, max } | null
+
+const store = require("./store");
+const timeseries = require("./timeseries");
+const events = require("./events");
+const { rnd } = require("./util");
+const { getSimulation } = require("./simulation");
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // how far ahead of server time a device timestamp may be
+
+// Cache of the latest reading per sensor id, primed from the time-series store.
+// { value, unit, ts (device time), receivedAt }
+const latestReadings = new Map();
+
+function getLatest(def) {
+  if (!latestReadings.has(def.id)) {
+    const p = timeseries.latest(def.id);
+    latestReadings.set(def.id, p ? { value: p.value, unit: def.unit, ts: p.ts, receivedAt: null } : null);
+  }
+  return latestReadings.get(def.id);
+}
+
+const sensorDefs = () => store.collection("sensors");
+
+function findSensorDef(idOrCode) {
+  const key = String(idOrCode);
+  return sensorDefs().find((d) => String(d.id) === key || d.code === key);
+}
+
+// Name of the zone a sensor belongs to; site-wide sensors report their location.
+function zoneName(def) {
+  const zone = def.zoneId != null ? store.collection("zones").get(def.zoneId) : null;
+  return zone ? zone.name : def.location;
+}
+
+// Simulated reading driven by the environmental inputs (live ones by default;
+// sandbox sessions pass their own).
+function generateSensorReading(def, simulation = getSimulation()) {
+  switch (def.type) {
+    case "Inclinometer":
+      return (0.5 + simulation.blastingLevel * 0.02 + simulation.rainfallMm * 0.01 + rnd() * 2).toFixed(3);
+    case "Piezometer":
+      return (20 + simulation.rainfallMm * 0.4 + rnd() * 10).toFixed(3);
+    case "Seismometer":
+      return (Math.max(0, simulation.seismicMag * 0.01 + simulation.blastingLevel * 0.005 + rnd() * 0.03)).toFixed(4);
+    case "Weather Station":
+      return simulation.rainfallMm > 0 ? simulation.rainfallMm.toFixed(1) : (rnd() * 5).toFixed(1);
+    case "Strain Gauge":
+      return (0.05 + simulation.blastingLevel * 0.001 + rnd() * 0.2).toFixed(4);
+    default:
+      return (rnd() * 100).toFixed(2);
+  }
+}
+
+// Validate a reading against its sensor definition. Returns { error } or { reading }.
+function validateReading(def, body) {
+  if (!def) return { error: "Unknown sensor" };
+  if (!body || typeof body !== "object") return { error: "Reading must be an object" };
+
+  const value = Number(body.value);
+  if (body.value === undefined || body.value === null || body.value === "" || !Number.isFinite(value)) {
+    return { error: "value must be a finite number" };
+  }
+  if (body.type !== undefined && body.type !== def.type) {
+    return { error: `type mismatch: ${def.code} is a ${def.type}` };
+  }
+  if (body.unit !== def.unit) {
+    return { error: `unit mismatch: ${def.code} reports in ${def.unit}` };
+  }
+  if (!body.ts) return { error: "ts (device timestamp) is required" };
+  const ts = new Date(body.ts);
+  if (Number.isNaN(ts.getTime())) return { error: "ts must be an ISO-8601 timestamp" };
+  if (ts.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) return { error: "ts is in the future" };
+
+  let battery;
+  if (body.battery !== undefined) {
+    battery = Number(body.battery);
+    if (!Number.isFinite(battery)) return { error: "battery must be a number" };
+    if (battery > 1) battery /= 100; // accept percentages
+    battery = Math.max(0, Math.min(1, battery));
+  }
+
+  return { reading: { value, unit: def.unit, ts: ts.toISOString(), battery } };
+}
+
+// Persist a validated reading. Returns false when it is older than the latest
+// value; it is still kept in history but does not replace the live value.
+function storeReading(def, reading) {
+  timeseries.append(def.id, [reading]);
+  if (reading.battery !== undefined && reading.battery !== def.battery) sensorDefs().update(def.id, { battery: reading.battery });
+
+  const prev = getLatest(def);
+  if (prev && prev.ts > reading.ts) return false;
+  latestReadings.set(def.id, { value: reading.value, unit: reading.unit, ts: reading.ts, receivedAt: new Date().toISOString() });
+  events.publish("sensor.reading", sensorSnapshot(sensorDefs().get(def.id)));
+  return true;
+}
+
+// Returns an error message when the value lies outside the sensor's plausible range.
+function checkRange(def, value) {
+  if (!def.range) return null;
+  if (value < def.range.min || value > def.range.max) return `value ${value} is outside the plausible range for ${def.code} (${def.range.min} to ${def.range.max} ${def.unit})`;
+  return null;
+}
+
+// Returns { error } or { position }.
+function validatePosition(body) {
+  if (!body || typeof body !== "object") return { error: "position must be an object" };
+  const lat = Number(body.lat);
+  const lng = Number(body.lng);
+  if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180) || body.lat === "" || body.lng === "") return { error: "lat and lng must be valid coordinates" };
+  if (body.elevationM === undefined || body.elevationM === null || body.elevationM === "") return { position: { lat, lng } };
+  const elevationM = Number(body.elevationM);
+  if (!(elevationM >= -1000 && elevationM <= 9000)) return { error: "elevationM must be a number of metres" };
+  return { position: { lat, lng, elevationM } };
+}
+
+function setPosition(def, position) {
+  const updated = sensorDefs().update(def.id, { position });
+  events.publish("sensor.updated", sensorSnapshot(updated));
+  return updated;
+}
+
+function sensorStatus(latest) {
+  if (!latest) return "offline";
+  const ageSec = (Date.now() - new Date(latest.ts).getTime()) / 1000;
+  const stale = store.getDoc("settings").sensors.staleAfterSec;
+  if (ageSec <= stale) return "online";
+  if (ageSec <= stale * 3) return "warning";
+  return "offline";
+}
+
+function sensorSnapshot(def) {
+  const latest = getLatest(def);
+  const base = { id: def.id, code: def.code, type: def.type, location: def.location, zoneId: def.zoneId ?? null, position: def.position ?? null, unit: def.unit, battery: `${Math.round(def.battery * 100)}%` };
+
+  if (latest && sensorStatus(latest) !== "offline") {
+    return { ...base, value: `${latest.value} ${def.unit}`, rawValue: latest.value, status: sensorStatus(latest), lastUpdate: latest.ts, source: "live" };
+  }
+
+  // Simulated values are only served when explicitly enabled as a fallback.
+  if (store.getDoc("settings").sensors.fallback === "simulated") {
+    const reading = generateSensorReading(def);
+    return { ...base, value: `${reading} ${def.unit}`, rawValue: Number(reading), status: "online", lastUpdate: new Date().toISOString(), source: "simulated" };
+  }
+
+  return {
+    ...base,
+    value: latest ? `${latest.value} ${def.unit}` : "--",
+    rawValue: latest ? latest.value : null,
+    status: "offline",
+    lastUpdate: latest ? latest.ts : null,
+    source: latest ? "live" : "none",
+  };
+}
+
+function countOnline() {
+  return sensorDefs().all().filter((d) => sensorSnapshot(d).status !== "offline").length;
+}
+
+module.exports = { sensorDefs, findSensorDef, zoneName, generateSensorReading, validateReading, storeReading, checkRange, validatePosition, setPosition, getLatest, sensorStatus, sensorSnapshot, countOnline };
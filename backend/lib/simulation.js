@@ -0,0 +1,42 @@
+// backend/lib/simulation.js
+// Live environmental inputs (rain, seismic, blasting), persisted in the store.
+// The server random-walks them; admins can set them (PUT /api/simulation/live).
+// What-if changes run in per-user sandbox sessions instead (lib/sandbox.js).
+
+const store = require("./store");
+const events = require("./events");
+const { clamp } = require("./util");
+
+const LIMITS = {
+  rainfallMm: [0, 300],
+  seismicMag: [0, 10],
+  blastingLevel: [0, 100],
+};
+
+function getSimulation() {
+  return store.getDoc("simulation");
+}
+
+function updateSimulation(patch) {
+  const prev = getSimulation();
+  const next = { ...prev };
+  Object.keys(LIMITS).forEach((k) => {
+    if (patch[k] !== undefined && Number.isFinite(Number(patch[k]))) {
+      const [min, max] = LIMITS[k];
+      next[k] = clamp(Number(patch[k]), min, max);
+    }
+  });
+  store.setDoc("simulation", next);
+  if (Object.keys(LIMITS).some((k) => prev[k] !== next[k])) events.publish("simulation.changed", next);
+  return next;
+}
+
+// Random walk applied by the server every few seconds.
+function tick() {
+  const sim = getSimulation();
+  const patch = { seismicMag: sim.seismicMag + (Math.random() * 0.2 - 0.1) };
+  if (sim.rainfallMm > 0) patch.rainfallMm = sim.rainfallMm + (Math.random() * 4 - 2);
+  return updateSimulation(patch);
+}
+
+module.exports = { LIMITS, getSimulation, updateSimulation, tick };
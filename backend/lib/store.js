@@ -0,0 +1,118 @@
+// backend/lib/store.js
+// Durable JSON-file storage for the Express backend.
+//
+// Every collection (alerts, zones, sensors, ...) and every singleton document
+// (settings, simulation) is kept in memory and written through to its own file
+// under DATA_DIR on each change. Writes go to a temp file first and are then
+// renamed over the original, so a crash mid-write never leaves a torn file.
+// The schema version lives in meta.json and is advanced by lib/migrations.js.
+
+const fs = require("fs");
+const path = require("path");
+const migrations = require("./migrations");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data", "store");
+
+const cache = new Map(); // name -> parsed file contents
+const collections = new Map();
+
+function filePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+function read(name, fallback) {
+  if (cache.has(name)) return cache.get(name);
+  let value = fallback;
+  try {
+    value = JSON.parse(fs.readFileSync(filePath(name), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`Failed to read ${name}.json: ${err.message}`);
+  }
+  cache.set(name, value);
+  return value;
+}
+
+function write(name, value) {
+  cache.set(name, value);
+  const file = filePath(name);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function init() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const meta = read("meta", { schemaVersion: 0 });
+  const pending = migrations.filter((m) => m.version > meta.schemaVersion).sort((a, b) => a.version - b.version);
+  for (const m of pending) {
+    m.up({ read, write });
+    meta.schemaVersion = m.version;
+    meta.migratedAt = new Date().toISOString();
+    write("meta", meta);
+    console.log(`Store: applied migration ${m.version} (${m.name})`);
+  }
+}
+
+// ---------- Documents ----------
+function getDoc(name) {
+  return read(name, null);
+}
+
+function setDoc(name, value) {
+  write(name, value);
+  return value;
+}
+
+// ---------- Collections ----------
+// A collection is an array of objects with a numeric `id`, stored in insertion order.
+function collection(name) {
+  if (collections.has(name)) return collections.get(name);
+
+  const items = () => read(name, []);
+  const save = () => write(name, items());
+
+  const api = {
+    all: () => items().slice(),
+    count: (pred) => (pred ? items().filter(pred).length : items().length),
+    get: (id) => items().find((d) => d.id === Number(id)) || null,
+    find: (pred) => items().find(pred) || null,
+    filter: (pred) => items().filter(pred),
+    insert(doc) {
+      const list = items();
+      const { id = list.reduce((max, d) => Math.max(max, d.id), 0) + 1, ...fields } = doc;
+      const created = { id, ...fields };
+      list.push(created);
+      save();
+      return created;
+    },
+    // One write for many documents (bulk backfills).
+    insertMany(docs) {
+      const list = items();
+      let next = list.reduce((max, d) => Math.max(max, d.id), 0) + 1;
+      const created = docs.map((doc) => ({ id: next++, ...doc }));
+      list.push(...created);
+      save();
+      return created;
+    },
+    update(id, patch) {
+      const doc = api.get(id);
+      if (!doc) return null;
+      Object.assign(doc, patch);
+      save();
+      return doc;
+    },
+    remove(id) {
+      const list = items();
+      const idx = list.findIndex((d) => d.id === Number(id));
+      if (idx === -1) return false;
+      list.splice(idx, 1);
+      save();
+      return true;
+    },
+  };
+
+  collections.set(name, api);
+  return api;
+}
+
+module.exports = { DATA_DIR, init, getDoc, setDoc, collection };
@@ -0,0 +1,327 @@
+// backend/lib/surface.js
+// Gridded risk surface over the pit, for the map's heat overlay.
+//
+// Control points carry a 0-10 score:
+//   zone     the zone score, at the zone's label point and at every vertex of
+//            its outline, so a zone's area is represented and not just its middle
+//   sensor   the score of the sensor's zone with that sensor standing in for
+//            its type (the zone's other factors unchanged): a local reading
+//            pulls the surface around it up or down
+// Cells are interpolated by inverse-distance weighting (power 2, distances in
+// metres) and kept only inside the site boundary: the "siteBoundary" doc when
+// set, else the convex hull of the zone outlines and sensor positions.
+//
+// The live surface uses current readings and inputs. Past frames replay stored
+// history the way the backtest does (lib/performance.js): the last reading of
+// each sensor in the step before the frame (none = offline) and the mean inputs,
+// through the active profile.
+//
+// Served as a grid ({ bbox, cols, rows, values }, row 0 northmost), a GeoJSON
+// FeatureCollection of cell squares, or a colour-ramped PNG.
+
+const zlib = require("zlib");
+const store = require("./store");
+const events = require("./events");
+const timeseries = require("./timeseries");
+const { getSimulation } = require("./simulation");
+const { sensorDefs, sensorSnapshot } = require("./sensors");
+const { INPUTS, inputSeriesId, computeZoneRisk } = require("./risk");
+const { activeProfile } = require("./profiles");
+const { zones, containsPoint, validateGeometry } = require("./zones");
+
+const DEFAULT_CELL_M = 20;
+const MIN_CELL_M = 5;
+const MAX_CELLS = 160000;
+const POWER = 2;
+const METRES_PER_DEGREE = 111320;
+const LIVE_TTL_MS = 30 * 1000;
+const MAX_CACHED = 64;
+
+const cache = new Map(); // key -> { expiresAt, surface }
+
+// Past frames stay cached for an hour unless the layout or model changes.
+const INVALIDATING_EVENTS = new Set(["zones.changed", "sensor.updated", "model.updated"]);
+
+// ---------- Boundary ----------
+function convexHull(points) {
+  const pts = [...new Map(points.map((p) => [p.join(","), p])).values()].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return null;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    return out.slice(0, -1);
+  };
+  const hull = [...half(pts), ...half([...pts].reverse())];
+  return hull.length >= 3 ? { type: "Polygon", coordinates: [[...hull, hull[0]]] } : null;
+}
+
+// { geometry, source: "configured" | "hull" } or null when there is nothing to bound.
+function siteBoundary() {
+  const configured = store.getDoc("siteBoundary")?.geometry;
+  if (configured) return { geometry: configured, source: "configured" };
+  const points = [
+    ...zones().all().filter((z) => z.geometry).flatMap((z) => (z.geometry.type === "Polygon" ? [z.geometry.coordinates] : z.geometry.coordinates).flatMap((rings) => rings[0])),
+    ...sensorDefs().all().filter((d) => d.position).map((d) => [d.position.lng, d.position.lat]),
+  ];
+  const geometry = convexHull(points);
+  return geometry ? { geometry, source: "hull" } : null;
+}
+
+// Returns { error } or { boundary }; null geometry goes back to the hull.
+function setSiteBoundary(geometry) {
+  if (geometry === null) {
+    store.setDoc("siteBoundary", { geometry: null, updatedAt: new Date().toISOString() });
+  } else {
+    const result = validateGeometry(geometry);
+    if (result.error) return { error: result.error };
+    store.setDoc("siteBoundary", { geometry: result.geometry, updatedAt: new Date().toISOString() });
+  }
+  events.publish("zones.changed", { action: "boundary" });
+  return { boundary: siteBoundary() };
+}
+
+// ---------- Control points ----------
+// Inputs and online sensor readings ({ [defId]: value }) now or at a past frame.
+function stateAt(atMs, stepMs) {
+  if (atMs == null) {
+    const readings = {};
+    for (const def of sensorDefs().all()) {
+      const snap = sensorSnapshot(def);
+      if (snap.status !== "offline" && snap.rawValue !== null) readings[def.id] = snap.rawValue;
+    }
+    return { inputs: getSimulation(), readings };
+  }
+  const last = (seriesId, fromMs, field) => {
+    const buckets = timeseries.query(seriesId, { fromMs, toMs: atMs, bucketMs: stepMs });
+    return buckets.length ? buckets[buckets.length - 1][field] : undefined;
+  };
+  const inputs = Object.fromEntries(INPUTS.map((input) => [input, last(inputSeriesId(input), atMs - timeseries.DAY, "mean") ?? 0]));
+  const readings = {};
+  for (const def of sensorDefs().all()) {
+    const value = last(def.id, atMs - stepMs, "last");
+    if (value !== undefined) readings[def.id] = value;
+  }
+  return { inputs, readings };
+}
+
+const readingOf = (def, readings) => ({ code: def.code, value: readings[def.id], unit: def.unit });
+
+function zoneSensorsFrom(zone, readings) {
+  const byType = {};
+  for (const def of sensorDefs().filter((d) => (d.zoneId === zone.id || d.zoneId == null) && readings[d.id] !== undefined)) {
+    (byType[def.type] = byType[def.type] || []).push(readingOf(def, readings));
+  }
+  return byType;
+}
+
+const distanceM = (lat1, lng1, lat2, lng2) => {
+  const dy = (lat2 - lat1) * METRES_PER_DEGREE;
+  const dx = (lng2 - lng1) * METRES_PER_DEGREE * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  return Math.hypot(dx, dy);
+};
+
+// The zone a sensor reports for: its mapped zone, else the one it stands in, else the nearest.
+function hostZone(def, list) {
+  if (def.zoneId != null) return list.find((z) => z.id === def.zoneId) || null;
+  const { lat, lng } = def.position;
+  return list.find((z) => containsPoint(z.geometry, lat, lng)) || list.reduce((best, z) => (!best || distanceM(lat, lng, z.lat, z.lng) < distanceM(lat, lng, best.lat, best.lng) ? z : best), null);
+}
+
+function controlPoints({ inputs, readings }, at, profile) {
+  const list = zones().all();
+  const points = [];
+  const zoneSensors = new Map(list.map((z) => [z.id, zoneSensorsFrom(z, readings)]));
+  for (const zone of list) {
+    const value = computeZoneRisk(zone, inputs, zoneSensors.get(zone.id), at, profile).score * 10;
+    points.push({ kind: "zone", id: zone.id, label: zone.name, lat: zone.lat, lng: zone.lng, value });
+    const rings = zone.geometry ? (zone.geometry.type === "Polygon" ? [zone.geometry.coordinates] : zone.geometry.coordinates).map((r) => r[0]) : [];
+    for (const ring of rings) for (const [lng, lat] of ring.slice(0, -1)) points.push({ kind: "zone", id: zone.id, lat, lng, value });
+  }
+  for (const def of sensorDefs().filter((d) => d.position && readings[d.id] !== undefined)) {
+    const zone = hostZone(def, list);
+    if (!zone) continue;
+    const sensors = { ...zoneSensors.get(zone.id), [def.type]: [readingOf(def, readings)] };
+    const value = computeZoneRisk(zone, inputs, sensors, at, profile).score * 10;
+    points.push({ kind: "sensor", id: def.id, label: def.code, lat: def.position.lat, lng: def.position.lng, value });
+  }
+  return points;
+}
+
+// ---------- Grid ----------
+const round = (v, digits = 2) => Number(v.toFixed(digits));
+
+function idw(points, lat, lng) {
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    const d = distanceM(lat, lng, p.lat, p.lng);
+    if (d < 0.5) return p.value;
+    const w = 1 / d ** POWER;
+    num += w * p.value;
+    den += w;
+  }
+  return num / den;
+}
+
+/**
+ * Build the surface. atMs: null for live, else a past frame time; stepMs: the
+ * history window behind a past frame. Returns { error } or the surface:
+ * { at, live, cellM, bbox: [w, s, e, n], cols, rows, values (row-major, null
+ * outside), min, max, boundary: { source }, points }.
+ */
+function buildSurface({ atMs = null, stepMs = timeseries.HOUR, cellM = DEFAULT_CELL_M } = {}) {
+  if (!(cellM >= MIN_CELL_M)) return { error: `cell must be at least ${MIN_CELL_M} m` };
+  const key = JSON.stringify([atMs, stepMs, cellM]);
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.surface;
+
+  const boundary = siteBoundary();
+  if (!boundary) return { error: "No site boundary: add zone outlines or sensor positions first" };
+  const profile = activeProfile();
+  const at = new Date(atMs ?? Date.now()).toISOString();
+  const points = controlPoints(stateAt(atMs, stepMs), at, profile);
+  if (!points.length) return { error: "No zones or positioned sensors to interpolate" };
+
+  const ring = (boundary.geometry.type === "Polygon" ? [boundary.geometry.coordinates] : boundary.geometry.coordinates).flatMap((rings) => rings[0]);
+  const [w, s, e, n] = [Math.min(...ring.map((p) => p[0])), Math.min(...ring.map((p) => p[1])), Math.max(...ring.map((p) => p[0])), Math.max(...ring.map((p) => p[1]))];
+  const dLat = cellM / METRES_PER_DEGREE;
+  const dLng = cellM / (METRES_PER_DEGREE * Math.cos((((s + n) / 2) * Math.PI) / 180));
+  const cols = Math.max(1, Math.ceil((e - w) / dLng));
+  const rows = Math.max(1, Math.ceil((n - s) / dLat));
+  if (cols * rows > MAX_CELLS) return { error: `A ${cellM} m grid over this site has ${cols * rows} cells; use a larger cell (max ${MAX_CELLS} cells)` };
+
+  const values = new Array(cols * rows).fill(null);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let r = 0; r < rows; r++) {
+    const lat = n - (r + 0.5) * dLat;
+    for (let c = 0; c < cols; c++) {
+      const lng = w + (c + 0.5) * dLng;
+      if (!containsPoint(boundary.geometry, lat, lng)) continue;
+      const v = round(idw(points, lat, lng));
+      values[r * cols + c] = v;
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+  }
+
+  const surface = {
+    at,
+    live: atMs == null,
+    scale: 10,
+    cellM,
+    bbox: [w, n - rows * dLat, w + cols * dLng, n],
+    cols,
+    rows,
+    values,
+    min: Number.isFinite(min) ? min : null,
+    max: Number.isFinite(max) ? max : null,
+    boundary: { source: boundary.source },
+    points: points.filter((p) => p.label).map((p) => ({ ...p, value: round(p.value) })),
+  };
+  if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+  cache.set(key, { expiresAt: Date.now() + (atMs == null ? LIVE_TTL_MS : timeseries.HOUR), surface });
+  return surface;
+}
+
+// Frame times for the slider: every step over the last `hours`, oldest first
+// (the live surface follows the last of them).
+function frameTimes({ hours = 24, stepMs = timeseries.HOUR, nowMs = Date.now() } = {}) {
+  const last = Math.floor(nowMs / stepMs) * stepMs;
+  const count = Math.floor((hours * timeseries.HOUR) / stepMs);
+  return Array.from({ length: count }, (_, i) => new Date(last - (count - 1 - i) * stepMs).toISOString());
+}
+
+// ---------- Output ----------
+// Colour ramp on the 0-10 scale, anchored on the active profile's bands.
+function colourRamp(profile = activeProfile()) {
+  const { medium, high } = profile.severityBands;
+  return [
+    { value: 0, color: "#22c55e" },
+    { value: round(medium * 10, 1), color: "#facc15" },
+    { value: round(high * 10, 1), color: "#ef4444" },
+    { value: 10, color: "#7f1d1d" },
+  ];
+}
+
+function rampColour(ramp, v) {
+  const rgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const upper = ramp.findIndex((stop) => stop.value >= v);
+  if (upper <= 0) return rgb(ramp[upper === 0 ? 0 : ramp.length - 1].color);
+  const a = ramp[upper - 1];
+  const b = ramp[upper];
+  const t = (v - a.value) / (b.value - a.value || 1);
+  const [ca, cb] = [rgb(a.color), rgb(b.color)];
+  return ca.map((x, i) => Math.round(x + (cb[i] - x) * t));
+}
+
+function toGeoJSON(surface) {
+  const [w, , e, n] = surface.bbox;
+  const dLng = (e - w) / surface.cols;
+  const dLat = (n - surface.bbox[1]) / surface.rows;
+  const features = [];
+  surface.values.forEach((value, i) => {
+    if (value === null) return;
+    const r = Math.floor(i / surface.cols);
+    const c = i % surface.cols;
+    const [x0, y1] = [w + c * dLng, n - r * dLat];
+    const [x1, y0] = [x0 + dLng, y1 - dLat];
+    features.push({ type: "Feature", geometry: { type: "Polygon", coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]] }, properties: { value } });
+  });
+  const { values, points, ...meta } = surface;
+  return { type: "FeatureCollection", bbox: surface.bbox, properties: meta, features };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// One pixel per cell, transparent outside the boundary; the map stretches it over bbox.
+function toPNG(surface, ramp = colourRamp()) {
+  const { cols, rows, values } = surface;
+  const raw = Buffer.alloc(rows * (cols * 4 + 1));
+  for (let r = 0; r < rows; r++) {
+    const offset = r * (cols * 4 + 1);
+    raw[offset] = 0; // filter: none
+    for (let c = 0; c < cols; c++) {
+      const v = values[r * cols + c];
+      if (v === null) continue;
+      const [red, green, blue] = rampColour(ramp, v);
+      raw.set([red, green, blue, 255], offset + 1 + c * 4);
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(cols, 0);
+  header.writeUInt32BE(rows, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), pngChunk("IHDR", header), pngChunk("IDAT", zlib.deflateSync(raw)), pngChunk("IEND", Buffer.alloc(0))]);
+}
+
+function watch() {
+  return events.subscribe((e) => {
+    if (INVALIDATING_EVENTS.has(e.type)) cache.clear();
+  });
+}
+
+module.exports = { DEFAULT_CELL_M, MIN_CELL_M, siteBoundary, setSiteBoundary, buildSurface, frameTimes, colourRamp, toGeoJSON, toPNG, watch };
@@ -0,0 +1,151 @@
+// backend/lib/tiles.js
+// Raster map tiles served from local files, for sites without internet access.
+//
+// Every entry in TILES_DIR (default backend/data/tiles) is a tileset named
+// after the file or directory:
+//   <name>.mbtiles   MBTiles (SQLite); name, format, bounds, min/maxzoom and
+//                    attribution come from its metadata table
+//   <name>/z/x/y.<png|jpg|jpeg|webp>
+//                    a tile directory (XYZ scheme); an optional metadata.json
+//                    holds the same keys, plus "scheme": "tms" for flipped rows
+// Drone orthophotos and site imagery are tilesets like any other; they are
+// usually small in extent and high in zoom, and the map only requests tiles
+// inside their bounds. Vector (pbf) tilesets are listed but not served.
+//
+// Tilesets are rescanned when the directory changes; MBTiles handles stay open.
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const TILES_DIR = process.env.TILES_DIR || path.join(__dirname, "..", "data", "tiles");
+
+const CONTENT_TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", webp: "image/webp" };
+const NAME_PATTERN = /^[\w.-]+$/;
+
+let scanned = { mtimeMs: null, tilesets: new Map() };
+const databases = new Map(); // file -> { mtimeMs, db }
+
+function openMBTiles(file) {
+  const { mtimeMs } = fs.statSync(file);
+  const cached = databases.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.db;
+  if (cached) cached.db.close();
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  databases.set(file, { mtimeMs, db });
+  return db;
+}
+
+// Metadata values are strings; bounds is "west,south,east,north".
+function normaliseMetadata(name, raw, fallbackFormat) {
+  const num = (v) => (v === undefined || v === null || v === "" || Number.isNaN(Number(v)) ? null : Number(v));
+  const bounds = typeof raw.bounds === "string" ? raw.bounds.split(",").map(Number) : Array.isArray(raw.bounds) ? raw.bounds.map(Number) : null;
+  const format = String(raw.format || fallbackFormat || "png").toLowerCase();
+  return {
+    name,
+    title: raw.name || name,
+    description: raw.description || "",
+    attribution: raw.attribution || "",
+    format,
+    raster: !!CONTENT_TYPES[format],
+    type: raw.type === "overlay" ? "overlay" : "baselayer",
+    minzoom: num(raw.minzoom) ?? 0,
+    maxzoom: num(raw.maxzoom) ?? 22,
+    bounds: bounds && bounds.length === 4 && bounds.every(Number.isFinite) ? bounds : null,
+  };
+}
+
+function readMBTiles(name, file) {
+  const db = openMBTiles(file);
+  const raw = Object.fromEntries(db.prepare("SELECT name, value FROM metadata").all().map((r) => [r.name, r.value]));
+  if (raw.minzoom === undefined || raw.maxzoom === undefined) {
+    const zooms = db.prepare("SELECT MIN(zoom_level) AS minzoom, MAX(zoom_level) AS maxzoom FROM tiles").get();
+    Object.assign(raw, { minzoom: raw.minzoom ?? zooms.minzoom, maxzoom: raw.maxzoom ?? zooms.maxzoom });
+  }
+  return { ...normaliseMetadata(name, raw), source: "mbtiles", file, scheme: "tms" };
+}
+
+function readDirectory(name, dir) {
+  let raw = {};
+  const metaFile = path.join(dir, "metadata.json");
+  if (fs.existsSync(metaFile)) raw = JSON.parse(fs.readFileSync(metaFile, "utf8"));
+  const zooms = fs.readdirSync(dir).filter((d) => /^\d+$/.test(d)).map(Number).sort((a, b) => a - b);
+  let format = raw.format;
+  if (!format && zooms.length) {
+    // First tile found under the lowest zoom decides the format.
+    const zDir = path.join(dir, String(zooms[0]));
+    const xDir = fs.readdirSync(zDir).find((x) => /^\d+$/.test(x));
+    const tile = xDir && fs.readdirSync(path.join(zDir, xDir)).find((f) => /^\d+\.\w+$/.test(f));
+    format = tile ? path.extname(tile).slice(1) : undefined;
+  }
+  if (zooms.length) raw = { minzoom: zooms[0], maxzoom: zooms[zooms.length - 1], ...raw };
+  return { ...normaliseMetadata(name, raw, format), source: "directory", dir, scheme: raw.scheme === "tms" ? "tms" : "xyz" };
+}
+
+function scan() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(TILES_DIR).mtimeMs;
+  } catch {
+    return new Map();
+  }
+  if (scanned.mtimeMs === mtimeMs) return scanned.tilesets;
+  const tilesets = new Map();
+  for (const entry of fs.readdirSync(TILES_DIR, { withFileTypes: true })) {
+    const full = path.join(TILES_DIR, entry.name);
+    try {
+      if (entry.isFile() && entry.name.endsWith(".mbtiles")) {
+        const name = entry.name.slice(0, -".mbtiles".length);
+        if (NAME_PATTERN.test(name)) tilesets.set(name, readMBTiles(name, full));
+      } else if (entry.isDirectory() && NAME_PATTERN.test(entry.name)) {
+        tilesets.set(entry.name, readDirectory(entry.name, full));
+      }
+    } catch (err) {
+      console.error(`Tiles: skipping ${entry.name}: ${err.message}`);
+    }
+  }
+  scanned = { mtimeMs, tilesets };
+  return tilesets;
+}
+
+// What the dashboard needs to offer a tileset as a layer (no file paths).
+const describe = ({ file, dir, scheme, ...info }) => info;
+
+function listTilesets() {
+  return [...scan().values()].map(describe);
+}
+
+function getTileset(name) {
+  return NAME_PATTERN.test(String(name)) ? scan().get(name) || null : null;
+}
+
+// The offline basemap: the configured base layer when it is a local tileset,
+// else the first raster base layer.
+function defaultTileset(settings = {}) {
+  const configured = getTileset(settings.baseLayer);
+  if (configured?.raster) return configured;
+  return [...scan().values()].find((t) => t.raster && t.type === "baselayer") || null;
+}
+
+/**
+ * One tile as { data, contentType }, or null when the tileset has none there.
+ * z/x/y are XYZ (the scheme Leaflet requests); MBTiles rows are flipped.
+ */
+function getTile(tileset, z, x, y) {
+  if (!tileset.raster) return null;
+  const max = 2 ** z;
+  if (x < 0 || y < 0 || x >= max || y >= max) return null;
+  const row = tileset.scheme === "tms" ? max - 1 - y : y;
+
+  if (tileset.source === "mbtiles") {
+    const hit = openMBTiles(tileset.file).prepare("SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?").get(z, x, row);
+    return hit ? { data: hit.tile_data, contentType: CONTENT_TYPES[tileset.format] } : null;
+  }
+  for (const ext of tileset.format === "jpg" || tileset.format === "jpeg" ? ["jpg", "jpeg"] : [tileset.format]) {
+    const file = path.join(tileset.dir, String(z), String(x), `${row}.${ext}`);
+    if (fs.existsSync(file)) return { data: fs.readFileSync(file), contentType: CONTENT_TYPES[ext] };
+  }
+  return null;
+}
+
+module.exports = { TILES_DIR, listTilesets, getTileset, defaultTileset, getTile };
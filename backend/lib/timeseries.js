@@ -0,0 +1,234 @@
+// backend/lib/timeseries.js
+// Append-only time-series storage for sensor readings. Derived series (recorded
+// risk scores, "risk-zone-<id>" / "risk-site") use the same layout.
+//
+// Layout under DATA_DIR:
+//   readings/<sensorId>/<YYYY-MM-DD>.ndjson   raw readings, one JSON object per line
+//   rollups/<sensorId>/<YYYY-MM-DD>.json      hourly aggregates for a closed (past) UTC day
+//
+// Raw data is never discarded. Hourly rollups are written once a day is over and
+// are dropped again if a late or backfilled reading lands in that day, so they
+// are always rebuildable from the raw files. Queries at hourly or coarser
+// resolution read rollups; finer resolutions aggregate the raw points.
+
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./store");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const RESOLUTIONS = { "1m": MINUTE, "5m": 5 * MINUTE, "15m": 15 * MINUTE, "1h": HOUR, "6h": 6 * HOUR, "1d": DAY };
+const TARGET_BUCKETS = 300; // used to pick a resolution when none is requested
+const MAX_RAW_POINTS = 10000;
+
+const rawDir = (sensorId) => path.join(DATA_DIR, "readings", String(sensorId));
+const rollupDir = (sensorId) => path.join(DATA_DIR, "rollups", String(sensorId));
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+const dayStart = (ms) => Math.floor(ms / DAY) * DAY;
+
+function listDays(sensorId) {
+  try {
+    return fs.readdirSync(rawDir(sensorId)).filter((f) => f.endsWith(".ndjson")).map((f) => f.slice(0, 10)).sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// Raw points for one day, sorted by time. A repeated timestamp keeps the last value written.
+function readDay(sensorId, day) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(rawDir(sensorId), `${day}.ndjson`), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const byTs = new Map();
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      const p = JSON.parse(line);
+      byTs.set(p.ts, p);
+    } catch (err) {
+      // A torn final line from a crash mid-append; skip it.
+    }
+  }
+  return [...byTs.values()].sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0));
+}
+
+function append(sensorId, points) {
+  const byDay = new Map();
+  for (const p of points) {
+    const day = dayKey(Date.parse(p.ts));
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(JSON.stringify({ ts: p.ts, value: p.value }));
+  }
+  fs.mkdirSync(rawDir(sensorId), { recursive: true });
+  for (const [day, lines] of byDay) {
+    fs.appendFileSync(path.join(rawDir(sensorId), `${day}.ndjson`), lines.join("\n") + "\n");
+    // The day's rollup no longer reflects its raw data.
+    fs.rmSync(path.join(rollupDir(sensorId), `${day}.json`), { force: true });
+  }
+}
+
+// Idempotent append for backfills: points whose timestamp is already stored
+// with the same value are skipped, a different value replaces the stored one
+// (the last write wins on read). Within `points` the last value per timestamp
+// counts. Returns { added, updated, unchanged }.
+function mergePoints(sensorId, points) {
+  const byDay = new Map();
+  for (const p of points) {
+    const day = dayKey(Date.parse(p.ts));
+    if (!byDay.has(day)) byDay.set(day, new Map());
+    byDay.get(day).set(p.ts, p.value);
+  }
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+  const fresh = [];
+  for (const [day, incoming] of byDay) {
+    const stored = new Map(readDay(sensorId, day).map((p) => [p.ts, p.value]));
+    for (const [ts, value] of incoming) {
+      if (!stored.has(ts)) counts.added++;
+      else if (stored.get(ts) !== value) counts.updated++;
+      else {
+        counts.unchanged++;
+        continue;
+      }
+      fresh.push({ ts, value });
+    }
+  }
+  if (fresh.length) append(sensorId, fresh);
+  return counts;
+}
+
+// ---------- Aggregation ----------
+function emptyBucket(ts) {
+  return { ts, min: Infinity, max: -Infinity, sum: 0, count: 0, last: null, lastTs: null };
+}
+
+function addPoint(bucket, p) {
+  bucket.min = Math.min(bucket.min, p.value);
+  bucket.max = Math.max(bucket.max, p.value);
+  bucket.sum += p.value;
+  bucket.count++;
+  if (bucket.lastTs === null || p.ts >= bucket.lastTs) {
+    bucket.last = p.value;
+    bucket.lastTs = p.ts;
+  }
+}
+
+function mergeBucket(into, b) {
+  into.min = Math.min(into.min, b.min);
+  into.max = Math.max(into.max, b.max);
+  into.sum += b.sum;
+  into.count += b.count;
+  if (into.lastTs === null || b.lastTs >= into.lastTs) {
+    into.last = b.last;
+    into.lastTs = b.lastTs;
+  }
+}
+
+function bucketize(items, bucketMs, add) {
+  const buckets = new Map();
+  for (const item of items) {
+    const start = Math.floor(Date.parse(item.ts) / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, emptyBucket(new Date(start).toISOString()));
+    add(buckets.get(start), item);
+  }
+  return [...buckets.values()];
+}
+
+// Hourly aggregates for a day, from its rollup file when the day is closed.
+function hourlyRollup(sensorId, day) {
+  const file = path.join(rollupDir(sensorId), `${day}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const hours = bucketize(readDay(sensorId, day), HOUR, addPoint);
+  if (Date.parse(day) + DAY <= dayStart(Date.now())) {
+    fs.mkdirSync(rollupDir(sensorId), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(hours));
+  }
+  return hours;
+}
+
+function toPoint(b) {
+  return { ts: b.ts, min: b.min, max: b.max, mean: Number((b.sum / b.count).toFixed(6)), last: b.last, count: b.count };
+}
+
+function daysInRange(sensorId, fromMs, toMs) {
+  const first = dayKey(fromMs);
+  const last = dayKey(toMs);
+  return listDays(sensorId).filter((d) => d >= first && d <= last);
+}
+
+// Raw points of several series over a range, one UTC day at a time and in
+// time order within the day ({ seriesId, ts, value }), so a long export holds
+// at most a day of those series in memory.
+function* rawByDay(seriesIds, fromMs, toMs) {
+  const days = [...new Set(seriesIds.flatMap((id) => daysInRange(id, fromMs, toMs)))].sort();
+  for (const day of days) {
+    const points = [];
+    for (const id of seriesIds) {
+      for (const p of readDay(id, day)) {
+        const ms = Date.parse(p.ts);
+        if (ms >= fromMs && ms <= toMs) points.push({ seriesId: id, ts: p.ts, value: p.value });
+      }
+    }
+    yield points.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+  }
+}
+
+// Resolve a resolution name ("1h"), a number of seconds, or "auto" into milliseconds (0 = raw).
+function resolveResolution(resolution, fromMs, toMs) {
+  if (resolution === "raw") return 0;
+  if (RESOLUTIONS[resolution]) return RESOLUTIONS[resolution];
+  const seconds = Number(resolution);
+  if (resolution !== undefined && resolution !== "auto") {
+    if (!Number.isFinite(seconds) || seconds < 1) return null;
+    return seconds * 1000;
+  }
+  const span = toMs - fromMs;
+  return Object.values(RESOLUTIONS).find((ms) => span / ms <= TARGET_BUCKETS) || DAY;
+}
+
+// Query a sensor's history. Returns raw points ({ ts, value }) when bucketMs is 0,
+// otherwise per-bucket { ts, min, max, mean, last, count }.
+function query(sensorId, { fromMs, toMs, bucketMs }) {
+  const days = daysInRange(sensorId, fromMs, toMs);
+  const inRange = (ts) => {
+    const ms = Date.parse(ts);
+    return ms >= fromMs && ms <= toMs;
+  };
+
+  // Hour-multiple buckets are built from hourly rollups; the edge hours are
+  // included whole, so the first and last buckets may extend past the range.
+  if (bucketMs >= HOUR && bucketMs % HOUR === 0) {
+    const firstHour = Math.floor(fromMs / HOUR) * HOUR;
+    const hours = days.flatMap((d) => hourlyRollup(sensorId, d)).filter((h) => {
+      const ms = Date.parse(h.ts);
+      return ms >= firstHour && ms <= toMs;
+    });
+    return bucketize(hours, bucketMs, mergeBucket).map(toPoint);
+  }
+
+  const points = days.flatMap((d) => readDay(sensorId, d)).filter((p) => inRange(p.ts));
+  if (bucketMs === 0) return points.slice(-MAX_RAW_POINTS);
+  return bucketize(points, bucketMs, addPoint).map(toPoint);
+}
+
+// Most recent stored reading, or null.
+function latest(sensorId) {
+  const days = listDays(sensorId);
+  for (let i = days.length - 1; i >= 0; i--) {
+    const points = readDay(sensorId, days[i]);
+    if (points.length) return points[points.length - 1];
+  }
+  return null;
+}
+
+module.exports = { RESOLUTIONS, HOUR, DAY, append, mergePoints, query, rawByDay, latest, resolveResolution };
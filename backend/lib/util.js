@@ -0,0 +1,17 @@
+// backend/lib/util.js
+// Small helpers shared across the backend modules.
+
+function rnd(min = 0, max = 1) {
+  return Math.random() * (max - min) + min;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// One RFC 4180 CSV line (with the trailing CRLF); null and undefined become empty cells.
+function csvRow(values) {
+  return `${values.map((v) => (v === null || v === undefined ? "" : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v))).join(",")}\r\n`;
+}
+
+module.exports = { rnd, clamp, csvRow };
@@ -0,0 +1,253 @@
+// backend/lib/zones.js
+// Zone layout: each zone is a named area of the pit (a wall, bench, haul road,
+// ...) with a GeoJSON Polygon or MultiPolygon outline. The risk engine scores
+// zones by id; the outline is what the map draws and what GeoJSON import and
+// export carry.
+//
+// Zone shape ("zones"):
+//   { id, name, kind, baseRisk, geometry: { type: "Polygon" | "MultiPolygon", coordinates },
+//     lat, lng, createdAt, updatedAt }
+// Coordinates are GeoJSON order ([lng, lat]). lat/lng is the label point (the
+// centroid of the largest ring), kept in step with the geometry on every save.
+//
+// Alerts and escalation policies refer to zones by name: renaming a zone
+// carries over to the policies; past alerts keep the name they were raised
+// under. A zone with sensors mapped to it cannot be removed.
+
+const store = require("./store");
+const events = require("./events");
+const { computeZoneMap } = require("./risk");
+
+const KINDS = ["wall", "bench", "haul road", "ramp", "dump", "other"];
+const GEOMETRY_TYPES = ["Polygon", "MultiPolygon"];
+const IMPORT_MODES = ["merge", "replace"];
+
+const zones = () => store.collection("zones");
+const sensorDefs = () => store.collection("sensors");
+const policies = () => store.collection("escalationPolicies");
+
+const round = (v) => Number(v.toFixed(6));
+
+// ---------- Geometry ----------
+// Returns { error } or { geometry } with every ring closed.
+function validateGeometry(geometry) {
+  if (!geometry || !GEOMETRY_TYPES.includes(geometry.type)) return { error: `geometry.type must be one of: ${GEOMETRY_TYPES.join(", ")}` };
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || !polygons.length) return { error: "geometry has no coordinates" };
+
+  const clean = [];
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || !rings.length) return { error: "Every polygon needs an outer ring" };
+    const cleanRings = [];
+    for (const ring of rings) {
+      if (!Array.isArray(ring)) return { error: "Rings must be arrays of [lng, lat] positions" };
+      const positions = [];
+      for (const p of ring) {
+        const [lng, lat] = Array.isArray(p) ? p.map(Number) : [];
+        if (!(lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90)) return { error: `Invalid position ${JSON.stringify(p)}: expected [lng, lat]` };
+        positions.push([lng, lat]);
+      }
+      const [first, last] = [positions[0], positions[positions.length - 1]];
+      if (first && (first[0] !== last[0] || first[1] !== last[1])) positions.push([...first]);
+      if (positions.length < 4) return { error: "Rings need at least three distinct positions" };
+      cleanRings.push(positions);
+    }
+    clean.push(cleanRings);
+  }
+  return { geometry: { type: geometry.type, coordinates: geometry.type === "Polygon" ? clean[0] : clean } };
+}
+
+const outerRings = (geometry) => (geometry.type === "Polygon" ? [geometry.coordinates[0]] : geometry.coordinates.map((rings) => rings[0]));
+
+// Shoelace area and centroid of a ring (planar; fine at pit scale).
+function ringCentroid(ring) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x0, y0] = ring[i];
+    const [x1, y1] = ring[i + 1];
+    const cross = x0 * y1 - x1 * y0;
+    area += cross;
+    cx += (x0 + x1) * cross;
+    cy += (y0 + y1) * cross;
+  }
+  if (!area) {
+    const pts = ring.slice(0, -1);
+    return { area: 0, lng: pts.reduce((s, p) => s + p[0], 0) / pts.length, lat: pts.reduce((s, p) => s + p[1], 0) / pts.length };
+  }
+  return { area: Math.abs(area / 2), lng: cx / (3 * area), lat: cy / (3 * area) };
+}
+
+function labelPoint(geometry) {
+  const largest = outerRings(geometry).map(ringCentroid).reduce((best, c) => (!best || c.area > best.area ? c : best), null);
+  return { lat: round(largest.lat), lng: round(largest.lng) };
+}
+
+// Ray casting, holes excluded. Positions on an edge may fall either way.
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function containsPoint(geometry, lat, lng) {
+  if (!geometry) return false;
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some(([outer, ...holes]) => ringContains(outer, lng, lat) && !holes.some((h) => ringContains(h, lng, lat)));
+}
+
+// [minLng, minLat, maxLng, maxLat] over the given zones, or null when none have an outline.
+function bbox(list = zones().all()) {
+  const positions = list.filter((z) => z.geometry).flatMap((z) => outerRings(z.geometry).flat());
+  if (!positions.length) return null;
+  const lngs = positions.map((p) => p[0]);
+  const lats = positions.map((p) => p[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+// ---------- Validation ----------
+// Returns { error } or { zone }. Missing fields keep the value from `existing`.
+// Name clashes are checked separately (an import renames several at once).
+function validateFields(body, existing = null) {
+  if (!body || typeof body !== "object") return { error: "Zone must be an object" };
+  const name = String(body.name ?? existing?.name ?? "").trim();
+  if (!name) return { error: "name is required" };
+  const kind = body.kind ?? existing?.kind ?? "other";
+  if (!KINDS.includes(kind)) return { error: `kind must be one of: ${KINDS.join(", ")}` };
+  const baseRisk = Number(body.baseRisk ?? existing?.baseRisk ?? 0.3);
+  if (!(baseRisk >= 0 && baseRisk <= 1)) return { error: "baseRisk must be between 0 and 1" };
+
+  if (body.geometry === undefined && existing) return { zone: { name, kind, baseRisk, geometry: existing.geometry } };
+  const { error, geometry } = validateGeometry(body.geometry);
+  if (error) return { error };
+  return { zone: { name, kind, baseRisk, geometry, ...labelPoint(geometry) } };
+}
+
+const findByName = (name) => zones().find((z) => z.name.toLowerCase() === String(name ?? "").trim().toLowerCase());
+
+// Returns { error, status? } or { zone }.
+function validateZone(body, existing = null) {
+  const result = validateFields(body, existing);
+  if (result.error) return result;
+  const clash = findByName(result.zone.name);
+  if (clash && clash.id !== existing?.id) return { status: 409, error: `A zone named "${clash.name}" already exists` };
+  return result;
+}
+
+// ---------- CRUD ----------
+function changed(action, zone) {
+  events.publish("zones.changed", { action, zone: { id: zone.id, name: zone.name } });
+}
+
+function renamePolicies(from, to) {
+  for (const p of policies().filter((p) => p.zones.includes(from))) {
+    policies().update(p.id, { zones: p.zones.map((z) => (z === from ? to : z)) });
+  }
+}
+
+function createZone(body) {
+  const { error, status, zone } = validateZone(body);
+  if (error) return { error, status };
+  const now = new Date().toISOString();
+  const created = zones().insert({ ...zone, createdAt: now, updatedAt: now });
+  changed("created", created);
+  return { zone: created };
+}
+
+function updateZone(existing, body) {
+  const { error, status, zone } = validateZone(body, existing);
+  if (error) return { error, status };
+  if (zone.name !== existing.name) renamePolicies(existing.name, zone.name);
+  const updated = zones().update(existing.id, { ...zone, updatedAt: new Date().toISOString() });
+  changed("updated", updated);
+  return { zone: updated };
+}
+
+// Returns { error, status } or { zone }.
+function removeZone(existing) {
+  const mapped = sensorDefs().filter((d) => d.zoneId === existing.id);
+  if (mapped.length) return { status: 409, error: `Move ${mapped.map((d) => d.code).join(", ")} to another zone first` };
+  zones().remove(existing.id);
+  changed("removed", existing);
+  return { zone: existing };
+}
+
+// ---------- GeoJSON ----------
+// Zones with their current score and severity as a FeatureCollection.
+function exportGeoJSON() {
+  const list = computeZoneMap();
+  return {
+    type: "FeatureCollection",
+    bbox: bbox(list),
+    features: list
+      .filter((z) => z.geometry)
+      .map((z) => ({
+        type: "Feature",
+        id: z.id,
+        geometry: z.geometry,
+        properties: { id: z.id, name: z.name, kind: z.kind, baseRisk: z.baseRisk, score: z.score, severity: z.severity },
+      })),
+  };
+}
+
+/**
+ * Import a FeatureCollection (or a single Feature). Features are matched to
+ * existing zones by properties.id, then by name; unmatched ones are created.
+ * mode "replace" also removes zones the file does not mention. Everything is
+ * validated before anything is written. Returns { error, status } or
+ * { created, updated, removed } (zone names).
+ */
+function importGeoJSON(data, mode = "merge") {
+  if (!IMPORT_MODES.includes(mode)) return { error: `mode must be one of: ${IMPORT_MODES.join(", ")}` };
+  const features = data?.type === "FeatureCollection" ? data.features : data?.type === "Feature" ? [data] : null;
+  if (!Array.isArray(features) || !features.length) return { error: "Expected a GeoJSON FeatureCollection with at least one feature" };
+
+  const plan = [];
+  for (const [i, f] of features.entries()) {
+    const props = f?.properties || {};
+    const existing = (props.id != null && zones().get(props.id)) || findByName(props.name) || null;
+    const body = { name: props.name, kind: props.kind, baseRisk: props.baseRisk, geometry: f?.geometry ?? (existing ? undefined : null) };
+    const { error, zone } = validateFields(body, existing);
+    if (error) return { error: `Feature ${i + 1}${props.name ? ` (${props.name})` : ""}: ${error}` };
+    if (existing && plan.some((p) => p.existing?.id === existing.id)) return { error: `Feature ${i + 1}: "${existing.name}" appears more than once` };
+    plan.push({ existing, zone });
+  }
+
+  // Names must be unique across the zones as they will be after the import.
+  const toRemove = mode === "replace" ? zones().filter((z) => !plan.some((p) => p.existing?.id === z.id)) : [];
+  const after = [
+    ...zones().filter((z) => !toRemove.includes(z) && !plan.some((p) => p.existing?.id === z.id)).map((z) => z.name),
+    ...plan.map((p) => p.zone.name),
+  ];
+  const duplicate = after.find((name, i) => after.findIndex((n) => n.toLowerCase() === name.toLowerCase()) !== i);
+  if (duplicate) return { status: 409, error: `The import would leave two zones named "${duplicate}"` };
+  const blocked = toRemove.filter((z) => sensorDefs().find((d) => d.zoneId === z.id));
+  if (blocked.length) return { status: 409, error: `Replacing would remove zones with sensors mapped to them: ${blocked.map((z) => z.name).join(", ")}` };
+
+  const now = new Date().toISOString();
+  const result = { created: [], updated: [], removed: [] };
+  for (const z of toRemove) {
+    zones().remove(z.id);
+    result.removed.push(z.name);
+  }
+  for (const { existing, zone } of plan) {
+    const record = { ...zone, updatedAt: now };
+    if (existing) {
+      if (zone.name !== existing.name) renamePolicies(existing.name, zone.name);
+      zones().update(existing.id, record);
+      result.updated.push(zone.name);
+    } else {
+      zones().insert({ ...record, createdAt: now });
+      result.created.push(zone.name);
+    }
+  }
+  events.publish("zones.changed", { action: "imported", ...result });
+  return result;
+}
+
+module.exports = { KINDS, IMPORT_MODES, zones, validateGeometry, validateZone, labelPoint, containsPoint, bbox, createZone, updateZone, removeZone, exportGeoJSON, importGeoJSON };
@@ -0,0 +1,83 @@
+// backend/routes/alerts.js
+const express = require("express");
+const timeseries = require("../lib/timeseries");
+const { alerts, transition, addNote, listAlerts } = require("../lib/alerts");
+const { users } = require("../lib/auth");
+const { sensorDefs, zoneName } = require("../lib/sensors");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 500;
+const RELATED_WINDOW_MS = 2 * 60 * 60 * 1000; // readings shown either side of the alert time
+
+const reply = (res, { error, status, alert }) => (error ? res.status(status).json({ error }) : res.json({ alert }));
+
+// ?state=open,assigned&severity=High&zone=...&from=&to=&limit=&offset=
+// Total match count is returned in X-Total-Count.
+router.get("/", (req, res) => {
+  const { from, to } = req.query;
+  if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: "from and to must be ISO-8601 timestamps" });
+  }
+  const matches = listAlerts(req.query);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  res.set("X-Total-Count", String(matches.length));
+  res.json(matches.slice(offset, offset + limit));
+});
+
+// Alert plus readings from its sensor (or the sensors in its zone) around the alert time.
+router.get("/:id", (req, res) => {
+  const alert = alerts().get(req.params.id);
+  if (!alert) return res.status(404).json({ error: "Alert not found" });
+
+  const alertMs = Date.parse(alert.time);
+  const fromMs = alertMs - RELATED_WINDOW_MS;
+  const toMs = Math.min(Date.now(), alertMs + RELATED_WINDOW_MS);
+  const related = sensorDefs()
+    .filter((d) => (alert.sensorId !== undefined ? d.id === alert.sensorId : zoneName(d) === alert.zone || d.location === alert.zone))
+    .map((d) => ({
+      sensor: { id: d.id, code: d.code, type: d.type, unit: d.unit },
+      history: timeseries.query(d.id, { fromMs, toMs, bucketMs: timeseries.resolveResolution("auto", fromMs, toMs) }),
+    }));
+
+  res.json({ alert, related });
+});
+
+router.post("/:id/ack", requirePermission("alerts:ack"), (req, res) => {
+  const result = transition(req.params.id, "acknowledged", req.user, { note: req.body && req.body.note });
+  if (result.error) return reply(res, result);
+  res.json({ msg: "Acknowledged", alert: result.alert });
+});
+
+// { userId, note? }
+router.post("/:id/assign", requirePermission("alerts:manage"), (req, res) => {
+  const assignee = users().get(req.body && req.body.userId);
+  if (!assignee) return res.status(400).json({ error: "Unknown assignee" });
+  reply(res, transition(req.params.id, "assigned", req.user, { assignee, note: req.body.note }));
+});
+
+router.post("/:id/investigate", requirePermission("alerts:manage"), (req, res) => {
+  reply(res, transition(req.params.id, "investigating", req.user, { note: req.body && req.body.note }));
+});
+
+// { reason, falseAlarm? }
+router.post("/:id/resolve", requirePermission("alerts:resolve"), (req, res) => {
+  const { reason, falseAlarm } = req.body || {};
+  reply(res, transition(req.params.id, falseAlarm ? "false-alarm" : "resolved", req.user, { reason }));
+});
+
+router.post("/:id/reopen", requirePermission("alerts:resolve"), (req, res) => {
+  reply(res, transition(req.params.id, "open", req.user, { note: req.body && req.body.note }));
+});
+
+// { text }
+router.post("/:id/notes", requirePermission("alerts:manage"), (req, res) => {
+  const result = addNote(req.params.id, req.user, req.body && req.body.text);
+  if (result.error) return reply(res, result);
+  res.status(201).json({ alert: result.alert });
+});
+
+module.exports = router;
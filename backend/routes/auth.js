@@ -0,0 +1,43 @@
+// backend/routes/auth.js
+const express = require("express");
+const { users, hashPassword, verifyPassword, createSession, revokeSession, publicUser, requireUser } = require("../lib/auth");
+
+const router = express.Router();
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+router.post("/signup", (req, res) => {
+  const { name, password } = req.body || {};
+  const email = normalizeEmail(req.body && req.body.email);
+  if (!name || !String(name).trim()) return res.status(400).json({ error: "Name is required" });
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ error: "A valid email is required" });
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (users().find((u) => u.email === email)) return res.status(409).json({ error: "An account with this email already exists" });
+
+  // The first account bootstraps the site and becomes its administrator.
+  const role = users().count() === 0 ? "Admin" : "Viewer";
+  const user = users().insert({ name: String(name).trim(), email, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() });
+  res.status(201).json({ ...createSession(user), user: publicUser(user) });
+});
+
+router.post("/login", (req, res) => {
+  const email = normalizeEmail(req.body && req.body.email);
+  const password = String((req.body && req.body.password) || "");
+  const user = users().find((u) => u.email === email);
+  if (!user || !verifyPassword(password, user.passwordHash)) return res.status(401).json({ error: "Invalid email or password" });
+  res.json({ ...createSession(user), user: publicUser(user) });
+});
+
+router.post("/logout", requireUser, (req, res) => {
+  revokeSession(req.session.id);
+  res.json({ msg: "Logged out" });
+});
+
+router.get("/me", requireUser, (req, res) => res.json({ user: publicUser(req.user) }));
+
+module.exports = router;
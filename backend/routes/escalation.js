@@ -0,0 +1,67 @@
+// backend/routes/escalation.js
+const express = require("express");
+const { CHANNELS, policies, rosters, validatePolicy, validateRoster, onCall } = require("../lib/escalation");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+router.get("/meta", (req, res) => res.json({ channels: CHANNELS }));
+
+// ---------- Policies ----------
+router.get("/policies", (req, res) => res.json(policies().all()));
+
+router.post("/policies", requirePermission("escalation:manage"), (req, res) => {
+  const { error, policy } = validatePolicy(req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json(policies().insert(policy));
+});
+
+router.put("/policies/:id", requirePermission("escalation:manage"), (req, res) => {
+  if (!policies().get(req.params.id)) return res.status(404).json({ error: "Policy not found" });
+  const { error, policy } = validatePolicy(req.body);
+  if (error) return res.status(400).json({ error });
+  res.json(policies().update(req.params.id, policy));
+});
+
+router.delete("/policies/:id", requirePermission("escalation:manage"), (req, res) => {
+  if (!policies().remove(req.params.id)) return res.status(404).json({ error: "Policy not found" });
+  res.json({ msg: "Policy deleted" });
+});
+
+// ---------- Rosters ----------
+// Each roster is returned with the contacts on call right now.
+const withOnCall = (roster) => ({ ...roster, onCall: onCall(roster).map((c) => c.id) });
+
+router.get("/rosters", (req, res) => res.json(rosters().all().map(withOnCall)));
+
+router.post("/rosters", requirePermission("escalation:manage"), (req, res) => {
+  const { error, roster } = validateRoster(req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json(withOnCall(rosters().insert(roster)));
+});
+
+router.put("/rosters/:id", requirePermission("escalation:manage"), (req, res) => {
+  if (!rosters().get(req.params.id)) return res.status(404).json({ error: "Roster not found" });
+  const { error, roster } = validateRoster(req.body);
+  if (error) return res.status(400).json({ error });
+  res.json(withOnCall(rosters().update(req.params.id, roster)));
+});
+
+router.delete("/rosters/:id", requirePermission("escalation:manage"), (req, res) => {
+  const id = Number(req.params.id);
+  const usedBy = policies().find((p) => p.tiers.some((t) => t.rosterId === id));
+  if (usedBy) return res.status(409).json({ error: `Roster is used by policy "${usedBy.name}"` });
+  if (!rosters().remove(id)) return res.status(404).json({ error: "Roster not found" });
+  res.json({ msg: "Roster deleted" });
+});
+
+// Who would be paged at a given time: GET /rosters/:id/on-call?at=ISO
+router.get("/rosters/:id/on-call", (req, res) => {
+  const roster = rosters().get(req.params.id);
+  if (!roster) return res.status(404).json({ error: "Roster not found" });
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(at.getTime())) return res.status(400).json({ error: "at must be an ISO timestamp" });
+  res.json({ at: at.toISOString(), contacts: onCall(roster, at) });
+});
+
+module.exports = router;
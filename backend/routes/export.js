@@ -0,0 +1,57 @@
+// backend/routes/export.js
+const express = require("express");
+const { parseFilters, streamReadings, streamAlerts } = require("../lib/exports");
+const { FORMATS, reports, validateReportRequest, buildReport, saveReport, reportSummary, listReports, renderReport } = require("../lib/reports");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+// format: json (the report data) or one of FORMATS; ?download=1 sends it as
+// an attachment, otherwise HTML and PDF open in the browser for printing.
+async function sendReport(req, res, report) {
+  const format = req.query.format || "json";
+  if (format === "json") return res.json(report);
+  if (!FORMATS[format]) return res.status(400).json({ error: `format must be one of: json, ${Object.keys(FORMATS).join(", ")}` });
+  const { body, contentType, filename } = await renderReport(report, format);
+  if (req.query.download || format === "csv") res.attachment(filename);
+  res.type(contentType).send(body);
+}
+
+// A one-off report, not saved. Query: from, to (ISO; default the last 12 h),
+// zoneIds (comma-separated; default all), kind, title, format.
+router.get("/report", async (req, res) => {
+  const { error, params } = validateReportRequest(req.query);
+  if (error) return res.status(400).json({ error });
+  await sendReport(req, res, buildReport(params, req.user));
+});
+
+router.get("/reports", (req, res) => res.json(listReports()));
+
+// Body: { from, to, zoneIds: [id], kind, title }; generates and saves the report.
+router.post("/reports", requirePermission("reports:create"), (req, res) => {
+  const { error, params } = validateReportRequest(req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json(reportSummary(saveReport(params, req.user)));
+});
+
+router.get("/reports/:id", async (req, res) => {
+  const report = reports().get(req.params.id);
+  if (!report) return res.status(404).json({ error: "Report not found" });
+  await sendReport(req, res, report);
+});
+
+// Raw data, streamed. Query: from, to, sensor, zone, type (and severity, state
+// for alerts), format=csv|ndjson; see lib/exports.js.
+router.get("/readings", async (req, res) => {
+  const { error, filters } = parseFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  await streamReadings(res, filters);
+});
+
+router.get("/alerts", async (req, res) => {
+  const { error, filters } = parseFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  await streamAlerts(res, filters);
+});
+
+module.exports = router;
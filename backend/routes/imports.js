@@ -0,0 +1,51 @@
+// backend/routes/imports.js
+const fs = require("fs");
+const express = require("express");
+const { requirePermission } = require("../lib/permissions");
+const { imports, rejectedPath, receiveUpload, startImport, deleteImport, listImports } = require("../lib/imports");
+
+const router = express.Router();
+
+router.get("/", (req, res) => res.json(listImports()));
+
+// Body: the raw CSV file (any content type; it is streamed to disk, not
+// parsed here). ?filename=<original name>. Responds with the sniffed
+// delimiter, columns and preview rows to map.
+router.post("/", requirePermission("readings:ingest"), async (req, res) => {
+  const filename = String(req.query.filename || "upload.csv").slice(0, 200);
+  const { error, status, upload } = await receiveUpload(req, filename, req.user);
+  if (error) return res.status(status).json({ error });
+  res.status(201).json(upload);
+});
+
+router.get("/:id", (req, res) => {
+  const job = imports().get(Number(req.params.id));
+  if (!job) return res.status(404).json({ error: "Import not found" });
+  res.json(job);
+});
+
+// Body: the column mapping (see lib/imports.js). The import runs in the
+// background; poll GET /:id for progress.
+router.post("/:id/start", requirePermission("readings:ingest"), (req, res) => {
+  const { error, status, job } = startImport(Number(req.params.id), req.body);
+  if (error) return res.status(status).json({ error });
+  res.status(202).json(job);
+});
+
+// Every rejected row: line, reason, then the original fields.
+router.get("/:id/rejected", (req, res) => {
+  const job = imports().get(Number(req.params.id));
+  if (!job) return res.status(404).json({ error: "Import not found" });
+  if (job.status !== "done" || !fs.existsSync(rejectedPath(job.id))) return res.status(409).json({ error: "The rejected-row report is ready once the import is done" });
+  res.attachment(`${job.filename.replace(/\.[^.]*$/, "")}-rejected.csv`);
+  res.type("text/csv; charset=utf-8");
+  fs.createReadStream(rejectedPath(job.id)).pipe(res);
+});
+
+router.delete("/:id", requirePermission("readings:ingest"), (req, res) => {
+  const { error, status } = deleteImport(Number(req.params.id));
+  if (error) return res.status(status).json({ error });
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,9 @@
+// backend/routes/map.js
+const express = require("express");
+const { computeZoneMap } = require("../lib/risk");
+
+const router = express.Router();
+
+router.get("/", (req, res) => res.json(computeZoneMap()));
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// backend/routes/models.js
+const express = require("express");
+const { SENSITIVITIES, WEIGHT_KEYS, NORMALISER_KEYS, profiles, riskModel, validateModel, modelOf, activeProfile, boundLevels, cloneProfile, saveProfile, activateProfile } = require("../lib/profiles");
+const { previewModel } = require("../lib/risk");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+// Each profile is listed with the sensitivity levels it is bound to.
+const withBindings = (profile, bound = boundLevels()) => ({ ...profile, boundTo: bound[profile.id] || [] });
+
+router.get("/", (req, res) => {
+  const bound = boundLevels();
+  res.json({
+    sensitivities: SENSITIVITIES,
+    weightKeys: WEIGHT_KEYS,
+    normaliserUnits: NORMALISER_KEYS,
+    bindings: riskModel().bindings,
+    activeId: activeProfile().id,
+    profiles: profiles().all().map((p) => withBindings(p, bound)),
+  });
+});
+
+router.get("/:id", (req, res) => {
+  const profile = profiles().get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+  res.json(withBindings(profile));
+});
+
+// Copy a profile (built-in or custom) into a new editable one. Body: { name?, description? }
+router.post("/:id/clone", requirePermission("settings:write"), (req, res) => {
+  const source = profiles().get(req.params.id);
+  if (!source) return res.status(404).json({ error: "Profile not found" });
+  res.status(201).json(withBindings(cloneProfile(source, req.body || {}, req.user)));
+});
+
+// Save edits as a new version. Body: { name?, description?, weights?, normalisers?, severityBands? }
+router.put("/:id", requirePermission("settings:write"), (req, res) => {
+  const profile = profiles().get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+  if (profile.builtIn) return res.status(409).json({ error: "Built-in profiles are read-only; clone it to make changes" });
+  const result = saveProfile(profile, req.body, req.user);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(withBindings(result.profile));
+});
+
+// Zone scores and severities under the active profile vs. unsaved edits to a
+// profile (body: partial model over the profile's own values).
+router.post("/:id/preview", (req, res) => {
+  const profile = profiles().get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+  const { error, model } = validateModel(req.body || {}, modelOf(profile));
+  if (error) return res.status(400).json({ error });
+  res.json(previewModel(model));
+});
+
+// Bind to a sensitivity level; the current one when body.sensitivity is omitted.
+router.post("/:id/activate", requirePermission("settings:write"), (req, res) => {
+  const profile = profiles().get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+  const result = activateProfile(profile, req.body?.sensitivity || undefined);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ sensitivity: result.sensitivity, bindings: riskModel().bindings, profile: withBindings(result.profile) });
+});
+
+router.delete("/:id", requirePermission("settings:write"), (req, res) => {
+  const profile = profiles().get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+  if (profile.builtIn) return res.status(409).json({ error: "Built-in profiles cannot be deleted" });
+  const bound = boundLevels()[profile.id];
+  if (bound) return res.status(409).json({ error: `Profile is active for: ${bound.join(", ")}` });
+  profiles().remove(profile.id);
+  res.json({ msg: "Profile deleted" });
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// backend/routes/notifications.js
+const express = require("express");
+const notify = require("../lib/notify");
+const { can, requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+// Recipient addresses are shown to those who manage them in the channel settings.
+const canSeeRecipients = (req) => can(req.user.role, "settings:write");
+
+// Delivery log for one alert: GET /api/notifications?alertId=12
+router.get("/", (req, res) => {
+  if (!req.query.alertId) return res.status(400).json({ error: "alertId is required" });
+  res.json(notify.deliveriesFor(req.query.alertId, { reveal: canSeeRecipients(req) }));
+});
+
+router.get("/channels", requirePermission("settings:write"), (req, res) => res.json(notify.maskedChannels()));
+
+router.put("/channels", requirePermission("settings:write"), (req, res) => {
+  const body = req.body || {};
+  for (const [name, cfg] of Object.entries(body)) {
+    if (!notify.CHANNELS.includes(name)) return res.status(400).json({ error: `Unknown channel: ${name}` });
+    if (typeof cfg !== "object" || Array.isArray(cfg) || cfg === null) return res.status(400).json({ error: `${name} settings must be an object` });
+  }
+  notify.updateChannels(body);
+  res.json(notify.maskedChannels());
+});
+
+// Queue a test message to every recipient of a channel.
+router.post("/test", requirePermission("settings:write"), (req, res) => {
+  const { channel } = req.body || {};
+  if (!notify.CHANNELS.includes(channel)) return res.status(400).json({ error: "channel must be one of " + notify.CHANNELS.join(", ") });
+  const recipients = channel === "push" ? notify.pushSubscriptions().all().map((s) => s.id) : notify.getChannels()[channel].recipients || [];
+  if (!recipients.length) return res.status(400).json({ error: `No ${channel} recipients configured` });
+  const queued = recipients.map((to) =>
+    notify.enqueue({ channel, to, subject: "Test notification", body: `Test message from the rockfall dashboard, sent by ${req.user.name}.`, reason: "test" })
+  );
+  res.status(202).json(queued.map((m) => notify.publicMessage(m, { reveal: true })));
+});
+
+router.post("/:id/retry", requirePermission("alerts:manage"), (req, res) => {
+  const message = notify.retry(req.params.id);
+  if (!message) return res.status(409).json({ error: "Only failed messages can be retried" });
+  res.json(notify.publicMessage(message, { reveal: canSeeRecipients(req) }));
+});
+
+// ---------- Web Push ----------
+router.get("/push/key", (req, res) => res.json({ publicKey: notify.getChannels().push.publicKey }));
+
+router.post("/push/subscribe", (req, res) => {
+  const { subscription } = req.body || {};
+  if (!subscription || typeof subscription.endpoint !== "string" || !subscription.keys) {
+    return res.status(400).json({ error: "subscription must be a PushSubscription (endpoint and keys)" });
+  }
+  const subs = notify.pushSubscriptions();
+  const existing = subs.find((s) => s.subscription.endpoint === subscription.endpoint);
+  if (existing) return res.json(subs.update(existing.id, { userId: req.user.id, subscription }));
+  res.status(201).json(subs.insert({ userId: req.user.id, subscription, createdAt: new Date().toISOString() }));
+});
+
+router.delete("/push/subscribe", (req, res) => {
+  const endpoint = (req.body || {}).endpoint;
+  const subs = notify.pushSubscriptions();
+  const existing = subs.find((s) => s.subscription.endpoint === endpoint && s.userId === req.user.id);
+  if (!existing) return res.status(404).json({ error: "Subscription not found" });
+  subs.remove(existing.id);
+  res.json({ msg: "Unsubscribed" });
+});
+
+module.exports = router;
@@ -0,0 +1,9 @@
+// backend/routes/overview.js
+const express = require("express");
+const { computeOverview } = require("../lib/overview");
+
+const router = express.Router();
+
+router.get("/", (req, res) => res.json(computeOverview()));
+
+module.exports = router;
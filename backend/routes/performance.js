@@ -0,0 +1,82 @@
+// backend/routes/performance.js
+const express = require("express");
+const store = require("../lib/store");
+const { HORIZON_H, rockfallEvents, listPredictions, metricsByWindow, backtest } = require("../lib/performance");
+const { profiles } = require("../lib/profiles");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 200;
+const parseTime = (value, fallback) => (value ? Date.parse(value) : fallback);
+
+// Optional ?zone=<id>; returns { zoneId } or { error }.
+function zoneParam(req) {
+  if (!req.query.zone) return { zoneId: null };
+  const zone = store.collection("zones").get(req.query.zone);
+  return zone ? { zoneId: zone.id } : { error: "Zone not found" };
+}
+
+// Precision, recall, false-alarm rate and Brier score over 1 week .. 6 months.
+router.get("/metrics", (req, res) => {
+  const { zoneId, error } = zoneParam(req);
+  if (error) return res.status(404).json({ error });
+  res.json({ horizonH: HORIZON_H, zoneId, windows: metricsByWindow({ zoneId }) });
+});
+
+// Logged predictions with matched outcomes, newest first. ?zone=&from=&to=&limit=
+router.get("/predictions", (req, res) => {
+  const { zoneId, error } = zoneParam(req);
+  if (error) return res.status(404).json({ error });
+  const fromMs = parseTime(req.query.from, 0);
+  const toMs = parseTime(req.query.to, Date.now());
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return res.status(400).json({ error: "from and to must be ISO timestamps" });
+  const items = listPredictions({ zoneId, fromMs, toMs });
+  res.set("X-Total-Count", String(items.length));
+  res.json(items.slice(0, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT)));
+});
+
+// ?from=&to= (default: last 30 days) &step=<hours> &zone= &profile=<id> (default: active)
+// &series=1 to include the replayed scores
+router.get("/backtest", (req, res) => {
+  const { zoneId, error } = zoneParam(req);
+  if (error) return res.status(404).json({ error });
+  const profile = req.query.profile ? profiles().get(req.query.profile) : undefined;
+  if (req.query.profile && !profile) return res.status(404).json({ error: "Profile not found" });
+  const toMs = parseTime(req.query.to, Date.now());
+  const fromMs = parseTime(req.query.from, toMs - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return res.status(400).json({ error: "from and to must be ISO timestamps" });
+  const result = backtest({ fromMs, toMs, stepH: Number(req.query.step || 1), zoneId, includeSeries: req.query.series === "1", profile });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
+
+// ---------- Confirmed rockfall events ----------
+router.get("/events", (req, res) => res.json(rockfallEvents().all().sort((a, b) => (a.occurredAt < b.occurredAt ? 1 : -1))));
+
+router.post("/events", requirePermission("events:record"), (req, res) => {
+  const { zoneId, occurredAt, description, volumeM3 } = req.body || {};
+  const zone = store.collection("zones").get(zoneId);
+  if (!zone) return res.status(400).json({ error: "zoneId must be an existing zone" });
+  const ms = Date.parse(occurredAt);
+  if (Number.isNaN(ms)) return res.status(400).json({ error: "occurredAt must be an ISO timestamp" });
+  if (ms > Date.now()) return res.status(400).json({ error: "occurredAt cannot be in the future" });
+  if (volumeM3 !== undefined && volumeM3 !== null && volumeM3 !== "" && !(Number(volumeM3) >= 0)) return res.status(400).json({ error: "volumeM3 must be zero or positive" });
+  const event = rockfallEvents().insert({
+    zoneId: zone.id,
+    zone: zone.name,
+    occurredAt: new Date(ms).toISOString(),
+    description: String(description || "").trim(),
+    volumeM3: volumeM3 === undefined || volumeM3 === null || volumeM3 === "" ? null : Number(volumeM3),
+    confirmedBy: { id: req.user.id, name: req.user.name },
+    createdAt: new Date().toISOString(),
+  });
+  res.status(201).json(event);
+});
+
+router.delete("/events/:id", requirePermission("events:record"), (req, res) => {
+  if (!rockfallEvents().remove(req.params.id)) return res.status(404).json({ error: "Event not found" });
+  res.json({ msg: "Event deleted" });
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// backend/routes/predictions.js
+const express = require("express");
+const store = require("../lib/store");
+const { computeRiskScore, computeZoneRisks, explainZoneRisk, forecastRisk, predictionSeries } = require("../lib/risk");
+const { metricsByWindow } = require("../lib/performance");
+const { forecastSeries } = require("../lib/forecast");
+const { findSensorDef, sensorSnapshot } = require("../lib/sensors");
+
+const router = express.Router();
+
+// accuracy: measured performance per window (see lib/performance.js), as chart series.
+function accuracySeries() {
+  const windows = metricsByWindow();
+  const pick = (key) => windows.map((w) => w[key]);
+  return { labels: pick("label"), precision: pick("precision"), recall: pick("recall"), falseAlarmRate: pick("falseAlarmRate"), brier: pick("brier"), n: pick("n") };
+}
+
+router.get("/", (req, res) => res.json({ currentRiskScore: computeRiskScore(), series: predictionSeries(), accuracy: accuracySeries() }));
+
+// ?zone=<id or name>; without one, explains the zone that sets the site score.
+router.get("/explain", (req, res) => {
+  if (!store.getDoc("settings").ai.explainable) return res.status(409).json({ error: "Explainable AI is turned off in settings" });
+  const zones = store.collection("zones");
+  let zone;
+  if (req.query.zone) {
+    zone = zones.get(req.query.zone) || zones.find((z) => z.name === req.query.zone);
+    if (!zone) return res.status(404).json({ error: "Zone not found" });
+  } else {
+    const worst = computeZoneRisks().reduce((max, r) => (!max || r.score > max.score ? r : max), null);
+    zone = worst && zones.get(worst.zoneId);
+    if (!zone) return res.status(404).json({ error: "No zones defined" });
+  }
+  res.json(explainZoneRisk(zone));
+});
+
+const MAX_HORIZON_H = 72;
+
+// ?zone=<id> | ?sensor=<id or code> (default: site score) &horizon=<hours, default 24>&level=80|90|95|99
+// Hourly point forecasts with lower/upper interval bounds.
+router.get("/forecast", (req, res) => {
+  const horizon = Number(req.query.horizon || 24);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_H) return res.status(400).json({ error: `horizon must be a whole number of hours from 1 to ${MAX_HORIZON_H}` });
+  const level = Number(req.query.level || 95);
+  if (![80, 90, 95, 99].includes(level)) return res.status(400).json({ error: "level must be one of 80, 90, 95, 99" });
+  const horizonsH = Array.from({ length: horizon }, (_, i) => i + 1);
+
+  if (req.query.sensor) {
+    const def = findSensorDef(req.query.sensor);
+    if (!def) return res.status(404).json({ error: "Sensor not found" });
+    return res.json({ channel: "sensor", sensor: { id: def.id, code: def.code, type: def.type, unit: def.unit }, ...forecastSeries(def.id, { horizonsH, level, now: sensorSnapshot(def).rawValue ?? undefined }) });
+  }
+  if (req.query.zone) {
+    const zone = store.collection("zones").get(req.query.zone);
+    if (!zone) return res.status(404).json({ error: "Zone not found" });
+    return res.json({ channel: "risk", zone: { id: zone.id, name: zone.name }, ...forecastRisk(zone.id, { horizonsH, level }) });
+  }
+  res.json({ channel: "risk", zone: null, ...forecastRisk(null, { horizonsH, level }) });
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// backend/routes/rules.js
+const express = require("express");
+const { OPERATORS, SEVERITIES, SOURCES, KINDS, rules, validateRule, resetState } = require("../lib/rules");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+router.get("/", (req, res) => res.json(rules().all()));
+
+// Options for the rule editor.
+router.get("/meta", (req, res) => res.json({ operators: Object.keys(OPERATORS), severities: SEVERITIES, sources: SOURCES, kinds: KINDS }));
+
+router.post("/", requirePermission("rules:manage"), (req, res) => {
+  const { error, rule } = validateRule(req.body);
+  if (error) return res.status(400).json({ error });
+  const now = new Date().toISOString();
+  res.status(201).json(rules().insert({ ...rule, createdBy: req.user.name, createdAt: now, updatedAt: now }));
+});
+
+router.put("/:id", requirePermission("rules:manage"), (req, res) => {
+  const existing = rules().get(req.params.id);
+  if (!existing) return res.status(404).json({ error: "Rule not found" });
+  const { error, rule } = validateRule(req.body);
+  if (error) return res.status(400).json({ error });
+  resetState(existing.id);
+  res.json(rules().update(existing.id, { ...rule, updatedAt: new Date().toISOString() }));
+});
+
+router.delete("/:id", requirePermission("rules:manage"), (req, res) => {
+  if (!rules().remove(req.params.id)) return res.status(404).json({ error: "Rule not found" });
+  resetState(Number(req.params.id));
+  res.json({ msg: "Rule deleted" });
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// backend/routes/sensors.js
+const express = require("express");
+const timeseries = require("../lib/timeseries");
+const { requireUser } = require("../lib/auth");
+const { requirePermission } = require("../lib/permissions");
+const { sensorDefs, findSensorDef, validateReading, storeReading, validatePosition, setPosition, sensorSnapshot } = require("../lib/sensors");
+
+const router = express.Router();
+
+const MAX_BATCH_SIZE = 1000;
+
+router.get("/", requireUser, (req, res) => res.json(sensorDefs().all().map(sensorSnapshot)));
+
+// Batch ingestion: { readings: [{ sensor: <id|code>, value, unit, ts, type?, battery? }, ...] }
+router.post("/readings", requirePermission("readings:ingest"), (req, res) => {
+  const readings = req.body && req.body.readings;
+  if (!Array.isArray(readings)) return res.status(400).json({ error: "readings must be an array" });
+  if (readings.length > MAX_BATCH_SIZE) return res.status(413).json({ error: `Batch exceeds ${MAX_BATCH_SIZE} readings` });
+
+  let accepted = 0;
+  const rejected = [];
+  readings.forEach((r, index) => {
+    const def = findSensorDef(r && (r.sensor ?? r.sensorId ?? r.code));
+    const { error, reading } = validateReading(def, r);
+    if (error) return rejected.push({ index, error });
+    storeReading(def, reading);
+    accepted++;
+  });
+
+  const status = accepted === 0 && rejected.length > 0 ? 400 : 200;
+  res.status(status).json({ accepted, rejected });
+});
+
+router.post("/:id/readings", requirePermission("readings:ingest"), (req, res) => {
+  const def = findSensorDef(req.params.id);
+  if (!def) return res.status(404).json({ error: "Sensor not found" });
+  const { error, reading } = validateReading(def, req.body);
+  if (error) return res.status(400).json({ error });
+  const updated = storeReading(def, reading);
+  res.status(201).json({ msg: updated ? "Reading stored" : "Reading stored in history; older than latest value", sensor: sensorSnapshot(def) });
+});
+
+// Body: { lat, lng, elevationM? }
+router.put("/:id/position", requireUser, requirePermission("sensors:manage"), (req, res) => {
+  const def = findSensorDef(req.params.id);
+  if (!def) return res.status(404).json({ error: "Sensor not found" });
+  const { error, position } = validatePosition(req.body);
+  if (error) return res.status(400).json({ error });
+  res.json(sensorSnapshot(setPosition(def, position)));
+});
+
+router.delete("/:id/position", requireUser, requirePermission("sensors:manage"), (req, res) => {
+  const def = findSensorDef(req.params.id);
+  if (!def) return res.status(404).json({ error: "Sensor not found" });
+  res.json(sensorSnapshot(setPosition(def, null)));
+});
+
+// History: ?from=<ISO>&to=<ISO>&resolution=raw|1m|5m|15m|1h|6h|1d|<seconds>|auto
+// Defaults to the last 24 hours at an automatically chosen resolution.
+router.get("/:id/history", requireUser, (req, res) => {
+  const def = findSensorDef(req.params.id);
+  if (!def) return res.status(404).json({ error: "Sensor not found" });
+
+  const toMs = req.query.to ? Date.parse(req.query.to) : Date.now();
+  const fromMs = req.query.from ? Date.parse(req.query.from) : toMs - timeseries.DAY;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return res.status(400).json({ error: "from and to must be ISO-8601 timestamps" });
+  if (fromMs > toMs) return res.status(400).json({ error: "from must be before to" });
+
+  const bucketMs = timeseries.resolveResolution(req.query.resolution, fromMs, toMs);
+  if (bucketMs === null) return res.status(400).json({ error: "Invalid resolution" });
+
+  res.json({
+    sensorId: def.id,
+    code: def.code,
+    unit: def.unit,
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    resolution: bucketMs === 0 ? "raw" : bucketMs / 1000,
+    history: timeseries.query(def.id, { fromMs, toMs, bucketMs }),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// backend/routes/settings.js
+const express = require("express");
+const store = require("../lib/store");
+const { users } = require("../lib/auth");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+// The profile section always describes the logged-in user, not a site-wide record.
+const withProfile = (settings, user) => ({ ...settings, profile: { name: user.name, email: user.email, role: user.role } });
+
+const SECTIONS = ["preferences", "alerts", "ai", "sensors", "map"];
+const FALLBACKS = ["none", "simulated"];
+
+// Returns an error message for a malformed update, or null. Sections are
+// merged into the stored ones, so only the fields given are checked.
+function settingsError(body) {
+  for (const key of SECTIONS) {
+    const section = body[key];
+    if (section !== undefined && (!section || typeof section !== "object" || Array.isArray(section))) return `${key} must be an object`;
+  }
+  const { sensors = {}, map = {} } = body;
+  if (sensors.fallback !== undefined && !FALLBACKS.includes(sensors.fallback)) return `sensors.fallback must be one of: ${FALLBACKS.join(", ")}`;
+  if (sensors.staleAfterSec !== undefined && !(Number(sensors.staleAfterSec) > 0 && Number.isFinite(Number(sensors.staleAfterSec)))) return "sensors.staleAfterSec must be a number of seconds above 0";
+  if (map.baseLayer !== undefined && (typeof map.baseLayer !== "string" || !map.baseLayer.trim())) return "map.baseLayer must be \"online\" or a tileset name";
+  if (map.onlineUrl !== undefined && map.onlineUrl !== null && typeof map.onlineUrl !== "string") return "map.onlineUrl must be a string";
+  return null;
+}
+
+router.get("/", (req, res) => res.json(withProfile(store.getDoc("settings"), req.user)));
+
+router.post("/", requirePermission("settings:write"), (req, res) => {
+  const { profile, ...body } = req.body || {};
+  const error = settingsError(body);
+  if (error) return res.status(400).json({ error });
+
+  // Name and email edits go to the user's own account; the role is managed under /api/users.
+  let user = req.user;
+  if (profile) {
+    const patch = {};
+    if (profile.name && String(profile.name).trim()) patch.name = String(profile.name).trim();
+    if (profile.email && String(profile.email).trim()) patch.email = String(profile.email).trim().toLowerCase();
+    if (patch.email && users().find((u) => u.email === patch.email && u.id !== req.user.id)) {
+      return res.status(409).json({ error: "Email already in use" });
+    }
+    if (Object.keys(patch).length) user = users().update(req.user.id, patch);
+  }
+
+  const settings = store.getDoc("settings");
+  // Deep merge
+  const next = store.setDoc("settings", {
+    ...settings,
+    ...body,
+    preferences: { ...settings.preferences, ...(body.preferences || {}) },
+    alerts: { ...settings.alerts, ...(body.alerts || {}) },
+    ai: { ...settings.ai, ...(body.ai || {}) },
+    sensors: { ...settings.sensors, ...(body.sensors || {}), ...(body.sensors?.staleAfterSec !== undefined ? { staleAfterSec: Number(body.sensors.staleAfterSec) } : {}) },
+    map: { ...settings.map, ...(body.map || {}) },
+  });
+
+  res.json({ msg: "✅ Settings updated successfully", settings: withProfile(next, user) });
+});
+
+module.exports = router;
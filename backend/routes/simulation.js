@@ -0,0 +1,102 @@
+// backend/routes/simulation.js
+const express = require("express");
+const { LIMITS, getSimulation, updateSimulation } = require("../lib/simulation");
+const { sessionFor, resetSession, updateSession, promoteAlert, monteCarlo, sessionView } = require("../lib/sandbox");
+const { TYPES: DISTRIBUTION_TYPES, MAX_SAMPLES } = require("../lib/montecarlo");
+const { EVENT_TYPES, STEP_OPTIONS, MAX_DURATION_H, scenarios, scenarioRuns, validateScenario, runScenario, runSummary } = require("../lib/scenarios");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+// Live environmental inputs; what-ifs run in the caller's session below.
+router.get("/", (req, res) => res.json(getSimulation()));
+
+// Set the live inputs. Body: { rainfallMm?, seismicMag?, blastingLevel? } (clamped to LIMITS).
+router.put("/live", requirePermission("simulation:admin"), (req, res) => {
+  const body = req.body || {};
+  const given = Object.keys(LIMITS).filter((k) => body[k] !== undefined);
+  if (!given.length) return res.status(400).json({ error: `Give at least one of: ${Object.keys(LIMITS).join(", ")}` });
+  const bad = given.find((k) => body[k] === null || body[k] === "" || !Number.isFinite(Number(body[k])));
+  if (bad) return res.status(400).json({ error: `${bad} must be a number` });
+  res.json(updateSimulation(body));
+});
+
+// Older clients post what-if inputs here; they go to the caller's sandbox
+// session, not the live inputs (see PUT /live).
+router.post("/", requirePermission("simulation:run"), (req, res) => {
+  const session = updateSession(req.user, req.body || {});
+  res.json({ msg: "Simulation session updated", simulation: session.inputs, session: sessionView(session) });
+});
+
+// ---------- Sandbox session ----------
+router.get("/session", (req, res) => res.json(sessionView(sessionFor(req.user))));
+
+router.put("/session", requirePermission("simulation:run"), (req, res) => res.json(sessionView(updateSession(req.user, req.body || {}))));
+
+// Back to the live inputs, with the session's alerts cleared.
+router.post("/session/reset", requirePermission("simulation:run"), (req, res) => res.json(sessionView(resetSession(req.user))));
+
+// Raise a session alert as a real one, attributed to the promoting user.
+router.post("/session/alerts/:id/promote", requirePermission("simulation:run"), (req, res) => {
+  const result = promoteAlert(req.user, req.params.id);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.status(201).json({ alert: result.alert, session: sessionView(result.session) });
+});
+
+// Monte Carlo over input distributions in the caller's session.
+// Body: { distributions: { rainfallMm: { type, ... }, seismicMag, blastingLevel }, samples, seed? }
+router.get("/session/montecarlo/meta", (req, res) => res.json({ types: DISTRIBUTION_TYPES, maxSamples: MAX_SAMPLES, limits: LIMITS }));
+
+router.post("/session/montecarlo", requirePermission("simulation:run"), (req, res) => {
+  const result = monteCarlo(req.user, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result);
+});
+
+// ---------- Scenarios ----------
+router.get("/scenarios/meta", (req, res) => res.json({ eventTypes: EVENT_TYPES, stepOptions: STEP_OPTIONS, maxDurationH: MAX_DURATION_H, limits: LIMITS }));
+
+router.get("/scenarios", (req, res) => res.json(scenarios().all()));
+
+router.post("/scenarios", requirePermission("simulation:run"), (req, res) => {
+  const { error, scenario } = validateScenario(req.body);
+  if (error) return res.status(400).json({ error });
+  if (scenarios().find((s) => s.name.toLowerCase() === scenario.name.toLowerCase())) return res.status(409).json({ error: `A scenario named "${scenario.name}" already exists` });
+  const now = new Date().toISOString();
+  res.status(201).json(scenarios().insert({ ...scenario, createdBy: { id: req.user.id, name: req.user.name }, createdAt: now, updatedAt: now }));
+});
+
+router.put("/scenarios/:id", requirePermission("simulation:run"), (req, res) => {
+  const existing = scenarios().get(req.params.id);
+  if (!existing) return res.status(404).json({ error: "Scenario not found" });
+  const { error, scenario } = validateScenario(req.body);
+  if (error) return res.status(400).json({ error });
+  if (scenarios().find((s) => s.id !== existing.id && s.name.toLowerCase() === scenario.name.toLowerCase())) return res.status(409).json({ error: `A scenario named "${scenario.name}" already exists` });
+  res.json(scenarios().update(existing.id, { ...scenario, updatedAt: new Date().toISOString() }));
+});
+
+router.delete("/scenarios/:id", requirePermission("simulation:run"), (req, res) => {
+  if (!scenarios().remove(req.params.id)) return res.status(404).json({ error: "Scenario not found" });
+  res.json({ msg: "Scenario deleted" });
+});
+
+// Run a saved scenario; the full run (per-step inputs, zone curves, alerts) is returned and kept.
+router.post("/scenarios/:id/run", requirePermission("simulation:run"), (req, res) => {
+  const scenario = scenarios().get(req.params.id);
+  if (!scenario) return res.status(404).json({ error: "Scenario not found" });
+  res.status(201).json(runScenario(scenario, { user: req.user }));
+});
+
+// Past runs, newest first, without per-step data. ?scenario=<id>
+router.get("/runs", (req, res) => {
+  const scenarioId = req.query.scenario ? Number(req.query.scenario) : null;
+  res.json(scenarioRuns().filter((r) => scenarioId === null || r.scenarioId === scenarioId).reverse().map(runSummary));
+});
+
+router.get("/runs/:id", (req, res) => {
+  const run = scenarioRuns().get(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json(run);
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// backend/routes/stream.js
+// Server-Sent Events. EventSource cannot set headers, so the session token is
+// passed as ?token=. Reconnecting clients send Last-Event-ID to resume.
+const express = require("express");
+const events = require("../lib/events");
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+const format = (e) => `id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e.data)}\n\n`;
+
+router.get("/", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const lastId = Number(req.get("last-event-id"));
+  if (Number.isFinite(lastId) && lastId > 0) {
+    const missed = events.since(lastId);
+    // Too far behind to replay: tell the client to reload its state.
+    if (missed === null) res.write("event: resync\ndata: {}\n\n");
+    else missed.forEach((e) => res.write(format(e)));
+  }
+
+  const unsubscribe = events.subscribe((e) => res.write(format(e)));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// backend/routes/surface.js
+const express = require("express");
+const { HOUR } = require("../lib/timeseries");
+const { DEFAULT_CELL_M, siteBoundary, setSiteBoundary, buildSurface, frameTimes, colourRamp, toGeoJSON, toPNG } = require("../lib/surface");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+const FORMATS = ["json", "geojson", "png"];
+const MAX_FRAME_HOURS = 7 * 24;
+const STEPS_MIN = [15, 30, 60, 180, 360];
+
+// ?at=<ISO> (a past frame; omitted = live) &step=<minutes> (history behind
+// the frame, default 60) &cell=<metres> &format=json|geojson|png
+router.get("/", (req, res) => {
+  const format = req.query.format || "json";
+  if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(", ")}` });
+  const atMs = req.query.at ? Date.parse(req.query.at) : null;
+  if (Number.isNaN(atMs) || atMs > Date.now()) return res.status(400).json({ error: "at must be a past ISO timestamp" });
+  const stepMin = req.query.step ? Number(req.query.step) : 60;
+  if (!STEPS_MIN.includes(stepMin)) return res.status(400).json({ error: `step must be one of ${STEPS_MIN.join(", ")} minutes` });
+  const cellM = req.query.cell ? Number(req.query.cell) : DEFAULT_CELL_M;
+
+  const surface = buildSurface({ atMs, stepMs: (stepMin / 60) * HOUR, cellM });
+  if (surface.error) return res.status(400).json({ error: surface.error });
+  // Past frames never change; the live one is rebuilt every 30 s.
+  res.set("Cache-Control", atMs == null ? "private, no-cache" : "private, max-age=3600");
+  if (format === "png") return res.type("image/png").send(toPNG(surface));
+  if (format === "geojson") return res.type("application/geo+json").send(JSON.stringify(toGeoJSON(surface)));
+  res.json({ ...surface, ramp: colourRamp() });
+});
+
+// What the map needs to lay out the overlay and its time slider.
+router.get("/frames", (req, res) => {
+  const hours = req.query.hours ? Number(req.query.hours) : 24;
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_FRAME_HOURS) return res.status(400).json({ error: `hours must be a whole number from 1 to ${MAX_FRAME_HOURS}` });
+  const stepMin = req.query.step ? Number(req.query.step) : 60;
+  if (!STEPS_MIN.includes(stepMin)) return res.status(400).json({ error: `step must be one of ${STEPS_MIN.join(", ")} minutes` });
+  const boundary = siteBoundary();
+  const live = boundary && buildSurface();
+  if (!live || live.error) return res.status(400).json({ error: live ? live.error : "No site boundary: add zone outlines or sensor positions first" });
+  res.json({
+    bbox: live.bbox,
+    cellM: live.cellM,
+    step: stepMin,
+    boundary: { source: boundary.source },
+    ramp: colourRamp(),
+    frames: frameTimes({ hours, stepMs: (stepMin / 60) * HOUR }),
+  });
+});
+
+router.get("/boundary", (req, res) => res.json(siteBoundary()));
+
+// Body: a GeoJSON Polygon/MultiPolygon geometry (or a Feature holding one).
+router.put("/boundary", requirePermission("zones:manage"), (req, res) => {
+  const geometry = req.body?.type === "Feature" ? req.body.geometry : req.body;
+  const result = setSiteBoundary(geometry ?? {});
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.boundary);
+});
+
+// Back to the hull of the zone outlines and sensor positions.
+router.delete("/boundary", requirePermission("zones:manage"), (req, res) => res.json(setSiteBoundary(null).boundary));
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// backend/routes/tiles.js
+const express = require("express");
+const store = require("../lib/store");
+const { listTilesets, getTileset, defaultTileset, getTile } = require("../lib/tiles");
+
+const router = express.Router();
+
+// Tiles change rarely; let the browser keep them for a day.
+const TILE_CACHE = "private, max-age=86400";
+
+router.get("/", (req, res) => {
+  const settings = store.getDoc("settings").map || {};
+  res.json({ tilesets: listTilesets(), default: defaultTileset(settings)?.name ?? null });
+});
+
+// y may carry an extension (12.png), as tile URL templates often do.
+function sendTile(res, tileset, params) {
+  const [z, x, y] = [params.z, params.x, String(params.y).replace(/\.\w+$/, "")].map((v) => (/^\d+$/.test(v) ? Number(v) : NaN));
+  if ([z, x, y].some(Number.isNaN)) return res.status(400).json({ error: "z, x and y must be whole numbers" });
+  const tile = getTile(tileset, z, x, y);
+  if (!tile) return res.status(404).json({ error: "Tile not found" });
+  res.set("Cache-Control", TILE_CACHE).type(tile.contentType).send(tile.data);
+}
+
+// The offline basemap (settings.map.baseLayer when it names a local tileset).
+router.get("/:z/:x/:y", (req, res) => {
+  const tileset = defaultTileset(store.getDoc("settings").map || {});
+  if (!tileset) return res.status(404).json({ error: "No local tilesets installed" });
+  sendTile(res, tileset, req.params);
+});
+
+router.get("/:tileset/:z/:x/:y", (req, res) => {
+  const tileset = getTileset(req.params.tileset);
+  if (!tileset) return res.status(404).json({ error: "Tileset not found" });
+  if (!tileset.raster) return res.status(415).json({ error: `${tileset.name} holds ${tileset.format} tiles; only raster tiles are served` });
+  sendTile(res, tileset, req.params);
+});
+
+module.exports = router;
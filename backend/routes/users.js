@@ -0,0 +1,27 @@
+// backend/routes/users.js
+const express = require("express");
+const { users, publicUser } = require("../lib/auth");
+const { ROLES, PERMISSIONS, requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+router.get("/roles", (req, res) => res.json({ roles: ROLES, permissions: PERMISSIONS }));
+
+// Names for pickers such as the alert assignee list; available to every user.
+router.get("/directory", (req, res) => res.json(users().all().map((u) => ({ id: u.id, name: u.name, role: u.role }))));
+
+router.get("/", requirePermission("users:manage"), (req, res) => res.json(users().all().map(publicUser)));
+
+router.patch("/:id", requirePermission("users:manage"), (req, res) => {
+  const user = users().get(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+  // Keep at least one administrator so the site cannot lock itself out.
+  if (user.role === "Admin" && role !== "Admin" && users().count((u) => u.role === "Admin") === 1) {
+    return res.status(409).json({ error: "Cannot remove the last Admin" });
+  }
+  res.json({ user: publicUser(users().update(user.id, { role })) });
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// backend/routes/zones.js
+const express = require("express");
+const { computeZoneRisk, computeZoneMap } = require("../lib/risk");
+const { sensorDefs, sensorSnapshot } = require("../lib/sensors");
+const { listAlerts } = require("../lib/alerts");
+const { KINDS, IMPORT_MODES, zones, containsPoint, bbox, createZone, updateZone, removeZone, exportGeoJSON, importGeoJSON } = require("../lib/zones");
+const { requirePermission } = require("../lib/permissions");
+
+const router = express.Router();
+
+router.get("/", (req, res) => res.json(computeZoneMap()));
+
+// Options for the zone editor and the site extent ([minLng, minLat, maxLng, maxLat]).
+router.get("/meta", (req, res) => res.json({ kinds: KINDS, importModes: IMPORT_MODES, bbox: bbox() }));
+
+router.get("/geojson", (req, res) => {
+  if (req.query.download) res.attachment("zones.geojson");
+  res.type("application/geo+json").send(JSON.stringify(exportGeoJSON(), null, 2));
+});
+
+// Body: a FeatureCollection; ?mode=merge (default) | replace.
+router.post("/import", requirePermission("zones:manage"), (req, res) => {
+  const result = importGeoJSON(req.body, req.query.mode || "merge");
+  if (result.error) return res.status(result.status || 400).json({ error: result.error });
+  res.json({ ...result, zones: computeZoneMap() });
+});
+
+router.post("/", requirePermission("zones:manage"), (req, res) => {
+  const { error, status, zone } = createZone(req.body);
+  if (error) return res.status(status || 400).json({ error });
+  res.status(201).json(zone);
+});
+
+// Zone with its score breakdown, its sensors and its open alerts (map popups).
+// Sensors: those positioned inside the outline, plus the ones that count for
+// the zone's score (mapped to it or site-wide) wherever they stand.
+router.get("/:id", (req, res) => {
+  const zone = zones().get(req.params.id);
+  if (!zone) return res.status(404).json({ error: "Zone not found" });
+  const risk = computeZoneRisk(zone);
+  const sensors = sensorDefs()
+    .all()
+    .map((def) => {
+      const inside = !!def.position && containsPoint(zone.geometry, def.position.lat, def.position.lng);
+      const counts = def.zoneId === zone.id || def.zoneId == null;
+      if (!inside && !counts) return null;
+      const { id, code, type, unit, value, status, source, position } = sensorSnapshot(def);
+      const drives = risk.factors.filter((f) => f.source === code).map((f) => f.label);
+      return { id, code, type, unit, value, status, source, position, inside, counts, siteWide: def.zoneId == null, drives };
+    })
+    .filter(Boolean);
+  res.json({ ...zone, risk, sensors, openAlerts: listAlerts({ state: "open", zone: zone.name }).slice(0, 10) });
+});
+
+// Score with a factor-by-factor breakdown (normalised value x weight = contribution).
+router.get("/:id/risk", (req, res) => {
+  const zone = zones().get(req.params.id);
+  if (!zone) return res.status(404).json({ error: "Zone not found" });
+  res.json(computeZoneRisk(zone));
+});
+
+router.put("/:id", requirePermission("zones:manage"), (req, res) => {
+  const existing = zones().get(req.params.id);
+  if (!existing) return res.status(404).json({ error: "Zone not found" });
+  const { error, status, zone } = updateZone(existing, req.body);
+  if (error) return res.status(status || 400).json({ error });
+  res.json(zone);
+});
+
+router.delete("/:id", requirePermission("zones:manage"), (req, res) => {
+  const existing = zones().get(req.params.id);
+  if (!existing) return res.status(404).json({ error: "Zone not found" });
+  const { error, status } = removeZone(existing);
+  if (error) return res.status(status).json({ error });
+  res.json({ msg: "Zone deleted" });
+});
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// Service worker for alert push notifications (registered from Settings).
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(data.title || "Rockfall alert", { body: data.body, tag: data.alertId ? `alert-${data.alertId}` : undefined, data }));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow("/dashboard"));
+});
@@ -2,30 +2,42 @@ import { Routes, Route, Link } from "react-router-dom";
 import Signup from "./pages/Signup";
 import Login from "./pages/Login";
 import Dashboard from "./pages/Dashboard";
-import Settings from "./pages/settings"; // ✅ make sure path is correct
+import Settings from "./pages/Settings";
+import { RequireAuth, useAuth } from "./context/AuthContext";
 
 function App() {
+  const { user, logout } = useAuth();
+
   return (
     <div className="min-h-screen bg-gray-950 text-white">
       {/* Navbar */}
       <nav className="bg-blue-600 text-white p-4 flex justify-between items-center shadow-lg">
         <h1 className="font-bold text-xl">Debugons</h1>
-        <div className="space-x-6">
-          <Link to="/signup" className="hover:underline">Sign Up</Link>
-          <Link to="/login" className="hover:underline">Login</Link>
-          <Link to="/dashboard" className="hover:underline">Dashboard</Link>
-          <Link to="/settings" className="hover:underline">Settings</Link> {/* ✅ Added */}
+        <div className="space-x-6 flex items-center">
+          {user ? (
+            <>
+              <Link to="/dashboard" className="hover:underline">Dashboard</Link>
+              <Link to="/settings" className="hover:underline">Settings</Link>
+              <span className="text-sm">👤 {user.name} <span className="opacity-75">({user.role})</span></span>
+              <button onClick={logout} className="hover:underline">Logout</button>
+            </>
+          ) : (
+            <>
+              <Link to="/signup" className="hover:underline">Sign Up</Link>
+              <Link to="/login" className="hover:underline">Login</Link>
+            </>
+          )}
         </div>
       </nav>
 
       {/* Routes */}
       <div className="p-6">
         <Routes>
-          <Route path="/" element={<Dashboard />} />
+          <Route path="/" element={<RequireAuth><Dashboard /></RequireAuth>} />
           <Route path="/signup" element={<Signup />} />
           <Route path="/login" element={<Login />} />
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/settings" element={<Settings />} /> {/* ✅ Added */}
+          <Route path="/dashboard" element={<RequireAuth><Dashboard /></RequireAuth>} />
+          <Route path="/settings" element={<RequireAuth><Settings /></RequireAuth>} />
         </Routes>
       </div>
     </div>
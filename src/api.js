@@ -0,0 +1,28 @@
+import axios from "axios";
+
+// Base URL of the Express backend (backend/server.js).
+export const API_BASE = "http://localhost:5000";
+
+const TOKEN_KEY = "debugons.token";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export function setToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+// Attach the session token to every axios request made through the default instance.
+axios.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// fetch() counterpart of the axios interceptor above.
+export function apiFetch(path, options = {}) {
+  const token = getToken();
+  const headers = { ...(options.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(path.startsWith("http") ? path : `${API_BASE}${path}`, { ...options, headers });
+}
@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Line } from "react-chartjs-2";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+export const STATE_STYLES = {
+  open: "bg-red-600/40",
+  acknowledged: "bg-yellow-600/40",
+  assigned: "bg-blue-600/40",
+  investigating: "bg-purple-600/40",
+  resolved: "bg-green-600/40",
+  "false-alarm": "bg-gray-600/40",
+};
+
+export const StateBadge = ({ state }) => (
+  <span className={`text-xs px-2 py-1 rounded-md ${STATE_STYLES[state] || "bg-gray-700"}`}>{(state || "open").toUpperCase()}</span>
+);
+
+// "Escalated: Tier 2" while paging continues; muted once acked or out of tiers.
+export const EscalationBadge = ({ escalation }) => {
+  if (!escalation) return null;
+  const last = escalation.steps[escalation.steps.length - 1];
+  const label = escalation.status === "stopped" ? "Escalation stopped" : last ? `Escalated: ${last.tier}` : "Escalation pending";
+  const style = escalation.status === "active" ? "bg-orange-600/50" : "bg-gray-700";
+  return <span className={`text-xs px-2 py-1 rounded-md ${style}`} title={escalation.policyName}>{label}</span>;
+};
+
+const DELIVERY_STYLES = {
+  pending: "bg-yellow-600/40",
+  sending: "bg-blue-600/40",
+  sent: "bg-green-600/40",
+  failed: "bg-red-600/40",
+};
+
+/**
+ * AlertDrawer - "View Details" for one alert.
+ *  GET  /api/alerts/:id -> { alert, related: [{ sensor, history }] }
+ *  POST /api/alerts/:id/{ack|assign|investigate|resolve|reopen|notes}
+ *  GET  /api/notifications?alertId=:id -> delivery log (email / SMS / push)
+ * deliveryUpdate: the latest notification.updated stream message; the log is
+ * also polled while messages are in flight, in case the stream is down.
+ */
+export default function AlertDrawer({ alertId, deliveryUpdate, onClose }) {
+  const { can } = useAuth();
+  const [detail, setDetail] = useState(null);
+  const [people, setPeople] = useState([]);
+  const [note, setNote] = useState("");
+  const [reason, setReason] = useState("");
+  const [assignee, setAssignee] = useState("");
+  const [error, setError] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  const loadDeliveries = () =>
+    axios
+      .get(`${API_BASE}/api/notifications`, { params: { alertId } })
+      .then((r) => setDeliveries(r.data))
+      .catch(() => setDeliveries([]));
+
+  const load = () =>
+    axios
+      .get(`${API_BASE}/api/alerts/${alertId}`)
+      .then((r) => setDetail(r.data))
+      .catch((err) => setError(err.response?.data?.error || "Failed to load alert"));
+
+  useEffect(() => {
+    load();
+    loadDeliveries();
+    axios.get(`${API_BASE}/api/users/directory`).then((r) => setPeople(r.data)).catch(() => setPeople([]));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [alertId]);
+
+  // stream updates carry masked recipients; keep the address already shown
+  useEffect(() => {
+    if (!deliveryUpdate || deliveryUpdate.alertId !== alertId) return;
+    setDeliveries((prev) => {
+      const existing = prev.find((d) => d.id === deliveryUpdate.id);
+      if (!existing) return [...prev, deliveryUpdate];
+      return prev.map((d) => (d.id === deliveryUpdate.id ? { ...deliveryUpdate, to: d.to } : d));
+    });
+  }, [deliveryUpdate, alertId]);
+
+  // keep the log current while messages are still queued or being retried
+  const inFlight = deliveries.some((d) => d.status === "pending" || d.status === "sending");
+  useEffect(() => {
+    if (!inFlight) return undefined;
+    const t = setInterval(loadDeliveries, 5000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [inFlight, alertId]);
+
+  const retryDelivery = async (id) => {
+    setError(null);
+    try {
+      const r = await axios.post(`${API_BASE}/api/notifications/${id}/retry`);
+      setDeliveries((prev) => prev.map((d) => (d.id === id ? r.data : d)));
+    } catch (err) {
+      setError(err.response?.data?.error || "Retry failed");
+    }
+  };
+
+  const act = async (action, body = {}) => {
+    setError(null);
+    try {
+      const r = await axios.post(`${API_BASE}/api/alerts/${alertId}/${action}`, body);
+      setDetail((prev) => ({ ...prev, alert: r.data.alert }));
+      setNote("");
+      setReason("");
+    } catch (err) {
+      setError(err.response?.data?.error || `${action} failed`);
+    }
+  };
+
+  const alert = detail?.alert;
+  const closed = alert && (alert.state === "resolved" || alert.state === "false-alarm");
+
+  // state changes and notes, oldest first
+  const timeline = alert
+    ? [
+        ...alert.history.map((h) => ({ at: h.at, by: h.by, title: h.state, text: h.note })),
+        ...alert.notes.map((n) => ({ at: n.at, by: n.by, title: "note", text: n.text })),
+      ].sort((a, b) => (a.at < b.at ? -1 : 1))
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/60 flex justify-end" onClick={onClose}>
+      <div className="w-full max-w-xl h-full overflow-y-auto bg-[#0f1724] border-l border-[rgba(255,255,255,0.06)] p-6 shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-4">
+          <div className="text-lg font-semibold">Alert #{alertId}</div>
+          <button onClick={onClose} className="px-3 py-1 rounded-md bg-slate-700 text-sm">Close</button>
+        </div>
+
+        {error && <div className="text-sm text-red-400 mb-3">{error}</div>}
+        {!alert && !error && <div className="text-gray-400">Loading...</div>}
+
+        {alert && (
+          <>
+            <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <div className="font-semibold">{alert.msg}</div>
+                <StateBadge state={alert.state} />
+              </div>
+              <div className="text-xs text-gray-300">Sector: {alert.zone} • {alert.severity} • {new Date(alert.time).toLocaleString()}</div>
+              <div className="text-xs text-gray-400 mt-1">Assignee: {alert.assignee ? alert.assignee.name : "unassigned"}</div>
+              {alert.resolution && <div className="text-xs text-gray-400 mt-1">Resolution: {alert.resolution.reason} ({alert.resolution.by.name})</div>}
+            </div>
+
+            {/* Actions */}
+            <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] mb-4 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {can("alerts:ack") && alert.state === "open" && <button onClick={() => act("ack")} className="px-3 py-1 bg-emerald-500 rounded-md text-sm">Acknowledge</button>}
+                {can("alerts:manage") && !closed && alert.state !== "investigating" && <button onClick={() => act("investigate")} className="px-3 py-1 bg-purple-600 rounded-md text-sm">Start Investigation</button>}
+                {can("alerts:resolve") && closed && <button onClick={() => act("reopen")} className="px-3 py-1 bg-slate-700 rounded-md text-sm">Reopen</button>}
+              </div>
+
+              {can("alerts:manage") && !closed && (
+                <div className="flex gap-2">
+                  <select value={assignee} onChange={(e) => setAssignee(e.target.value)} className="flex-1 p-2 rounded bg-gray-800 text-sm">
+                    <option value="">Assign to...</option>
+                    {people.map((p) => <option key={p.id} value={p.id}>{p.name} ({p.role})</option>)}
+                  </select>
+                  <button disabled={!assignee} onClick={() => act("assign", { userId: Number(assignee) })} className="px-3 py-1 bg-blue-600 rounded-md text-sm disabled:opacity-50">Assign</button>
+                </div>
+              )}
+
+              {can("alerts:resolve") && !closed && (
+                <div className="flex gap-2">
+                  <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Resolution reason" className="flex-1 p-2 rounded bg-gray-800 text-sm" />
+                  <button disabled={!reason.trim()} onClick={() => act("resolve", { reason })} className="px-3 py-1 bg-green-600 rounded-md text-sm disabled:opacity-50">Resolve</button>
+                  <button disabled={!reason.trim()} onClick={() => act("resolve", { reason, falseAlarm: true })} className="px-3 py-1 bg-gray-600 rounded-md text-sm disabled:opacity-50">False Alarm</button>
+                </div>
+              )}
+
+              {can("alerts:manage") && (
+                <div className="flex gap-2">
+                  <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Add a note" className="flex-1 p-2 rounded bg-gray-800 text-sm" />
+                  <button disabled={!note.trim()} onClick={() => act("notes", { text: note })} className="px-3 py-1 bg-slate-700 rounded-md text-sm disabled:opacity-50">Add Note</button>
+                </div>
+              )}
+            </div>
+
+            {/* Timeline */}
+            <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] mb-4">
+              <div className="text-sm text-gray-300 font-semibold mb-3">Timeline</div>
+              <ol className="border-l border-gray-700 ml-2 space-y-3">
+                {timeline.map((t, i) => (
+                  <li key={i} className="ml-4">
+                    <div className="text-xs text-gray-400">{new Date(t.at).toLocaleString()} • {t.by?.name}</div>
+                    <div className="text-sm"><span className="font-semibold capitalize">{t.title}</span>{t.text ? ` — ${t.text}` : ""}</div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+
+            {/* Escalation */}
+            {alert.escalation && (
+              <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] mb-4">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="text-sm text-gray-300 font-semibold">Escalation — {alert.escalation.policyName}</div>
+                  <EscalationBadge escalation={alert.escalation} />
+                </div>
+                <ol className="border-l border-gray-700 ml-2 space-y-2">
+                  {alert.escalation.steps.map((s) => (
+                    <li key={s.level} className="ml-4 text-xs">
+                      <div className="text-gray-400">{new Date(s.at).toLocaleString()}</div>
+                      <div><span className="font-semibold">{s.tier}</span> — {s.contacts.length ? s.contacts.join(", ") : "nobody on call"}</div>
+                    </li>
+                  ))}
+                </ol>
+                {alert.escalation.status === "active" && alert.escalation.nextAt && (
+                  <div className="text-xs text-gray-400 mt-2">Next tier at {new Date(alert.escalation.nextAt).toLocaleTimeString()} unless acknowledged.</div>
+                )}
+                {alert.escalation.status === "stopped" && (
+                  <div className="text-xs text-gray-400 mt-2">Stopped {new Date(alert.escalation.stoppedAt).toLocaleString()} by {alert.escalation.stoppedBy?.name}.</div>
+                )}
+                {alert.escalation.status === "exhausted" && <div className="text-xs text-gray-400 mt-2">Every tier has been paged.</div>}
+              </div>
+            )}
+
+            {/* Notification delivery log */}
+            <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] mb-4">
+              <div className="text-sm text-gray-300 font-semibold mb-3">Notifications</div>
+              {deliveries.length === 0 && <div className="text-xs text-gray-400">No notifications were sent for this alert.</div>}
+              {deliveries.map((d) => (
+                <div key={d.id} className="mb-2 text-xs">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="uppercase font-semibold">{d.channel}</span> → {d.to}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-0.5 rounded-md ${DELIVERY_STYLES[d.status] || "bg-gray-700"}`}>{d.status}</span>
+                      {d.status === "failed" && can("alerts:manage") && (
+                        <button onClick={() => retryDelivery(d.id)} className="px-2 py-0.5 rounded-md bg-slate-700">Retry</button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="text-gray-400">
+                    {d.attempts} attempt{d.attempts === 1 ? "" : "s"}
+                    {d.sentAt && ` • sent ${new Date(d.sentAt).toLocaleString()}`}
+                    {d.status === "pending" && d.nextAttemptAt && d.attempts > 0 && ` • next try ${new Date(d.nextAttemptAt).toLocaleTimeString()}`}
+                  </div>
+                  {d.lastError && d.status !== "sent" && <div className="text-red-400">{d.lastError}</div>}
+                </div>
+              ))}
+            </div>
+
+            {/* Related readings */}
+            <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
+              <div className="text-sm text-gray-300 font-semibold mb-3">Related Sensor Readings</div>
+              {detail.related.length === 0 && <div className="text-xs text-gray-400">No sensors are linked to this alert.</div>}
+              {detail.related.map(({ sensor, history }) => (
+                <div key={sensor.id} className="mb-4">
+                  <div className="text-xs text-gray-300 mb-1">{sensor.code} — {sensor.type} ({sensor.unit})</div>
+                  {history.length === 0 ? (
+                    <div className="text-xs text-gray-500">No readings around the alert time.</div>
+                  ) : (
+                    <Line
+                      data={{
+                        labels: history.map((p) => new Date(p.ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })),
+                        datasets: [{ label: sensor.code, data: history.map((p) => p.mean ?? p.value), borderColor: "rgba(16,185,129,1)", pointRadius: 0, tension: 0.2 }],
+                      }}
+                      options={{ responsive: true, plugins: { legend: { display: false } } }}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+import AlertDrawer, { StateBadge, EscalationBadge } from "./AlertDrawer";
+
+const STATES = ["open", "acknowledged", "assigned", "investigating", "resolved", "false-alarm"];
+const SEVERITIES = ["High", "Medium", "Low"];
+
+/**
+ * AlertsPanel - Alerts tab. Filters map to GET /api/alerts query params
+ * (state, severity, zone, from, to). `liveAlerts` comes from the dashboard's
+ * stream state; any change to it triggers a refetch with the current filters.
+ */
+export default function AlertsPanel({ liveAlerts, zones, onAck, deliveryUpdate }) {
+  const { can } = useAuth();
+  const [filters, setFilters] = useState({ state: "", severity: "", zone: "", from: "", to: "" });
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    const params = { limit: 100 };
+    Object.entries(filters).forEach(([k, v]) => {
+      if (!v) return;
+      params[k] = k === "from" || k === "to" ? new Date(v).toISOString() : v;
+    });
+    axios
+      .get(`${API_BASE}/api/alerts`, { params })
+      .then((r) => {
+        setItems(r.data);
+        setTotal(Number(r.headers["x-total-count"] || r.data.length));
+      })
+      .catch((err) => console.error("alerts fetch failed", err));
+  }, [filters, liveAlerts]);
+
+  const setFilter = (key) => (e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
+      <div className="text-lg font-semibold mb-4">Alert Management</div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <select value={filters.state} onChange={setFilter("state")} className="p-2 rounded bg-gray-800">
+          <option value="">All states</option>
+          {STATES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={filters.severity} onChange={setFilter("severity")} className="p-2 rounded bg-gray-800">
+          <option value="">All severities</option>
+          {SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={filters.zone} onChange={setFilter("zone")} className="p-2 rounded bg-gray-800">
+          <option value="">All zones</option>
+          {zones.map((z) => <option key={z.id} value={z.name}>{z.name}</option>)}
+        </select>
+        <label className="text-xs text-gray-400">From</label>
+        <input type="datetime-local" value={filters.from} onChange={setFilter("from")} className="p-2 rounded bg-gray-800" />
+        <label className="text-xs text-gray-400">To</label>
+        <input type="datetime-local" value={filters.to} onChange={setFilter("to")} className="p-2 rounded bg-gray-800" />
+        <div className="ml-auto text-xs text-gray-400">{items.length} of {total}</div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4">
+        {items.map(a => (
+          <div key={a.id} className={`p-4 rounded-lg ${a.severity==="High" ? "bg-red-700/20" : a.severity==="Medium" ? "bg-yellow-700/10" : "bg-green-700/10"}`}>
+            <div className="flex justify-between items-center">
+              <div>
+                <div className="text-sm font-semibold">{a.msg}</div>
+                <div className="text-xs text-gray-300">Sector: {a.zone} • {new Date(a.time).toLocaleTimeString()}{a.assignee ? ` • ${a.assignee.name}` : ""}</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <EscalationBadge escalation={a.escalation} />
+                <StateBadge state={a.state} />
+                <button onClick={() => setSelected(a.id)} className="px-3 py-1 bg-slate-700 rounded-md">View Details</button>
+                <button onClick={() => onAck(a.id)} disabled={a.state !== "open" || !can("alerts:ack")} title={can("alerts:ack") ? undefined : "Your role cannot acknowledge alerts"} className="px-3 py-1 bg-emerald-500 rounded-md disabled:opacity-50">{a.state !== "open" ? "Acknowledged" : "Acknowledge"}</button>
+              </div>
+            </div>
+          </div>
+        ))}
+        {items.length === 0 && <div className="text-sm text-gray-400">No alerts match these filters.</div>}
+      </div>
+
+      {selected && <AlertDrawer alertId={selected} deliveryUpdate={deliveryUpdate} onClose={() => setSelected(null)} />}
+    </div>
+  );
+}
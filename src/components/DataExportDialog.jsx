@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { API_BASE, getToken } from "../api";
+
+const HOUR = 3600 * 1000;
+const PRESETS = [
+  { key: "24h", label: "Last 24 h", hours: 24 },
+  { key: "7d", label: "Last 7 days", hours: 168 },
+  { key: "30d", label: "Last 30 days", hours: 720 },
+  { key: "90d", label: "Last 90 days", hours: 2160 },
+  { key: "custom", label: "Custom range" },
+];
+const SEVERITIES = ["High", "Medium", "Low"];
+
+const toLocalInput = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+function Checklist({ label, options, selected, onChange }) {
+  const toggle = (value) => onChange(selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value]);
+  return (
+    <div>
+      <div className="text-xs text-gray-400 mb-1">{label} <span className="opacity-70">(none = all)</span></div>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-sm">
+        {options.map((o) => (
+          <label key={o.value} className="flex items-center gap-1">
+            <input type="checkbox" checked={selected.includes(o.value)} onChange={() => toggle(o.value)} />
+            {o.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * DataExportDialog - raw data download from the Sensors tab. The browser
+ * streams the file straight to disk, so long ranges are fine.
+ *  GET /api/export/readings?from&to&sensor&zone&type&format=csv|ndjson&token=...
+ *  GET /api/export/alerts?from&to&sensor&zone&type&severity&format=csv|ndjson&token=...
+ */
+export default function DataExportDialog({ sensors, zones, onClose }) {
+  const [form, setForm] = useState({ dataset: "readings", format: "csv", preset: "7d", from: toLocalInput(Date.now() - 168 * HOUR), to: toLocalInput(Date.now()), sensor: [], zone: [], type: [], severity: [] });
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const types = [...new Set(sensors.map((s) => s.type))];
+
+  const downloadUrl = () => {
+    const preset = PRESETS.find((p) => p.key === form.preset);
+    const [from, to] = preset.hours ? [new Date(Date.now() - preset.hours * HOUR), new Date()] : [new Date(form.from), new Date(form.to)];
+    const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString(), format: form.format, token: getToken() || "" });
+    for (const key of ["sensor", "zone", "type", ...(form.dataset === "alerts" ? ["severity"] : [])]) {
+      if (form[key].length) params.set(key, form[key].join(","));
+    }
+    return `${API_BASE}/api/export/${form.dataset}?${params}`;
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/60 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="w-full max-w-2xl bg-[#0f1724] rounded-xl p-6 border border-[rgba(255,255,255,0.06)] shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">Export data</div>
+            <div className="text-xs text-gray-400">Raw readings or alerts for analysis elsewhere. A zone filter covers the sensors mapped to it; site-wide sensors are picked by name.</div>
+          </div>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-slate-700 text-sm">Close</button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm mb-3">
+          <label className="block">
+            <div className="text-xs text-gray-400 mb-1">Data</div>
+            <select value={form.dataset} onChange={(e) => set({ dataset: e.target.value })} className="w-full p-2 rounded bg-gray-800">
+              <option value="readings">Sensor readings</option>
+              <option value="alerts">Alerts</option>
+            </select>
+          </label>
+          <label className="block">
+            <div className="text-xs text-gray-400 mb-1">Format</div>
+            <select value={form.format} onChange={(e) => set({ format: e.target.value })} className="w-full p-2 rounded bg-gray-800">
+              <option value="csv">CSV</option>
+              <option value="ndjson">NDJSON (one JSON object per line)</option>
+            </select>
+          </label>
+          <label className="block">
+            <div className="text-xs text-gray-400 mb-1">Time range</div>
+            <select value={form.preset} onChange={(e) => set({ preset: e.target.value })} className="w-full p-2 rounded bg-gray-800">
+              {PRESETS.map((p) => <option key={p.key} value={p.key}>{p.label}</option>)}
+            </select>
+          </label>
+          {form.preset === "custom" && (
+            <>
+              <label className="block">
+                <div className="text-xs text-gray-400 mb-1">From</div>
+                <input type="datetime-local" value={form.from} onChange={(e) => set({ from: e.target.value })} className="w-full p-2 rounded bg-gray-800" />
+              </label>
+              <label className="block">
+                <div className="text-xs text-gray-400 mb-1">To</div>
+                <input type="datetime-local" value={form.to} onChange={(e) => set({ to: e.target.value })} className="w-full p-2 rounded bg-gray-800" />
+              </label>
+            </>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          <Checklist label="Sensors" options={sensors.map((s) => ({ value: s.code, label: s.code }))} selected={form.sensor} onChange={(sensor) => set({ sensor })} />
+          <Checklist label="Zones" options={zones.map((z) => ({ value: z.id, label: z.name }))} selected={form.zone} onChange={(zone) => set({ zone })} />
+          <Checklist label="Sensor types" options={types.map((t) => ({ value: t, label: t }))} selected={form.type} onChange={(type) => set({ type })} />
+          {form.dataset === "alerts" && <Checklist label="Severity" options={SEVERITIES.map((s) => ({ value: s, label: s }))} selected={form.severity} onChange={(severity) => set({ severity })} />}
+        </div>
+
+        {/* an attachment response downloads without leaving the page */}
+        <button onClick={() => (window.location.href = downloadUrl())} className="mt-4 px-3 py-2 bg-indigo-600 rounded text-sm">Download</button>
+      </div>
+    </div>
+  );
+}
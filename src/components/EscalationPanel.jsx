@@ -0,0 +1,281 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const SEVERITIES = ["High", "Medium", "Low"];
+
+const EMPTY_POLICY = { name: "", enabled: true, severities: ["High"], zones: [], tiers: [{ name: "Tier 1", afterMin: 0, rosterId: "", channels: ["sms"] }] };
+const EMPTY_ROSTER = { name: "", timezone: "", contacts: [], shifts: [], defaultContactIds: [] };
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const toggleIn = (list, item) => (list.includes(item) ? list.filter((x) => x !== item) : [...list, item]);
+
+/**
+ * EscalationPanel - escalation policies and on-call rosters.
+ *  GET/POST /api/escalation/policies   PUT/DELETE /api/escalation/policies/:id
+ *  GET/POST /api/escalation/rosters    PUT/DELETE /api/escalation/rosters/:id
+ * Rosters come back with `onCall`: ids of the contacts on call right now.
+ */
+export default function EscalationPanel({ zones }) {
+  const { can } = useAuth();
+  const canEdit = can("escalation:manage");
+  const [policies, setPolicies] = useState([]);
+  const [rosters, setRosters] = useState([]);
+  const [channels, setChannels] = useState(["email", "sms", "push"]);
+  const [people, setPeople] = useState([]);
+  const [policy, setPolicy] = useState(null); // policy being edited (id null = new)
+  const [roster, setRoster] = useState(null); // roster being edited
+  const [error, setError] = useState(null);
+
+  const load = () =>
+    Promise.all([axios.get(`${API_BASE}/api/escalation/policies`), axios.get(`${API_BASE}/api/escalation/rosters`)])
+      .then(([p, r]) => {
+        setPolicies(p.data);
+        setRosters(r.data);
+      })
+      .catch((err) => console.error("escalation fetch failed", err));
+
+  useEffect(() => {
+    load();
+    axios.get(`${API_BASE}/api/escalation/meta`).then((r) => setChannels(r.data.channels)).catch(() => {});
+    axios.get(`${API_BASE}/api/users/directory`).then((r) => setPeople(r.data)).catch(() => setPeople([]));
+  }, []);
+
+  const request = async (fn, after) => {
+    setError(null);
+    try {
+      await fn();
+      after();
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Request failed");
+    }
+  };
+
+  const savePolicy = () => {
+    const { id, ...body } = policy;
+    const payload = { ...body, tiers: body.tiers.map((t) => ({ ...t, rosterId: Number(t.rosterId), afterMin: Number(t.afterMin) })) };
+    request(() => (id ? axios.put(`${API_BASE}/api/escalation/policies/${id}`, payload) : axios.post(`${API_BASE}/api/escalation/policies`, payload)), () => setPolicy(null));
+  };
+
+  const saveRoster = () => {
+    const { id, onCall, ...body } = roster;
+    request(() => (id ? axios.put(`${API_BASE}/api/escalation/rosters/${id}`, body) : axios.post(`${API_BASE}/api/escalation/rosters`, body)), () => setRoster(null));
+  };
+
+  const remove = (kind, item) => {
+    if (!window.confirm(`Delete ${kind === "policies" ? "policy" : "roster"} "${item.name}"?`)) return;
+    request(() => axios.delete(`${API_BASE}/api/escalation/${kind}/${item.id}`), () => {});
+  };
+
+  const setTier = (i, key, value) => setPolicy((prev) => ({ ...prev, tiers: prev.tiers.map((t, j) => (j === i ? { ...t, [key]: value } : t)) }));
+  const setContact = (i, key, value) => setRoster((prev) => ({ ...prev, contacts: prev.contacts.map((c, j) => (j === i ? { ...c, [key]: value } : c)) }));
+  const setShift = (i, key, value) => setRoster((prev) => ({ ...prev, shifts: prev.shifts.map((s, j) => (j === i ? { ...s, [key]: value } : s)) }));
+
+  const rosterName = (id) => rosters.find((r) => r.id === id)?.name || `roster #${id}`;
+  // new contacts get temporary ids so shifts can reference them before saving
+  const nextContactId = () => roster.contacts.reduce((max, c) => Math.max(max, c.id || 0), 0) + 1;
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {/* Policies */}
+      <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">Escalation Policies</div>
+            <div className="text-xs text-gray-400">Tiers are paged in turn while an alert stays unacknowledged. Zone-specific policies win over catch-all ones.</div>
+          </div>
+          {canEdit && <button onClick={() => setPolicy({ ...clone(EMPTY_POLICY), id: null })} className="px-4 py-2 rounded-md bg-emerald-500 text-sm">New Policy</button>}
+        </div>
+
+        <div className="space-y-2">
+          {policies.map((p) => (
+            <div key={p.id} className={`p-3 rounded-lg bg-[rgba(255,255,255,0.02)] flex items-center justify-between ${p.enabled ? "" : "opacity-50"}`}>
+              <div>
+                <div className="text-sm font-semibold">{p.name} <span className="text-xs text-gray-400">({p.severities.join(", ")} • {p.zones.length ? p.zones.join(", ") : "all zones"})</span></div>
+                <div className="text-xs text-gray-300">
+                  {p.tiers.map((t) => `${t.name} @ ${t.afterMin} min → ${rosterName(t.rosterId)} (${t.channels.join("/")})`).join("  ›  ")}
+                </div>
+              </div>
+              {canEdit && (
+                <div className="flex gap-2">
+                  <button onClick={() => setPolicy(clone(p))} className="px-3 py-1 rounded-md bg-slate-700 text-xs">Edit</button>
+                  <button onClick={() => remove("policies", p)} className="px-3 py-1 rounded-md bg-red-700/60 text-xs">Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+          {policies.length === 0 && <div className="text-sm text-gray-400">No escalation policies; alerts are never escalated.</div>}
+        </div>
+
+        {policy && (
+          <div className="mt-6 p-4 rounded-lg bg-[rgba(255,255,255,0.03)] border border-[rgba(255,255,255,0.05)] text-sm">
+            <div className="text-sm text-gray-300 font-semibold mb-3">{policy.id ? `Edit "${policy.name}"` : "New Policy"}</div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+              <input value={policy.name} onChange={(e) => setPolicy({ ...policy, name: e.target.value })} placeholder="Policy name" className="p-2 rounded bg-gray-800" />
+              <div className="flex items-center gap-3 text-xs text-gray-400">
+                {SEVERITIES.map((s) => (
+                  <label key={s} className="flex items-center gap-1">
+                    <input type="checkbox" checked={policy.severities.includes(s)} onChange={() => setPolicy({ ...policy, severities: toggleIn(policy.severities, s) })} /> {s}
+                  </label>
+                ))}
+              </div>
+              <label className="text-xs text-gray-400 flex items-center gap-2">
+                <input type="checkbox" checked={policy.enabled} onChange={(e) => setPolicy({ ...policy, enabled: e.target.checked })} /> Enabled
+              </label>
+              <div className="md:col-span-3 flex flex-wrap items-center gap-3 text-xs text-gray-400">
+                Zones (none = all):
+                {zones.map((z) => (
+                  <label key={z.id} className="flex items-center gap-1">
+                    <input type="checkbox" checked={policy.zones.includes(z.name)} onChange={() => setPolicy({ ...policy, zones: toggleIn(policy.zones, z.name) })} /> {z.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {policy.tiers.map((t, i) => (
+              <div key={i} className="grid grid-cols-1 md:grid-cols-5 gap-2 mb-2 items-center">
+                <input value={t.name} onChange={(e) => setTier(i, "name", e.target.value)} placeholder="Tier name" className="p-2 rounded bg-gray-800" />
+                <label className="text-xs text-gray-400 flex items-center gap-2">After (min)
+                  <input type="number" min="0" step="any" value={t.afterMin} onChange={(e) => setTier(i, "afterMin", e.target.value)} className="w-20 p-2 rounded bg-gray-800" />
+                </label>
+                <select value={t.rosterId} onChange={(e) => setTier(i, "rosterId", e.target.value)} className="p-2 rounded bg-gray-800">
+                  <option value="">Roster...</option>
+                  {rosters.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  {channels.map((c) => (
+                    <label key={c} className="flex items-center gap-1">
+                      <input type="checkbox" checked={t.channels.includes(c)} onChange={() => setTier(i, "channels", toggleIn(t.channels, c))} /> {c}
+                    </label>
+                  ))}
+                </div>
+                <button onClick={() => setPolicy({ ...policy, tiers: policy.tiers.filter((_, j) => j !== i) })} className="px-3 py-1 rounded-md bg-slate-700 text-xs">Remove tier</button>
+              </div>
+            ))}
+
+            <div className="mt-3 flex gap-2">
+              <button
+                onClick={() => setPolicy({ ...policy, tiers: [...policy.tiers, { name: `Tier ${policy.tiers.length + 1}`, afterMin: (Number(policy.tiers[policy.tiers.length - 1]?.afterMin) || 0) + 15, rosterId: "", channels: ["sms", "email"] }] })}
+                className="px-4 py-2 rounded-md bg-slate-700 text-sm"
+              >
+                Add Tier
+              </button>
+              <button onClick={savePolicy} className="px-4 py-2 rounded-md bg-emerald-500 text-sm">Save Policy</button>
+              <button onClick={() => setPolicy(null)} className="px-4 py-2 rounded-md bg-slate-700 text-sm">Cancel</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Rosters */}
+      <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">On-call Rosters</div>
+            <div className="text-xs text-gray-400">Shifts decide who is paged; outside every shift the default contacts are on call.</div>
+          </div>
+          {canEdit && <button onClick={() => setRoster({ ...clone(EMPTY_ROSTER), id: null })} className="px-4 py-2 rounded-md bg-emerald-500 text-sm">New Roster</button>}
+        </div>
+
+        <div className="space-y-2">
+          {rosters.map((r) => (
+            <div key={r.id} className="p-3 rounded-lg bg-[rgba(255,255,255,0.02)] flex items-center justify-between">
+              <div>
+                <div className="text-sm font-semibold">{r.name} <span className="text-xs text-gray-400">({r.timezone})</span></div>
+                <div className="text-xs text-gray-300">
+                  On call now: {r.contacts.filter((c) => r.onCall.includes(c.id)).map((c) => c.name).join(", ") || "nobody"} • {r.contacts.length} contacts • {r.shifts.length} shifts
+                </div>
+              </div>
+              {canEdit && (
+                <div className="flex gap-2">
+                  <button onClick={() => setRoster(clone(r))} className="px-3 py-1 rounded-md bg-slate-700 text-xs">Edit</button>
+                  <button onClick={() => remove("rosters", r)} className="px-3 py-1 rounded-md bg-red-700/60 text-xs">Delete</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {roster && (
+          <div className="mt-6 p-4 rounded-lg bg-[rgba(255,255,255,0.03)] border border-[rgba(255,255,255,0.05)] text-sm">
+            <div className="text-sm text-gray-300 font-semibold mb-3">{roster.id ? `Edit "${roster.name}"` : "New Roster"}</div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+              <input value={roster.name} onChange={(e) => setRoster({ ...roster, name: e.target.value })} placeholder="Roster name" className="p-2 rounded bg-gray-800" />
+              <input value={roster.timezone} onChange={(e) => setRoster({ ...roster, timezone: e.target.value })} placeholder="Timezone, e.g. Asia/Kolkata (blank = server)" className="p-2 rounded bg-gray-800" />
+            </div>
+
+            <div className="text-xs text-gray-300 font-semibold mb-2">Contacts</div>
+            {roster.contacts.map((c, i) => (
+              <div key={c.id} className="grid grid-cols-1 md:grid-cols-6 gap-2 mb-2 items-center">
+                <input value={c.name} onChange={(e) => setContact(i, "name", e.target.value)} placeholder="Name" className="p-2 rounded bg-gray-800" />
+                <input value={c.email} onChange={(e) => setContact(i, "email", e.target.value)} placeholder="Email" className="p-2 rounded bg-gray-800" />
+                <input value={c.phone} onChange={(e) => setContact(i, "phone", e.target.value)} placeholder="Phone" className="p-2 rounded bg-gray-800" />
+                <select value={c.userId ?? ""} onChange={(e) => setContact(i, "userId", e.target.value ? Number(e.target.value) : null)} className="p-2 rounded bg-gray-800">
+                  <option value="">No dashboard user (no push)</option>
+                  {people.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <label className="text-xs text-gray-400 flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={roster.defaultContactIds.includes(c.id)}
+                    onChange={() => setRoster({ ...roster, defaultContactIds: toggleIn(roster.defaultContactIds, c.id) })}
+                  /> Default
+                </label>
+                <button
+                  onClick={() =>
+                    setRoster({
+                      ...roster,
+                      contacts: roster.contacts.filter((_, j) => j !== i),
+                      defaultContactIds: roster.defaultContactIds.filter((id) => id !== c.id),
+                      shifts: roster.shifts.map((s) => ({ ...s, contactIds: s.contactIds.filter((id) => id !== c.id) })),
+                    })
+                  }
+                  className="px-3 py-1 rounded-md bg-slate-700 text-xs"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button onClick={() => setRoster({ ...roster, contacts: [...roster.contacts, { id: nextContactId(), name: "", email: "", phone: "", userId: null }] })} className="px-3 py-1 rounded-md bg-slate-700 text-xs mb-4">
+              Add Contact
+            </button>
+
+            <div className="text-xs text-gray-300 font-semibold mb-2">Shifts</div>
+            {roster.shifts.map((s, i) => (
+              <div key={i} className="flex flex-wrap gap-3 mb-2 items-center text-xs text-gray-400">
+                {DAYS.map((d, day) => (
+                  <label key={d} className="flex items-center gap-1">
+                    <input type="checkbox" checked={s.days.includes(day)} onChange={() => setShift(i, "days", toggleIn(s.days, day).sort())} /> {d}
+                  </label>
+                ))}
+                <input type="time" value={s.start} onChange={(e) => setShift(i, "start", e.target.value)} className="p-1 rounded bg-gray-800" />
+                –
+                <input type="time" value={s.end} onChange={(e) => setShift(i, "end", e.target.value)} className="p-1 rounded bg-gray-800" />
+                {roster.contacts.map((c) => (
+                  <label key={c.id} className="flex items-center gap-1">
+                    <input type="checkbox" checked={s.contactIds.includes(c.id)} onChange={() => setShift(i, "contactIds", toggleIn(s.contactIds, c.id))} /> {c.name || "(unnamed)"}
+                  </label>
+                ))}
+                <button onClick={() => setRoster({ ...roster, shifts: roster.shifts.filter((_, j) => j !== i) })} className="px-3 py-1 rounded-md bg-slate-700">Remove</button>
+              </div>
+            ))}
+            <button onClick={() => setRoster({ ...roster, shifts: [...roster.shifts, { days: [1, 2, 3, 4, 5], start: "07:00", end: "19:00", contactIds: [] }] })} className="px-3 py-1 rounded-md bg-slate-700 text-xs">
+              Add Shift
+            </button>
+            <div className="text-xs text-gray-500 mt-1">A shift ending before it starts runs overnight.</div>
+
+            <div className="mt-4 flex gap-2">
+              <button onClick={saveRoster} className="px-4 py-2 rounded-md bg-emerald-500 text-sm">Save Roster</button>
+              <button onClick={() => setRoster(null)} className="px-4 py-2 rounded-md bg-slate-700 text-sm">Cancel</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
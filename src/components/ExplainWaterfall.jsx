@@ -0,0 +1,86 @@
+import React, { useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { Bar } from "react-chartjs-2";
+import { API_BASE } from "../api";
+
+const UP = "rgba(239,68,68,0.8)";
+const DOWN = "rgba(16,185,129,0.8)";
+const TOTAL = "rgba(99,102,241,0.8)";
+
+/**
+ * ExplainWaterfall - "Explain (SHAP)" on the Predictions tab.
+ *  GET /api/predictions/explain?zone= -> { zone, baseline, final, contributions: [{ key, label, value, unit, source, contribution }] }
+ * Each bar starts where the previous one ended: baseline, one step per input, final score.
+ */
+export default function ExplainWaterfall({ zones, onClose }) {
+  const [zone, setZone] = useState(""); // "" = the zone driving the site score
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    setError(null);
+    axios
+      .get(`${API_BASE}/api/predictions/explain`, { params: zone ? { zone } : {} })
+      .then((r) => mounted && setData(r.data))
+      .catch((err) => mounted && setError(err.response?.data?.error || "Failed to load explanation"));
+    return () => (mounted = false);
+  }, [zone]);
+
+  const chart = useMemo(() => {
+    if (!data) return null;
+    let running = data.baseline;
+    const steps = data.contributions.map((c) => {
+      const start = running;
+      running += c.contribution;
+      return { label: c.label, range: [start, running], color: c.contribution >= 0 ? UP : DOWN };
+    });
+    const bars = [{ label: "Baseline", range: [0, data.baseline], color: TOTAL }, ...steps, { label: "Final", range: [0, data.final], color: TOTAL }];
+    return {
+      labels: bars.map((b) => b.label),
+      datasets: [{ data: bars.map((b) => b.range), backgroundColor: bars.map((b) => b.color), borderSkipped: false }],
+    };
+  }, [data]);
+
+  const tooltip = (ctx) => {
+    const i = ctx.dataIndex;
+    if (i === 0) return `Baseline ${data.baseline.toFixed(2)}`;
+    if (i === data.contributions.length + 1) return `Final ${data.final.toFixed(2)}`;
+    const c = data.contributions[i - 1];
+    const input = c.value === null ? "" : ` (${c.value}${c.unit ? ` ${c.unit}` : ""}, ${c.source})`;
+    return `${c.contribution >= 0 ? "+" : ""}${c.contribution.toFixed(2)}${input}`;
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/60 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="w-full max-w-3xl bg-[#0f1724] rounded-xl p-6 border border-[rgba(255,255,255,0.06)] shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">Risk Explanation{data ? ` — ${data.zone}` : ""}</div>
+            <div className="text-xs text-gray-400">Contribution of each input to the score (0-10), starting from a quiet-site baseline.</div>
+          </div>
+          <div className="flex items-center gap-2">
+            <select value={zone} onChange={(e) => setZone(e.target.value)} className="p-2 rounded bg-gray-800 text-sm">
+              <option value="">Highest-risk zone</option>
+              {zones.map((z) => <option key={z.id} value={z.id}>{z.name}</option>)}
+            </select>
+            <button onClick={onClose} className="px-3 py-1 rounded-md bg-slate-700 text-sm">Close</button>
+          </div>
+        </div>
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+        {!error && !chart && <div className="text-gray-400">Loading...</div>}
+        {!error && chart && (
+          <Bar
+            data={chart}
+            options={{
+              responsive: true,
+              plugins: { legend: { display: false }, tooltip: { callbacks: { label: tooltip } } },
+              scales: { y: { min: 0, max: 10, title: { display: true, text: "Risk score" } } },
+            }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
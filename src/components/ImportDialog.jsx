@@ -0,0 +1,292 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE, getToken } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const ACTIVE = ["uploading", "queued", "running"];
+const DATE_ORDERS = [
+  { value: "ymd", label: "Year first (2024-03-01)" },
+  { value: "dmy", label: "Day first (01/03/2024)" },
+  { value: "mdy", label: "Month first (03/01/2024)" },
+];
+const STATUS_COLOR = { done: "text-emerald-400", failed: "text-red-400", running: "text-yellow-300", queued: "text-yellow-300" };
+
+const rejectedUrl = (id) => `${API_BASE}/api/imports/${id}/rejected?token=${encodeURIComponent(getToken() || "")}`;
+const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// First column whose header matches, for a head start on the mapping.
+function guessColumn(columns, pattern) {
+  const i = columns.findIndex((c) => pattern.test(c));
+  return i === -1 ? "" : i;
+}
+
+function initialMapping(job) {
+  const sensorColumn = guessColumn(job.columns, /sensor|code|device|logger/i);
+  const unitColumn = guessColumn(job.columns, /unit/i);
+  return {
+    sensorColumn,
+    sensorId: "",
+    timestampColumn: guessColumn(job.columns, /time|date|^ts$/i),
+    valueColumn: guessColumn(job.columns, /value|reading|val$/i),
+    unitColumn,
+    unit: "",
+    hasHeader: job.hasHeader,
+    utcOffsetH: 0,
+    dateOrder: "ymd",
+  };
+}
+
+function ColumnSelect({ label, value, columns, onChange, none }) {
+  return (
+    <label className="block">
+      <div className="text-xs text-gray-400 mb-1">{label}</div>
+      <select value={value} onChange={(e) => onChange(e.target.value === "" ? "" : Number(e.target.value))} className="w-full p-2 rounded bg-gray-800">
+        {none && <option value="">{none}</option>}
+        {!none && <option value="" disabled>Choose a column</option>}
+        {columns.map((c, i) => <option key={i} value={i}>{c}</option>)}
+      </select>
+    </label>
+  );
+}
+
+function MappingForm({ job, sensors, onStarted, onCancel }) {
+  const [mapping, setMapping] = useState(() => initialMapping(job));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const set = (patch) => setMapping((m) => ({ ...m, ...patch }));
+  const rows = mapping.hasHeader ? job.preview.slice(1) : job.preview;
+
+  const start = async () => {
+    const { utcOffsetH, ...rest } = mapping;
+    setBusy(true);
+    setError(null);
+    try {
+      await axios.post(`${API_BASE}/api/imports/${job.id}/start`, { ...rest, utcOffsetMin: Math.round(Number(utcOffsetH) * 60) });
+      onStarted();
+    } catch (err) {
+      setError(err.response?.data?.error || "Could not start the import");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
+      <div className="text-sm font-semibold mb-1">{job.filename} <span className="text-xs text-gray-400 font-normal">{mb(job.size)}</span></div>
+      {job.duplicateOf && <div className="text-xs text-yellow-300 mb-2">This file was uploaded before (import #{job.duplicateOf}). Importing it again is safe: readings already stored are left as they are.</div>}
+      <div className="overflow-x-auto mb-3">
+        <table className="text-xs text-gray-300">
+          <thead>
+            <tr className="text-gray-400 text-left">{job.columns.map((c, i) => <th key={i} className="pr-4 py-1">{c}</th>)}</tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i} className="border-t border-[rgba(255,255,255,0.04)]">{job.columns.map((_, j) => <td key={j} className="pr-4 py-1 whitespace-nowrap">{r[j]}</td>)}</tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 text-sm">
+        <ColumnSelect label="Sensor column" value={mapping.sensorColumn} columns={job.columns} none="One sensor for the whole file" onChange={(sensorColumn) => set({ sensorColumn })} />
+        {mapping.sensorColumn === "" && (
+          <label className="block">
+            <div className="text-xs text-gray-400 mb-1">Sensor</div>
+            <select value={mapping.sensorId} onChange={(e) => set({ sensorId: e.target.value, unit: mapping.unit || sensors.find((s) => String(s.id) === e.target.value)?.unit || "" })} className="w-full p-2 rounded bg-gray-800">
+              <option value="" disabled>Choose a sensor</option>
+              {sensors.map((s) => <option key={s.id} value={s.id}>{s.code} - {s.type}</option>)}
+            </select>
+          </label>
+        )}
+        <ColumnSelect label="Timestamp column" value={mapping.timestampColumn} columns={job.columns} onChange={(timestampColumn) => set({ timestampColumn })} />
+        <ColumnSelect label="Value column" value={mapping.valueColumn} columns={job.columns} onChange={(valueColumn) => set({ valueColumn })} />
+        <ColumnSelect label="Unit column" value={mapping.unitColumn} columns={job.columns} none="Same unit for every row" onChange={(unitColumn) => set({ unitColumn })} />
+        {mapping.unitColumn === "" && (
+          <label className="block">
+            <div className="text-xs text-gray-400 mb-1">Unit</div>
+            <input value={mapping.unit} onChange={(e) => set({ unit: e.target.value })} placeholder="e.g. mm" className="w-full p-2 rounded bg-gray-800" />
+          </label>
+        )}
+        <label className="block">
+          <div className="text-xs text-gray-400 mb-1">Date order</div>
+          <select value={mapping.dateOrder} onChange={(e) => set({ dateOrder: e.target.value })} className="w-full p-2 rounded bg-gray-800">
+            {DATE_ORDERS.map((d) => <option key={d.value} value={d.value}>{d.label}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <div className="text-xs text-gray-400 mb-1">Logger clock (hours from UTC)</div>
+          <input type="number" step="0.25" min="-14" max="14" value={mapping.utcOffsetH} onChange={(e) => set({ utcOffsetH: e.target.value })} className="w-full p-2 rounded bg-gray-800" />
+        </label>
+        <label className="flex items-center gap-2 mt-5">
+          <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => set({ hasHeader: e.target.checked })} />
+          First row is a header
+        </label>
+      </div>
+      <div className="text-xs text-gray-400 mt-2">Timestamps with a zone (ISO-8601) and epoch seconds or milliseconds are read as they are; the logger clock applies to times without a zone.</div>
+      {error && <div className="text-xs text-red-400 mt-2">{error}</div>}
+      <div className="flex gap-2 mt-3">
+        <button onClick={start} disabled={busy} className="px-3 py-2 bg-indigo-600 rounded text-sm disabled:opacity-50">{busy ? "Starting..." : "Start import"}</button>
+        <button onClick={onCancel} className="px-3 py-2 bg-slate-700 rounded text-sm">Back</button>
+      </div>
+    </div>
+  );
+}
+
+function ImportStatus({ job }) {
+  const p = job.progress;
+  if (job.status === "failed") return <div className="text-xs text-red-400">{job.error}</div>;
+  if (!p) return <div className="text-xs text-gray-400">{job.status === "uploaded" ? "Waiting for a column mapping" : "Waiting"}</div>;
+  const percent = job.size ? Math.min(100, Math.round((p.bytes / job.size) * 100)) : 0;
+  return (
+    <div className="text-xs text-gray-300">
+      {job.status === "running" && <div>{job.phase === "history" ? "Replaying risk history..." : `Reading rows... ${percent}%`}</div>}
+      <div>
+        {p.accepted.toLocaleString()} accepted ({p.added.toLocaleString()} new, {p.updated.toLocaleString()} changed, {p.unchanged.toLocaleString()} already stored), <span className={p.rejected ? "text-red-300" : ""}>{p.rejected.toLocaleString()} rejected</span>
+      </div>
+      {job.status === "done" && job.range && <div className="text-gray-400">{job.sensors.join(", ")}: {new Date(job.range.from).toLocaleString()} - {new Date(job.range.to).toLocaleString()}</div>}
+      {job.status === "done" && job.history && <div className="text-gray-400">{job.history.riskHours} hours of risk history and {job.history.predictions} predictions added</div>}
+      {job.status === "done" && p.rejected > 0 && <div className="text-gray-400">{Object.entries(job.rejectedReasons).map(([reason, n]) => `${reason} (${n})`).join(", ")}</div>}
+    </div>
+  );
+}
+
+/**
+ * ImportDialog - backfill historical readings from a logger CSV.
+ *  POST   /api/imports?filename=...  (the raw file)  -> { id, columns, preview, delimiter, hasHeader, duplicateOf }
+ *  POST   /api/imports/:id/start { sensorColumn | sensorId, timestampColumn, valueColumn, unitColumn | unit, hasHeader, utcOffsetMin, dateOrder }
+ *  GET    /api/imports                 (polled while an import is running)
+ *  GET    /api/imports/:id             (columns and preview to resume a mapping)
+ *  GET    /api/imports/:id/rejected?token=...
+ *  DELETE /api/imports/:id
+ */
+export default function ImportDialog({ sensors, onClose }) {
+  const { can } = useAuth();
+  const canImport = can("readings:ingest");
+  const [jobs, setJobs] = useState(null);
+  const [mapping, setMapping] = useState(null); // the upload being mapped
+  const [upload, setUpload] = useState(null); // { name, percent }
+  const [error, setError] = useState(null);
+
+  const load = () =>
+    axios
+      .get(`${API_BASE}/api/imports`)
+      .then((r) => setJobs(r.data))
+      .catch((err) => setError(err.response?.data?.error || "Failed to load imports"));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const active = jobs?.some((j) => ACTIVE.includes(j.status));
+  useEffect(() => {
+    if (!active) return;
+    const id = setInterval(load, 2000);
+    return () => clearInterval(id);
+  }, [active]);
+
+  const chooseFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setUpload({ name: file.name, percent: 0 });
+    try {
+      const r = await axios.post(`${API_BASE}/api/imports?filename=${encodeURIComponent(file.name)}`, file, {
+        headers: { "Content-Type": "text/csv" },
+        onUploadProgress: (ev) => setUpload({ name: file.name, percent: ev.total ? Math.round((ev.loaded / ev.total) * 100) : 0 }),
+      });
+      setMapping(r.data);
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Upload failed");
+    } finally {
+      setUpload(null);
+    }
+  };
+
+  const resume = (id) =>
+    axios
+      .get(`${API_BASE}/api/imports/${id}`)
+      .then((r) => setMapping(r.data))
+      .catch((err) => setError(err.response?.data?.error || "Failed to load the import"));
+
+  const remove = (id) =>
+    axios
+      .delete(`${API_BASE}/api/imports/${id}`)
+      .then(load)
+      .catch((err) => setError(err.response?.data?.error || "Failed to delete the import"));
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/60 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="w-full max-w-4xl max-h-full overflow-y-auto bg-[#0f1724] rounded-xl p-6 border border-[rgba(255,255,255,0.06)] shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">Import history</div>
+            <div className="text-xs text-gray-400">Backfill readings from logger CSV files. Rows are checked against each sensor's unit and plausible range; accepted readings feed history charts, forecasts and accuracy tracking. Importing the same data twice changes nothing.</div>
+          </div>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-slate-700 text-sm">Close</button>
+        </div>
+
+        {mapping ? (
+          <MappingForm
+            job={mapping}
+            sensors={sensors}
+            onStarted={() => {
+              setMapping(null);
+              load();
+            }}
+            onCancel={() => setMapping(null)}
+          />
+        ) : (
+          canImport && (
+            <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg text-sm">
+              {upload ? (
+                <div className="text-gray-300">Uploading {upload.name}... {upload.percent}%</div>
+              ) : (
+                <label className="inline-block px-3 py-2 bg-indigo-600 rounded cursor-pointer">
+                  Choose CSV file
+                  <input type="file" accept=".csv,.txt,text/csv" onChange={chooseFile} className="hidden" />
+                </label>
+              )}
+              <div className="text-xs text-gray-400 mt-2">One reading per row, with columns for the timestamp and value, plus the sensor code and unit unless the whole file is one sensor.</div>
+            </div>
+          )
+        )}
+        {error && <div className="text-xs text-red-400 mt-2">{error}</div>}
+
+        <div className="text-sm text-gray-300 font-semibold mt-4 mb-2">Imports</div>
+        {jobs === null && <div className="text-xs text-gray-400">Loading...</div>}
+        {jobs && jobs.length === 0 && <div className="text-xs text-gray-400">No imports yet.</div>}
+        {jobs && jobs.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 text-left">
+                <th className="py-1">File</th>
+                <th>Status</th>
+                <th>Rows</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map((j) => (
+                <tr key={j.id} className="border-t border-[rgba(255,255,255,0.04)] align-top">
+                  <td className="py-1">
+                    {j.filename}
+                    <div className="text-xs text-gray-400">{new Date(j.uploadedAt).toLocaleString()}{j.uploadedBy ? ` by ${j.uploadedBy.name}` : ""}</div>
+                  </td>
+                  <td className={`text-xs ${STATUS_COLOR[j.status] || "text-gray-300"}`}>{j.status}</td>
+                  <td><ImportStatus job={j} /></td>
+                  <td className="text-right whitespace-nowrap">
+                    {j.status === "done" && j.progress.rejected > 0 && <a href={rejectedUrl(j.id)} className="px-2 py-0.5 rounded bg-slate-700 text-xs mr-1">Rejected rows</a>}
+                    {canImport && ["uploaded", "failed"].includes(j.status) && <button onClick={() => resume(j.id)} className="px-2 py-0.5 rounded bg-indigo-600 text-xs mr-1">Map columns</button>}
+                    {canImport && !ACTIVE.includes(j.status) && <button onClick={() => remove(j.id)} className="px-2 py-0.5 rounded bg-slate-700 text-xs">Delete</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { LayerGroup, LayersControl, TileLayer } from "react-leaflet";
+import { API_BASE, getToken } from "../api";
+
+// Shown for tiles a tileset does not have, so whatever lies beneath stays visible.
+const BLANK_TILE = "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+const ONLINE_FAILURES = 6; // tile errors with nothing loaded before the online map counts as unreachable
+
+const tileUrl = (name) => `${API_BASE}/api/tiles/${encodeURIComponent(name)}/{z}/{x}/{y}?token=${encodeURIComponent(getToken() || "")}`;
+
+function LocalTiles({ tileset, zIndex }) {
+  const [w, s, e, n] = tileset.bounds || [];
+  return (
+    <TileLayer
+      url={tileUrl(tileset.name)}
+      attribution={tileset.attribution || undefined}
+      minNativeZoom={tileset.minzoom}
+      maxNativeZoom={tileset.maxzoom}
+      maxZoom={22}
+      bounds={tileset.bounds ? [[s, w], [n, e]] : undefined}
+      errorTileUrl={BLANK_TILE}
+      zIndex={zIndex}
+    />
+  );
+}
+
+/**
+ * MapBaseLayers - base layer choices for the risk map's LayersControl: the
+ * online map (settings.map.onlineUrl) and every local raster tileset (offline
+ * basemaps, site imagery, drone orthophotos) served by the backend.
+ *  GET /api/tiles                             -> { tilesets: [{ name, title, attribution, minzoom, maxzoom, bounds, raster }], default }
+ *  GET /api/tiles/:tileset/:z/:x/:y?token=... -> tile image
+ * settings.map.baseLayer ("online" or a tileset name) picks the one shown first.
+ * The offline basemap is drawn under every other layer, so missing tiles (and
+ * an unreachable online map) fall back to it rather than to a blank map.
+ * onNotice(text | null) reports fallbacks to show next to the map.
+ */
+export default function MapBaseLayers({ mapSettings, onNotice }) {
+  const [tiles, setTiles] = useState(null);
+  const online = useRef({ loaded: 0, failed: 0 });
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/api/tiles`)
+      .then((r) => setTiles(r.data))
+      .catch(() => setTiles({ tilesets: [], default: null }));
+  }, []);
+
+  const tilesets = (tiles?.tilesets || []).filter((t) => t.raster);
+  const basemap = tilesets.find((t) => t.name === tiles?.default) || null;
+  const onlineUrl = mapSettings?.onlineUrl;
+  const wanted = mapSettings?.baseLayer || "online";
+  const available = [...(onlineUrl ? ["online"] : []), ...tilesets.map((t) => t.name)];
+  const active = available.includes(wanted) ? wanted : basemap?.name || available[0];
+
+  useEffect(() => {
+    if (!tiles) return;
+    if (!available.length) onNotice?.("No base map: the online map is turned off and no offline tiles are installed.");
+    else if (wanted !== active) onNotice?.(`Base layer "${wanted}" is not available; showing ${active === "online" ? "the online map" : active}.`);
+    else onNotice?.(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tiles, wanted, active]);
+
+  if (!tiles || !available.length) return null;
+
+  const underlay = (name) => basemap && basemap.name !== name && <LocalTiles tileset={basemap} zIndex={0} />;
+
+  const onlineEvents = {
+    tileload: () => {
+      online.current.loaded++;
+    },
+    tileerror: () => {
+      online.current.failed++;
+      if (online.current.loaded === 0 && online.current.failed === ONLINE_FAILURES) {
+        onNotice?.(basemap ? `Online map unreachable; showing the offline basemap (${basemap.title}).` : "Online map unreachable and no offline tiles are installed.");
+      }
+    },
+  };
+
+  return (
+    <>
+      {onlineUrl && (
+        <LayersControl.BaseLayer checked={active === "online"} name="Online map">
+          <LayerGroup>
+            {underlay("online")}
+            <TileLayer url={onlineUrl} attribution={mapSettings.onlineAttribution || undefined} errorTileUrl={BLANK_TILE} eventHandlers={onlineEvents} zIndex={1} />
+          </LayerGroup>
+        </LayersControl.BaseLayer>
+      )}
+      {tilesets.map((t) => (
+        <LayersControl.BaseLayer key={t.name} checked={active === t.name} name={t.name === basemap?.name ? `${t.title} (offline)` : t.title}>
+          <LayerGroup>
+            {underlay(t.name)}
+            <LocalTiles tileset={t} zIndex={1} />
+          </LayerGroup>
+        </LayersControl.BaseLayer>
+      ))}
+    </>
+  );
+}
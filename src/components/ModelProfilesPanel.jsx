@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const SEVERITY_TEXT = { High: "text-red-400", Medium: "text-yellow-300", Low: "text-emerald-400" };
+
+const draftOf = (p) => ({ name: p.name, description: p.description, weights: { ...p.weights }, normalisers: { ...p.normalisers }, severityBands: { ...p.severityBands } });
+
+/**
+ * ModelProfilesPanel - risk model profiles and which one each AI sensitivity uses.
+ *  GET    /api/models                -> { sensitivities, bindings, activeId, profiles }
+ *  POST   /api/models/:id/clone      -> new editable profile
+ *  PUT    /api/models/:id            -> saves a new version
+ *  POST   /api/models/:id/preview    -> current vs. edited zone severities
+ *  POST   /api/models/:id/activate   -> { sensitivity }
+ *  DELETE /api/models/:id
+ * Editing needs settings:write; built-in profiles can only be cloned.
+ * `revision` changes when a model.updated event arrives (e.g. an edit in
+ * another tab) and reloads the list.
+ */
+export default function ModelProfilesPanel({ revision }) {
+  const { can } = useAuth();
+  const canWrite = can("settings:write");
+  const [data, setData] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [level, setLevel] = useState("balanced");
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = () =>
+    axios
+      .get(`${API_BASE}/api/models`)
+      .then((r) => setData(r.data))
+      .catch(() => setError("Failed to load model profiles"));
+
+  useEffect(() => {
+    load();
+  }, [revision]);
+
+  const selected = data?.profiles.find((p) => p.id === selectedId) || null;
+  const editable = canWrite && selected && !selected.builtIn;
+
+  const select = (profile) => {
+    setSelectedId(profile.id);
+    setDraft(draftOf(profile));
+    setPreview(null);
+    setMessage(null);
+    setError(null);
+  };
+
+  const run = async (fn, success) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await fn();
+      if (success) setMessage(success);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const clone = (profile) =>
+    run(async () => {
+      const r = await axios.post(`${API_BASE}/api/models/${profile.id}/clone`, {});
+      await load();
+      select(r.data);
+    });
+
+  const runPreview = () =>
+    run(async () => {
+      const r = await axios.post(`${API_BASE}/api/models/${selected.id}/preview`, draft);
+      setPreview(r.data);
+    });
+
+  const save = () =>
+    run(async () => {
+      const r = await axios.put(`${API_BASE}/api/models/${selected.id}`, draft);
+      await load();
+      setDraft(draftOf(r.data));
+    }, "Saved as a new version");
+
+  const activate = () =>
+    run(async () => {
+      await axios.post(`${API_BASE}/api/models/${selected.id}/activate`, { sensitivity: level });
+      await load();
+    }, `${selected.name} is now used for ${level} sensitivity`);
+
+  const remove = (profile) => {
+    if (!window.confirm(`Delete profile "${profile.name}"?`)) return;
+    run(async () => {
+      await axios.delete(`${API_BASE}/api/models/${profile.id}`);
+      if (selectedId === profile.id) setSelectedId(null);
+      await load();
+    });
+  };
+
+  const setValue = (group, key, value) => {
+    setDraft((d) => ({ ...d, [group]: { ...d[group], [key]: value === "" ? "" : Number(value) } }));
+    setPreview(null);
+  };
+
+  const numberField = (group, key, label, step) => (
+    <div key={key} className="mb-2">
+      <label className="text-xs text-gray-400">{label}</label>
+      <input type="number" step={step} disabled={!editable} value={draft[group][key]} onChange={(e) => setValue(group, key, e.target.value)} className="w-full p-1.5 rounded bg-gray-800 text-sm disabled:opacity-60" />
+    </div>
+  );
+
+  if (!data) return error ? <div className="text-xs text-red-400 mb-6">{error}</div> : null;
+  const nameOf = (id) => data.profiles.find((p) => p.id === id)?.name || "missing";
+
+  return (
+    <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)] mb-6">
+      <div className="text-sm text-gray-300 font-semibold mb-1">Risk Model Profiles</div>
+      <div className="text-xs text-gray-400 mb-3">
+        The AI sensitivity setting picks the profile zones are scored with:{" "}
+        {data.sensitivities.map((s) => (
+          <span key={s} className="mr-3">
+            {s} → <span className={data.bindings[s] === data.activeId ? "text-emerald-400" : "text-gray-200"}>{nameOf(data.bindings[s])}</span>
+          </span>
+        ))}
+      </div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+      {message && <div className="text-xs text-emerald-400 mb-2">{message}</div>}
+
+      <div className="space-y-1 mb-3">
+        {data.profiles.map((p) => (
+          <div key={p.id} className={`flex items-center justify-between p-2 rounded text-sm ${p.id === selectedId ? "bg-slate-700/60" : "bg-[rgba(255,255,255,0.02)]"}`}>
+            <button onClick={() => select(p)} className="text-left flex-1">
+              <span className="font-semibold">{p.name}</span> <span className="text-xs text-gray-400">v{p.version}</span>
+              {p.builtIn && <span className="ml-2 text-xs px-1.5 rounded bg-slate-600">built-in</span>}
+              {p.boundTo.map((s) => <span key={s} className="ml-2 text-xs px-1.5 rounded bg-emerald-700/60">{s}</span>)}
+              {p.basedOn && <span className="ml-2 text-xs text-gray-400">from {p.basedOn.name} v{p.basedOn.version}</span>}
+            </button>
+            {canWrite && (
+              <div className="flex gap-2">
+                <button onClick={() => clone(p)} className="px-2 py-0.5 rounded bg-slate-700 text-xs">Clone</button>
+                {!p.builtIn && !p.boundTo.length && <button onClick={() => remove(p)} className="px-2 py-0.5 rounded bg-red-700/60 text-xs">Delete</button>}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {selected && draft && (
+        <div className="border-t border-[rgba(255,255,255,0.05)] pt-3">
+          {editable ? (
+            <div className="grid grid-cols-2 gap-2 mb-3">
+              <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className="p-2 rounded bg-gray-800 text-sm" />
+              <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} placeholder="Description" className="p-2 rounded bg-gray-800 text-sm" />
+            </div>
+          ) : (
+            <div className="text-xs text-gray-400 mb-3">{selected.description} {selected.builtIn && canWrite && "(clone it to make changes)"}</div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <div className="text-xs text-gray-300 font-semibold mb-2">Weights</div>
+              {data.weightKeys.map((k) => numberField("weights", k, k, 0.01))}
+            </div>
+            <div>
+              <div className="text-xs text-gray-300 font-semibold mb-2">Normalisers (value scoring 1)</div>
+              {Object.entries(data.normaliserUnits).map(([k, unit]) => numberField("normalisers", k, `${k} (${unit})`, "any"))}
+            </div>
+            <div>
+              <div className="text-xs text-gray-300 font-semibold mb-2">Severity bands (score above)</div>
+              {numberField("severityBands", "high", "High", 0.01)}
+              {numberField("severityBands", "medium", "Medium", 0.01)}
+              <div className="text-xs text-gray-400 mt-3">Versions</div>
+              <div className="max-h-24 overflow-y-auto text-xs text-gray-400">
+                {[...selected.versions].reverse().map((v) => (
+                  <div key={v.version}>v{v.version} • {new Date(v.savedAt).toLocaleString()}{v.savedBy ? ` • ${v.savedBy.name}` : ""}</div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <button onClick={runPreview} className="px-3 py-1.5 rounded bg-indigo-600 text-sm">Preview</button>
+            {editable && <button onClick={save} className="px-3 py-1.5 rounded bg-emerald-500 text-sm">Save v{selected.version + 1}</button>}
+            {canWrite && (
+              <>
+                <select value={level} onChange={(e) => setLevel(e.target.value)} className="p-1.5 rounded bg-gray-800 text-sm">
+                  {data.sensitivities.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <button onClick={activate} className="px-3 py-1.5 rounded bg-slate-700 text-sm">Activate v{selected.version} for {level}</button>
+              </>
+            )}
+          </div>
+
+          {preview && (
+            <div className="mt-3 text-xs">
+              <div className="text-gray-400 mb-1">
+                Against the active profile ({preview.active.name} v{preview.active.version}): {preview.changedZones} zone(s) change severity; site score {preview.site.current} → {preview.site.preview}
+              </div>
+              <table className="w-full">
+                <thead className="text-gray-400">
+                  <tr><th className="text-left">Zone</th><th>Now</th><th>With these settings</th></tr>
+                </thead>
+                <tbody>
+                  {preview.zones.map((z) => (
+                    <tr key={z.zoneId} className={`text-center ${z.changed ? "bg-yellow-500/10" : ""}`}>
+                      <td className="text-left">{z.zone}</td>
+                      <td className={SEVERITY_TEXT[z.current.severity]}>{z.current.severity} ({z.current.score})</td>
+                      <td className={SEVERITY_TEXT[z.preview.severity]}>{z.preview.severity} ({z.preview.score})</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
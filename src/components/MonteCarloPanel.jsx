@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { Bar } from "react-chartjs-2";
+import { API_BASE } from "../api";
+
+const INPUTS = [
+  { key: "rainfallMm", label: "Rainfall (mm)", max: 300 },
+  { key: "seismicMag", label: "Seismic Magnitude", max: 10 },
+  { key: "blastingLevel", label: "Blasting Level (%)", max: 100 },
+];
+const PARAMS = {
+  fixed: ["value"],
+  normal: ["mean", "sd"],
+  uniform: ["min", "max"],
+  triangular: ["min", "mode", "max"],
+};
+const SEVERITY_BAR = (upper, thresholds) => (upper > thresholds.high ? "rgba(239,68,68,0.8)" : upper > thresholds.medium ? "rgba(234,179,8,0.8)" : "rgba(16,185,129,0.8)");
+const pct = (v) => `${Math.round(v * 1000) / 10}%`;
+
+// Starting distributions centred on the session's point values.
+const initialDistributions = (inputs) =>
+  Object.fromEntries(
+    INPUTS.map(({ key, max }) => {
+      const v = inputs[key];
+      return [key, { type: "triangular", min: Math.max(0, Math.round(v * 0.5 * 10) / 10), mode: v, max: Math.min(max, Math.round((v * 1.5 + max * 0.05) * 10) / 10) }];
+    })
+  );
+
+/**
+ * MonteCarloPanel - distributions instead of point inputs, in the caller's simulation session.
+ *  POST /api/simulation/session/montecarlo { distributions, samples, seed? }
+ *    -> { site, zones: [{ zone, mean, percentiles, pHigh, histogram }], thresholds }
+ */
+export default function MonteCarloPanel({ inputs, canRun }) {
+  const [distributions, setDistributions] = useState(() => initialDistributions(inputs));
+  const [samples, setSamples] = useState(2000);
+  const [seed, setSeed] = useState("");
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setParam = (input, key, value) => setDistributions((prev) => ({ ...prev, [input]: { ...prev[input], [key]: value === "" ? "" : Number(value) } }));
+
+  const setType = (input, type) =>
+    setDistributions((prev) => {
+      const d = prev[input];
+      const centre = d.mode ?? d.mean ?? d.value ?? ((d.min ?? 0) + (d.max ?? 0)) / 2;
+      const spread = d.sd ?? ((d.max ?? centre) - (d.min ?? centre)) / 4;
+      const next = {
+        fixed: { type, value: centre },
+        normal: { type, mean: centre, sd: spread },
+        uniform: { type, min: d.min ?? centre - spread * 2, max: d.max ?? centre + spread * 2 },
+        triangular: { type, min: d.min ?? centre - spread * 2, mode: centre, max: d.max ?? centre + spread * 2 },
+      }[type];
+      return { ...prev, [input]: next };
+    });
+
+  const run = async () => {
+    setError(null);
+    setRunning(true);
+    try {
+      const r = await axios.post(`${API_BASE}/api/simulation/session/montecarlo`, { distributions, samples, ...(seed !== "" ? { seed: Number(seed) } : {}) });
+      setResult(r.data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Monte Carlo run failed");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const histogram = (z) => ({
+    labels: z.histogram.edges.slice(0, -1).map((e) => e.toFixed(1)),
+    datasets: [{ data: z.histogram.counts, backgroundColor: z.histogram.edges.slice(1).map((upper) => SEVERITY_BAR(upper, result.thresholds)), barPercentage: 1, categoryPercentage: 1 }],
+  });
+  const histogramOptions = { maintainAspectRatio: false, animation: false, plugins: { legend: { display: false } }, scales: { x: { ticks: { maxTicksLimit: 6 } }, y: { display: false } } };
+
+  const summary = (z) => (
+    <div className="text-xs text-gray-300">
+      median {z.percentiles.p50} • 50% in {z.percentiles.p25}–{z.percentiles.p75} • 90% in {z.percentiles.p5}–{z.percentiles.p95} •{" "}
+      <span className={z.pHigh > 0 ? "text-red-400" : "text-gray-400"}>P(High) {pct(z.pHigh)}</span>
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <fieldset disabled={!canRun} className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] disabled:opacity-50">
+        <div className="mb-1 font-semibold">Input Distributions</div>
+        <div className="text-xs text-gray-400 mb-3">Each sample draws every input from its distribution; sensor readings stay at the session's values.</div>
+        {INPUTS.map(({ key, label }) => (
+          <div key={key} className="mb-3">
+            <div className="flex items-center gap-2 mb-1">
+              <span className="text-sm text-gray-300 flex-1">{label}</span>
+              <select value={distributions[key].type} onChange={(e) => setType(key, e.target.value)} className="p-1 rounded bg-gray-800 text-xs">
+                {Object.keys(PARAMS).map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+            <div className="flex gap-2">
+              {PARAMS[distributions[key].type].map((p) => (
+                <label key={p} className="text-xs text-gray-400 flex-1">{p}
+                  <input type="number" step="any" value={distributions[key][p]} onChange={(e) => setParam(key, p, e.target.value)} className="w-full p-1.5 rounded bg-gray-800 text-sm" />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+        <div className="flex items-end gap-2">
+          <label className="text-xs text-gray-400">Samples
+            <input type="number" min="10" max="20000" value={samples} onChange={(e) => setSamples(Number(e.target.value))} className="w-full p-1.5 rounded bg-gray-800 text-sm" />
+          </label>
+          <label className="text-xs text-gray-400">Seed (optional)
+            <input type="number" value={seed} onChange={(e) => setSeed(e.target.value)} className="w-full p-1.5 rounded bg-gray-800 text-sm" />
+          </label>
+          <button onClick={run} disabled={running} className="px-4 py-2 rounded-md bg-emerald-500 disabled:opacity-50">{running ? "Running..." : "Run Monte Carlo"}</button>
+        </div>
+        {error && <div className="text-xs text-red-400 mt-2">{error}</div>}
+      </fieldset>
+
+      <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
+        <div className="mb-3 font-semibold">Simulation Output</div>
+        {!result && <div className="text-sm text-gray-400">Run the simulation to see the spread of zone risk.</div>}
+        {result && (
+          <>
+            <div className="flex items-baseline gap-3 mb-1">
+              <div className="text-4xl font-bold text-pink-400">{result.site.percentiles.p50}/10</div>
+              <div className="text-sm text-gray-300">site median, P(High) {pct(result.site.pHigh)}</div>
+            </div>
+            {summary(result.site)}
+            <div className="text-xs text-gray-500 mb-3">
+              {result.samples} samples, seed {result.seed}, {result.model.name} v{result.model.version}; High above {result.thresholds.high}/10.
+            </div>
+            <div className="space-y-3">
+              {result.zones.map((z) => (
+                <div key={z.zoneId}>
+                  <div className="text-sm font-semibold">{z.zone}</div>
+                  <div className="h-20">
+                    <Bar data={histogram(z)} options={histogramOptions} />
+                  </div>
+                  {summary(z)}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
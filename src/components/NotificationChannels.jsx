@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const SECRET = "********";
+
+// VAPID public keys are base64url; PushManager.subscribe wants raw bytes.
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + "=".repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+};
+
+/**
+ * NotificationChannels - where alert notifications are delivered.
+ *  GET  /api/notifications/channels  -> { email, sms, push } (secrets masked)
+ *  PUT  /api/notifications/channels
+ *  POST /api/notifications/test      -> { channel }
+ *  GET  /api/notifications/push/key, POST /api/notifications/push/subscribe
+ * Any user can enable push on their browser; channel settings need settings:write.
+ */
+export default function NotificationChannels() {
+  const { can } = useAuth();
+  const canWrite = can("settings:write");
+  const [channels, setChannels] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!canWrite) return;
+    axios
+      .get(`${API_BASE}/api/notifications/channels`)
+      .then((r) => setChannels(r.data))
+      .catch(() => setError("Failed to load notification channels"));
+  }, [canWrite]);
+
+  const update = (channel, key, value) => setChannels((prev) => ({ ...prev, [channel]: { ...prev[channel], [key]: value } }));
+
+  const run = async (fn, success) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await fn();
+      setMessage(success);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const save = () =>
+    run(async () => {
+      const r = await axios.put(`${API_BASE}/api/notifications/channels`, channels);
+      setChannels(r.data);
+    }, "Channels saved");
+
+  const test = (channel) => run(() => axios.post(`${API_BASE}/api/notifications/test`, { channel }), `Test ${channel} message queued`);
+
+  const enablePush = () =>
+    run(async () => {
+      if (!("serviceWorker" in navigator) || !("PushManager" in window)) throw new Error("This browser does not support push notifications");
+      if ((await Notification.requestPermission()) !== "granted") throw new Error("Notification permission was denied");
+      const registration = await navigator.serviceWorker.register("/sw.js");
+      const { data } = await axios.get(`${API_BASE}/api/notifications/push/key`);
+      const subscription =
+        (await registration.pushManager.getSubscription()) ||
+        (await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: urlBase64ToUint8Array(data.publicKey) }));
+      await axios.post(`${API_BASE}/api/notifications/push/subscribe`, { subscription: subscription.toJSON() });
+    }, "Push notifications enabled on this browser");
+
+  const field = (channel, key, label, type = "text") => (
+    <div className="mb-2">
+      <label className="text-xs text-gray-400">{label}</label>
+      <input
+        type={type}
+        className="w-full p-2 rounded bg-gray-800 text-sm"
+        value={channels[channel][key] ?? ""}
+        onFocus={(e) => type === "password" && e.target.value === SECRET && update(channel, key, "")}
+        onChange={(e) => update(channel, key, type === "number" ? Number(e.target.value) : e.target.value)}
+      />
+    </div>
+  );
+
+  const recipients = (channel, label) => (
+    <div className="mb-2">
+      <label className="text-xs text-gray-400">{label} (comma separated)</label>
+      <input
+        className="w-full p-2 rounded bg-gray-800 text-sm"
+        value={(channels[channel].recipients || []).join(", ")}
+        onChange={(e) => update(channel, "recipients", e.target.value.split(","))}
+      />
+    </div>
+  );
+
+  return (
+    <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)] mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm text-gray-300 font-semibold">Notification Channels</div>
+        <button onClick={enablePush} className="px-3 py-1 rounded bg-slate-700 text-xs">Enable push on this browser</button>
+      </div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+      {message && <div className="text-xs text-emerald-400 mb-2">{message}</div>}
+
+      {canWrite && channels && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <div className="text-xs text-gray-300 font-semibold mb-2">Email (SMTP)</div>
+              {field("email", "host", "Host")}
+              {field("email", "port", "Port", "number")}
+              {field("email", "user", "Username")}
+              {field("email", "pass", "Password", "password")}
+              {field("email", "from", "From address")}
+              {recipients("email", "Recipients")}
+              <label className="text-xs text-gray-400 mr-2">TLS</label>
+              <input type="checkbox" checked={Boolean(channels.email.secure)} onChange={(e) => update("email", "secure", e.target.checked)} />
+              <label className="text-xs text-gray-400 ml-3 mr-2">Allow self-signed</label>
+              <input type="checkbox" checked={Boolean(channels.email.allowSelfSigned)} onChange={(e) => update("email", "allowSelfSigned", e.target.checked)} />
+              <div className="mt-2"><button onClick={() => test("email")} className="px-3 py-1 rounded bg-slate-700 text-xs">Send test</button></div>
+            </div>
+
+            <div>
+              <div className="text-xs text-gray-300 font-semibold mb-2">SMS (HTTP gateway)</div>
+              {field("sms", "url", "Gateway URL")}
+              {field("sms", "token", "Bearer token", "password")}
+              {field("sms", "from", "Sender ID")}
+              {recipients("sms", "Phone numbers")}
+              <div className="mt-2"><button onClick={() => test("sms")} className="px-3 py-1 rounded bg-slate-700 text-xs">Send test</button></div>
+            </div>
+
+            <div>
+              <div className="text-xs text-gray-300 font-semibold mb-2">Web Push (VAPID)</div>
+              {field("push", "subject", "Contact (mailto: or https:)")}
+              {field("push", "publicKey", "Public key")}
+              {field("push", "privateKey", "Private key", "password")}
+              <label className="text-xs text-gray-400 mr-2">Allow self-signed</label>
+              <input type="checkbox" checked={Boolean(channels.push.allowSelfSigned)} onChange={(e) => update("push", "allowSelfSigned", e.target.checked)} />
+              <div className="mt-2"><button onClick={() => test("push")} className="px-3 py-1 rounded bg-slate-700 text-xs">Send test</button></div>
+            </div>
+          </div>
+          <div className="flex justify-end mt-3">
+            <button onClick={save} className="px-4 py-2 bg-emerald-500 rounded-md text-sm">Save Channels</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const pct = (v) => (v === null || v === undefined ? "n/a" : `${Math.round(v * 1000) / 10}%`);
+const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+/**
+ * PerformancePanel - outcomes the model is scored against, and backtests.
+ *  GET/POST /api/performance/events, DELETE /api/performance/events/:id
+ *  GET /api/performance/backtest?from&to&step&zone
+ */
+export default function PerformancePanel({ zones }) {
+  const { can } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [form, setForm] = useState({ zoneId: "", occurredAt: toLocalInput(new Date()), description: "", volumeM3: "" });
+  const [range, setRange] = useState({ from: toLocalInput(new Date(Date.now() - 30 * 86400000)), to: toLocalInput(new Date()), step: 1, zone: "" });
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = () => axios.get(`${API_BASE}/api/performance/events`).then((r) => setEvents(r.data)).catch(() => setEvents([]));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const addEvent = async () => {
+    setError(null);
+    try {
+      await axios.post(`${API_BASE}/api/performance/events`, { ...form, zoneId: Number(form.zoneId), occurredAt: new Date(form.occurredAt).toISOString() });
+      setForm((f) => ({ ...f, description: "", volumeM3: "" }));
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to record event");
+    }
+  };
+
+  const removeEvent = async (id) => {
+    if (!window.confirm("Delete this rockfall event?")) return;
+    try {
+      await axios.delete(`${API_BASE}/api/performance/events/${id}`);
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Delete failed");
+    }
+  };
+
+  const runBacktest = async () => {
+    setError(null);
+    setRunning(true);
+    try {
+      const params = { from: new Date(range.from).toISOString(), to: new Date(range.to).toISOString(), step: range.step, ...(range.zone ? { zone: range.zone } : {}) };
+      const r = await axios.get(`${API_BASE}/api/performance/backtest`, { params });
+      setResult(r.data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Backtest failed");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-4">
+      <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
+        <div className="text-sm text-gray-300 font-semibold mb-1">Confirmed Rockfall Events</div>
+        <div className="text-xs text-gray-400 mb-3">Predictions are scored against these and against alerts resolved as real.</div>
+        {can("events:record") && (
+          <div className="grid grid-cols-2 gap-2 mb-3 text-sm">
+            <select value={form.zoneId} onChange={(e) => setForm({ ...form, zoneId: e.target.value })} className="p-2 rounded bg-gray-800">
+              <option value="">Zone...</option>
+              {zones.map((z) => <option key={z.id} value={z.id}>{z.name}</option>)}
+            </select>
+            <input type="datetime-local" value={form.occurredAt} onChange={(e) => setForm({ ...form, occurredAt: e.target.value })} className="p-2 rounded bg-gray-800" />
+            <input value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} placeholder="Description" className="p-2 rounded bg-gray-800" />
+            <input type="number" min="0" value={form.volumeM3} onChange={(e) => setForm({ ...form, volumeM3: e.target.value })} placeholder="Volume (m³)" className="p-2 rounded bg-gray-800" />
+            <button disabled={!form.zoneId} onClick={addEvent} className="col-span-2 px-3 py-2 rounded-md bg-emerald-500 disabled:opacity-50">Record Event</button>
+          </div>
+        )}
+        <div className="space-y-2 max-h-48 overflow-y-auto">
+          {events.map((e) => (
+            <div key={e.id} className="flex items-center justify-between text-xs">
+              <div>
+                <span className="font-semibold">{e.zone}</span> • {new Date(e.occurredAt).toLocaleString()}
+                {e.volumeM3 !== null ? ` • ${e.volumeM3} m³` : ""}
+                {e.description ? ` — ${e.description}` : ""}
+                <span className="text-gray-400"> ({e.confirmedBy.name})</span>
+              </div>
+              {can("events:record") && <button onClick={() => removeEvent(e.id)} className="px-2 py-0.5 rounded bg-red-700/60">Delete</button>}
+            </div>
+          ))}
+          {events.length === 0 && <div className="text-xs text-gray-400">No events recorded.</div>}
+        </div>
+      </div>
+
+      <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
+        <div className="text-sm text-gray-300 font-semibold mb-1">Backtest</div>
+        <div className="text-xs text-gray-400 mb-3">Replays stored readings and inputs through the current scoring configuration.</div>
+        <div className="grid grid-cols-2 gap-2 mb-3 text-sm">
+          <input type="datetime-local" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className="p-2 rounded bg-gray-800" />
+          <input type="datetime-local" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className="p-2 rounded bg-gray-800" />
+          <select value={range.zone} onChange={(e) => setRange({ ...range, zone: e.target.value })} className="p-2 rounded bg-gray-800">
+            <option value="">All zones</option>
+            {zones.map((z) => <option key={z.id} value={z.id}>{z.name}</option>)}
+          </select>
+          <label className="text-xs text-gray-400 flex items-center gap-2">Step (h)
+            <input type="number" min="1" max="24" value={range.step} onChange={(e) => setRange({ ...range, step: Number(e.target.value) })} className="flex-1 p-2 rounded bg-gray-800" />
+          </label>
+          <button onClick={runBacktest} disabled={running} className="col-span-2 px-3 py-2 rounded-md bg-indigo-600 disabled:opacity-50">{running ? "Running..." : "Run Backtest"}</button>
+        </div>
+        {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+        {result && (
+          <div className="text-xs">
+            <div className="mb-2 text-gray-300">
+              {result.metrics.n} matched predictions ({result.metrics.pending} pending) • input coverage {pct(result.inputCoverage)}
+            </div>
+            <table className="w-full">
+              <thead className="text-gray-400">
+                <tr><th className="text-left">Zone</th><th>Precision</th><th>Recall</th><th>False alarms</th><th>Brier</th></tr>
+              </thead>
+              <tbody>
+                {[{ zone: "All", ...result.metrics }, ...result.zones].map((z) => (
+                  <tr key={z.zone} className="text-center">
+                    <td className="text-left">{z.zone}</td>
+                    <td>{pct(z.precision)}</td>
+                    <td>{pct(z.recall)}</td>
+                    <td>{pct(z.falseAlarmRate)}</td>
+                    <td>{z.brier ?? "n/a"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE, getToken } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const HOUR = 3600 * 1000;
+const PRESETS = [
+  { key: "12h", label: "Last 12 h (shift)", hours: 12 },
+  { key: "24h", label: "Last 24 h", hours: 24 },
+  { key: "7d", label: "Last 7 days", hours: 168 },
+  { key: "custom", label: "Custom range" },
+];
+const KINDS = ["shift", "incident", "period"];
+
+// datetime-local values are local time without a zone.
+const toLocalInput = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+const reportUrl = (id, format, download) => `${API_BASE}/api/export/reports/${id}?format=${format}${download ? "&download=1" : ""}&token=${encodeURIComponent(getToken() || "")}`;
+
+/**
+ * ReportsDialog - generate and list saved shift/incident reports.
+ *  GET  /api/export/reports                       -> [{ id, kind, title, range, zones, allZones, generatedAt, generatedBy, summary }]
+ *  POST /api/export/reports { from, to, zoneIds, kind, title }
+ *  GET  /api/export/reports/:id?format=html|pdf|csv&token=...
+ * HTML and PDF open in a new tab for printing; CSV downloads. Generating
+ * needs reports:create; every role can open saved reports.
+ */
+export default function ReportsDialog({ zones, onClose }) {
+  const { can } = useAuth();
+  const canCreate = can("reports:create");
+  const [form, setForm] = useState({ kind: "shift", preset: "12h", from: toLocalInput(Date.now() - 12 * HOUR), to: toLocalInput(Date.now()), zoneIds: [], title: "" });
+  const [reports, setReports] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = () =>
+    axios
+      .get(`${API_BASE}/api/export/reports`)
+      .then((r) => setReports(r.data))
+      .catch((err) => setError(err.response?.data?.error || "Failed to load reports"));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const toggleZone = (id) => set({ zoneIds: form.zoneIds.includes(id) ? form.zoneIds.filter((z) => z !== id) : [...form.zoneIds, id] });
+
+  const generate = async () => {
+    const preset = PRESETS.find((p) => p.key === form.preset);
+    const [from, to] = preset.hours ? [new Date(Date.now() - preset.hours * HOUR), new Date()] : [new Date(form.from), new Date(form.to)];
+    setBusy(true);
+    setError(null);
+    try {
+      await axios.post(`${API_BASE}/api/export/reports`, { kind: form.kind, title: form.title, zoneIds: form.zoneIds, from: from.toISOString(), to: to.toISOString() });
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Report generation failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/60 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="w-full max-w-4xl max-h-full overflow-y-auto bg-[#0f1724] rounded-xl p-6 border border-[rgba(255,255,255,0.06)] shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">Reports</div>
+            <div className="text-xs text-gray-400">Risk trend, alerts with acknowledge and resolve times, sensor availability and simulation runs over a time range. Saved reports keep what they showed when generated.</div>
+          </div>
+          <button onClick={onClose} className="px-2 py-1 rounded bg-slate-700 text-sm">Close</button>
+        </div>
+
+        {canCreate && (
+          <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+              <label className="block">
+                <div className="text-xs text-gray-400 mb-1">Type</div>
+                <select value={form.kind} onChange={(e) => set({ kind: e.target.value })} className="w-full p-2 rounded bg-gray-800">
+                  {KINDS.map((k) => <option key={k} value={k}>{k[0].toUpperCase() + k.slice(1)}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <div className="text-xs text-gray-400 mb-1">Time range</div>
+                <select value={form.preset} onChange={(e) => set({ preset: e.target.value })} className="w-full p-2 rounded bg-gray-800">
+                  {PRESETS.map((p) => <option key={p.key} value={p.key}>{p.label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <div className="text-xs text-gray-400 mb-1">Title (optional)</div>
+                <input value={form.title} onChange={(e) => set({ title: e.target.value })} placeholder="e.g. Night shift, pit 2" className="w-full p-2 rounded bg-gray-800" />
+              </label>
+              {form.preset === "custom" && (
+                <>
+                  <label className="block">
+                    <div className="text-xs text-gray-400 mb-1">From</div>
+                    <input type="datetime-local" value={form.from} onChange={(e) => set({ from: e.target.value })} className="w-full p-2 rounded bg-gray-800" />
+                  </label>
+                  <label className="block">
+                    <div className="text-xs text-gray-400 mb-1">To</div>
+                    <input type="datetime-local" value={form.to} onChange={(e) => set({ to: e.target.value })} className="w-full p-2 rounded bg-gray-800" />
+                  </label>
+                </>
+              )}
+            </div>
+            <div className="text-xs text-gray-400 mt-3 mb-1">Zones (none selected = all zones and the site score)</div>
+            <div className="flex flex-wrap gap-3 text-sm">
+              {zones.map((z) => (
+                <label key={z.id} className="flex items-center gap-1">
+                  <input type="checkbox" checked={form.zoneIds.includes(z.id)} onChange={() => toggleZone(z.id)} />
+                  {z.name}
+                </label>
+              ))}
+            </div>
+            {error && <div className="text-xs text-red-400 mt-2">{error}</div>}
+            <button onClick={generate} disabled={busy} className="mt-3 px-3 py-2 bg-indigo-600 rounded text-sm disabled:opacity-50">{busy ? "Generating..." : "Generate report"}</button>
+          </div>
+        )}
+
+        <div className="text-sm text-gray-300 font-semibold mt-4 mb-2">Saved reports</div>
+        {reports === null && <div className="text-xs text-gray-400">Loading...</div>}
+        {reports && reports.length === 0 && <div className="text-xs text-gray-400">No reports yet.</div>}
+        {reports && reports.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 text-left">
+                <th className="py-1">Report</th>
+                <th>Range</th>
+                <th>Alerts</th>
+                <th>Peak</th>
+                <th>Generated</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {reports.map((r) => (
+                <tr key={r.id} className="border-t border-[rgba(255,255,255,0.04)] align-top">
+                  <td className="py-1">
+                    {r.title}
+                    <div className="text-xs text-gray-400">{r.allZones ? "All zones" : r.zones.map((z) => z.name).join(", ")}</div>
+                  </td>
+                  <td className="text-xs text-gray-300">{new Date(r.from).toLocaleString()} - {new Date(r.to).toLocaleString()}</td>
+                  <td className="text-gray-300">{r.summary.alerts} <span className="text-xs text-gray-400">({r.summary.stillOpen} open)</span></td>
+                  <td className="text-gray-300">{r.summary.peakScore ?? "--"}</td>
+                  <td className="text-xs text-gray-400">{new Date(r.generatedAt).toLocaleString()}{r.generatedBy ? ` by ${r.generatedBy.name}` : ""}</td>
+                  <td className="text-right whitespace-nowrap">
+                    <a href={reportUrl(r.id, "html")} target="_blank" rel="noreferrer" className="px-2 py-0.5 rounded bg-slate-700 text-xs mr-1">HTML</a>
+                    <a href={reportUrl(r.id, "pdf")} target="_blank" rel="noreferrer" className="px-2 py-0.5 rounded bg-slate-700 text-xs mr-1">PDF</a>
+                    <a href={reportUrl(r.id, "csv", true)} className="px-2 py-0.5 rounded bg-slate-700 text-xs">CSV</a>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
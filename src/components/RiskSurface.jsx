@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { ImageOverlay } from "react-leaflet";
+import { API_BASE, getToken } from "../api";
+
+const LIVE_REFRESH_MS = 60 * 1000;
+
+const surfaceUrl = (at, stamp) =>
+  `${API_BASE}/api/surface?format=png${at ? `&at=${encodeURIComponent(at)}` : `&v=${stamp}`}&token=${encodeURIComponent(getToken() || "")}`;
+
+/**
+ * useRiskSurface - state shared by the risk surface overlay and its controls.
+ *  GET /api/surface/frames -> { bbox, cellM, step, boundary: { source }, ramp, frames: [ISO] }
+ * frameIndex === frames.length is the live surface, refreshed every minute.
+ * layoutKey changes (zone or sensor edits) reload the frames and extent.
+ */
+export function useRiskSurface(layoutKey) {
+  const [meta, setMeta] = useState(null);
+  const [error, setError] = useState(null);
+  const [frameIndex, setFrameIndex] = useState(null);
+  const [opacity, setOpacity] = useState(0.6);
+  const [visible, setVisible] = useState(false);
+  const [stamp, setStamp] = useState(Date.now());
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/api/surface/frames`)
+      .then((r) => {
+        setMeta(r.data);
+        setError(null);
+        setStamp(Date.now());
+      })
+      .catch((err) => setError(err.response?.data?.error || "Risk surface unavailable"));
+  }, [layoutKey]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setStamp(Date.now()), LIVE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const frames = meta?.frames || [];
+  const index = frameIndex ?? frames.length;
+  const at = index < frames.length ? frames[index] : null;
+  return { meta, error, setError, frames, index, setFrameIndex, at, opacity, setOpacity, visible, setVisible, url: meta && surfaceUrl(at, stamp) };
+}
+
+/**
+ * RiskSurfaceLayer - the interpolated risk surface as an image over the site
+ * extent (for a react-leaflet LayersControl overlay).
+ *  GET /api/surface?format=png&at=...&token=...
+ */
+export function RiskSurfaceLayer({ surface }) {
+  if (!surface.meta) return null;
+  const [w, s, e, n] = surface.meta.bbox;
+  return (
+    <ImageOverlay
+      url={surface.url}
+      bounds={[[s, w], [n, e]]}
+      opacity={surface.opacity}
+      zIndex={250}
+      eventHandlers={{
+        add: () => surface.setVisible(true),
+        remove: () => surface.setVisible(false),
+        error: () => surface.setError("Risk surface image failed to load"),
+      }}
+    />
+  );
+}
+
+const rampGradient = (ramp) => `linear-gradient(to right, ${ramp.map((stop) => `${stop.color} ${stop.value * 10}%`).join(", ")})`;
+
+/**
+ * RiskSurfaceControls - time slider over recent frames, opacity and the colour
+ * ramp legend for the risk surface overlay.
+ */
+export default function RiskSurfaceControls({ surface }) {
+  const { meta, error, frames, index, at, opacity, visible } = surface;
+  if (!meta) return error ? <div className="text-xs text-gray-400 mt-2">Risk surface: {error}</div> : null;
+
+  const [low, medium, high, top] = meta.ramp;
+  return (
+    <div className="bg-[rgba(255,255,255,0.02)] p-3 rounded-lg mt-2 text-xs text-gray-300">
+      <div className="flex justify-between mb-2">
+        <span className="font-semibold">Risk surface</span>
+        <span className="text-gray-400">
+          {visible ? "" : "Turn on \"Risk surface\" in the layer menu. "}
+          IDW of zone and sensor scores, {meta.cellM} m cells, clipped to the {meta.boundary.source === "configured" ? "site boundary" : "outline of the zones and sensors"}
+        </span>
+      </div>
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+        <label className="md:col-span-2 block">
+          <div className="flex justify-between mb-1">
+            <span>Time</span>
+            <span className="font-semibold">{at ? new Date(at).toLocaleString() : "Live"}</span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={frames.length}
+            value={index}
+            onChange={(e) => {
+              surface.setError(null);
+              surface.setFrameIndex(Number(e.target.value) === frames.length ? null : Number(e.target.value));
+            }}
+            className="w-full"
+          />
+          <div className="flex justify-between text-gray-400">
+            <span>{frames.length ? `${Math.round((frames.length * meta.step) / 60)} h ago` : ""}</span>
+            <span>now</span>
+          </div>
+        </label>
+        <label className="block">
+          <div className="flex justify-between mb-1">
+            <span>Opacity</span>
+            <span>{Math.round(opacity * 100)}%</span>
+          </div>
+          <input type="range" min={0.1} max={1} step={0.05} value={opacity} onChange={(e) => surface.setOpacity(Number(e.target.value))} className="w-full" />
+        </label>
+      </div>
+      <div className="mt-2">
+        <div className="h-2 rounded" style={{ background: rampGradient(meta.ramp) }} />
+        <div className="relative h-4 text-gray-400">
+          {[low, medium, high, top].map((stop, i) => (
+            <span key={i} className="absolute" style={{ left: `${stop.value * 10}%`, transform: i === 0 ? "none" : i === 3 ? "translateX(-100%)" : "translateX(-50%)" }}>
+              {stop.value}
+            </span>
+          ))}
+        </div>
+        <div className="flex justify-between text-gray-400">
+          <span>Low</span>
+          <span>Medium above {medium.value}</span>
+          <span>High above {high.value} (risk score x 10)</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const EMPTY_RULE = {
+  name: "",
+  enabled: true,
+  severity: "Medium",
+  message: "",
+  scope: { source: "sensor", sensorType: "", sensorId: "", zone: "" },
+  condition: { kind: "threshold", operator: ">", value: "", windowSec: 600 },
+  hysteresis: 0,
+  cooldownSec: 600,
+};
+
+const describeScope = (scope, sensors) => {
+  if (scope.source === "risk") return "Site risk score";
+  const parts = [];
+  if (scope.sensorId !== undefined) parts.push(sensors.find((s) => s.id === scope.sensorId)?.code || `sensor #${scope.sensorId}`);
+  if (scope.sensorType) parts.push(scope.sensorType);
+  if (scope.zone) parts.push(scope.zone);
+  return parts.length ? parts.join(" • ") : "All sensors";
+};
+
+const describeCondition = (c) =>
+  c.kind === "rate" ? `Δ/min ${c.operator} ${c.value} over ${c.windowSec}s` : `value ${c.operator} ${c.value}`;
+
+/**
+ * RulesPanel - CRUD for alert rules.
+ *  GET    /api/rules, /api/rules/meta
+ *  POST   /api/rules        PUT /api/rules/:id        DELETE /api/rules/:id
+ */
+export default function RulesPanel({ sensors, zones }) {
+  const { can } = useAuth();
+  const canEdit = can("rules:manage");
+  const [rules, setRules] = useState([]);
+  const [meta, setMeta] = useState({ operators: [">", ">=", "<", "<=", "==", "!="], severities: ["High", "Medium", "Low"] });
+  const [editing, setEditing] = useState(null); // rule being edited (id null = new)
+  const [error, setError] = useState(null);
+
+  const load = () => axios.get(`${API_BASE}/api/rules`).then((r) => setRules(r.data)).catch((err) => console.error("rules fetch failed", err));
+
+  useEffect(() => {
+    load();
+    axios.get(`${API_BASE}/api/rules/meta`).then((r) => setMeta(r.data)).catch(() => {});
+  }, []);
+
+  const sensorTypes = [...new Set(sensors.map((s) => s.type))];
+
+  const edit = (rule) => {
+    setError(null);
+    setEditing(
+      rule
+        ? JSON.parse(JSON.stringify({ ...EMPTY_RULE, ...rule, scope: { ...EMPTY_RULE.scope, ...rule.scope }, condition: { ...EMPTY_RULE.condition, ...rule.condition } }))
+        : { ...JSON.parse(JSON.stringify(EMPTY_RULE)), id: null }
+    );
+  };
+
+  const update = (path, value) =>
+    setEditing((prev) => {
+      const copy = JSON.parse(JSON.stringify(prev));
+      let cur = copy;
+      for (let i = 0; i < path.length - 1; i++) cur = cur[path[i]];
+      cur[path[path.length - 1]] = value;
+      return copy;
+    });
+
+  const save = async () => {
+    setError(null);
+    const { id, createdAt, updatedAt, createdBy, ...body } = editing;
+    const scope = { source: body.scope.source };
+    if (scope.source === "sensor") {
+      if (body.scope.sensorType) scope.sensorType = body.scope.sensorType;
+      if (body.scope.sensorId !== "" && body.scope.sensorId !== undefined) scope.sensorId = Number(body.scope.sensorId);
+      if (body.scope.zone) scope.zone = body.scope.zone;
+    }
+    const payload = { ...body, scope };
+    try {
+      if (id) await axios.put(`${API_BASE}/api/rules/${id}`, payload);
+      else await axios.post(`${API_BASE}/api/rules`, payload);
+      setEditing(null);
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Save failed");
+    }
+  };
+
+  const toggle = async (rule) => {
+    const { id, createdAt, updatedAt, createdBy, ...body } = rule;
+    try {
+      await axios.put(`${API_BASE}/api/rules/${id}`, { ...body, enabled: !rule.enabled });
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Update failed");
+    }
+  };
+
+  const remove = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/api/rules/${rule.id}`);
+      load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Delete failed");
+    }
+  };
+
+  return (
+    <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <div className="text-lg font-semibold">Alert Rules</div>
+          <div className="text-xs text-gray-400">Evaluated against every live sensor reading and the site risk score.</div>
+        </div>
+        {canEdit && <button onClick={() => edit(null)} className="px-4 py-2 rounded-md bg-emerald-500 text-sm">New Rule</button>}
+      </div>
+
+      {error && <div className="text-sm text-red-400 mb-3">{error}</div>}
+
+      <div className="space-y-2">
+        {rules.map((r) => (
+          <div key={r.id} className={`p-3 rounded-lg bg-[rgba(255,255,255,0.02)] flex items-center justify-between ${r.enabled ? "" : "opacity-50"}`}>
+            <div>
+              <div className="text-sm font-semibold">{r.name} <span className="text-xs text-gray-400">({r.severity})</span></div>
+              <div className="text-xs text-gray-300">
+                {describeScope(r.scope, sensors)} • {describeCondition(r.condition)} • hysteresis {r.hysteresis} • cooldown {r.cooldownSec}s
+              </div>
+            </div>
+            {canEdit && (
+              <div className="flex gap-2">
+                <button onClick={() => toggle(r)} className="px-3 py-1 rounded-md bg-slate-700 text-xs">{r.enabled ? "Disable" : "Enable"}</button>
+                <button onClick={() => edit(r)} className="px-3 py-1 rounded-md bg-slate-700 text-xs">Edit</button>
+                <button onClick={() => remove(r)} className="px-3 py-1 rounded-md bg-red-700/60 text-xs">Delete</button>
+              </div>
+            )}
+          </div>
+        ))}
+        {rules.length === 0 && <div className="text-sm text-gray-400">No rules defined.</div>}
+      </div>
+
+      {editing && (
+        <div className="mt-6 p-4 rounded-lg bg-[rgba(255,255,255,0.03)] border border-[rgba(255,255,255,0.05)]">
+          <div className="text-sm text-gray-300 font-semibold mb-3">{editing.id ? `Edit "${editing.name}"` : "New Rule"}</div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <input value={editing.name} onChange={(e) => update(["name"], e.target.value)} placeholder="Rule name" className="p-2 rounded bg-gray-800" />
+            <select value={editing.severity} onChange={(e) => update(["severity"], e.target.value)} className="p-2 rounded bg-gray-800">
+              {meta.severities.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <select value={editing.scope.source} onChange={(e) => update(["scope", "source"], e.target.value)} className="p-2 rounded bg-gray-800">
+              <option value="sensor">Sensor readings</option>
+              <option value="risk">Site risk score</option>
+            </select>
+
+            {editing.scope.source === "sensor" && (
+              <>
+                <select value={editing.scope.sensorType} onChange={(e) => update(["scope", "sensorType"], e.target.value)} className="p-2 rounded bg-gray-800">
+                  <option value="">Any sensor type</option>
+                  {sensorTypes.map((t) => <option key={t} value={t}>{t}</option>)}
+                </select>
+                <select value={editing.scope.sensorId} onChange={(e) => update(["scope", "sensorId"], e.target.value)} className="p-2 rounded bg-gray-800">
+                  <option value="">Any sensor</option>
+                  {sensors.map((s) => <option key={s.id} value={s.id}>{s.code} ({s.type})</option>)}
+                </select>
+                <select value={editing.scope.zone} onChange={(e) => update(["scope", "zone"], e.target.value)} className="p-2 rounded bg-gray-800">
+                  <option value="">Any zone</option>
+                  {zones.map((z) => <option key={z.id} value={z.name}>{z.name}</option>)}
+                </select>
+              </>
+            )}
+
+            <select value={editing.condition.kind} onChange={(e) => update(["condition", "kind"], e.target.value)} className="p-2 rounded bg-gray-800">
+              <option value="threshold">Value</option>
+              <option value="rate">Rate of change (per min)</option>
+            </select>
+            <div className="flex gap-2">
+              <select value={editing.condition.operator} onChange={(e) => update(["condition", "operator"], e.target.value)} className="p-2 rounded bg-gray-800">
+                {meta.operators.map((o) => <option key={o} value={o}>{o}</option>)}
+              </select>
+              <input type="number" step="any" value={editing.condition.value} onChange={(e) => update(["condition", "value"], e.target.value)} placeholder="Threshold" className="flex-1 p-2 rounded bg-gray-800" />
+            </div>
+            {editing.condition.kind === "rate" ? (
+              <label className="text-xs text-gray-400 flex items-center gap-2">Window (s)
+                <input type="number" min="1" value={editing.condition.windowSec} onChange={(e) => update(["condition", "windowSec"], Number(e.target.value))} className="flex-1 p-2 rounded bg-gray-800" />
+              </label>
+            ) : <div />}
+
+            <label className="text-xs text-gray-400 flex items-center gap-2">Hysteresis
+              <input type="number" step="any" min="0" value={editing.hysteresis} onChange={(e) => update(["hysteresis"], Number(e.target.value))} className="flex-1 p-2 rounded bg-gray-800" />
+            </label>
+            <label className="text-xs text-gray-400 flex items-center gap-2">Cooldown (s)
+              <input type="number" min="0" value={editing.cooldownSec} onChange={(e) => update(["cooldownSec"], Number(e.target.value))} className="flex-1 p-2 rounded bg-gray-800" />
+            </label>
+            <label className="text-xs text-gray-400 flex items-center gap-2">
+              <input type="checkbox" checked={editing.enabled} onChange={(e) => update(["enabled"], e.target.checked)} /> Enabled
+            </label>
+
+            <input value={editing.message} onChange={(e) => update(["message"], e.target.value)} placeholder="Message, e.g. {{source}} {{value}} {{unit}} above {{threshold}}" className="md:col-span-3 p-2 rounded bg-gray-800" />
+          </div>
+          <div className="mt-3 flex gap-2">
+            <button onClick={save} className="px-4 py-2 rounded-md bg-emerald-500 text-sm">Save Rule</button>
+            <button onClick={() => setEditing(null)} className="px-4 py-2 rounded-md bg-slate-700 text-sm">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+import React, { useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { Line } from "react-chartjs-2";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const ZONE_COLORS = ["#f87171", "#fbbf24", "#34d399", "#60a5fa", "#c084fc", "#f472b6"];
+const INPUT_LABELS = { rainfallMm: "Rainfall (mm)", seismicMag: "Seismic (M)", blastingLevel: "Blasting (%)" };
+const SPEEDS = [1, 4, 16]; // steps per second of playback
+const SEVERITY_TEXT = { High: "text-red-400", Medium: "text-yellow-300", Low: "text-emerald-400" };
+
+const blankScenario = () => ({ name: "", description: "", durationH: 12, stepMin: 15, initial: { rainfallMm: 0, seismicMag: 0, blastingLevel: 0 }, events: [] });
+const blankEvent = () => ({ type: "ramp", input: "rainfallMm", atH: 0, to: 100, durationH: 3, value: 0, durationMin: 15, label: "" });
+const offset = (minute) => `t+${Math.floor(minute / 60)}h${String(minute % 60).padStart(2, "0")}`;
+
+/**
+ * ScenarioPanel - scripted what-if timelines on the Simulator tab.
+ *  GET/POST /api/simulation/scenarios, PUT/DELETE /api/simulation/scenarios/:id
+ *  POST /api/simulation/scenarios/:id/run -> { steps, zones: [{ scores, baselineScores, ... }], site, alerts, baselineAlerts }
+ *  GET  /api/simulation/runs?scenario=, GET /api/simulation/runs/:id
+ * Runs are computed in one go on the server; playback steps through the result.
+ */
+export default function ScenarioPanel({ currentInputs }) {
+  const { can } = useAuth();
+  const canRun = can("simulation:run");
+  const [meta, setMeta] = useState(null);
+  const [list, setList] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [run, setRun] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadScenarios = () => axios.get(`${API_BASE}/api/simulation/scenarios`).then((r) => setList(r.data));
+  const loadRuns = () => axios.get(`${API_BASE}/api/simulation/runs`).then((r) => setRuns(r.data));
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/simulation/scenarios/meta`).then((r) => setMeta(r.data)).catch(() => {});
+    loadScenarios().catch(() => setError("Failed to load scenarios"));
+    loadRuns().catch(() => {});
+  }, []);
+
+  // playback: advance the scrubber until the end of the run
+  useEffect(() => {
+    if (!playing || !run) return;
+    const timer = setInterval(() => setCursor((c) => Math.min(c + 1, run.steps.length - 1)), 1000 / speed);
+    return () => clearInterval(timer);
+  }, [playing, speed, run]);
+
+  useEffect(() => {
+    if (playing && run && cursor >= run.steps.length - 1) setPlaying(false);
+  }, [playing, run, cursor]);
+
+  const request = async (fn) => {
+    setError(null);
+    setBusy(true);
+    try {
+      return await fn();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () =>
+    request(async () => {
+      const r = draft.id ? await axios.put(`${API_BASE}/api/simulation/scenarios/${draft.id}`, draft) : await axios.post(`${API_BASE}/api/simulation/scenarios`, draft);
+      setDraft(r.data);
+      await loadScenarios();
+    });
+
+  const remove = (scenario) => {
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    request(async () => {
+      await axios.delete(`${API_BASE}/api/simulation/scenarios/${scenario.id}`);
+      if (draft?.id === scenario.id) setDraft(null);
+      await loadScenarios();
+    });
+  };
+
+  const showRun = (data) => {
+    setRun(data);
+    setCursor(0);
+    setPlaying(false);
+  };
+
+  const runScenario = (scenario) =>
+    request(async () => {
+      const r = await axios.post(`${API_BASE}/api/simulation/scenarios/${scenario.id}/run`);
+      showRun(r.data);
+      setPlaying(true);
+      await loadRuns();
+    });
+
+  const openRun = (id) => request(async () => showRun((await axios.get(`${API_BASE}/api/simulation/runs/${id}`)).data));
+
+  const setEvent = (i, key, value) => setDraft((d) => ({ ...d, events: d.events.map((e, j) => (j === i ? { ...e, [key]: value } : e)) }));
+
+  const chart = useMemo(() => {
+    if (!run) return null;
+    const marker = (i) => (i === cursor ? 5 : 0);
+    const datasets = run.zones.flatMap((z, i) => {
+      const color = ZONE_COLORS[i % ZONE_COLORS.length];
+      return [
+        { label: z.zone, data: z.scores.map((s) => s * 10), borderColor: color, backgroundColor: color, pointRadius: z.scores.map((_, j) => marker(j)), tension: 0.2 },
+        { label: `${z.zone} (baseline)`, data: z.baselineScores.map((s) => s * 10), borderColor: color, borderDash: [4, 4], borderWidth: 1, pointRadius: 0 },
+      ];
+    });
+    return { labels: run.steps.map((s) => offset(s.minute)), datasets };
+  }, [run, cursor]);
+
+  const step = run?.steps[cursor];
+  const firedSoFar = run ? run.alerts.filter((a) => a.minute <= step.minute) : [];
+
+  return (
+    <div className="mt-6 p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-semibold">Scripted Scenarios</div>
+        {canRun && <button onClick={() => setDraft(blankScenario())} className="px-3 py-1 rounded bg-slate-700 text-sm">New Scenario</button>}
+      </div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div>
+          <div className="space-y-1 mb-4">
+            {list.map((s) => (
+              <div key={s.id} className={`p-2 rounded text-sm ${draft?.id === s.id ? "bg-slate-700/60" : "bg-[rgba(255,255,255,0.02)]"}`}>
+                <div className="flex items-center justify-between">
+                  <button onClick={() => setDraft(JSON.parse(JSON.stringify(s)))} className="text-left font-semibold">{s.name}</button>
+                  {canRun && (
+                    <div className="flex gap-1">
+                      <button disabled={busy} onClick={() => runScenario(s)} className="px-2 py-0.5 rounded bg-emerald-600 text-xs disabled:opacity-50">Run</button>
+                      <button onClick={() => remove(s)} className="px-2 py-0.5 rounded bg-red-700/60 text-xs">Delete</button>
+                    </div>
+                  )}
+                </div>
+                <div className="text-xs text-gray-400">{s.durationH} h, {s.events.length} event(s){s.description ? ` — ${s.description}` : ""}</div>
+              </div>
+            ))}
+            {list.length === 0 && <div className="text-xs text-gray-400">No saved scenarios.</div>}
+          </div>
+
+          <div className="text-xs text-gray-300 font-semibold mb-1">Recent runs</div>
+          <div className="max-h-40 overflow-y-auto space-y-1">
+            {runs.slice(0, 15).map((r) => (
+              <button key={r.id} onClick={() => openRun(r.id)} className={`block w-full text-left text-xs p-1 rounded ${run?.id === r.id ? "bg-slate-700/60" : ""}`}>
+                {r.scenario} • {new Date(r.ranAt).toLocaleString()} • peak {r.site.peak.value}/10 • {r.alerts} alert(s)
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {draft && meta && (
+          <fieldset disabled={!canRun} className="lg:col-span-2 text-sm">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-2">
+              <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Scenario name" className="col-span-2 p-2 rounded bg-gray-800" />
+              <label className="text-xs text-gray-400">Duration (h)
+                <input type="number" min="1" max={meta.maxDurationH} value={draft.durationH} onChange={(e) => setDraft({ ...draft, durationH: Number(e.target.value) })} className="w-full p-2 rounded bg-gray-800" />
+              </label>
+              <label className="text-xs text-gray-400">Step (min)
+                <select value={draft.stepMin} onChange={(e) => setDraft({ ...draft, stepMin: Number(e.target.value) })} className="w-full p-2 rounded bg-gray-800">
+                  {meta.stepOptions.map((m) => <option key={m} value={m}>{m}</option>)}
+                </select>
+              </label>
+            </div>
+            <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} placeholder="Description" className="w-full p-2 rounded bg-gray-800 mb-2" />
+
+            <div className="flex items-end gap-2 mb-3">
+              {Object.keys(INPUT_LABELS).map((k) => (
+                <label key={k} className="text-xs text-gray-400 flex-1">Start {INPUT_LABELS[k]}
+                  <input type="number" step="any" value={draft.initial[k]} onChange={(e) => setDraft({ ...draft, initial: { ...draft.initial, [k]: Number(e.target.value) } })} className="w-full p-2 rounded bg-gray-800" />
+                </label>
+              ))}
+              {currentInputs && <button onClick={() => setDraft({ ...draft, initial: { rainfallMm: currentInputs.rainfallMm, seismicMag: currentInputs.seismicMag, blastingLevel: currentInputs.blastingLevel } })} className="px-2 py-2 rounded bg-slate-700 text-xs">Use current inputs</button>}
+            </div>
+
+            <div className="text-xs text-gray-300 font-semibold mb-1">Timeline</div>
+            {draft.events.map((e, i) => (
+              <div key={i} className="flex flex-wrap items-center gap-1 mb-1 text-xs">
+                <select value={e.type} onChange={(ev) => setEvent(i, "type", ev.target.value)} className="p-1.5 rounded bg-gray-800">
+                  {meta.eventTypes.map((t) => <option key={t} value={t}>{t}</option>)}
+                </select>
+                <select value={e.input} onChange={(ev) => setEvent(i, "input", ev.target.value)} className="p-1.5 rounded bg-gray-800">
+                  {Object.keys(INPUT_LABELS).map((k) => <option key={k} value={k}>{INPUT_LABELS[k]}</option>)}
+                </select>
+                at t+<input type="number" step="any" min="0" value={e.atH} onChange={(ev) => setEvent(i, "atH", Number(ev.target.value))} className="w-14 p-1.5 rounded bg-gray-800" />h
+                {e.type === "ramp" ? (
+                  <>
+                    to <input type="number" step="any" value={e.to ?? 0} onChange={(ev) => setEvent(i, "to", Number(ev.target.value))} className="w-16 p-1.5 rounded bg-gray-800" />
+                    over <input type="number" step="any" value={e.durationH ?? 1} onChange={(ev) => setEvent(i, "durationH", Number(ev.target.value))} className="w-14 p-1.5 rounded bg-gray-800" />h
+                  </>
+                ) : (
+                  <>
+                    value <input type="number" step="any" value={e.value ?? 0} onChange={(ev) => setEvent(i, "value", Number(ev.target.value))} className="w-16 p-1.5 rounded bg-gray-800" />
+                    {e.type === "pulse" && (
+                      <>for <input type="number" value={e.durationMin ?? 15} onChange={(ev) => setEvent(i, "durationMin", Number(ev.target.value))} className="w-14 p-1.5 rounded bg-gray-800" />min</>
+                    )}
+                  </>
+                )}
+                <input value={e.label || ""} onChange={(ev) => setEvent(i, "label", ev.target.value)} placeholder="Label" className="flex-1 p-1.5 rounded bg-gray-800" />
+                <button onClick={() => setDraft({ ...draft, events: draft.events.filter((_, j) => j !== i) })} className="px-2 py-1 rounded bg-red-700/60">×</button>
+              </div>
+            ))}
+            <div className="flex gap-2 mt-2">
+              <button onClick={() => setDraft({ ...draft, events: [...draft.events, blankEvent()] })} className="px-3 py-1 rounded bg-slate-700 text-xs">Add Event</button>
+              <button disabled={busy || !draft.name.trim()} onClick={save} className="px-3 py-1 rounded bg-emerald-500 text-xs disabled:opacity-50">{draft.id ? "Save" : "Create"}</button>
+            </div>
+          </fieldset>
+        )}
+      </div>
+
+      {run && chart && (
+        <div className="mt-6">
+          <div className="text-sm text-gray-300 mb-2">
+            {run.scenario} — {run.model.name} v{run.model.version}; site peak {run.site.peak.value}/10 at {offset(run.site.peak.minute)} (baseline {run.site.baselinePeak.value}/10),{" "}
+            {run.alerts.length} alert(s) would fire vs {run.baselineAlerts.length} at baseline. Dashed lines: baseline.
+          </div>
+          <div className="h-72">
+            <Line data={chart} options={{ maintainAspectRatio: false, animation: false, scales: { y: { min: 0, max: 10 } }, plugins: { legend: { labels: { color: "#cbd5e1", filter: (item) => !item.text.endsWith("(baseline)") } } } }} />
+          </div>
+
+          <div className="flex items-center gap-3 mt-3">
+            <button onClick={() => { if (cursor >= run.steps.length - 1) setCursor(0); setPlaying(!playing); }} className="px-3 py-1 rounded bg-indigo-600 text-sm">{playing ? "Pause" : "Play"}</button>
+            <input type="range" min="0" max={run.steps.length - 1} value={cursor} onChange={(e) => { setPlaying(false); setCursor(Number(e.target.value)); }} className="flex-1" />
+            <span className="text-sm w-20">{offset(step.minute)}</span>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="p-1 rounded bg-gray-800 text-xs">
+              {SPEEDS.map((s) => <option key={s} value={s}>{(s * run.stepMin) / 60 >= 1 ? `${(s * run.stepMin) / 60} h/s` : `${s * run.stepMin} min/s`}</option>)}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3 text-xs">
+            <div>
+              <div className="text-gray-400 mb-1">Inputs at {offset(step.minute)}</div>
+              {Object.entries(step.inputs).map(([k, v]) => <div key={k}>{INPUT_LABELS[k]}: {v}</div>)}
+              {run.events.filter((e) => Math.abs(e.atH * 60 - step.minute) < run.stepMin).map((e, i) => (
+                <div key={i} className="text-indigo-300">▶ {e.label || `${e.type} ${e.input}`}</div>
+              ))}
+            </div>
+            <div>
+              <div className="text-gray-400 mb-1">Zones (scenario vs baseline)</div>
+              {run.zones.map((z) => (
+                <div key={z.zoneId}>
+                  {z.zone}: <span className={SEVERITY_TEXT[z.severities[cursor]]}>{(z.scores[cursor] * 10).toFixed(1)} {z.severities[cursor]}</span>
+                  <span className="text-gray-400"> vs {(z.baselineScores[cursor] * 10).toFixed(1)}</span>
+                </div>
+              ))}
+            </div>
+            <div>
+              <div className="text-gray-400 mb-1">Alerts fired so far ({firedSoFar.length}/{run.alerts.length})</div>
+              {firedSoFar.map((a, i) => (
+                <div key={i} className={SEVERITY_TEXT[a.severity]}>{offset(a.minute)} {a.msg}</div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
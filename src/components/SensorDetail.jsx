@@ -0,0 +1,102 @@
+import React, { useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { Chart as ChartJS, Filler } from "chart.js";
+import { Line } from "react-chartjs-2";
+import { API_BASE } from "../api";
+
+ChartJS.register(Filler);
+
+const RANGES = [
+  { key: "1h", label: "1 Hour", ms: 3600 * 1000 },
+  { key: "24h", label: "24 Hours", ms: 24 * 3600 * 1000 },
+  { key: "7d", label: "7 Days", ms: 7 * 24 * 3600 * 1000 },
+  { key: "30d", label: "30 Days", ms: 30 * 24 * 3600 * 1000 },
+];
+
+/**
+ * SensorDetail - history chart for one sensor, shown when a Sensors tab card is clicked.
+ * Uses GET /api/sensors/:id/history?from&to&resolution, which returns per-bucket
+ * { ts, min, max, mean, last, count } (or raw { ts, value } points).
+ */
+export default function SensorDetail({ sensor, onClose }) {
+  const [range, setRange] = useState("24h");
+  const [resolution, setResolution] = useState("auto");
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    const to = new Date();
+    const from = new Date(to.getTime() - RANGES.find((r) => r.key === range).ms);
+    setError(null);
+    axios
+      .get(`${API_BASE}/api/sensors/${sensor.id}/history`, { params: { from: from.toISOString(), to: to.toISOString(), resolution } })
+      .then((r) => mounted && setData(r.data))
+      .catch((err) => {
+        console.error("history fetch failed", err);
+        if (mounted) setError(err.response?.data?.error || "Failed to load history");
+      });
+    return () => (mounted = false);
+  }, [sensor.id, range, resolution]);
+
+  const chart = useMemo(() => {
+    if (!data) return null;
+    const points = data.history;
+    const labels = points.map((p) => new Date(p.ts).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }));
+    if (data.resolution === "raw") {
+      return {
+        labels,
+        datasets: [{ label: `Value (${data.unit})`, data: points.map((p) => p.value), borderColor: "rgba(16,185,129,1)", pointRadius: 0, tension: 0.2 }],
+      };
+    }
+    return {
+      labels,
+      datasets: [
+        { label: "Max", data: points.map((p) => p.max), borderColor: "rgba(139,92,246,0.4)", backgroundColor: "rgba(139,92,246,0.15)", pointRadius: 0, fill: "+1" },
+        { label: "Min", data: points.map((p) => p.min), borderColor: "rgba(139,92,246,0.4)", pointRadius: 0, fill: false },
+        { label: "Mean", data: points.map((p) => p.mean), borderColor: "rgba(16,185,129,1)", pointRadius: 0, tension: 0.2 },
+        { label: "Last", data: points.map((p) => p.last), borderColor: "rgba(255,176,32,0.8)", borderDash: [4, 4], pointRadius: 0, hidden: true },
+      ],
+    };
+  }, [data]);
+
+  return (
+    <div className="fixed inset-0 z-[1000] bg-black/60 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="w-full max-w-4xl bg-[#0f1724] border border-[rgba(255,255,255,0.06)] rounded-xl p-6 shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <div className="text-lg font-semibold">{sensor.code} — {sensor.type}</div>
+            <div className="text-xs text-gray-400">{sensor.location} • latest {sensor.value}</div>
+          </div>
+          <button onClick={onClose} className="px-3 py-1 rounded-md bg-slate-700 text-sm">Close</button>
+        </div>
+
+        <div className="flex items-center gap-2 mb-4">
+          {RANGES.map((r) => (
+            <button key={r.key} onClick={() => setRange(r.key)} className={`px-3 py-1 rounded-full text-xs ${range === r.key ? "bg-green-500" : "bg-gray-800 text-gray-300"}`}>
+              {r.label}
+            </button>
+          ))}
+          <label className="text-xs text-gray-400 ml-auto">Resolution</label>
+          <select value={resolution} onChange={(e) => setResolution(e.target.value)} className="p-1 rounded bg-gray-800 text-xs">
+            <option value="auto">Auto</option>
+            <option value="raw">Raw</option>
+            <option value="1m">1 min</option>
+            <option value="5m">5 min</option>
+            <option value="15m">15 min</option>
+            <option value="1h">1 hour</option>
+            <option value="6h">6 hours</option>
+            <option value="1d">1 day</option>
+          </select>
+        </div>
+
+        {error && <div className="text-red-400 text-sm">{error}</div>}
+        {!error && !chart && <div className="text-gray-400">Loading...</div>}
+        {chart && chart.labels.length === 0 && <div className="text-gray-400 text-sm">No readings in this range.</div>}
+        {chart && chart.labels.length > 0 && (
+          <Line data={chart} options={{ responsive: true, interaction: { mode: "index", intersect: false }, plugins: { legend: { labels: { color: "#9ca3af" } } } }} />
+        )}
+      </div>
+    </div>
+  );
+}
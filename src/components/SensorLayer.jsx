@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import L from "leaflet";
+import { LayerGroup, Marker, Popup } from "react-leaflet";
+import { Line } from "react-chartjs-2";
+import { API_BASE } from "../api";
+
+// Marker glyph and fill per sensor type; the ring shows the status.
+export const SENSOR_TYPE_STYLE = {
+  Inclinometer: { glyph: "IN", color: "#8b5cf6" },
+  Piezometer: { glyph: "PZ", color: "#3b82f6" },
+  Seismometer: { glyph: "SM", color: "#ec4899" },
+  "Weather Station": { glyph: "WS", color: "#06b6d4" },
+  "Strain Gauge": { glyph: "SG", color: "#f97316" },
+};
+export const SENSOR_STATUS_COLOR = { online: "#22c55e", warning: "#facc15", offline: "#ef4444" };
+const FALLBACK_STYLE = { glyph: "?", color: "#64748b" };
+
+const icons = new Map();
+function sensorIcon(type, status) {
+  const key = `${type}|${status}`;
+  if (!icons.has(key)) {
+    const { glyph, color } = SENSOR_TYPE_STYLE[type] || FALLBACK_STYLE;
+    const ring = SENSOR_STATUS_COLOR[status] || SENSOR_STATUS_COLOR.offline;
+    icons.set(
+      key,
+      L.divIcon({
+        className: "",
+        iconSize: [26, 26],
+        iconAnchor: [13, 13],
+        popupAnchor: [0, -12],
+        html: `<div style="width:26px;height:26px;border-radius:50%;background:${color};border:3px solid ${ring};color:#fff;font:600 9px/20px sans-serif;text-align:center;opacity:${status === "offline" ? 0.6 : 1}">${glyph}</div>`,
+      })
+    );
+  }
+  return icons.get(key);
+}
+
+const SPARKLINE_OPTIONS = {
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: { legend: { display: false }, tooltip: { enabled: false } },
+  scales: { x: { display: false }, y: { display: false } },
+  elements: { point: { radius: 0 } },
+};
+
+/**
+ * SensorPopup - latest value, battery and a 24 h sparkline for one map marker.
+ *  GET /api/sensors/:id/history?from&to&resolution=auto
+ */
+function SensorPopup({ sensor }) {
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    const to = new Date();
+    const from = new Date(to.getTime() - 24 * 3600 * 1000);
+    axios
+      .get(`${API_BASE}/api/sensors/${sensor.id}/history`, { params: { from: from.toISOString(), to: to.toISOString(), resolution: "auto" } })
+      .then((r) => setHistory(r.data.history.map((p) => p.value ?? p.mean)))
+      .catch(() => setHistory([]));
+  }, [sensor.id]);
+
+  return (
+    <div className="text-xs" style={{ minWidth: 200 }}>
+      <div className="font-semibold">{sensor.code} • {sensor.type}</div>
+      <div className="flex justify-between mt-1">
+        <span className="text-base font-bold">{sensor.value}</span>
+        <span style={{ color: SENSOR_STATUS_COLOR[sensor.status] }}>{sensor.status.toUpperCase()}</span>
+      </div>
+      <div>Battery {sensor.battery}{sensor.position.elevationM != null ? ` • ${sensor.position.elevationM} m elevation` : ""}</div>
+      <div className="opacity-70">Last update: {sensor.lastUpdate ? new Date(sensor.lastUpdate).toLocaleString() : "never"}</div>
+      <div className="h-12 mt-1">
+        {history === null && <div className="opacity-70">Loading history...</div>}
+        {history && history.length === 0 && <div className="opacity-70">No readings in the last 24 h</div>}
+        {history && history.length > 0 && (
+          <Line
+            data={{ labels: history.map((_, i) => i), datasets: [{ data: history, borderColor: (SENSOR_TYPE_STYLE[sensor.type] || FALLBACK_STYLE).color, borderWidth: 1.5, tension: 0.2 }] }}
+            options={SPARKLINE_OPTIONS}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SensorLayer - a marker per positioned sensor, styled by type and status
+ * (for a react-leaflet LayersControl overlay).
+ */
+export default function SensorLayer({ sensors }) {
+  return (
+    <LayerGroup>
+      {sensors
+        .filter((s) => s.position)
+        .map((s) => (
+          <Marker key={s.id} position={[s.position.lat, s.position.lng]} icon={sensorIcon(s.type, s.status)} title={`${s.code} ${s.type}`}>
+            <Popup><SensorPopup sensor={s} /></Popup>
+          </Marker>
+        ))}
+    </LayerGroup>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+/**
+ * SensorPositionsPanel - surveyed sensor coordinates for the map's sensor layer.
+ *  PUT    /api/sensors/:id/position { lat, lng, elevationM? }
+ *  DELETE /api/sensors/:id/position
+ */
+export default function SensorPositionsPanel({ sensors, zones, onChanged }) {
+  const { can } = useAuth();
+  const canEdit = can("sensors:manage");
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  const zoneName = (id) => (id == null ? "Site-wide" : zones.find((z) => z.id === id)?.name || `zone #${id}`);
+
+  const run = async (fn) => {
+    setError(null);
+    try {
+      await fn();
+      setEditing(null);
+      onChanged && onChanged();
+    } catch (err) {
+      setError(err.response?.data?.error || "Position update failed");
+    }
+  };
+
+  const save = () =>
+    run(() => {
+      const { id, lat, lng, elevationM } = editing;
+      return axios.put(`${API_BASE}/api/sensors/${id}/position`, { lat: Number(lat), lng: Number(lng), ...(elevationM !== "" ? { elevationM: Number(elevationM) } : {}) });
+    });
+
+  const clear = (s) => run(() => axios.delete(`${API_BASE}/api/sensors/${s.id}/position`));
+
+  const input = (key, width = "w-28") => (
+    <input type="number" step="any" value={editing[key]} onChange={(e) => setEditing({ ...editing, [key]: e.target.value })} className={`${width} p-1 rounded bg-gray-800`} />
+  );
+
+  return (
+    <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg mt-4">
+      <div className="text-sm text-gray-300 font-semibold mb-1">Sensor positions</div>
+      <div className="text-xs text-gray-400 mb-3">WGS84 coordinates and elevation in metres. Sensors without a position are left off the map.</div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-400 text-left">
+            <th className="py-1">Sensor</th>
+            <th>Zone</th>
+            <th>Latitude</th>
+            <th>Longitude</th>
+            <th>Elevation</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {sensors.map((s) =>
+            editing?.id === s.id ? (
+              <tr key={s.id}>
+                <td className="py-1">{s.code}</td>
+                <td className="text-gray-300">{zoneName(s.zoneId)}</td>
+                <td>{input("lat")}</td>
+                <td>{input("lng")}</td>
+                <td>{input("elevationM", "w-20")}</td>
+                <td className="text-right whitespace-nowrap">
+                  <button onClick={save} className="px-2 py-0.5 rounded bg-emerald-600 text-xs mr-1">Save</button>
+                  <button onClick={() => setEditing(null)} className="px-2 py-0.5 rounded bg-slate-700 text-xs">Cancel</button>
+                </td>
+              </tr>
+            ) : (
+              <tr key={s.id} className="border-t border-[rgba(255,255,255,0.04)]">
+                <td className="py-1">{s.code} <span className="text-xs text-gray-400">{s.type}</span></td>
+                <td className="text-gray-300">{zoneName(s.zoneId)}</td>
+                <td className="text-gray-300">{s.position ? s.position.lat : "--"}</td>
+                <td className="text-gray-300">{s.position ? s.position.lng : "--"}</td>
+                <td className="text-gray-300">{s.position?.elevationM != null ? `${s.position.elevationM} m` : "--"}</td>
+                <td className="text-right whitespace-nowrap">
+                  {canEdit && (
+                    <>
+                      <button
+                        onClick={() => setEditing({ id: s.id, lat: s.position?.lat ?? "", lng: s.position?.lng ?? "", elevationM: s.position?.elevationM ?? "" })}
+                        className="px-2 py-0.5 rounded bg-slate-700 text-xs mr-1"
+                      >
+                        {s.position ? "Edit" : "Set"}
+                      </button>
+                      {s.position && <button onClick={() => clear(s)} className="px-2 py-0.5 rounded bg-red-700/70 text-xs">Clear</button>}
+                    </>
+                  )}
+                </td>
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+import MonteCarloPanel from "./MonteCarloPanel";
+
+const SLIDERS = [
+  { key: "rainfallMm", label: "Rainfall (mm)", max: 300, step: 1 },
+  { key: "seismicMag", label: "Seismic Magnitude", max: 10, step: 0.1 },
+  { key: "blastingLevel", label: "Blasting Level (%)", max: 100, step: 1 },
+];
+const SEVERITY_TEXT = { High: "text-red-400", Medium: "text-yellow-300", Low: "text-emerald-400" };
+
+/**
+ * SimulationSession - the caller's sandboxed what-if session on the Simulator tab.
+ *  GET  /api/simulation/session   -> { inputs, live, readings, zones, riskScore, alerts }
+ *  PUT  /api/simulation/session   -> { rainfallMm?, seismicMag?, blastingLevel? }
+ *  POST /api/simulation/session/reset
+ *  POST /api/simulation/session/alerts/:id/promote -> raises a real alert
+ *  PUT  /api/simulation/live      -> admins only: makes the session inputs the live ones
+ * "Distributions" mode swaps the point inputs for a Monte Carlo run (MonteCarloPanel).
+ * Nothing here changes live inputs, readings or alerts until an alert is
+ * promoted or an admin sets the live inputs.
+ */
+export default function SimulationSession({ onInputs }) {
+  const { can } = useAuth();
+  const canRun = can("simulation:run");
+  const canSetLive = can("simulation:admin");
+  const [mode, setMode] = useState("point"); // "point" | "distributions"
+  const [session, setSession] = useState(null);
+  const [inputs, setInputs] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const apply = (data) => {
+    setSession(data);
+    setInputs(data.inputs);
+    onInputs && onInputs(data.inputs);
+  };
+
+  const request = async (fn) => {
+    setError(null);
+    try {
+      apply(await fn());
+    } catch (err) {
+      setError(err.response?.data?.error || "Simulation request failed");
+    }
+  };
+
+  useEffect(() => {
+    request(async () => (await axios.get(`${API_BASE}/api/simulation/session`)).data);
+  }, []);
+
+  const commit = (key, value) => request(async () => (await axios.put(`${API_BASE}/api/simulation/session`, { [key]: Number(value) })).data);
+  const reset = () => request(async () => (await axios.post(`${API_BASE}/api/simulation/session/reset`)).data);
+
+  const promote = async (alert) => {
+    if (!window.confirm(`Raise "${alert.msg}" as a real ${alert.severity} alert for the operators?`)) return;
+    setMessage(null);
+    await request(async () => {
+      const r = await axios.post(`${API_BASE}/api/simulation/session/alerts/${alert.id}/promote`);
+      setMessage(`Raised as alert #${r.data.alert.id}`);
+      return r.data.session;
+    });
+  };
+
+  const setLive = async () => {
+    if (!window.confirm("Make these the live inputs? Live risk scores, readings and alert rules will use them.")) return;
+    setMessage(null);
+    await request(async () => {
+      await axios.put(`${API_BASE}/api/simulation/live`, inputs);
+      setMessage("Live inputs updated");
+      return (await axios.get(`${API_BASE}/api/simulation/session`)).data;
+    });
+  };
+
+  if (!session || !inputs) return <div className="text-sm text-gray-400">{error || "Loading simulation session..."}</div>;
+
+  const modeButton = (value, label) => (
+    <button onClick={() => setMode(value)} className={`px-3 py-1 rounded-full text-xs ${mode === value ? "bg-green-500 text-white" : "bg-slate-700"}`}>{label}</button>
+  );
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-4">
+        {modeButton("point", "Point values")}
+        {modeButton("distributions", "Distributions (Monte Carlo)")}
+      </div>
+      {mode === "distributions" ? (
+        <MonteCarloPanel inputs={session.inputs} canRun={canRun} />
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
+            <div className="mb-1 font-semibold">Simulation Parameters</div>
+            <div className="text-xs text-gray-400 mb-3">
+              Your sandbox session. Live inputs: {session.live.rainfallMm.toFixed(0)} mm, M{session.live.seismicMag.toFixed(1)}, blasting {session.live.blastingLevel}% — unaffected by changes here.
+            </div>
+            {!canRun && <div className="text-xs text-yellow-300 mb-3">View only — your role cannot change simulation inputs.</div>}
+
+            <fieldset disabled={!canRun} className="space-y-4 disabled:opacity-50">
+              {SLIDERS.map((s) => (
+                <div key={s.key}>
+                  <label className="text-sm text-gray-300">{s.label} — {inputs[s.key]}</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max={s.max}
+                    step={s.step}
+                    value={inputs[s.key]}
+                    onChange={(e) => setInputs((prev) => ({ ...prev, [s.key]: Number(e.target.value) }))}
+                    onMouseUp={(e) => commit(s.key, e.target.value)}
+                    onTouchEnd={(e) => commit(s.key, e.target.value)}
+                    className="w-full"
+                  />
+                </div>
+              ))}
+            </fieldset>
+            {canRun && (
+              <div className="mt-4 flex gap-2">
+                <button onClick={reset} className="px-4 py-2 rounded-md bg-slate-700">Reset to live</button>
+                {canSetLive && <button onClick={setLive} className="px-4 py-2 rounded-md bg-red-700/70">Set as live inputs</button>}
+              </div>
+            )}
+          </div>
+
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
+            <div className="mb-3 font-semibold">Simulation Output</div>
+            <div className="text-4xl font-bold mb-2 text-pink-400">{session.riskScore}/10</div>
+            <div className="text-xs text-gray-400 mb-3">Site score in this session{session.model ? ` (${session.model.name} v${session.model.version})` : ""}.</div>
+            <div className="text-sm mb-3">
+              {session.zones.map((z) => (
+                <div key={z.zoneId} className="flex justify-between">
+                  <span>{z.zone}</span>
+                  <span className={SEVERITY_TEXT[z.severity]}>{(z.score * 10).toFixed(1)} {z.severity}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="text-xs text-gray-300 font-semibold mb-1">Simulated alerts ({session.alerts.length})</div>
+            {error && <div className="text-xs text-red-400 mb-1">{error}</div>}
+            {message && <div className="text-xs text-emerald-400 mb-1">{message}</div>}
+            <div className="max-h-40 overflow-y-auto space-y-1">
+              {session.alerts.map((a) => (
+                <div key={a.id} className="flex items-center justify-between text-xs gap-2">
+                  <span className={SEVERITY_TEXT[a.severity]}>{new Date(a.time).toLocaleTimeString()} {a.zone}: {a.msg}</span>
+                  {a.promotedAlertId ? (
+                    <span className="text-gray-400 whitespace-nowrap">alert #{a.promotedAlertId}</span>
+                  ) : (
+                    canRun && <button onClick={() => promote(a)} className="px-2 py-0.5 rounded bg-red-700/70 whitespace-nowrap">Promote</button>
+                  )}
+                </div>
+              ))}
+              {session.alerts.length === 0 && <div className="text-xs text-gray-400">No rule would fire with these inputs.</div>}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+
+/**
+ * UsersPanel - Admin-only role assignment.
+ *  GET   /api/users/roles -> { roles, permissions }
+ *  GET   /api/users       -> users
+ *  PATCH /api/users/:id   -> { role }
+ */
+export default function UsersPanel() {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([axios.get(`${API_BASE}/api/users`), axios.get(`${API_BASE}/api/users/roles`)])
+      .then(([u, r]) => {
+        setUsers(u.data);
+        setRoles(r.data.roles);
+      })
+      .catch((err) => {
+        console.error("Failed fetch users:", err);
+        setError("Failed to load users");
+      });
+  }, []);
+
+  const changeRole = async (id, role) => {
+    setError(null);
+    try {
+      const r = await axios.patch(`${API_BASE}/api/users/${id}`, { role });
+      setUsers((prev) => prev.map((u) => (u.id === id ? r.data.user : u)));
+    } catch (err) {
+      setError(err.response?.data?.error || "Role change failed");
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)] mb-6">
+      <div className="text-sm text-gray-300 font-semibold mb-2">Users & Roles</div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+      <div className="space-y-2">
+        {users.map((u) => (
+          <div key={u.id} className="flex items-center justify-between text-sm">
+            <div>
+              {u.name} <span className="text-xs text-gray-400">{u.email}</span>
+            </div>
+            <select value={u.role} onChange={(e) => changeRole(u.id, e.target.value)} className="p-1 rounded bg-gray-800 text-xs">
+              {roles.map((r) => <option key={r} value={r}>{r}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
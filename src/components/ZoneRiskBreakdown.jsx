@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+
+const STATUS_TEXT = { online: "text-emerald-500", warning: "text-yellow-500", offline: "text-red-500" };
+
+/**
+ * ZoneRiskBreakdown - one zone's score, factor by factor, the sensors inside its
+ * outline (and any others that count for it) and its open alerts (map popups).
+ *  GET /api/zones/:id -> { name, kind, risk: { score, severity, factors: [{ label, value, unit, source, normalised, weight, contribution }] },
+ *                          sensors: [{ code, type, value, status, inside, counts, siteWide, drives }], openAlerts }
+ */
+export default function ZoneRiskBreakdown({ zoneId }) {
+  const [zone, setZone] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/api/zones/${zoneId}`)
+      .then((r) => setZone(r.data))
+      .catch(() => setError("Breakdown unavailable"));
+  }, [zoneId]);
+
+  if (error) return <div className="text-xs">{error}</div>;
+  if (!zone) return <div className="text-xs">Loading...</div>;
+  const { risk } = zone;
+  const inside = zone.sensors.filter((s) => s.inside);
+  const counted = zone.sensors.filter((s) => !s.inside);
+
+  const sensorRow = (s) => (
+    <div key={s.id} className="flex justify-between gap-2" title={!s.counts ? "Inside the outline but mapped to another zone" : s.siteWide ? "Site-wide sensor: counts for every zone" : undefined}>
+      <span>
+        {s.code} {s.type}{s.siteWide ? " (site)" : ""}{!s.counts ? " (not counted)" : ""}
+        {s.drives.length > 0 && <span className="font-semibold"> → {s.drives.join(", ")}</span>}
+      </span>
+      <span className={STATUS_TEXT[s.status]}>{s.value}</span>
+    </div>
+  );
+
+  return (
+    <div className="text-xs" style={{ minWidth: 240 }}>
+      <div className="font-semibold mb-1">{zone.name}: {risk.score} ({risk.severity})</div>
+      <div className="mb-1 opacity-70">{zone.kind} • base risk {zone.baseRisk}</div>
+      <table className="w-full">
+        <tbody>
+          {risk.factors.map((f) => (
+            <tr key={f.key} title={`${f.source}: normalised ${f.normalised} x weight ${f.weight}`}>
+              <td className="pr-2">{f.label}</td>
+              <td className="pr-2 text-right">{f.value === null ? "--" : `${f.value}${f.unit ? ` ${f.unit}` : ""}`}</td>
+              <td className="text-right">+{f.contribution}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {risk.raw > 1 && <div className="mt-1">Capped at 1 (raw {risk.raw})</div>}
+
+      <div className="font-semibold mt-2 mb-1">Sensors in this zone ({inside.length})</div>
+      {inside.length === 0 && <div className="opacity-70">No positioned sensors inside the outline</div>}
+      {inside.map(sensorRow)}
+      {counted.length > 0 && (
+        <>
+          <div className="font-semibold mt-2 mb-1">Also counted ({counted.length})</div>
+          {counted.map(sensorRow)}
+        </>
+      )}
+
+      <div className="font-semibold mt-2 mb-1">Open alerts ({zone.openAlerts.length})</div>
+      {zone.openAlerts.length === 0 && <div className="opacity-70">None</div>}
+      {zone.openAlerts.map((a) => (
+        <div key={a.id}>
+          <span className={a.severity === "High" ? "text-red-500" : a.severity === "Medium" ? "text-yellow-600" : ""}>{a.severity}</span> {a.msg}
+        </div>
+      ))}
+    </div>
+  );
+}
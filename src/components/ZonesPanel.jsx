@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { API_BASE } from "../api";
+import { useAuth } from "../context/AuthContext";
+
+const SEVERITY_TEXT = { High: "text-red-400", Medium: "text-yellow-300", Low: "text-emerald-400" };
+
+/**
+ * ZonesPanel - the pit layout under the risk map: zone list, attribute edits,
+ * GeoJSON import and export. Outlines come from GeoJSON (drawn in GIS tools).
+ *  GET    /api/zones/meta                 -> { kinds, importModes, bbox }
+ *  GET    /api/zones/geojson?download=1   -> FeatureCollection with score and severity
+ *  POST   /api/zones/import?mode=merge|replace  <- FeatureCollection
+ *  PUT    /api/zones/:id { name, kind, baseRisk }      DELETE /api/zones/:id
+ */
+export default function ZonesPanel({ zones, onChanged }) {
+  const { can } = useAuth();
+  const canEdit = can("zones:manage");
+  const [meta, setMeta] = useState({ kinds: [], importModes: ["merge", "replace"] });
+  const [editing, setEditing] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/zones/meta`).then((r) => setMeta(r.data)).catch(() => {});
+  }, [zones.length]);
+
+  const run = async (fn, done) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await fn();
+      if (done) setMessage(done);
+      onChanged && onChanged();
+    } catch (err) {
+      setError(err.response?.data?.error || "Zone request failed");
+    }
+  };
+
+  const save = () =>
+    run(async () => {
+      const { id, name, kind, baseRisk } = editing;
+      await axios.put(`${API_BASE}/api/zones/${id}`, { name, kind, baseRisk: Number(baseRisk) });
+      setEditing(null);
+    }, "Zone saved");
+
+  const remove = (z) => {
+    if (!window.confirm(`Delete zone "${z.name}"? Its outline and score history stop being used.`)) return;
+    run(() => axios.delete(`${API_BASE}/api/zones/${z.id}`), `Deleted ${z.name}`);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      setError(`${file.name} is not valid JSON`);
+      return;
+    }
+    if (mode === "replace" && !window.confirm("Replace the layout? Zones not in the file will be removed.")) return;
+    let summary = "";
+    await run(async () => {
+      const r = await axios.post(`${API_BASE}/api/zones/import?mode=${mode}`, data);
+      summary = `Imported ${file.name}: ${r.data.created.length} created, ${r.data.updated.length} updated, ${r.data.removed.length} removed`;
+    });
+    if (summary) setMessage(summary);
+  };
+
+  const exportFile = async () => {
+    const r = await axios.get(`${API_BASE}/api/zones/geojson`, { responseType: "blob" });
+    const url = URL.createObjectURL(r.data);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "zones.geojson";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg mt-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="text-sm text-gray-300 font-semibold">Zones ({zones.length})</div>
+        <div className="flex items-center gap-2">
+          <button onClick={exportFile} className="px-3 py-1 rounded bg-slate-700 text-sm">Export GeoJSON</button>
+          {canEdit && (
+            <>
+              <select value={mode} onChange={(e) => setMode(e.target.value)} className="p-1 rounded bg-gray-800 text-sm">
+                {meta.importModes.map((m) => <option key={m} value={m}>{m}</option>)}
+              </select>
+              <button onClick={() => fileRef.current.click()} className="px-3 py-1 rounded bg-emerald-600 text-sm">Import GeoJSON</button>
+              <input ref={fileRef} type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={importFile} className="hidden" />
+            </>
+          )}
+        </div>
+      </div>
+      {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+      {message && <div className="text-xs text-emerald-400 mb-2">{message}</div>}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-400 text-left">
+            <th className="py-1">Name</th>
+            <th>Kind</th>
+            <th>Base risk</th>
+            <th>Score</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {zones.map((z) =>
+            editing?.id === z.id ? (
+              <tr key={z.id}>
+                <td className="py-1 pr-2"><input value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} className="w-full p-1 rounded bg-gray-800" /></td>
+                <td className="pr-2">
+                  <select value={editing.kind} onChange={(e) => setEditing({ ...editing, kind: e.target.value })} className="p-1 rounded bg-gray-800">
+                    {meta.kinds.map((k) => <option key={k} value={k}>{k}</option>)}
+                  </select>
+                </td>
+                <td className="pr-2"><input type="number" min="0" max="1" step="0.05" value={editing.baseRisk} onChange={(e) => setEditing({ ...editing, baseRisk: e.target.value })} className="w-20 p-1 rounded bg-gray-800" /></td>
+                <td />
+                <td className="text-right whitespace-nowrap">
+                  <button onClick={save} className="px-2 py-0.5 rounded bg-emerald-600 text-xs mr-1">Save</button>
+                  <button onClick={() => setEditing(null)} className="px-2 py-0.5 rounded bg-slate-700 text-xs">Cancel</button>
+                </td>
+              </tr>
+            ) : (
+              <tr key={z.id} className="border-t border-[rgba(255,255,255,0.04)]">
+                <td className="py-1">{z.name}</td>
+                <td className="text-gray-300">{z.kind}</td>
+                <td className="text-gray-300">{z.baseRisk}</td>
+                <td className={SEVERITY_TEXT[z.severity]}>{(z.score * 10).toFixed(1)} {z.severity}</td>
+                <td className="text-right whitespace-nowrap">
+                  {canEdit && (
+                    <>
+                      <button onClick={() => setEditing({ id: z.id, name: z.name, kind: z.kind, baseRisk: z.baseRisk })} className="px-2 py-0.5 rounded bg-slate-700 text-xs mr-1">Edit</button>
+                      <button onClick={() => remove(z)} className="px-2 py-0.5 rounded bg-red-700/70 text-xs">Delete</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+      {zones.length === 0 && <div className="text-xs text-gray-400 mt-2">No zones yet. Import the pit layout as GeoJSON polygons (properties: name, kind, baseRisk).</div>}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useEffect, useState } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import axios from "axios";
+import { API_BASE, getToken, setToken } from "../api";
+
+const AuthContext = createContext(null);
+
+/**
+ * AuthProvider - holds the logged-in user and session token.
+ * Backend endpoints:
+ *  POST /api/auth/signup, /api/auth/login -> { token, expiresAt, user }
+ *  POST /api/auth/logout                  -> revokes the session
+ *  GET  /api/auth/me                      -> { user } for the current token
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(Boolean(getToken()));
+
+  // restore the session from a stored token
+  useEffect(() => {
+    if (!getToken()) return;
+    axios
+      .get(`${API_BASE}/api/auth/me`)
+      .then((r) => setUser(r.data.user))
+      .catch(() => setToken(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  // any 401 means the session is gone (expired or revoked)
+  useEffect(() => {
+    const id = axios.interceptors.response.use(
+      (r) => r,
+      (err) => {
+        if (err.response?.status === 401 && !err.config?.url?.includes("/api/auth/")) {
+          setToken(null);
+          setUser(null);
+        }
+        return Promise.reject(err);
+      }
+    );
+    return () => axios.interceptors.response.eject(id);
+  }, []);
+
+  const startSession = (data) => {
+    setToken(data.token);
+    setUser(data.user);
+    return data.user;
+  };
+
+  const login = async (email, password) => startSession((await axios.post(`${API_BASE}/api/auth/login`, { email, password })).data);
+
+  const signup = async (name, email, password) => startSession((await axios.post(`${API_BASE}/api/auth/signup`, { name, email, password })).data);
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_BASE}/api/auth/logout`);
+    } catch (err) {
+      console.error("logout failed", err);
+    }
+    setToken(null);
+    setUser(null);
+  };
+
+  // permission check mirrored from backend/lib/permissions.js (the server still enforces it)
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+
+  return <AuthContext.Provider value={{ user, checking, login, signup, logout, can }}>{children}</AuthContext.Provider>;
+}
+
+export const useAuth = () => useContext(AuthContext);
+
+// Route guard: sends anonymous visitors to /login and back here afterwards.
+export function RequireAuth({ children }) {
+  const { user, checking } = useAuth();
+  const location = useLocation();
+  if (checking) return <p className="text-center text-gray-400 animate-pulse">Checking session...</p>;
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  return children;
+}
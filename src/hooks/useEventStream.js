@@ -0,0 +1,52 @@
+import { useEffect, useRef } from "react";
+import { API_BASE, getToken } from "../api";
+
+export const STREAM_EVENTS = ["alert.created", "alert.updated", "sensor.reading", "sensor.updated", "overview.changed", "simulation.changed", "zones.changed", "model.updated", "notification.updated", "resync"];
+
+const RECONNECT_MS = 10000;
+
+/**
+ * useEventStream - subscribes to GET /api/stream (Server-Sent Events).
+ * handlers: { [eventType]: (data) => void }
+ * onStatus: called with "live" when the stream opens and "down" when it drops.
+ * The browser reconnects by itself (resuming via Last-Event-ID); if the server
+ * refuses the connection outright we retry every RECONNECT_MS.
+ */
+export default function useEventStream(handlers, onStatus) {
+  const handlersRef = useRef(handlers);
+  const statusRef = useRef(onStatus);
+  handlersRef.current = handlers;
+  statusRef.current = onStatus;
+
+  useEffect(() => {
+    let es = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const connect = () => {
+      const token = getToken();
+      es = new EventSource(`${API_BASE}/api/stream${token ? `?token=${encodeURIComponent(token)}` : ""}`);
+      es.onopen = () => statusRef.current?.("live");
+      es.onerror = () => {
+        statusRef.current?.("down");
+        if (es.readyState === EventSource.CLOSED && !stopped) retryTimer = setTimeout(connect, RECONNECT_MS);
+      };
+      STREAM_EVENTS.forEach((type) =>
+        es.addEventListener(type, (e) => {
+          try {
+            handlersRef.current[type]?.(JSON.parse(e.data));
+          } catch (err) {
+            console.error(`stream ${type} handler failed`, err);
+          }
+        })
+      );
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      es?.close();
+    };
+  }, []);
+}
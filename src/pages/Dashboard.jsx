@@ -1,7 +1,8 @@
 import React, { useEffect, useState, useMemo, useRef } from "react";
 import { motion } from "framer-motion";
 import axios from "axios";
-import { MapContainer, TileLayer, CircleMarker, Popup } from "react-leaflet";
+import L from "leaflet";
+import { MapContainer, GeoJSON, LayerGroup, LayersControl, Popup, useMap } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import {
   Chart as ChartJS,
@@ -10,11 +11,35 @@ import {
   BarElement,
   PointElement,
   LineElement,
+  Filler,
   Title,
   Tooltip,
   Legend,
 } from "chart.js";
 import { Bar, Line } from "react-chartjs-2";
+import { API_BASE } from "../api";
+import SensorDetail from "../components/SensorDetail";
+import UsersPanel from "../components/UsersPanel";
+import NotificationChannels from "../components/NotificationChannels";
+import ModelProfilesPanel from "../components/ModelProfilesPanel";
+import AlertsPanel from "../components/AlertsPanel";
+import RulesPanel from "../components/RulesPanel";
+import EscalationPanel from "../components/EscalationPanel";
+import ZoneRiskBreakdown from "../components/ZoneRiskBreakdown";
+import ZonesPanel from "../components/ZonesPanel";
+import SensorLayer, { SENSOR_TYPE_STYLE, SENSOR_STATUS_COLOR } from "../components/SensorLayer";
+import SensorPositionsPanel from "../components/SensorPositionsPanel";
+import MapBaseLayers from "../components/MapBaseLayers";
+import RiskSurfaceControls, { RiskSurfaceLayer, useRiskSurface } from "../components/RiskSurface";
+import ExplainWaterfall from "../components/ExplainWaterfall";
+import ReportsDialog from "../components/ReportsDialog";
+import DataExportDialog from "../components/DataExportDialog";
+import ImportDialog from "../components/ImportDialog";
+import PerformancePanel from "../components/PerformancePanel";
+import ScenarioPanel from "../components/ScenarioPanel";
+import SimulationSession from "../components/SimulationSession";
+import { useAuth } from "../context/AuthContext";
+import useEventStream from "../hooks/useEventStream";
 
 ChartJS.register(
   CategoryScale,
@@ -22,13 +47,12 @@ ChartJS.register(
   BarElement,
   PointElement,
   LineElement,
+  Filler,
   Title,
   Tooltip,
   Legend
 );
 
-const API_BASE = "http://localhost:5000";
-
 const TabButton = ({ active, onClick, children }) => (
   <button
     onClick={onClick}
@@ -56,6 +80,21 @@ function KPI({ title, value, subtitle, accent }) {
   );
 }
 
+const SEVERITY_COLOR = { High: "#ff4d4f", Medium: "#ffb020", Low: "#22c55e" };
+
+// Fits the map to the zone outlines whenever the layout itself changes (not on score updates).
+function FitToZones({ zones }) {
+  const map = useMap();
+  const layout = zones.map((z) => `${z.id}:${z.updatedAt}`).join(",");
+  useEffect(() => {
+    const outlined = zones.filter((z) => z.geometry);
+    if (!outlined.length) return;
+    map.fitBounds(L.geoJSON(outlined.map((z) => z.geometry)).getBounds(), { padding: [24, 24] });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [layout]);
+  return null;
+}
+
 /**
  * SettingsPanel (embedded) - fetches and updates /api/settings
  * Expected backend endpoints:
@@ -66,18 +105,24 @@ function KPI({ title, value, subtitle, accent }) {
  * {
  *   profile: { name, email, role },
  *   preferences: { refreshInterval (sec), units, language, theme },
- *   alerts: { vibrationThreshold, crackThreshold, tempThreshold, notifyEmail, notifySMS, notifyPush },
- *   ai: { sensitivity, explainable }
+ *   alerts: { notifyEmail, notifySMS, notifyPush },  (thresholds live in /api/rules)
+ *   ai: { sensitivity, explainable },
+ *   sensors: { fallback ("none" | "simulated"), staleAfterSec },
+ *   map: { baseLayer ("online" | local tileset name), onlineUrl, onlineAttribution }
  * }
  */
-function SettingsPanel({ onApplySettings }) {
+function SettingsPanel({ onApplySettings, modelRevision }) {
+  const { can } = useAuth();
+  const canWrite = can("settings:write");
   const [settings, setSettings] = useState(null);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
+  const [tilesets, setTilesets] = useState([]);
 
   // load settings from backend
   useEffect(() => {
     let mounted = true;
+    axios.get(`${API_BASE}/api/tiles`).then((r) => mounted && setTilesets(r.data.tilesets)).catch(() => {});
     axios
       .get(`${API_BASE}/api/settings`)
       .then((r) => {
@@ -89,10 +134,12 @@ function SettingsPanel({ onApplySettings }) {
         setError("Failed to load settings");
         // fallback: create minimal default locally
         setSettings({
-          profile: { name: "Mine Admin", email: "admin@minescope.ai", role: "Admin" },
+          profile: { name: "", email: "", role: "Viewer" },
           preferences: { refreshInterval: 10, units: "metric", language: "en", theme: "dark" },
-          alerts: { vibrationThreshold: 3.0, crackThreshold: 2.0, tempThreshold: 35.0, notifyEmail: true, notifySMS: false, notifyPush: true },
+          alerts: { notifyEmail: true, notifySMS: false, notifyPush: true },
           ai: { sensitivity: "balanced", explainable: true },
+          sensors: { fallback: "none", staleAfterSec: 300 },
+          map: { baseLayer: "online", onlineUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" },
         });
       });
     return () => (mounted = false);
@@ -138,93 +185,132 @@ function SettingsPanel({ onApplySettings }) {
           <div className="text-sm text-gray-400">Configure system behavior, alerts and AI options</div>
         </div>
         <div className="flex items-center gap-2">
-          <button onClick={save} disabled={saving} className="px-4 py-2 bg-emerald-500 rounded-md text-sm">
-            {saving ? "Saving..." : "Save"}
-          </button>
+          {canWrite ? (
+            <button onClick={save} disabled={saving} className="px-4 py-2 bg-emerald-500 rounded-md text-sm">
+              {saving ? "Saving..." : "Save"}
+            </button>
+          ) : (
+            <span className="text-xs text-gray-400">Read-only for your role</span>
+          )}
         </div>
       </div>
 
-      {/* Profile */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-        <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
-          <div className="text-sm text-gray-300 font-semibold mb-2">Profile</div>
-          <input className="w-full p-2 mb-2 rounded bg-gray-800" value={settings.profile.name} onChange={(e) => updateField(["profile", "name"], e.target.value)} />
-          <input className="w-full p-2 mb-2 rounded bg-gray-800" value={settings.profile.email} onChange={(e) => updateField(["profile", "email"], e.target.value)} />
-          <div className="text-xs text-gray-400">Role: {settings.profile.role}</div>
-        </div>
+      {can("users:manage") && <UsersPanel />}
 
-        {/* Preferences */}
-        <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
-          <div className="text-sm text-gray-300 font-semibold mb-2">Preferences</div>
-
-          <div className="mb-3">
-            <label className="text-xs text-gray-400">Refresh Interval (sec)</label>
-            <input
-              type="number"
-              min="2"
-              className="w-28 ml-2 p-2 rounded bg-gray-800"
-              value={settings.preferences.refreshInterval}
-              onChange={(e) => updateField(["preferences", "refreshInterval"], Number(e.target.value))}
-            />
-          </div>
+      <NotificationChannels />
 
-          <div className="mb-3">
-            <label className="text-xs text-gray-400">Units</label>
-            <select className="ml-2 p-2 rounded bg-gray-800" value={settings.preferences.units} onChange={(e) => updateField(["preferences", "units"], e.target.value)}>
-              <option value="metric">Metric</option>
-              <option value="imperial">Imperial</option>
-            </select>
+      <ModelProfilesPanel revision={modelRevision} />
+
+      <fieldset disabled={!canWrite}>
+
+        {/* Profile */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
+            <div className="text-sm text-gray-300 font-semibold mb-2">Profile</div>
+            <input className="w-full p-2 mb-2 rounded bg-gray-800" value={settings.profile.name} onChange={(e) => updateField(["profile", "name"], e.target.value)} />
+            <input className="w-full p-2 mb-2 rounded bg-gray-800" value={settings.profile.email} onChange={(e) => updateField(["profile", "email"], e.target.value)} />
+            <div className="text-xs text-gray-400">Role: {settings.profile.role}</div>
           </div>
 
-          <div>
-            <label className="text-xs text-gray-400">Theme</label>
-            <select className="ml-2 p-2 rounded bg-gray-800" value={settings.preferences.theme} onChange={(e) => updateField(["preferences", "theme"], e.target.value)}>
-              <option value="dark">Dark</option>
-              <option value="light">Light</option>
-              <option value="neon">Futuristic Neon</option>
-            </select>
+          {/* Preferences */}
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
+            <div className="text-sm text-gray-300 font-semibold mb-2">Preferences</div>
+
+            <div className="mb-3">
+              <label className="text-xs text-gray-400">Refresh Interval (sec)</label>
+              <input
+                type="number"
+                min="2"
+                className="w-28 ml-2 p-2 rounded bg-gray-800"
+                value={settings.preferences.refreshInterval}
+                onChange={(e) => updateField(["preferences", "refreshInterval"], Number(e.target.value))}
+              />
+            </div>
+
+            <div className="mb-3">
+              <label className="text-xs text-gray-400">Units</label>
+              <select className="ml-2 p-2 rounded bg-gray-800" value={settings.preferences.units} onChange={(e) => updateField(["preferences", "units"], e.target.value)}>
+                <option value="metric">Metric</option>
+                <option value="imperial">Imperial</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="text-xs text-gray-400">Theme</label>
+              <select className="ml-2 p-2 rounded bg-gray-800" value={settings.preferences.theme} onChange={(e) => updateField(["preferences", "theme"], e.target.value)}>
+                <option value="dark">Dark</option>
+                <option value="light">Light</option>
+                <option value="neon">Futuristic Neon</option>
+              </select>
+            </div>
           </div>
         </div>
-      </div>
 
-      {/* Alerts & AI */}
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-        <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
-          <div className="text-sm text-gray-300 font-semibold mb-2">Alert Configuration</div>
-          <div className="mb-2">
-            <label className="text-xs text-gray-400">Vibration Threshold (Hz)</label>
-            <input type="number" step="0.1" className="w-28 ml-2 p-2 rounded bg-gray-800" value={settings.alerts.vibrationThreshold} onChange={(e) => updateField(["alerts", "vibrationThreshold"], Number(e.target.value))} />
-          </div>
-          <div className="mb-2">
-            <label className="text-xs text-gray-400">Crack Width Threshold (mm)</label>
-            <input type="number" step="0.1" className="w-28 ml-2 p-2 rounded bg-gray-800" value={settings.alerts.crackThreshold} onChange={(e) => updateField(["alerts", "crackThreshold"], Number(e.target.value))} />
+        {/* Alerts & AI */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
+            <div className="text-sm text-gray-300 font-semibold mb-2">Alert Configuration</div>
+            <div className="text-xs text-gray-400 mb-2">Vibration, crack width and risk thresholds are managed in the Rules tab.</div>
+            <div className="flex items-center gap-3 mt-2">
+              <label className="text-xs text-gray-400">Email</label>
+              <input type="checkbox" checked={settings.alerts.notifyEmail} onChange={(e) => updateField(["alerts", "notifyEmail"], e.target.checked)} />
+              <label className="text-xs text-gray-400 ml-3">SMS</label>
+              <input type="checkbox" checked={settings.alerts.notifySMS} onChange={(e) => updateField(["alerts", "notifySMS"], e.target.checked)} />
+              <label className="text-xs text-gray-400 ml-3">Push</label>
+              <input type="checkbox" checked={settings.alerts.notifyPush} onChange={(e) => updateField(["alerts", "notifyPush"], e.target.checked)} />
+            </div>
           </div>
-          <div className="flex items-center gap-3 mt-2">
-            <label className="text-xs text-gray-400">Email</label>
-            <input type="checkbox" checked={settings.alerts.notifyEmail} onChange={(e) => updateField(["alerts", "notifyEmail"], e.target.checked)} />
-            <label className="text-xs text-gray-400 ml-3">SMS</label>
-            <input type="checkbox" checked={settings.alerts.notifySMS} onChange={(e) => updateField(["alerts", "notifySMS"], e.target.checked)} />
-            <label className="text-xs text-gray-400 ml-3">Push</label>
-            <input type="checkbox" checked={settings.alerts.notifyPush} onChange={(e) => updateField(["alerts", "notifyPush"], e.target.checked)} />
+
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
+            <div className="text-sm text-gray-300 font-semibold mb-2">AI Settings</div>
+            <div className="mb-3">
+              <label className="text-xs text-gray-400">Sensitivity</label>
+              <select value={settings.ai.sensitivity} onChange={(e) => updateField(["ai", "sensitivity"], e.target.value)} className="ml-2 p-2 rounded bg-gray-800">
+                <option value="conservative">Conservative</option>
+                <option value="balanced">Balanced</option>
+                <option value="aggressive">Aggressive</option>
+              </select>
+              <div className="text-xs text-gray-500 mt-1">Selects the risk model profile (see Risk Model Profiles).</div>
+            </div>
+            <div>
+              <label className="text-xs text-gray-400 mr-2">Explainable AI</label>
+              <input type="checkbox" checked={settings.ai.explainable} onChange={(e) => updateField(["ai", "explainable"], e.target.checked)} />
+            </div>
           </div>
-        </div>
 
-        <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
-          <div className="text-sm text-gray-300 font-semibold mb-2">AI Settings</div>
-          <div className="mb-3">
-            <label className="text-xs text-gray-400">Sensitivity</label>
-            <select value={settings.ai.sensitivity} onChange={(e) => updateField(["ai", "sensitivity"], e.target.value)} className="ml-2 p-2 rounded bg-gray-800">
-              <option value="conservative">Conservative</option>
-              <option value="balanced">Balanced</option>
-              <option value="aggressive">Aggressive</option>
-            </select>
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
+            <div className="text-sm text-gray-300 font-semibold mb-2">Sensor Data</div>
+            <div className="mb-3">
+              <label className="text-xs text-gray-400">When no live reading</label>
+              <select value={settings.sensors?.fallback || "none"} onChange={(e) => updateField(["sensors", "fallback"], e.target.value)} className="ml-2 p-2 rounded bg-gray-800">
+                <option value="none">Show offline</option>
+                <option value="simulated">Use simulated values</option>
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-400">Stale after (sec)</label>
+              <input type="number" min="10" className="w-28 ml-2 p-2 rounded bg-gray-800" value={settings.sensors?.staleAfterSec ?? 300} onChange={(e) => updateField(["sensors", "staleAfterSec"], Number(e.target.value))} />
+            </div>
           </div>
-          <div>
-            <label className="text-xs text-gray-400 mr-2">Explainable AI</label>
-            <input type="checkbox" checked={settings.ai.explainable} onChange={(e) => updateField(["ai", "explainable"], e.target.checked)} />
+
+          <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.01)]">
+            <div className="text-sm text-gray-300 font-semibold mb-2">Map</div>
+            <div className="mb-3">
+              <label className="text-xs text-gray-400">Base layer</label>
+              <select value={settings.map?.baseLayer || "online"} onChange={(e) => updateField(["map", "baseLayer"], e.target.value)} className="ml-2 p-2 rounded bg-gray-800">
+                <option value="online">Online map</option>
+                {tilesets.filter((t) => t.raster).map((t) => <option key={t.name} value={t.name}>{t.title} (local)</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-400">Online tile URL</label>
+              <input className="w-full p-2 mt-1 rounded bg-gray-800 text-xs" placeholder="empty = offline only" value={settings.map?.onlineUrl ?? ""} onChange={(e) => updateField(["map", "onlineUrl"], e.target.value)} />
+              <div className="text-xs text-gray-500 mt-1">Local tilesets (MBTiles or tile folders) are read from the backend's tiles directory.</div>
+            </div>
           </div>
         </div>
-      </div>
+
+      </fieldset>
 
       {/* Footer actions */}
       <div className="flex items-center justify-between">
@@ -234,7 +320,7 @@ function SettingsPanel({ onApplySettings }) {
           <button onClick={() => { setSettings(prev => ({ // reset local to backend snapshot quickly by re-fetch
             ...prev
           })); }} className="px-3 py-2 rounded bg-gray-700 text-sm">Reset View</button>
-          <button onClick={save} disabled={saving} className="px-4 py-2 rounded bg-emerald-500 text-sm">{saving ? "Saving..." : "Save to Server"}</button>
+          {canWrite && <button onClick={save} disabled={saving} className="px-4 py-2 rounded bg-emerald-500 text-sm">{saving ? "Saving..." : "Save to Server"}</button>}
         </div>
       </div>
     </div>
@@ -242,6 +328,7 @@ function SettingsPanel({ onApplySettings }) {
 }
 
 export default function Dashboard() {
+  const { can } = useAuth();
   // main dashboard state
   const [tab, setTab] = useState("predictions");
   const [overview, setOverview] = useState(null);
@@ -249,16 +336,35 @@ export default function Dashboard() {
   const [alerts, setAlerts] = useState([]);
   const [predictions, setPredictions] = useState({ currentRiskScore: 0, series: { labels: [], values: [] }, accuracy: null });
   const [zones, setZones] = useState([]);
-  const [simulation, setSimulation] = useState({ rainfallMm: 0, seismicMag: 0, blastingLevel: 0 });
+  const [simulation, setSimulation] = useState({ rainfallMm: 0, seismicMag: 0, blastingLevel: 0 }); // live inputs
+  const [sandboxInputs, setSandboxInputs] = useState(null); // this user's what-if session
   const [loading, setLoading] = useState(true);
+  const [selectedSensor, setSelectedSensor] = useState(null);
+  const [showExplain, setShowExplain] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+  const [showDataExport, setShowDataExport] = useState(false);
+  const [showImport, setShowImport] = useState(false);
 
   // settings & visibility
   const [showSettings, setShowSettings] = useState(false);
   const [settings, setSettings] = useState(null);
+  const [modelRevision, setModelRevision] = useState(0); // bumped by model.updated events
+  const [deliveryUpdate, setDeliveryUpdate] = useState(null); // latest notification.updated message
+  const [mapNotice, setMapNotice] = useState(null);
+  // the risk surface's extent follows zone outlines and sensor positions
+  const surfaceLayoutKey = useMemo(
+    () => [...zones.map(z => `${z.id}:${z.updatedAt}`), ...sensors.filter(s => s.position).map(s => `${s.id}@${s.position.lat},${s.position.lng}`)].join("|"),
+    [zones, sensors]
+  );
+  const riskSurface = useRiskSurface(surfaceLayoutKey);
 
   // refresh interval (controlled by settings.preferences.refreshInterval)
+  // polling only runs while the /api/stream push channel is down
   const refreshRef = useRef(10000); // ms default to 10s; will set after settings loaded
   const intervalRef = useRef(null);
+  const liveRef = useRef(false);
+  const derivedTimerRef = useRef(null);
+  const [streamStatus, setStreamStatus] = useState("connecting");
 
   // fetch settings initially and when settings change on server
   const fetchSettings = async () => {
@@ -307,21 +413,80 @@ export default function Dashboard() {
   };
 
   // start/stop periodic fetch based on refreshRef
-  const restartFetchInterval = () => {
+  const startPolling = () => {
     clearInterval(intervalRef.current);
     intervalRef.current = setInterval(() => {
       fetchAll();
     }, refreshRef.current);
   };
 
+  const stopPolling = () => {
+    clearInterval(intervalRef.current);
+    intervalRef.current = null;
+  };
+
+  const restartFetchInterval = () => {
+    if (!liveRef.current) startPolling();
+  };
+
+  // predictions and map derive from the risk score; refetch them at most every 2s
+  const refreshDerived = () => {
+    if (derivedTimerRef.current) return;
+    derivedTimerRef.current = setTimeout(async () => {
+      derivedTimerRef.current = null;
+      const [pr, mz] = await Promise.all([
+        axios.get(`${API_BASE}/api/predictions`).then(r => r.data).catch(()=>null),
+        axios.get(`${API_BASE}/api/map`).then(r => r.data).catch(()=>null),
+      ]);
+      if (pr) setPredictions(pr);
+      if (mz) setZones(mz);
+    }, 2000);
+  };
+
+  // push channel: apply incremental updates, poll only while it is down
+  useEventStream(
+    {
+      "alert.created": (a) => setAlerts(prev => [a, ...prev.filter(x => x.id !== a.id)].slice(0, 20)),
+      "alert.updated": (a) => setAlerts(prev => prev.map(x => (x.id === a.id ? a : x))),
+      "sensor.reading": (s) => setSensors(prev => prev.map(x => (x.id === s.id ? s : x))),
+      "sensor.updated": (s) => setSensors(prev => prev.map(x => (x.id === s.id ? s : x))),
+      "overview.changed": (ov) => {
+        setOverview(ov);
+        refreshDerived();
+      },
+      "simulation.changed": (sim) => setSimulation(sim),
+      "zones.changed": () => refreshDerived(),
+      "notification.updated": (m) => setDeliveryUpdate(m),
+      "model.updated": () => {
+        setModelRevision((n) => n + 1);
+        refreshDerived();
+      },
+      resync: () => fetchAll(),
+    },
+    (status) => {
+      const wasLive = liveRef.current;
+      liveRef.current = status === "live";
+      setStreamStatus(liveRef.current ? "live" : "polling");
+      if (liveRef.current) {
+        stopPolling();
+        if (!wasLive) fetchAll(); // catch up on anything missed while disconnected
+      } else if (wasLive) {
+        startPolling();
+      }
+    }
+  );
+
   useEffect(() => {
     // initial
     fetchSettings();
     fetchAll();
-    // default interval until settings load
-    intervalRef.current = setInterval(fetchAll, refreshRef.current);
+    // poll until the stream connects
+    startPolling();
 
-    return () => clearInterval(intervalRef.current);
+    return () => {
+      stopPolling();
+      clearTimeout(derivedTimerRef.current);
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -337,51 +502,43 @@ export default function Dashboard() {
 
   const ackAlert = async (id) => {
     try {
-      await axios.post(`${API_BASE}/api/alerts/${id}/ack`);
-      setAlerts(prev => prev.map(a => (a.id === id ? { ...a, acknowledged: true } : a)));
-      fetchAll();
+      const r = await axios.post(`${API_BASE}/api/alerts/${id}/ack`);
+      setAlerts(prev => prev.map(a => (a.id === id ? r.data.alert : a)));
+      if (!liveRef.current) fetchAll();
     } catch (err) {
       console.error("ack failed", err);
     }
   };
 
-  const setSimValue = async (key, val) => {
-    const payload = {};
-    payload[key] = Number(val);
-    try {
-      await axios.post(`${API_BASE}/api/simulation`, payload);
-      fetchAll();
-    } catch (err) {
-      console.error("simulation post", err);
-    }
-  };
-
   // Chart data
   const accuracyChart = useMemo(() => {
     if (!predictions.accuracy) return null;
+    const a = predictions.accuracy;
+    const pct = (values) => values.map((v) => (v === null ? null : Math.round(v * 1000) / 10));
     return {
-      labels: predictions.accuracy.labels,
+      labels: a.labels.map((l, i) => `${l} (n=${a.n[i]})`),
       datasets: [
-        {
-          label: "Model Accuracy (%)",
-          data: predictions.accuracy.values,
-          backgroundColor: "rgba(16,185,129,0.9)",
-        },
+        { label: "Precision (%)", data: pct(a.precision), backgroundColor: "rgba(16,185,129,0.9)" },
+        { label: "Recall (%)", data: pct(a.recall), backgroundColor: "rgba(59,130,246,0.9)" },
+        { label: "False alarms (%)", data: pct(a.falseAlarmRate), backgroundColor: "rgba(239,68,68,0.8)" },
       ],
     };
   }, [predictions]);
 
+  // forecast line with its prediction interval drawn as a shaded band (upper filled down to lower)
   const predictionLine = useMemo(() => {
     const s = predictions.series || { labels: [], values: [] };
+    const band = { borderWidth: 0, pointRadius: 0, tension: 0.3, backgroundColor: "rgba(139,92,246,0.18)" };
     return {
       labels: s.labels,
       datasets: [
+        { ...band, label: `Upper ${s.level || 95}%`, data: s.upper || [], fill: false },
+        { ...band, label: `Lower ${s.level || 95}%`, data: s.lower || [], fill: "-1" },
         {
-          label: "Risk (0-10)",
+          label: "Forecast (0-10)",
           data: s.values,
           borderColor: "rgba(139,92,246,1)",
-          backgroundColor: "rgba(139,92,246,0.12)",
-          fill: true,
+          fill: false,
           tension: 0.3,
           pointRadius: 3,
         },
@@ -407,7 +564,9 @@ export default function Dashboard() {
         </div>
 
         <div className="flex items-center gap-3">
-          <div className="text-xs text-gray-300 bg-[rgba(255,255,255,0.02)] px-3 py-2 rounded-md">System Online</div>
+          <div className="text-xs text-gray-300 bg-[rgba(255,255,255,0.02)] px-3 py-2 rounded-md">
+            {streamStatus === "live" ? <span className="text-green-300">● Live</span> : <span className="text-yellow-300">● Polling</span>}
+          </div>
           <button onClick={() => setShowSettings(prev => !prev)} className="px-3 py-2 rounded-md bg-[rgba(255,255,255,0.02)] text-sm">
             {showSettings ? "Close Settings" : "Settings"}
           </button>
@@ -417,7 +576,7 @@ export default function Dashboard() {
       {/* KPI Row */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
         <KPI title="Active Alerts" value={overview ? overview.activeAlerts : "..."} subtitle="+2 from yesterday" accent="text-red-300" />
-        <KPI title="Sensors Online" value={overview ? overview.sensorsOnline : "..."} subtitle={`${refreshSec}s refresh`} accent="text-green-300" />
+        <KPI title="Sensors Online" value={overview ? overview.sensorsOnline : "..."} subtitle={streamStatus === "live" ? "live stream" : `${refreshSec}s refresh`} accent="text-green-300" />
         <KPI title="Risk Score" value={overview ? `${overview.riskScore}/10` : "..."} subtitle="+0.3 this hour" />
         <KPI title="Weather Impact" value={overview ? overview.weatherImpact : "..."} subtitle="Rain expected 2PM" />
       </div>
@@ -429,12 +588,14 @@ export default function Dashboard() {
         <TabButton active={tab === "predictions"} onClick={() => setTab("predictions")}>Predictions</TabButton>
         <TabButton active={tab === "alerts"} onClick={() => setTab("alerts")}>Alerts</TabButton>
         <TabButton active={tab === "simulate"} onClick={() => setTab("simulate")}>Simulator</TabButton>
+        <TabButton active={tab === "rules"} onClick={() => setTab("rules")}>Rules</TabButton>
+        <TabButton active={tab === "escalation"} onClick={() => setTab("escalation")}>Escalation</TabButton>
       </div>
 
       {/* Content */}
       <motion.div key={tab} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.3 }} className="space-y-6">
         {/* Settings area (embedded) */}
-        {showSettings && <SettingsPanel onApplySettings={onApplySettings} />}
+        {showSettings && <SettingsPanel onApplySettings={onApplySettings} modelRevision={modelRevision} />}
 
         {/* PREDICTIONS */}
         {!showSettings && tab === "predictions" && (
@@ -450,8 +611,25 @@ export default function Dashboard() {
 
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
                   <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
-                    <div className="text-sm text-gray-300 mb-2 font-semibold">Model Accuracy History</div>
-                    {accuracyChart ? <Bar data={accuracyChart} options={{ responsive: true, plugins: { legend: { display: false } } }} /> : <div className="text-gray-400">Loading...</div>}
+                    <div className="text-sm text-gray-300 mb-2 font-semibold">Model Performance</div>
+                    {accuracyChart ? (
+                      <>
+                        <Bar
+                          data={accuracyChart}
+                          options={{
+                            responsive: true,
+                            scales: { y: { min: 0, max: 100 } },
+                            plugins: {
+                              legend: { labels: { boxWidth: 10 } },
+                              tooltip: { callbacks: { afterBody: (items) => `Brier score: ${predictions.accuracy.brier[items[0].dataIndex] ?? "n/a"}` } },
+                            },
+                          }}
+                        />
+                        {predictions.accuracy.n.every((n) => n === 0) && (
+                          <div className="text-xs text-gray-400 mt-2">No predictions have been matched to outcomes yet.</div>
+                        )}
+                      </>
+                    ) : <div className="text-gray-400">Loading...</div>}
                   </div>
 
                   <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
@@ -464,19 +642,35 @@ export default function Dashboard() {
                     </div>
                   </div>
                 </div>
+
+                <PerformancePanel zones={zones} />
               </div>
 
               <div className="w-96">
                 <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg mb-4">
                   <div className="text-sm text-gray-300 font-semibold mb-2">Prediction Timeline</div>
-                  <Line data={predictionLine} options={{ responsive: true, plugins: { legend: { display: false } } }} />
+                  <Line data={predictionLine} options={{ responsive: true, plugins: { legend: { display: false } }, scales: { y: { min: 0, max: 10 } } }} />
+                  {predictions.series?.method && (
+                    <div className="text-xs text-gray-400 mt-2">
+                      {predictions.series.method === "naive"
+                        ? "Not enough history yet: holding the current score, band from recent changes."
+                        : `${predictions.series.method} fit on recorded history • shaded ${predictions.series.level}% interval`}
+                    </div>
+                  )}
                 </div>
 
                 <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
                   <div className="text-sm text-gray-300 font-semibold mb-2">Quick Actions</div>
                   <div className="flex gap-2">
-                    <button onClick={async ()=>{ const r = await axios.get(`${API_BASE}/api/export/report`); const blob = new Blob([JSON.stringify(r.data,null,2)],{type:'application/json'}); const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = 'report.json'; a.click(); }} className="flex-1 px-3 py-2 bg-purple-600 rounded-md">Export Report</button>
-                    <button className="px-3 py-2 bg-slate-700 rounded-md">Explain (SHAP)</button>
+                    <button onClick={() => setShowReports(true)} className="flex-1 px-3 py-2 bg-purple-600 rounded-md">Export Report</button>
+                    <button
+                      onClick={() => setShowExplain(true)}
+                      disabled={!settings?.ai?.explainable}
+                      title={settings?.ai?.explainable ? undefined : "Explainable AI is turned off in settings"}
+                      className="px-3 py-2 bg-slate-700 rounded-md disabled:opacity-50"
+                    >
+                      Explain (SHAP)
+                    </button>
                   </div>
                 </div>
               </div>
@@ -484,23 +678,60 @@ export default function Dashboard() {
           </div>
         )}
 
+        {showExplain && <ExplainWaterfall zones={zones} onClose={() => setShowExplain(false)} />}
+        {showReports && <ReportsDialog zones={zones} onClose={() => setShowReports(false)} />}
+        {showDataExport && <DataExportDialog sensors={sensors} zones={zones} onClose={() => setShowDataExport(false)} />}
+        {showImport && <ImportDialog sensors={sensors} onClose={() => setShowImport(false)} />}
+
         {/* MAP */}
         {!showSettings && tab === "map" && (
           <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
-            <div className="text-lg font-semibold mb-4">Risk Heatmap - Open Pit Mine</div>
+            <div className="text-lg font-semibold mb-1">Risk Heatmap - Open Pit Mine</div>
+            <div className="text-xs text-gray-400 mb-4">The site risk score is the highest zone score. Zones are filled by current severity; click one for its factor breakdown, sensors and open alerts, or a sensor for its recent readings. The risk surface layer interpolates zone and sensor scores across the pit, now or over the last day.</div>
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-              <div className="lg:col-span-2 bg-black/40 rounded-lg h-96 overflow-hidden">
-                <MapContainer center={[20.5937, 78.9629]} zoom={13} className="h-full w-full">
-                  <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-                  {zones.map(z => {
-                    const color = z.severity === "High" ? "#ff4d4f" : z.severity === "Medium" ? "#ffb020" : "#22c55e";
-                    return (
-                      <CircleMarker key={z.id} center={[z.lat, z.lng]} radius={40} pathOptions={{ color, fillColor: color, fillOpacity: 0.25 }}>
-                        <Popup><b>{z.name}</b><br/>Risk: {z.severity} ({z.score})</Popup>
-                      </CircleMarker>
-                    );
-                  })}
-                </MapContainer>
+              <div className="lg:col-span-2">
+                <div className="bg-black/40 rounded-lg h-96 overflow-hidden">
+                  <MapContainer center={[0, 0]} zoom={2} maxZoom={22} className="h-full w-full">
+                    <FitToZones zones={zones} />
+                    <LayersControl position="topright">
+                      {settings && <MapBaseLayers key={`${settings.map?.baseLayer}|${settings.map?.onlineUrl}`} mapSettings={settings.map} onNotice={setMapNotice} />}
+                      <LayersControl.Overlay checked name="Zones">
+                        <LayerGroup>
+                          {zones.filter(z => z.geometry).map(z => {
+                            const color = SEVERITY_COLOR[z.severity];
+                            return (
+                              <GeoJSON key={`${z.id}:${z.updatedAt}`} data={z.geometry} style={{ color, weight: 2, fillColor: color, fillOpacity: 0.35 }}>
+                                <Popup><ZoneRiskBreakdown zoneId={z.id} /></Popup>
+                              </GeoJSON>
+                            );
+                          })}
+                        </LayerGroup>
+                      </LayersControl.Overlay>
+                      <LayersControl.Overlay name="Risk surface">
+                        <RiskSurfaceLayer surface={riskSurface} />
+                      </LayersControl.Overlay>
+                      <LayersControl.Overlay checked name="Sensors">
+                        <SensorLayer sensors={sensors} />
+                      </LayersControl.Overlay>
+                    </LayersControl>
+                  </MapContainer>
+                </div>
+                {mapNotice && <div className="text-xs text-yellow-300 mt-2">{mapNotice}</div>}
+                <RiskSurfaceControls surface={riskSurface} />
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-400">
+                  {Object.entries(SENSOR_TYPE_STYLE).map(([type, { glyph, color }]) => (
+                    <span key={type} className="flex items-center gap-1">
+                      <span className="inline-block w-5 h-5 rounded-full text-center text-white font-semibold" style={{ background: color, fontSize: 8, lineHeight: "20px" }}>{glyph}</span>
+                      {type}
+                    </span>
+                  ))}
+                  {Object.entries(SENSOR_STATUS_COLOR).map(([status, color]) => (
+                    <span key={status} className="flex items-center gap-1">
+                      <span className="inline-block w-3 h-3 rounded-full border-2" style={{ borderColor: color }} />
+                      {status}
+                    </span>
+                  ))}
+                </div>
               </div>
 
               <div className="bg-[rgba(255,255,255,0.02)] p-4 rounded-lg">
@@ -514,7 +745,7 @@ export default function Dashboard() {
                           <div className="text-xs text-gray-300">{a.zone} • {new Date(a.time).toLocaleString()}</div>
                         </div>
                         <div className="flex flex-col items-end gap-2">
-                          <button disabled={a.acknowledged} onClick={() => ackAlert(a.id)} className="px-3 py-1 rounded bg-emerald-500/80 text-sm">Acknowledge</button>
+                          {can("alerts:ack") && <button disabled={a.state !== "open"} onClick={() => ackAlert(a.id)} className="px-3 py-1 rounded bg-emerald-500/80 text-sm">Acknowledge</button>}
                           <div className="text-xs text-gray-300">{a.severity}</div>
                         </div>
                       </div>
@@ -526,16 +757,24 @@ export default function Dashboard() {
                 </div>
               </div>
             </div>
+            <ZonesPanel zones={zones} onChanged={fetchAll} />
+            <SensorPositionsPanel sensors={sensors} zones={zones} onChanged={fetchAll} />
           </div>
         )}
 
         {/* SENSORS */}
         {!showSettings && tab === "sensors" && (
           <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
-            <div className="text-lg font-semibold mb-4">Sensors</div>
+            <div className="flex items-center justify-between mb-4">
+              <div className="text-lg font-semibold">Sensors</div>
+              <div className="flex gap-2">
+                <button onClick={() => setShowImport(true)} className="px-3 py-2 bg-slate-700 rounded-md text-sm">Import history</button>
+                <button onClick={() => setShowDataExport(true)} className="px-3 py-2 bg-indigo-600 rounded-md text-sm">Export data</button>
+              </div>
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
               {sensors.map(s => (
-                <div key={s.id} className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] border border-[rgba(255,255,255,0.02)]">
+                <div key={s.id} onClick={() => setSelectedSensor(s)} className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)] border border-[rgba(255,255,255,0.02)] cursor-pointer hover:border-[rgba(16,185,129,0.4)]">
                   <div className="flex justify-between items-start mb-3">
                     <div>
                       <div className="text-sm text-gray-300">{s.code}</div>
@@ -546,81 +785,40 @@ export default function Dashboard() {
                     </div>
                   </div>
                   <div className="text-2xl font-bold mb-1">{s.value}</div>
-                  <div className="text-xs text-gray-400 mb-2">Battery: {s.battery}</div>
-                  <div className="text-xs text-gray-500">Last update: {new Date(s.lastUpdate).toLocaleTimeString()}</div>
+                  <div className="text-xs text-gray-400 mb-2">Battery: {s.battery}{s.source === "simulated" && <span className="ml-2 text-yellow-300">SIMULATED</span>}</div>
+                  <div className="text-xs text-gray-500">Last update: {s.lastUpdate ? new Date(s.lastUpdate).toLocaleTimeString() : "never"}</div>
                 </div>
               ))}
             </div>
+            {selectedSensor && <SensorDetail sensor={selectedSensor} onClose={() => setSelectedSensor(null)} />}
           </div>
         )}
 
         {/* ALERTS */}
-        {!showSettings && tab === "alerts" && (
-          <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
-            <div className="text-lg font-semibold mb-4">Alert Management</div>
+        {!showSettings && tab === "alerts" && <AlertsPanel liveAlerts={alerts} zones={zones} onAck={ackAlert} deliveryUpdate={deliveryUpdate} />}
 
-            <div className="grid grid-cols-1 gap-4">
-              {alerts.map(a => (
-                <div key={a.id} className={`p-4 rounded-lg ${a.severity==="High" ? "bg-red-700/20" : a.severity==="Medium" ? "bg-yellow-700/10" : "bg-green-700/10"}`}>
-                  <div className="flex justify-between items-center">
-                    <div>
-                      <div className="text-sm font-semibold">{a.msg}</div>
-                      <div className="text-xs text-gray-300">Sector: {a.zone} • {new Date(a.time).toLocaleTimeString()}</div>
-                    </div>
-                    <div className="flex gap-2">
-                      <button className="px-3 py-1 bg-slate-700 rounded-md">View Details</button>
-                      <button onClick={() => ackAlert(a.id)} disabled={a.acknowledged} className="px-3 py-1 bg-emerald-500 rounded-md">{a.acknowledged ? "Acknowledged" : "Acknowledge"}</button>
-                    </div>
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
+        {/* RULES */}
+        {!showSettings && tab === "rules" && <RulesPanel sensors={sensors} zones={zones} />}
+
+        {/* ---------------- ESCALATION ---------------- */}
+        {!showSettings && tab === "escalation" && <EscalationPanel zones={zones} />}
 
         {/* SIMULATOR */}
         {!showSettings && tab === "simulate" && (
           <div className="bg-[rgba(255,255,255,0.02)] p-6 rounded-xl">
             <div className="text-lg font-semibold mb-4">What-If Scenario Simulator</div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
-                <div className="mb-3 font-semibold">Simulation Parameters</div>
-
-                <div className="space-y-4">
-                  <div>
-                    <label className="text-sm text-gray-300">Rainfall (mm) — {simulation.rainfallMm}</label>
-                    <input type="range" min="0" max="300" value={simulation.rainfallMm} onChange={(e) => setSimulation(prev => ({...prev, rainfallMm: Number(e.target.value)}))} onMouseUp={(e) => setSimValue("rainfallMm", e.target.value)} className="w-full" />
-                  </div>
-                  <div>
-                    <label className="text-sm text-gray-300">Seismic Magnitude — {simulation.seismicMag}</label>
-                    <input type="range" min="0" max="10" step="0.1" value={simulation.seismicMag} onChange={(e) => setSimulation(prev => ({...prev, seismicMag: Number(e.target.value)}))} onMouseUp={(e) => setSimValue("seismicMag", e.target.value)} className="w-full" />
-                  </div>
-                  <div>
-                    <label className="text-sm text-gray-300">Blasting Level — {simulation.blastingLevel}%</label>
-                    <input type="range" min="0" max="100" value={simulation.blastingLevel} onChange={(e) => setSimulation(prev => ({...prev, blastingLevel: Number(e.target.value)}))} onMouseUp={(e) => setSimValue("blastingLevel", e.target.value)} className="w-full" />
-                  </div>
-                </div>
-                <div className="mt-4 flex gap-2">
-                  <button onClick={() => { setSimValue("rainfallMm", 0); setSimValue("seismicMag",0); setSimValue("blastingLevel",0); }} className="px-4 py-2 rounded-md bg-slate-700">Reset</button>
-                  <button onClick={() => fetchAll()} className="px-4 py-2 rounded-md bg-emerald-500">Run Simulation</button>
-                </div>
-              </div>
-
-              <div className="p-4 rounded-lg bg-[rgba(255,255,255,0.02)]">
-                <div className="mb-3 font-semibold">Simulation Output</div>
-                <div className="text-4xl font-bold mb-2 text-pink-400">{overview ? overview.riskScore : "--"}/10</div>
-                <div className="text-sm text-gray-300 mb-4">This updates in real-time with simulation inputs.</div>
+            <SimulationSession onInputs={setSandboxInputs} />
 
-                <div className="bg-[rgba(255,255,255,0.01)] p-3 rounded">
-                  <div className="text-xs text-gray-300">Export & Actions</div>
-                  <div className="mt-2 flex gap-2">
-                    <button onClick={async ()=>{ const r = await axios.get(`${API_BASE}/api/export/report`); const blob = new Blob([JSON.stringify(r.data,null,2)],{type:'application/json'}); const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = 'report.json'; a.click(); }} className="px-3 py-2 bg-indigo-600 rounded">Download Report</button>
-                    <button className="px-3 py-2 bg-gray-700 rounded">Emergency Call</button>
-                  </div>
-                </div>
+            <div className="bg-[rgba(255,255,255,0.01)] p-3 rounded mt-4">
+              <div className="text-xs text-gray-300">Export & Actions</div>
+              <div className="mt-2 flex gap-2">
+                <button onClick={() => setShowReports(true)} className="px-3 py-2 bg-indigo-600 rounded">Download Report</button>
+                <button className="px-3 py-2 bg-gray-700 rounded">Emergency Call</button>
               </div>
             </div>
+
+            <ScenarioPanel currentInputs={sandboxInputs || simulation} />
           </div>
         )}
 
@@ -1,20 +1,47 @@
+import { useState } from "react"
+import { Link, useLocation, useNavigate } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
+
 export default function Login() {
+  const { login } = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [email, setEmail] = useState("")
+  const [password, setPassword] = useState("")
+  const [error, setError] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError("")
+    setSubmitting(true)
+    try {
+      await login(email, password)
+      navigate(location.state?.from || "/dashboard", { replace: true })
+    } catch (err) {
+      setError(err.response?.data?.error || "Login failed")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
   return (
     <div className="flex items-center justify-center min-h-screen bg-gray-100">
       <div className="bg-white shadow-lg rounded-2xl p-8 w-full max-w-md">
-        <h2 className="text-2xl font-bold text-center mb-6">Login</h2>
-        <form className="space-y-4">
+        <h2 className="text-2xl font-bold text-center mb-6 text-gray-900">Login</h2>
+        <form className="space-y-4" onSubmit={handleSubmit}>
           <div>
             <label className="block text-sm font-medium text-gray-700">Email</label>
-            <input type="email" placeholder="Enter your email" className="mt-1 w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none" />
+            <input type="email" required value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Enter your email" className="mt-1 w-full px-4 py-2 border rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:outline-none" />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Password</label>
-            <input type="password" placeholder="Enter your password" className="mt-1 w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none" />
+            <input type="password" required value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Enter your password" className="mt-1 w-full px-4 py-2 border rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:outline-none" />
           </div>
-          <button type="button" className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700">Login</button>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-60">{submitting ? "Logging in..." : "Login"}</button>
         </form>
-        <p className="text-sm text-gray-500 text-center mt-4">Don’t have an account? <a href="/signup" className="text-blue-600 hover:underline">Sign Up</a></p>
+        <p className="text-sm text-gray-500 text-center mt-4">Don’t have an account? <Link to="/signup" className="text-blue-600 hover:underline">Sign Up</Link></p>
       </div>
     </div>
   )
@@ -1,15 +1,21 @@
 import { useState, useEffect } from "react";
 import { motion } from "framer-motion";
+import { apiFetch } from "../api";
+import { useAuth } from "../context/AuthContext";
 
 export default function Settings() {
+  const { can } = useAuth();
   const [settings, setSettings] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState("");
 
   useEffect(() => {
-    fetch("http://localhost:5000/api/settings")
-      .then((res) => res.json())
+    apiFetch("/api/settings")
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
       .then((data) => {
         setSettings(data);
         setLoading(false);
@@ -33,12 +39,15 @@ export default function Settings() {
   const saveSettings = () => {
     if (!settings) return;
     setSaving(true);
-    fetch("http://localhost:5000/api/settings", {
+    apiFetch("/api/settings", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(settings),
     })
-      .then((res) => res.json())
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
       .then(() => {
         setMessage("✅ Settings saved successfully!");
         setSaving(false);
@@ -127,17 +136,9 @@ export default function Settings() {
       {/* Alerts */}
       <div className="bg-gray-900 p-5 rounded-2xl mb-6 shadow-xl border border-gray-700">
         <h2 className="text-xl font-semibold mb-3">🚨 Alert Config</h2>
-        <label className="block mb-2">
-          Vibration Threshold (Hz):
-          <input
-            type="number"
-            className="w-24 ml-2 p-1 rounded bg-gray-800"
-            value={settings?.alerts?.vibrationThreshold || 0}
-            onChange={(e) =>
-              handleChange("alerts", "vibrationThreshold", Number(e.target.value))
-            }
-          />
-        </label>
+        <p className="text-sm text-gray-400 mb-2">
+          Alert thresholds are managed as rules in the dashboard's Rules tab.
+        </p>
         <label className="block">
           <input
             type="checkbox"
@@ -168,16 +169,20 @@ export default function Settings() {
         </label>
       </div>
 
-      <motion.button
-        whileHover={{ scale: 1.05 }}
-        disabled={saving}
-        className={`px-6 py-2 rounded-lg font-bold shadow-lg ${
-          saving ? "bg-gray-600 cursor-not-allowed" : "bg-green-600 hover:bg-green-500"
-        }`}
-        onClick={saveSettings}
-      >
-        {saving ? "💾 Saving..." : "💾 Save Settings"}
-      </motion.button>
+      {can("settings:write") ? (
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          disabled={saving}
+          className={`px-6 py-2 rounded-lg font-bold shadow-lg ${
+            saving ? "bg-gray-600 cursor-not-allowed" : "bg-green-600 hover:bg-green-500"
+          }`}
+          onClick={saveSettings}
+        >
+          {saving ? "💾 Saving..." : "💾 Save Settings"}
+        </motion.button>
+      ) : (
+        <p className="text-sm text-gray-400">🔒 Your role ({settings?.profile?.role}) cannot change settings.</p>
+      )}
 
       {message && <p className="mt-4 text-center text-sm">{message}</p>}
     </div>
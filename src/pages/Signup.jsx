@@ -1,28 +1,56 @@
+import { useState } from "react"
+import { Link, useNavigate } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
+
 export default function Signup() {
+  const { signup } = useAuth()
+  const navigate = useNavigate()
+  const [form, setForm] = useState({ name: "", email: "", password: "", confirm: "" })
+  const [error, setError] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+
+  const update = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError("")
+    if (form.password !== form.confirm) return setError("Passwords do not match")
+    setSubmitting(true)
+    try {
+      await signup(form.name, form.email, form.password)
+      navigate("/dashboard", { replace: true })
+    } catch (err) {
+      setError(err.response?.data?.error || "Sign up failed")
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
   return (
     <div className="flex items-center justify-center min-h-screen bg-gray-100">
       <div className="bg-white shadow-lg rounded-2xl p-8 w-full max-w-md">
-        <h2 className="text-2xl font-bold text-center mb-6">Create Account</h2>
-        <form className="space-y-4">
+        <h2 className="text-2xl font-bold text-center mb-6 text-gray-900">Create Account</h2>
+        <form className="space-y-4" onSubmit={handleSubmit}>
           <div>
             <label className="block text-sm font-medium text-gray-700">Full Name</label>
-            <input type="text" placeholder="Enter your full name" className="mt-1 w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none" />
+            <input type="text" required value={form.name} onChange={update("name")} placeholder="Enter your full name" className="mt-1 w-full px-4 py-2 border rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:outline-none" />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Email</label>
-            <input type="email" placeholder="Enter your email" className="mt-1 w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none" />
+            <input type="email" required value={form.email} onChange={update("email")} placeholder="Enter your email" className="mt-1 w-full px-4 py-2 border rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:outline-none" />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Password</label>
-            <input type="password" placeholder="Enter your password" className="mt-1 w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none" />
+            <input type="password" required minLength={8} value={form.password} onChange={update("password")} placeholder="Enter your password" className="mt-1 w-full px-4 py-2 border rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:outline-none" />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Confirm Password</label>
-            <input type="password" placeholder="Confirm your password" className="mt-1 w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none" />
+            <input type="password" required value={form.confirm} onChange={update("confirm")} placeholder="Confirm your password" className="mt-1 w-full px-4 py-2 border rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-500 focus:outline-none" />
           </div>
-          <button type="button" className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700">Sign Up</button>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button type="submit" disabled={submitting} className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-60">{submitting ? "Creating account..." : "Sign Up"}</button>
         </form>
-        <p className="text-sm text-gray-500 text-center mt-4">Already have an account? <a href="/login" className="text-blue-600 hover:underline">Login</a></p>
+        <p className="text-sm text-gray-500 text-center mt-4">Already have an account? <Link to="/login" className="text-blue-600 hover:underline">Login</Link></p>
       </div>
     </div>
   )